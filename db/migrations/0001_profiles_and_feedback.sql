@@ -0,0 +1,27 @@
+-- 0001 - Quiz results and the feedback given on them
+
+CREATE TABLE IF NOT EXISTS user_profiles (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  scores JSONB,
+  answers JSONB,
+  recommendations JSONB,
+  total_questions INTEGER,
+  question_sequence JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_profiles_session_id_idx ON user_profiles (session_id);
+CREATE INDEX IF NOT EXISTS user_profiles_created_at_idx ON user_profiles (created_at);
+
+CREATE TABLE IF NOT EXISTS user_feedback (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  accuracy TEXT,
+  helpful BOOLEAN,
+  detailed_comments TEXT,
+  response_time INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_feedback_session_id_idx ON user_feedback (session_id);
@@ -0,0 +1,82 @@
+-- 0002 - Versioned scoring, question selection and similarity algorithms,
+-- their A/B tests, per-session assignments and performance metrics
+
+CREATE TABLE IF NOT EXISTS scoring_algorithms (
+  id BIGSERIAL PRIMARY KEY,
+  version TEXT NOT NULL UNIQUE,
+  algorithm_name TEXT,
+  dimension_weights JSONB,
+  question_type_weights JSONB,
+  calculation_method JSONB,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS question_selection_algorithms (
+  id BIGSERIAL PRIMARY KEY,
+  version TEXT NOT NULL UNIQUE,
+  algorithm_name TEXT,
+  selection_logic JSONB,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ml_model_versions (
+  id BIGSERIAL PRIMARY KEY,
+  version TEXT NOT NULL,
+  algorithm_name TEXT,
+  model_type TEXT NOT NULL,
+  config JSONB,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (model_type, version)
+);
+
+CREATE TABLE IF NOT EXISTS ab_tests (
+  id BIGSERIAL PRIMARY KEY,
+  test_name TEXT NOT NULL,
+  description TEXT,
+  algorithm_type TEXT NOT NULL,
+  version_a TEXT NOT NULL,
+  version_b TEXT NOT NULL,
+  traffic_split NUMERIC NOT NULL DEFAULT 0.5,
+  start_date TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  end_date TIMESTAMPTZ,
+  success_metrics JSONB,
+  status TEXT NOT NULL DEFAULT 'running',
+  results JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_algorithm_assignments (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_fingerprint TEXT,
+  algorithm_type TEXT NOT NULL,
+  algorithm_version TEXT NOT NULL,
+  ab_test_id BIGINT REFERENCES ab_tests (id),
+  assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_algorithm_assignments_session_idx
+  ON user_algorithm_assignments (session_id, algorithm_type);
+CREATE INDEX IF NOT EXISTS user_algorithm_assignments_test_idx
+  ON user_algorithm_assignments (ab_test_id);
+
+CREATE TABLE IF NOT EXISTS algorithm_performance (
+  id BIGSERIAL PRIMARY KEY,
+  algorithm_type TEXT NOT NULL,
+  algorithm_version TEXT NOT NULL,
+  metric_name TEXT NOT NULL,
+  metric_value NUMERIC NOT NULL,
+  measurement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  sample_size INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS algorithm_performance_version_idx
+  ON algorithm_performance (algorithm_type, algorithm_version, measurement_date);
@@ -0,0 +1,26 @@
+-- 0003 - Versioned question bank, the catalog/stop reason each profile was
+-- scored with, and running question effectiveness aggregates
+
+CREATE TABLE IF NOT EXISTS question_catalogs (
+  id BIGSERIAL PRIMARY KEY,
+  version TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('draft', 'published')),
+  definition JSONB NOT NULL,
+  published_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS question_catalogs_status_idx ON question_catalogs (status, created_at);
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS catalog_version TEXT;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS stop_reason TEXT;
+
+CREATE TABLE IF NOT EXISTS question_effectiveness (
+  id BIGSERIAL PRIMARY KEY,
+  question_id TEXT NOT NULL UNIQUE,
+  total_uses INTEGER NOT NULL DEFAULT 0,
+  total_effectiveness NUMERIC NOT NULL DEFAULT 0,
+  average_effectiveness NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- 0004 - Weighted variants, holdouts and traffic ramps for A/B tests, and the
+-- audit log of experiment decisions
+
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS variants JSONB;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS holdout_percentage NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS traffic_percentage NUMERIC NOT NULL DEFAULT 100;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS auto_rollout BOOLEAN;
+
+ALTER TABLE user_algorithm_assignments ADD COLUMN IF NOT EXISTS variant TEXT;
+
+CREATE TABLE IF NOT EXISTS experiment_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  ab_test_id BIGINT REFERENCES ab_tests (id),
+  action TEXT NOT NULL,
+  reason TEXT,
+  details JSONB,
+  actor TEXT NOT NULL DEFAULT 'monitor',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS experiment_audit_log_test_idx ON experiment_audit_log (ab_test_id, created_at);
@@ -0,0 +1,16 @@
+-- 0005 - Quiz journey events (questions shown, answers, edits, feedback,
+-- restarts) for funnel and drop-off analysis
+
+CREATE TABLE IF NOT EXISTS session_events (
+  id BIGSERIAL PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  sequence INTEGER NOT NULL,
+  question_id TEXT,
+  payload JSONB,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS session_events_session_idx ON session_events (session_id, sequence);
+CREATE INDEX IF NOT EXISTS session_events_type_idx ON session_events (event_type, occurred_at);
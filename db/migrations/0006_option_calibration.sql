@@ -0,0 +1,6 @@
+-- 0006 - Per-dimension feedback ratings, and option score overrides that a
+-- calibrated scoring algorithm applies on top of the question catalog
+
+ALTER TABLE user_feedback ADD COLUMN IF NOT EXISTS dimension_feedback JSONB;
+
+ALTER TABLE scoring_algorithms ADD COLUMN IF NOT EXISTS option_scores JSONB;
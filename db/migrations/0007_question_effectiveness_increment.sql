@@ -0,0 +1,16 @@
+-- 0007 - Record a question use and its effectiveness in one statement, so
+-- concurrent quizzes add to the running aggregates instead of overwriting them
+
+CREATE OR REPLACE FUNCTION record_question_effectiveness(p_question_id TEXT, p_effectiveness NUMERIC)
+RETURNS VOID
+LANGUAGE SQL
+AS $$
+  INSERT INTO question_effectiveness AS qe
+    (question_id, total_uses, total_effectiveness, average_effectiveness, updated_at)
+  VALUES (p_question_id, 1, p_effectiveness, p_effectiveness, NOW())
+  ON CONFLICT (question_id) DO UPDATE SET
+    total_uses = qe.total_uses + 1,
+    total_effectiveness = qe.total_effectiveness + EXCLUDED.total_effectiveness,
+    average_effectiveness = (qe.total_effectiveness + EXCLUDED.total_effectiveness) / (qe.total_uses + 1),
+    updated_at = NOW();
+$$;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+
+const METRICS = {
+  completion_rate: { label: 'Completion rate', percent: true },
+  helpful_rate: { label: '"Helpful" rate', percent: true },
+  accuracy: { label: 'Accuracy score', percent: false }
+};
+
+// Rates as percentages (differences in points), accuracy scores as-is
+const formatValue = (value, percent) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '–';
+  return percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(2);
+};
+
+const formatDifference = (value, percent) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '–';
+  const sign = value > 0 ? '+' : '';
+  return percent ? `${sign}${(value * 100).toFixed(1)} pts` : `${sign}${value.toFixed(2)}`;
+};
+
+const formatPValue = (pValue) => {
+  if (pValue === null || pValue === undefined) return '–';
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+};
+
+const ABTestResults = ({ analytics }) => {
+  const srm = analytics.sampleRatioMismatch;
+  const control = analytics.arms[0];
+
+  return (
+    <div className="mt-4 border-t border-gray-200 pt-4 space-y-4 text-sm">
+      {srm.detected && (
+        <div className="flex items-start bg-red-50 text-red-800 p-3 rounded">
+          <AlertCircle className="mr-2 flex-shrink-0" size={16} />
+          <p>
+            Sample ratio mismatch: observed split {srm.observedShares.map(share => formatValue(share, true)).join(' / ')} vs
+            expected {srm.expectedShares.map(share => formatValue(share, true)).join(' / ')} (p {formatPValue(srm.pValue)}).
+            Assignment or logging is off, so these results should not be trusted.
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {analytics.arms.map(arm => (
+          <div key={arm.name} className="bg-gray-50 p-3 rounded">
+            <p className="font-medium text-gray-800">{arm.name}</p>
+            <p className="font-mono text-xs text-gray-600">{arm.version}</p>
+            <p className="text-gray-600 mt-1">{arm.sessions} sessions</p>
+          </div>
+        ))}
+      </div>
+
+      {analytics.comparisons.map(comparison => (
+        <div key={comparison.variant}>
+          <h5 className="font-medium text-gray-800 mb-2">{comparison.variant} vs {control.name}</h5>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-3">Metric</th>
+                  <th className="py-1 pr-3">Control</th>
+                  <th className="py-1 pr-3">Variant</th>
+                  <th className="py-1 pr-3">Difference ({Math.round((1 - analytics.alpha) * 100)}% CI)</th>
+                  <th className="py-1 pr-3">p-value</th>
+                  <th className="py-1 pr-3">MDE</th>
+                  <th className="py-1">Sample / required</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(comparison.metrics).map(([metricName, result]) => {
+                  const { label, percent } = METRICS[metricName];
+                  return (
+                    <tr key={metricName} className="border-b border-gray-100">
+                      <td className="py-1 pr-3">
+                        {label}
+                        {metricName === analytics.primaryMetric && <span className="ml-1 text-xs text-purple-700">(primary)</span>}
+                      </td>
+                      <td className="py-1 pr-3">{formatValue(result.control, percent)}</td>
+                      <td className="py-1 pr-3">{formatValue(result.treatment, percent)}</td>
+                      <td className={`py-1 pr-3 ${result.significant ? (result.difference > 0 ? 'text-green-700 font-medium' : 'text-red-700 font-medium') : ''}`}>
+                        {formatDifference(result.difference, percent)}
+                        {result.confidenceInterval && (
+                          <span className="text-gray-500">
+                            {' '}[{formatDifference(result.confidenceInterval[0], percent)}, {formatDifference(result.confidenceInterval[1], percent)}]
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-1 pr-3">{result.insufficientData ? 'Not enough data' : formatPValue(result.pValue)}</td>
+                      <td className="py-1 pr-3">{formatDifference(result.minimumDetectableEffect, percent)}</td>
+                      <td className="py-1">{result.sampleSize} / {result.requiredSampleSize ?? '–'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center space-x-4">
+        <span className={`flex items-center ${analytics.sampleSizeAdequate ? 'text-green-700' : 'text-yellow-700'}`}>
+          {analytics.sampleSizeAdequate ? <CheckCircle className="mr-1" size={14} /> : <AlertCircle className="mr-1" size={14} />}
+          {analytics.sampleSizeAdequate ? 'Sample size adequate' : 'Still collecting sessions'}
+        </span>
+        <span className="text-gray-700">
+          Winner: <span className="font-medium">{analytics.winner}</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ABTestResults;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { ML_CONFIG, PROFILE_LABELS } from '../ml/MLConfig.js';
+
+const { ACCURATE_RATING } = ML_CONFIG.OPTION_CALIBRATION;
+const RATINGS = [1, 2, 3, 4, 5];
+const DIRECTIONS = [
+  { direction: 'higher', label: 'Should be higher' },
+  { direction: 'lower', label: 'Should be lower' }
+];
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(1) : '–');
+
+// Rate each score 1-5 and, for a score that's off, say which way. These
+// { rating, direction } ratings are what option score calibration fits to
+const DimensionFeedback = ({ scores, onSubmit }) => {
+  const [ratings, setRatings] = useState({});
+
+  const update = (dimension, changes) => setRatings({ ...ratings, [dimension]: { ...ratings[dimension], ...changes } });
+
+  // A direction only goes with a rating below ACCURATE_RATING
+  const submit = () => onSubmit(Object.fromEntries(Object.entries(ratings).map(([dimension, { rating, direction }]) => [
+    dimension,
+    rating < ACCURATE_RATING && direction ? { rating, direction } : { rating }
+  ])));
+
+  return (
+    <div className="mt-4 pt-4 border-t border-yellow-200">
+      <p className="text-sm font-medium text-yellow-800 mb-2">Or rate each score (1 = way off, 5 = spot on)</p>
+      <div className="space-y-2">
+        {ML_CONFIG.SIMILARITY_DIMENSIONS.map(dimension => {
+          const { rating, direction } = ratings[dimension] || {};
+          return (
+            <div key={dimension} className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="w-44 text-yellow-900">
+                {PROFILE_LABELS.dimensions[dimension] || dimension} ({formatScore(scores?.[dimension])})
+              </span>
+              {RATINGS.map(value => (
+                <button
+                  key={value}
+                  onClick={() => update(dimension, { rating: value })}
+                  className={`w-7 h-7 rounded text-xs ${rating === value ? 'bg-yellow-600 text-white' : 'bg-white border border-yellow-300 text-yellow-800'}`}
+                >
+                  {value}
+                </button>
+              ))}
+              {rating < ACCURATE_RATING && DIRECTIONS.map(option => (
+                <button
+                  key={option.direction}
+                  onClick={() => update(dimension, { direction: option.direction })}
+                  className={`px-2 py-1 rounded text-xs ${direction === option.direction ? 'bg-yellow-600 text-white' : 'bg-white border border-yellow-300 text-yellow-800'}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <button
+        onClick={submit}
+        disabled={Object.keys(ratings).length === 0}
+        className="mt-3 px-4 py-2 bg-yellow-600 text-white rounded text-sm hover:bg-yellow-700 transition disabled:opacity-50"
+      >
+        Send Score Ratings
+      </button>
+    </div>
+  );
+};
+
+export default DimensionFeedback;
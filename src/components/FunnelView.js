@@ -0,0 +1,185 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { createLogger } from '../ml/Logger';
+
+const logger = createLogger('FunnelView');
+
+const LOOKBACK_OPTIONS = [7, 30, 90];
+
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '–';
+  return ms >= 60000 ? `${(ms / 60000).toFixed(1)} min` : `${(ms / 1000).toFixed(1)} s`;
+};
+
+// Quiz starts, completion and drop-off from stored session events, overall
+// and per question selection strategy
+const FunnelView = ({ mlService }) => {
+  const [lookbackDays, setLookbackDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setAnalytics(await mlService.getFunnelAnalytics({ lookbackDays }));
+    } catch (error) {
+      logger.error('Error loading funnel analytics', error);
+      setAnalytics(null);
+    }
+    setLoading(false);
+  }, [mlService, lookbackDays]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const overall = analytics?.overall;
+  const questionCount = Math.max(0, ...(analytics?.byStrategy || []).map(funnel => funnel.byQuestionNumber.length));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Period</label>
+          <select
+            value={lookbackDays}
+            onChange={(e) => setLookbackDays(parseInt(e.target.value))}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {LOOKBACK_OPTIONS.map(days => <option key={days} value={days}>Last {days} days</option>)}
+          </select>
+        </div>
+        <button
+          onClick={load}
+          className="flex items-center px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+        >
+          <RefreshCw className="mr-1" size={14} /> Refresh
+        </button>
+      </div>
+
+      {loading && <p className="text-sm text-gray-500">Loading funnel...</p>}
+      {!loading && (!overall || overall.starts === 0) && (
+        <p className="text-sm text-gray-500">No finished quizzes in this period.</p>
+      )}
+
+      {!loading && overall?.starts > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-600">Quiz starts</p>
+              <p className="text-lg font-bold text-gray-800">{overall.starts}</p>
+              {overall.inProgress > 0 && <p className="text-xs text-gray-500">+{overall.inProgress} in progress</p>}
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-600">Completion rate</p>
+              <p className="text-lg font-bold text-gray-800">{formatPercent(overall.completionRate)}</p>
+              <p className="text-xs text-gray-500">{overall.completions} completed</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-600">Abandoned</p>
+              <p className="text-lg font-bold text-gray-800">{overall.left + overall.restarts}</p>
+              <p className="text-xs text-gray-500">{overall.left} left, {overall.restarts} restarted</p>
+            </div>
+            <div className="bg-gray-50 p-3 rounded">
+              <p className="text-sm text-gray-600">Median time to profile</p>
+              <p className="text-lg font-bold text-gray-800">{formatDuration(overall.medianDurationMs)}</p>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-gray-800 mb-2">By question index</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4">Question</th>
+                    <th className="py-2 pr-4">Reached</th>
+                    <th className="py-2 pr-4">Answered (of starts)</th>
+                    <th className="py-2 pr-4">Drop-off</th>
+                    <th className="py-2 pr-4">Median time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overall.byQuestionNumber.map(step => (
+                    <tr key={step.questionNumber} className="border-b border-gray-100">
+                      <td className="py-2 pr-4">#{step.questionNumber}</td>
+                      <td className="py-2 pr-4">{step.reached}</td>
+                      <td className="py-2 pr-4">{formatPercent(step.completionRate)}</td>
+                      <td className="py-2 pr-4">{formatPercent(step.dropOffRate)} ({step.abandoned})</td>
+                      <td className="py-2 pr-4">{formatDuration(step.medianDwellMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-gray-800 mb-2">Abandonment by question</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4">Question</th>
+                    <th className="py-2 pr-4">Shown</th>
+                    <th className="py-2 pr-4">Abandoned</th>
+                    <th className="py-2 pr-4">Median time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {overall.byQuestion.map(question => (
+                    <tr key={question.questionId} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-mono text-xs">{question.questionId}</td>
+                      <td className="py-2 pr-4">{question.shown}</td>
+                      <td className="py-2 pr-4">{question.abandoned} ({formatPercent(question.abandonmentRate)})</td>
+                      <td className="py-2 pr-4">{formatDuration(question.medianDwellMs)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-gray-800 mb-2">By question selection strategy</h4>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead>
+                  <tr className="text-gray-600 border-b border-gray-200">
+                    <th className="py-2 pr-4">Strategy</th>
+                    <th className="py-2 pr-4">Starts</th>
+                    <th className="py-2 pr-4">Completion</th>
+                    <th className="py-2 pr-4">Median time</th>
+                    {Array.from({ length: questionCount }, (_, index) => (
+                      <th key={index} className="py-2 pr-4">Q{index + 1}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {analytics.byStrategy.map(funnel => (
+                    <tr key={funnel.strategy} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 font-medium">{funnel.strategy}</td>
+                      <td className="py-2 pr-4">{funnel.starts}</td>
+                      <td className="py-2 pr-4">{formatPercent(funnel.completionRate)}</td>
+                      <td className="py-2 pr-4">{formatDuration(funnel.medianDurationMs)}</td>
+                      {Array.from({ length: questionCount }, (_, index) => (
+                        <td key={index} className="py-2 pr-4">{formatPercent(funnel.byQuestionNumber[index]?.completionRate)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Q columns: share of the strategy's starts that answered that question.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FunnelView;
@@ -1,8 +1,20 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { ChevronRight, RotateCcw, MapPin, Star, Users, Brain, TrendingUp, Edit3, BarChart3, Lightbulb, Target, Zap } from 'lucide-react';
 import MLAdminInterface from './MLAdminInterface';
+import ProfileTraits from './ProfileTraits';
+import ProfileComparisonChart from './ProfileComparisonChart';
+import ScoreExplanation from './ScoreExplanation';
+import DimensionFeedback from './DimensionFeedback';
 // Import ML System
 import MLService from '../ml/MLService.js';
+import { STOP_REASONS } from '../ml/QuizStoppingRule.js';
+import { SESSION_EVENT_TYPES } from '../ml/SessionEventLog.js';
+import { accuracyFromDimensionRatings } from '../ml/FeedbackCollector.js';
+import { getUserFingerprint } from '../ml/ExperimentAssignment.js';
+import { ENHANCEMENT_LEVELS } from '../ml/ProfileGenerator.js';
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('GolfProfiler');
 
 // Override localStorage methods to use memory for Claude.ai compatibility
 if (typeof window !== 'undefined') {
@@ -13,7 +25,7 @@ if (typeof window !== 'undefined') {
   Storage.prototype.setItem = function(key, value) {
     if (key.includes('golf_profiler')) {
       memoryStorage[key] = value;
-      console.log(`📝 Stored in memory: ${key}`);
+      logger.debug(`Stored in memory: ${key}`);
     } else {
       originalSetItem.call(this, key, value);
     }
@@ -39,6 +51,8 @@ const GolfProfiler = () => {
   const [isComplete, setIsComplete] = useState(false);
   const [mlService] = useState(() => new MLService());
   const [sessionId] = useState(() => Date.now().toString());
+  const [userFingerprint] = useState(() => getUserFingerprint());
+  const [stopReason, setStopReason] = useState(null);
 
   // UI State hooks
   const [showFeedback, setShowFeedback] = useState(false);
@@ -52,808 +66,40 @@ const GolfProfiler = () => {
   const [recommendationInsights, setRecommendationInsights] = useState(null);
   const [mlStats, setMlStats] = useState(null);
 
+  // Journey tracking: questions already reported in this quiz, and the
+  // options hovered on the current one
+  const shownQuestionIds = useRef(new Set());
+  const hoveredOptions = useRef([]);
+
   const [scores, setScores] = useState({
     skillLevel: 0, socialness: 0, traditionalism: 0, luxuryLevel: 0,
     competitiveness: 0, ageGeneration: 0, genderLean: 0, amenityImportance: 0,
     courseStyle: {}, pace: 0
   });
 
-// Question bank (moved outside component to avoid dependency issues)
-const questionBank = [
-    // EXISTING 8 QUESTIONS (keep these as-is)
-    {
-      id: 'golf_movie',
-      type: 'starter',
-      priority: 10,
-      question: "Pick a Golf Movie to Watch Tonight",
-      options: [
-        {
-          text: "Happy Gilmore",
-          image: "🏌️‍♂️💥",
-          scores: { skillLevel: 2, socialness: 8, traditionalism: 1, competitiveness: 3, ageGeneration: 6 }
-        },
-        {
-          text: "Tin Cup",
-          image: "🏆⛳",
-          scores: { skillLevel: 7, socialness: 5, traditionalism: 4, competitiveness: 8, ageGeneration: 4 }
-        },
-        {
-          text: "The Legend of Bagger Vance",
-          image: "🧘‍♂️📿",
-          scores: { skillLevel: 6, socialness: 4, traditionalism: 9, competitiveness: 4, ageGeneration: 3 }
-        },
-        {
-          text: "Caddyshack",
-          image: "😂🐿️",
-          scores: { skillLevel: 5, socialness: 9, traditionalism: 2, competitiveness: 3, ageGeneration: 2 }
-        }
-      ]
-    },
-    {
-      id: 'dream_course',
-      type: 'core',
-      priority: 9,
-      question: "Your Dream Round Looks Like...",
-      options: [
-        {
-          text: "Cliffside coastal course at sunset",
-          image: "🌊🌅",
-          scores: { luxuryLevel: 8, traditionalism: 6, courseStyle: 'coastal', amenityImportance: 7 }
-        },
-        {
-          text: "Tree-lined classic parkland",
-          image: "🌳🏞️",
-          scores: { traditionalism: 9, skillLevel: 6, courseStyle: 'parkland', luxuryLevel: 6 }
-        },
-        {
-          text: "Windy open links with brown turf",
-          image: "🌬️⛳",
-          scores: { skillLevel: 8, traditionalism: 10, competitiveness: 7, courseStyle: 'links' }
-        },
-        {
-          text: "Laid-back 9-hole muni with no dress code",
-          image: "👕🍺",
-          scores: { socialness: 8, luxuryLevel: 2, traditionalism: 1, competitiveness: 2 }
-        }
-      ]
-    },
-    {
-      id: 'playing_partner',
-      type: 'social',
-      priority: 8,
-      question: "Pick a Playing Partner for 18 Holes",
-      options: [
-        {
-          text: "Bill Murray",
-          image: "😄🎭",
-          scores: { socialness: 9, competitiveness: 2, traditionalism: 3, ageGeneration: 3 }
-        },
-        {
-          text: "Tiger Woods",
-          image: "🐅🏆",
-          scores: { competitiveness: 10, skillLevel: 8, traditionalism: 7, socialness: 3 }
-        },
-        {
-          text: "Barack Obama",
-          image: "🎯💼",
-          scores: { socialness: 7, traditionalism: 6, competitiveness: 5, ageGeneration: 5 }
-        },
-        {
-          text: "Your best friend",
-          image: "👥❤️",
-          scores: { socialness: 10, competitiveness: 3, traditionalism: 2, luxuryLevel: 3 }
-        }
-      ]
-    },
-    {
-      id: 'nineteenth_hole',
-      type: 'lifestyle',
-      priority: 7,
-      question: "What's Waiting for You at the 19th Hole?",
-      options: [
-        {
-          text: "Burger and cold draft beer",
-          image: "🍔🍺",
-          scores: { socialness: 7, luxuryLevel: 3, traditionalism: 5, genderLean: 2 }
-        },
-        {
-          text: "Glass of wine and charcuterie",
-          image: "🍷🧀",
-          scores: { luxuryLevel: 8, socialness: 5, traditionalism: 6, genderLean: -2, ageGeneration: 6 }
-        },
-        {
-          text: "Breakfast sandwich and black coffee",
-          image: "🥪☕",
-          scores: { socialness: 2, pace: 8, competitiveness: 6, luxuryLevel: 2 }
-        },
-        {
-          text: "Bloody Mary and grilled cheese",
-          image: "🍅🥪",
-          scores: { socialness: 8, luxuryLevel: 6, traditionalism: 4, ageGeneration: 4 }
-        }
-      ]
-    },
-    {
-      id: 'course_recognition',
-      type: 'knowledge',
-      priority: 6,
-      question: "Which One's a Golf Course You'd Want to Play?",
-      options: [
-        {
-          text: "Dramatic ocean cliff shot",
-          image: "🏔️🌊",
-          scores: { luxuryLevel: 9, skillLevel: 6, amenityImportance: 8, traditionalism: 7 }
-        },
-        {
-          text: "Sand-swept minimalist course",
-          image: "🏜️⛳",
-          scores: { skillLevel: 7, traditionalism: 6, competitiveness: 6, luxuryLevel: 7 }
-        },
-        {
-          text: "Tree-lined course with white clubhouse",
-          image: "🌳🏛️",
-          scores: { traditionalism: 10, luxuryLevel: 8, skillLevel: 7, amenityImportance: 9 }
-        },
-        {
-          text: "Flat muni with '$34 Twilight Rate' sign",
-          image: "💰📋",
-          scores: { luxuryLevel: 1, socialness: 6, competitiveness: 2, traditionalism: 1 }
-        }
-      ]
-    },
-    {
-      id: 'game_style',
-      type: 'personality',
-      priority: 5,
-      question: "Your Golf Game Is Most Like...",
-      options: [
-        {
-          text: "A Swiss watch - precise and reliable",
-          image: "⌚✨",
-          scores: { skillLevel: 8, competitiveness: 7, traditionalism: 6, pace: 3 }
-        },
-        {
-          text: "A blues jam session - improvisational",
-          image: "🎷🎵",
-          scores: { socialness: 6, competitiveness: 4, traditionalism: 3, skillLevel: 5 }
-        },
-        {
-          text: "A BBQ with too many flames - chaotic but fun",
-          image: "🔥🍖",
-          scores: { socialness: 9, competitiveness: 2, traditionalism: 1, skillLevel: 3 }
-        },
-        {
-          text: "A golf cart going off-path - adventurous",
-          image: "🛻🌿",
-          scores: { socialness: 7, competitiveness: 3, traditionalism: 1, skillLevel: 4 }
-        }
-      ]
-    },
-    {
-      id: 'pressure_shot',
-      type: 'skill_assessment',
-      priority: 4,
-      question: "You're 210 yards out over water. What's in your hand?",
-      options: [
-        {
-          text: "3-wood - going for it",
-          image: "🏌️‍♂️💨",
-          scores: { skillLevel: 8, competitiveness: 9, traditionalism: 5 }
-        },
-        {
-          text: "Hybrid - smart play",
-          image: "🎯⛳",
-          scores: { skillLevel: 6, competitiveness: 6, traditionalism: 7 }
-        },
-        {
-          text: "Wedge - laying up safe",
-          image: "🎯🛡️",
-          scores: { skillLevel: 4, competitiveness: 3, traditionalism: 8 }
-        },
-        {
-          text: "I'm already back in the cart",
-          image: "🛺😅",
-          scores: { skillLevel: 2, socialness: 8, competitiveness: 1 }
-        }
-      ]
-    },
-    {
-      id: 'warmup_ritual',
-      type: 'preparation',
-      priority: 3,
-      question: "What's Your Pre-Round Ritual?",
-      options: [
-        {
-          text: "Range session + putting practice",
-          image: "🎯📊",
-          scores: { skillLevel: 7, competitiveness: 8, traditionalism: 7, amenityImportance: 9 }
-        },
-        {
-          text: "Stretch, playlist, and positive vibes",
-          image: "🧘‍♀️🎵",
-          scores: { socialness: 6, competitiveness: 4, ageGeneration: 7 }
-        },
-        {
-          text: "Show up and swing - keep it simple",
-          image: "🚗⛳",
-          scores: { socialness: 5, competitiveness: 3, amenityImportance: 2 }
-        },
-        {
-          text: "Coffee, muffin, and course gossip",
-          image: "☕🧁",
-          scores: { socialness: 9, competitiveness: 2, traditionalism: 4 }
-        }
-      ]
-    },
-
-    // NEW 22 QUESTIONS (9-30)
-    {
-      id: 'golf_attire',
-      type: 'lifestyle',
-      priority: 8,
-      question: "What's Your Go-To Golf Outfit?",
-      options: [
-        {
-          text: "Polo, khakis, and proper golf shoes",
-          image: "👔⛳",
-          scores: { traditionalism: 8, luxuryLevel: 6, competitiveness: 6, genderLean: 1 }
-        },
-        {
-          text: "Athletic wear and spikeless sneakers",
-          image: "👟🏃",
-          scores: { pace: 8, ageGeneration: 7, traditionalism: 3, competitiveness: 5 }
-        },
-        {
-          text: "Whatever's comfortable and clean",
-          image: "👕😌",
-          scores: { socialness: 7, traditionalism: 2, luxuryLevel: 3, competitiveness: 3 }
-        },
-        {
-          text: "Designer golf gear and accessories",
-          image: "💎👑",
-          scores: { luxuryLevel: 9, traditionalism: 5, socialness: 4, amenityImportance: 7 }
-        }
-      ]
-    },
-    {
-      id: 'weather_preference',
-      type: 'conditions',
-      priority: 6,
-      question: "Perfect Golf Weather Is...",
-      options: [
-        {
-          text: "Crisp autumn morning with no wind",
-          image: "🍂🌤️",
-          scores: { traditionalism: 7, competitiveness: 7, skillLevel: 6, pace: 5 }
-        },
-        {
-          text: "Warm summer evening twilight round",
-          image: "🌅🌡️",
-          scores: { socialness: 8, luxuryLevel: 5, pace: 3, ageGeneration: 6 }
-        },
-        {
-          text: "Overcast and cool - no excuses",
-          image: "☁️💪",
-          scores: { competitiveness: 8, skillLevel: 7, traditionalism: 6, pace: 7 }
-        },
-        {
-          text: "Any weather - golf is golf!",
-          image: "🌦️⛳",
-          scores: { socialness: 9, competitiveness: 4, skillLevel: 5, pace: 6 }
-        }
-      ]
-    },
-    {
-      id: 'caddie_preference',
-      type: 'service',
-      priority: 5,
-      question: "Your Ideal Caddie Situation:",
-      options: [
-        {
-          text: "Experienced local caddie with course knowledge",
-          image: "🎓⛳",
-          scores: { traditionalism: 9, luxuryLevel: 7, skillLevel: 6, amenityImportance: 8 }
-        },
-        {
-          text: "Buddy who carries clubs and cracks jokes",
-          image: "😄🎒",
-          scores: { socialness: 9, competitiveness: 3, luxuryLevel: 3, traditionalism: 2 }
-        },
-        {
-          text: "GPS cart with all the tech",
-          image: "📱🛺",
-          scores: { pace: 8, ageGeneration: 6, traditionalism: 3, amenityImportance: 6 }
-        },
-        {
-          text: "Just me and my push cart",
-          image: "🚶‍♂️⛳",
-          scores: { competitiveness: 6, pace: 7, socialness: 2, luxuryLevel: 2 }
-        }
-      ]
-    },
-    {
-      id: 'golf_vacation',
-      type: 'travel',
-      priority: 7,
-      question: "Your Dream Golf Vacation:",
-      options: [
-        {
-          text: "Scotland links tour with whisky tastings",
-          image: "🏴󠁧󠁢󠁳󠁣󠁴󠁿🥃",
-          scores: { traditionalism: 10, luxuryLevel: 8, skillLevel: 7, ageGeneration: 4 }
-        },
-        {
-          text: "Myrtle Beach with the gang",
-          image: "🏖️👥",
-          scores: { socialness: 9, luxuryLevel: 4, competitiveness: 5, ageGeneration: 5 }
-        },
-        {
-          text: "Pebble Beach VIP experience",
-          image: "🌊💎",
-          scores: { luxuryLevel: 10, traditionalism: 8, amenityImportance: 9, skillLevel: 7 }
-        },
-        {
-          text: "Budget-friendly state park courses road trip",
-          image: "🚐💰",
-          scores: { socialness: 6, luxuryLevel: 2, pace: 6, competitiveness: 4 }
-        }
-      ]
-    },
-    {
-      id: 'golf_equipment',
-      type: 'gear',
-      priority: 6,
-      question: "Your Golf Bag Philosophy:",
-      options: [
-        {
-          text: "Latest technology and annual upgrades",
-          image: "🔧✨",
-          scores: { luxuryLevel: 8, competitiveness: 7, ageGeneration: 6, amenityImportance: 7 }
-        },
-        {
-          text: "Classic clubs that have served me well",
-          image: "⚡🏆",
-          scores: { traditionalism: 9, skillLevel: 6, competitiveness: 5, ageGeneration: 3 }
-        },
-        {
-          text: "Whatever works and doesn't break the bank",
-          image: "💰🎯",
-          scores: { socialness: 6, luxuryLevel: 3, competitiveness: 4, pace: 5 }
-        },
-        {
-          text: "Meticulously researched and fitted set",
-          image: "📊🔬",
-          scores: { skillLevel: 8, competitiveness: 8, traditionalism: 6, amenityImportance: 8 }
-        }
-      ]
-    },
-    {
-      id: 'golf_instruction',
-      type: 'learning',
-      priority: 5,
-      question: "How Do You Improve Your Game?",
-      options: [
-        {
-          text: "Regular lessons with a PGA professional",
-          image: "👨‍🏫⛳",
-          scores: { skillLevel: 7, competitiveness: 7, luxuryLevel: 6, amenityImportance: 8 }
-        },
-        {
-          text: "YouTube videos and practice",
-          image: "📱🎯",
-          scores: { ageGeneration: 7, pace: 6, luxuryLevel: 3, competitiveness: 6 }
-        },
-        {
-          text: "Playing with better golfers",
-          image: "👥📈",
-          scores: { socialness: 8, competitiveness: 6, skillLevel: 5, traditionalism: 4 }
-        },
-        {
-          text: "Trial and error on the course",
-          image: "🎲⛳",
-          scores: { socialness: 5, competitiveness: 4, traditionalism: 3, pace: 7 }
-        }
-      ]
-    },
-    {
-      id: 'pace_of_play',
-      type: 'tempo',
-      priority: 7,
-      question: "Your Ideal Round Takes:",
-      options: [
-        {
-          text: "3 hours max - let's keep it moving",
-          image: "⏰💨",
-          scores: { pace: 9, competitiveness: 6, socialness: 3, ageGeneration: 6 }
-        },
-        {
-          text: "4-4.5 hours with time to enjoy",
-          image: "🕐😌",
-          scores: { socialness: 7, traditinalism: 6, luxuryLevel: 5, pace: 5 }
-        },
-        {
-          text: "5+ hours - golf is my escape",
-          image: "🌅🧘",
-          scores: { socialness: 8, traditionalism: 7, competitiveness: 3, luxuryLevel: 6 }
-        },
-        {
-          text: "However long it takes to play well",
-          image: "🎯⏳",
-          scores: { competitiveness: 8, skillLevel: 7, traditionalism: 6, pace: 3 }
-        }
-      ]
-    },
-    {
-      id: 'golf_scoring',
-      type: 'competition',
-      priority: 6,
-      question: "How Do You Keep Score?",
-      options: [
-        {
-          text: "Every stroke counts - USGA rules",
-          image: "📝⚖️",
-          scores: { competitiveness: 9, traditionalism: 9, skillLevel: 7, genderLean: 1 }
-        },
-        {
-          text: "Honest but with some gimmes",
-          image: "✋😊",
-          scores: { socialness: 7, competitiveness: 5, traditionalism: 5, pace: 6 }
-        },
-        {
-          text: "Approximate - just having fun",
-          image: "🤷‍♂️⛳",
-          scores: { socialness: 9, competitiveness: 2, pace: 7, skillLevel: 3 }
-        },
-        {
-          text: "Detailed stats and analytics",
-          image: "📊📈",
-          scores: { competitiveness: 8, skillLevel: 7, ageGeneration: 6, amenityImportance: 7 }
-        }
-      ]
-    },
-    {
-      id: 'golf_season',
-      type: 'timing',
-      priority: 4,
-      question: "Your Favorite Golf Season:",
-      options: [
-        {
-          text: "Spring - fresh start and perfect temps",
-          image: "🌸⛳",
-          scores: { traditionalism: 6, socialness: 6, competitiveness: 5, pace: 6 }
-        },
-        {
-          text: "Summer - long days and twilight rounds",
-          image: "☀️🌅",
-          scores: { socialness: 8, luxuryLevel: 5, ageGeneration: 6, pace: 4 }
-        },
-        {
-          text: "Fall - fewer crowds and great conditions",
-          image: "🍁⛳",
-          scores: { traditionalism: 7, competitiveness: 7, pace: 7, skillLevel: 6 }
-        },
-        {
-          text: "Winter - any golf is good golf",
-          image: "❄️⛳",
-          scores: { competitiveness: 8, skillLevel: 6, pace: 6, socialness: 4 }
-        }
-      ]
-    },
-    {
-      id: 'golf_technology',
-      type: 'modern',
-      priority: 5,
-      question: "Technology on the Golf Course:",
-      options: [
-        {
-          text: "GPS watch and shot tracking app",
-          image: "⌚📱",
-          scores: { ageGeneration: 8, competitiveness: 7, amenityImportance: 7, pace: 6 }
-        },
-        {
-          text: "Rangefinder for precision",
-          image: "🔭🎯",
-          scores: { skillLevel: 7, competitiveness: 8, traditionalism: 5, amenityImportance: 6 }
-        },
-        {
-          text: "Just yardage markers and instinct",
-          image: "📏👁️",
-          scores: { traditionalism: 8, skillLevel: 6, competitiveness: 5, ageGeneration: 3 }
-        },
-        {
-          text: "Whatever the course provides",
-          image: "🤝⛳",
-          scores: { socialness: 7, traditionalism: 4, luxuryLevel: 4, pace: 6 }
-        }
-      ]
-    },
-    {
-      id: 'golf_etiquette',
-      type: 'social_rules',
-      priority: 6,
-      question: "Most Important Golf Etiquette:",
-      options: [
-        {
-          text: "Repair divots and fix ball marks",
-          image: "🌱⛳",
-          scores: { traditionalism: 9, skillLevel: 6, competitiveness: 6, amenityImportance: 7 }
-        },
-        {
-          text: "Keep pace with group ahead",
-          image: "👥⏰",
-          scores: { pace: 9, socialness: 7, competitiveness: 6, traditionalism: 6 }
-        },
-        {
-          text: "Stay quiet during others' shots",
-          image: "🤫⛳",
-          scores: { traditionalism: 8, socialness: 6, competitiveness: 5, skillLevel: 5 }
-        },
-        {
-          text: "Help others find their ball",
-          image: "🔍🤝",
-          scores: { socialness: 9, traditionalism: 5, competitiveness: 3, amenityImportance: 4 }
-        }
-      ]
-    },
-    {
-      id: 'golf_challenge',
-      type: 'difficulty',
-      priority: 6,
-      question: "Your Preferred Course Difficulty:",
-      options: [
-        {
-          text: "Championship tees - bring the pain",
-          image: "😤🏆",
-          scores: { skillLevel: 9, competitiveness: 9, traditionalism: 6, genderLean: 2 }
-        },
-        {
-          text: "Regular tees with some bite",
-          image: "⚖️⛳",
-          scores: { skillLevel: 6, competitiveness: 6, traditionalism: 6, socialness: 5 }
-        },
-        {
-          text: "Forward tees for more fun",
-          image: "😊⛳",
-          scores: { socialness: 8, pace: 7, competitiveness: 3, luxuryLevel: 4 }
-        },
-        {
-          text: "Mix it up based on conditions",
-          image: "🎲⛳",
-          scores: { socialness: 6, skillLevel: 5, competitiveness: 5, pace: 6 }
-        }
-      ]
-    },
-    {
-      id: 'golf_motivation',
-      type: 'psychology',
-      priority: 5,
-      question: "What Drives Your Golf?",
-      options: [
-        {
-          text: "Breaking my personal best score",
-          image: "📈🏆",
-          scores: { competitiveness: 9, skillLevel: 7, traditionalism: 5, pace: 5 }
-        },
-        {
-          text: "Spending time with friends",
-          image: "👥❤️",
-          scores: { socialness: 10, competitiveness: 3, luxuryLevel: 4, pace: 4 }
-        },
-        {
-          text: "Escaping from daily stress",
-          image: "🧘‍♂️🌿",
-          scores: { socialness: 4, competitiveness: 3, luxuryLevel: 6, traditionalism: 6 }
-        },
-        {
-          text: "Mastering a difficult skill",
-          image: "🎯📚",
-          scores: { skillLevel: 8, competitiveness: 7, traditionalism: 7, amenityImportance: 6 }
-        }
-      ]
-    },
-    {
-      id: 'golf_frustration',
-      type: 'emotional',
-      priority: 4,
-      question: "When You Hit a Bad Shot:",
-      options: [
-        {
-          text: "Analyze what went wrong",
-          image: "🤔📊",
-          scores: { skillLevel: 7, competitiveness: 7, traditionalism: 6, pace: 4 }
-        },
-        {
-          text: "Laugh it off and move on",
-          image: "😂⛳",
-          scores: { socialness: 9, competitiveness: 3, pace: 8, skillLevel: 4 }
-        },
-        {
-          text: "Take a practice swing",
-          image: "🏌️‍♂️🔄",
-          scores: { skillLevel: 6, competitiveness: 6, traditionalism: 7, pace: 5 }
-        },
-        {
-          text: "Get quietly frustrated",
-          image: "😤🤐",
-          scores: { competitiveness: 8, skillLevel: 6, socialness: 3, genderLean: 1 }
-        }
-      ]
-    },
-    {
-      id: 'golf_format',
-      type: 'competition',
-      priority: 6,
-      question: "Favorite Way to Play Golf:",
-      options: [
-        {
-          text: "Stroke play - pure competition",
-          image: "🏆📝",
-          scores: { competitiveness: 9, traditionalism: 8, skillLevel: 7, genderLean: 1 }
-        },
-        {
-          text: "Best ball scramble with friends",
-          image: "👥⭐",
-          scores: { socialness: 9, competitiveness: 5, pace: 6, skillLevel: 4 }
-        },
-        {
-          text: "Match play head-to-head",
-          image: "⚔️🎯",
-          scores: { competitiveness: 8, socialness: 6, traditionalism: 7, skillLevel: 6 }
-        },
-        {
-          text: "Solo round at my own pace",
-          image: "🚶‍♂️🧘",
-          scores: { socialness: 2, pace: 8, competitiveness: 4, skillLevel: 6 }
-        }
-      ]
-    },
-    {
-      id: 'golf_celebrate',
-      type: 'social',
-      priority: 4,
-      question: "After a Great Shot You:",
-      options: [
-        {
-          text: "Pump your fist and celebrate",
-          image: "✊🎉",
-          scores: { competitiveness: 8, socialness: 7, ageGeneration: 6, genderLean: 1 }
-        },
-        {
-          text: "Smile and tip your cap",
-          image: "😊🧢",
-          scores: { traditionalism: 8, socialness: 6, competitiveness: 5, skillLevel: 6 }
-        },
-        {
-          text: "Act like you've been there before",
-          image: "😎⛳",
-          scores: { competitiveness: 6, traditionalism: 7, skillLevel: 7, genderLean: 1 }
-        },
-        {
-          text: "Thank the golf gods",
-          image: "🙏⭐",
-          scores: { socialness: 7, skillLevel: 4, traditionalism: 5, competitiveness: 4 }
-        }
-      ]
-    },
-    {
-      id: 'golf_practice',
-      type: 'improvement',
-      priority: 5,
-      question: "Your Practice Routine:",
-      options: [
-        {
-          text: "Structured range sessions with targets",
-          image: "🎯📋",
-          scores: { skillLevel: 8, competitiveness: 8, amenityImportance: 7, traditionalism: 6 }
-        },
-        {
-          text: "Hit balls until it feels right",
-          image: "⛳🔄",
-          scores: { skillLevel: 5, competitiveness: 5, socialness: 4, pace: 6 }
-        },
-        {
-          text: "Practice on the course only",
-          image: "🏌️‍♂️⛳",
-          scores: { socialness: 6, traditionalism: 6, amenityImportance: 4, pace: 5 }
-        },
-        {
-          text: "What's practice? I just play",
-          image: "🤷‍♂️😄",
-          scores: { socialness: 8, competitiveness: 3, skillLevel: 3, pace: 7 }
-        }
-      ]
-    },
-    {
-      id: 'golf_membership',
-      type: 'commitment',
-      priority: 6,
-      question: "Your Golf Membership Preference:",
-      options: [
-        {
-          text: "Exclusive private country club",
-          image: "🏛️👑",
-          scores: { luxuryLevel: 10, traditionalism: 9, amenityImportance: 9, socialness: 6 }
-        },
-        {
-          text: "Semi-private with good value",
-          image: "⚖️💰",
-          scores: { luxuryLevel: 6, amenityImportance: 6, socialness: 6, competitiveness: 5 }
-        },
-        {
-          text: "Public courses - variety is key",
-          image: "🌍⛳",
-          scores: { socialness: 8, luxuryLevel: 3, pace: 6, competitiveness: 4 }
-        },
-        {
-          text: "Municipal course regular",
-          image: "🏛️⛳",
-          scores: { socialness: 7, luxuryLevel: 2, traditionalism: 4, amenityImportance: 3 }
-        }
-      ]
-    },
-    {
-      id: 'golf_weather_gear',
-      type: 'conditions',
-      priority: 3,
-      question: "Bad Weather Golf Gear:",
-      options: [
-        {
-          text: "Full rain suit and umbrella",
-          image: "☔🧥",
-          scores: { competitiveness: 7, traditionalism: 7, amenityImportance: 6, skillLevel: 6 }
-        },
-        {
-          text: "Just a rain jacket and hat",
-          image: "🧢🌧️",
-          scores: { pace: 7, competitiveness: 5, socialness: 6, skillLevel: 5 }
-        },
-        {
-          text: "Whatever I have in the car",
-          image: "🚗🤷‍♂️",
-          scores: { socialness: 7, pace: 6, luxuryLevel: 2, competitiveness: 4 }
-        },
-        {
-          text: "Bad weather means no golf",
-          image: "🏠☔",
-          scores: { luxuryLevel: 6, socialness: 4, competitiveness: 3, amenityImportance: 7 }
-        }
-      ]
-    },
-    {
-      id: 'golf_achievement',
-      type: 'goals',
-      priority: 5,
-      question: "Your Golf Bucket List Item:",
-      options: [
-        {
-          text: "Play Augusta National",
-          image: "🌸🏆",
-          scores: { traditionalism: 10, luxuryLevel: 9, skillLevel: 7, competitiveness: 7 }
-        },
-        {
-          text: "Shoot under par",
-          image: "📉🎯",
-          scores: { competitiveness: 9, skillLevel: 8, traditionalism: 6, amenityImportance: 6 }
-        },
-        {
-          text: "Play golf in every state",
-          image: "🗺️⛳",
-          scores: { socialness: 7, pace: 7, competitiveness: 4, ageGeneration: 5 }
-        },
-        {
-          text: "Have fun every round",
-          image: "😊❤️",
-          scores: { socialness: 9, competitiveness: 3, luxuryLevel: 4, pace: 6 }
-        }
-      ]
-    }
-];
+  // Question bank comes from the versioned catalog owned by the ML service.
+  // It is locked for the whole quiz so a catalog published mid-session
+  // only applies from the next restart
+  const [questionCatalog, setQuestionCatalog] = useState(() => mlService.getQuestionCatalog());
+  const questionBank = questionCatalog.getQuestions();
+
+  const urlParams = new URLSearchParams(window.location.search);
+  const isAdmin = urlParams.get('admin') === 'true';
 
   // Initialize ML service and first question
   useEffect(() => {
     const initializeML = async () => {
       if (selectedQuestions.length === 0) {
-        const firstQuestion = mlService.selectNextQuestion({}, scores, questionBank, 0);
+        // Resolve this session's algorithm versions (A/B assignments
+        // included) first, so the first question uses the assigned strategy
+        await mlService.prepareSession(sessionId, userFingerprint);
+
+        // prepareSession waited for the published catalog to load, so lock
+        // the quiz to it rather than the bundled one read on first render
+        const catalog = mlService.getQuestionCatalog();
+        setQuestionCatalog(catalog);
+
+        const firstQuestion = mlService.selectNextQuestion({}, scores, catalog.getQuestions(), 0, { sessionId, questionCatalog: catalog });
         setSelectedQuestions([firstQuestion]);
 
         // Load ML stats
@@ -863,77 +109,54 @@ const questionBank = [
     };
 
     initializeML();
-  }, [mlService, scores, selectedQuestions.length]);
-
-  // 🔥 NOW CHECK FOR ADMIN MODE (after ALL hooks)
-  const urlParams = new URLSearchParams(window.location.search);
-  const isAdmin = urlParams.get('admin') === 'true';
-
-  // If admin mode, show admin interface
-  if (isAdmin) {
-    console.log('🔧 Admin mode detected - showing admin interface');
-    return <MLAdminInterface mlService={mlService} />;
-  }
-
+  }, [mlService, sessionId, userFingerprint, scores, selectedQuestions.length]);
 
-  // Fixed scoring algorithm using weighted averages
-  const calculateWeightedScores = (allAnswers) => {
-    const dimensionScores = {
-      skillLevel: [], socialness: [], traditionalism: [], luxuryLevel: [],
-      competitiveness: [], ageGeneration: [], genderLean: [], amenityImportance: [],
-      pace: [], courseStyle: {}
-    };
-
-    // Question type weights (more important questions have higher weight)
-    const questionWeights = {
-      'starter': 1.2,
-      'core': 1.5,
-      'skill_assessment': 1.8,
-      'social': 1.3,
-      'lifestyle': 1.0,
-      'knowledge': 1.1,
-      'personality': 1.4,
-      'preparation': 1.0
-    };
+  // Report each question once per quiz as it appears (initialization and
+  // restart can both set the first one); the first also starts the quiz
+  const shownQuestion = selectedQuestions[currentQuestion];
+  useEffect(() => {
+    if (isAdmin || isComplete || !shownQuestion || shownQuestionIds.current.has(shownQuestion.id)) return;
 
-    // Collect all scores with weights
-    Object.entries(allAnswers).forEach(([questionId, answerData]) => {
-      // Find the question by ID from the questionBank
-      const question = questionBank.find(q => q.id === questionId);
-      const weight = questionWeights[question?.type] || 1.0;
-      const rawScores = answerData.rawScores || {};
-
-      Object.entries(rawScores).forEach(([dimension, value]) => {
-        if (dimension === 'courseStyle') {
-          dimensionScores.courseStyle[value] = (dimensionScores.courseStyle[value] || 0) + 1;
-        } else if (dimensionScores[dimension]) {
-          dimensionScores[dimension].push({ value, weight });
-        }
+    if (shownQuestionIds.current.size === 0) {
+      mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.QUIZ_STARTED, {
+        catalogVersion: questionCatalog.version,
+        questionSelectionStrategy: mlService.getQuestionSelectionStrategy(sessionId)
       });
+    }
+    shownQuestionIds.current.add(shownQuestion.id);
+    hoveredOptions.current = [];
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.QUESTION_SHOWN, {
+      questionId: shownQuestion.id,
+      questionNumber: currentQuestion + 1
     });
+  }, [isAdmin, isComplete, shownQuestion, currentQuestion, mlService, sessionId, questionCatalog.version]);
 
-    // Calculate weighted averages
-    const finalScores = {
-      skillLevel: 0, socialness: 0, traditionalism: 0, luxuryLevel: 0,
-      competitiveness: 0, ageGeneration: 0, genderLean: 0, amenityImportance: 0,
-      courseStyle: dimensionScores.courseStyle, pace: 0
+  // Write buffered events before the tab is hidden or closed, so an
+  // abandoned quiz keeps its last steps
+  useEffect(() => {
+    const flushEvents = () => mlService.flushEvents();
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flushEvents();
     };
+    window.addEventListener('pagehide', flushEvents);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      window.removeEventListener('pagehide', flushEvents);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [mlService]);
 
-    Object.keys(finalScores).forEach(dimension => {
-      if (dimension === 'courseStyle') return; // Already handled above
-
-      const scores = dimensionScores[dimension];
-      if (scores.length > 0) {
-        const weightedSum = scores.reduce((sum, score) => sum + (score.value * score.weight), 0);
-        const totalWeight = scores.reduce((sum, score) => sum + score.weight, 0);
-        const average = weightedSum / totalWeight;
+  // 🔥 NOW CHECK FOR ADMIN MODE (after ALL hooks)
+  // If admin mode, show admin interface
+  if (isAdmin) {
+    logger.debug('Admin mode detected - showing admin interface');
+    return <MLAdminInterface mlService={mlService} />;
+  }
 
-        // Scale to 0-10 range but don't artificially cap everything at 10
-        finalScores[dimension] = Math.round(Math.max(0, Math.min(10, average)) * 10) / 10;
-      }
-    });
 
-    return finalScores;
+  // Scores come from the active scoring algorithm in the ML layer
+  const calculateWeightedScores = (allAnswers) => {
+    return mlService.calculateScores(allAnswers, questionCatalog, sessionId);
   };
 
 
@@ -941,9 +164,13 @@ const questionBank = [
     const currentQ = selectedQuestions[currentQuestion];
     const selectedOption = currentQ.options[optionIndex];
 
-    console.log('🔍 selectedOption:', selectedOption);
-    console.log('🔍 selectedOption.scores:', selectedOption?.scores);
-    console.log('🔍 current scores before update:', scores);
+    logger.debug(`Answered ${currentQ.id}`, { sessionId, option: selectedOption, scoresBefore: scores });
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.ANSWER_SELECTED, {
+      questionId: currentQ.id,
+      questionNumber: currentQuestion + 1,
+      optionIndex,
+      hoveredOptions: hoveredOptions.current
+    });
 
     // Store raw scores for better calculation
     const newAnswers = {
@@ -959,57 +186,63 @@ const questionBank = [
 
     // Calculate scores using weighted averaging instead of accumulation
     const newScores = calculateWeightedScores(newAnswers);
-    console.log('🎯 newScores after weighted calculation:', newScores);
+    logger.debug('Scores after weighted calculation', { sessionId, scores: newScores });
     setScores(newScores);
 
-    // Determine next question using ML
+    // Stop once the required dimensions are confident enough (or we hit the limits)
     const totalQuestions = Object.keys(newAnswers).length;
-    const shouldContinue = totalQuestions < 7 && (
-      totalQuestions < 5 ||
-      Math.abs(newScores.skillLevel - 5) > 2 ||
-      Math.abs(newScores.luxuryLevel - 5) > 2 ||
-      newScores.amenityImportance === 0
-    );
+    const stopDecision = mlService.evaluateStoppingRule(newAnswers, questionCatalog, sessionId);
+    logger.debug('Stopping rule', { sessionId, ...stopDecision });
 
-    if (shouldContinue) {
+    if (!stopDecision.shouldStop) {
       const nextQuestion = mlService.selectNextQuestion(
         newAnswers,
         newScores,
         questionBank,
         totalQuestions,
-        { sessionId, timestamp: Date.now() }
+        { sessionId, timestamp: Date.now(), questionCatalog }
       );
 
       if (nextQuestion) {
         setSelectedQuestions([...selectedQuestions, nextQuestion]);
         setCurrentQuestion(currentQuestion + 1);
       } else {
-        await generateProfile(newAnswers, newScores);
+        setStopReason(STOP_REASONS.QUESTION_BANK_EXHAUSTED);
+        await generateProfile(newAnswers, newScores, STOP_REASONS.QUESTION_BANK_EXHAUSTED);
       }
     } else {
-      await generateProfile(newAnswers, newScores);
+      setStopReason(stopDecision.reason);
+      await generateProfile(newAnswers, newScores, stopDecision.reason);
     }
   };
 
-  const generateProfile = async (finalAnswers, finalScores) => {
+  // Options in the order they were first hovered before answering
+  const handleOptionHover = (optionIndex) => {
+    if (!hoveredOptions.current.includes(optionIndex)) {
+      hoveredOptions.current = [...hoveredOptions.current, optionIndex];
+    }
+  };
+
+  const generateProfile = async (finalAnswers, finalScores, finalStopReason = stopReason) => {
     try {
       // Generate ML-enhanced profile
       const enhancedProfile = await mlService.generateProfile(
         finalAnswers,
         finalScores,
         sessionId,
-        { enhancementLevel: 'full' }
+        { enhancementLevel: ENHANCEMENT_LEVELS.FULL, catalogVersion: questionCatalog.version, stopReason: finalStopReason }
       );
 
-      // Debug the courseStyle recommendation
-      console.log('🔍 Enhanced profile courseStyle:', enhancedProfile.recommendations?.courseStyle);
-      if (typeof enhancedProfile.recommendations?.courseStyle === 'object') {
-        console.log('🔍 CourseStyle object details:', enhancedProfile.recommendations.courseStyle);
-      }
+      logger.debug('Enhanced profile courseStyle', { sessionId, courseStyle: enhancedProfile.recommendations?.courseStyle });
 
       setProfile(enhancedProfile);
       setIsComplete(true);
       setShowFeedback(true);
+      mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.PROFILE_GENERATED, {
+        totalQuestions: Object.keys(finalAnswers).length,
+        stopReason: finalStopReason,
+        mlEnhanced: enhancedProfile.mlEnhanced || false
+      });
 
       // Generate insights
       const similarity = mlService.getUserSimilarityInsights(finalScores);
@@ -1023,25 +256,24 @@ const questionBank = [
       setMlStats(stats);
 
     } catch (error) {
-      console.error('Error generating profile:', error);
+      logger.error('Error generating profile', { sessionId, error });
       // Fallback to basic profile
-      setProfile(generateBasicProfile(finalScores));
+      setProfile(mlService.generateBaseProfile(finalAnswers, finalScores, sessionId));
       setIsComplete(true);
+      mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.PROFILE_GENERATED, {
+        totalQuestions: Object.keys(finalAnswers).length,
+        stopReason: finalStopReason,
+        mlEnhanced: false,
+        fallback: true
+      });
     }
   };
 
-  const generateBasicProfile = (scores) => {
-    return {
-      skillLevel: { label: getSkillLabel(scores.skillLevel) },
-      personality: { primary: getPersonalityType(scores) },
-      preferences: { core: getPreferences(scores) },
-      recommendations: getRecommendations(scores),
-      demographics: getDemographics(scores),
-      mlEnhanced: false
-    };
-  };
-
   const handleProfileFeedback = async (feedbackData) => {
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.FEEDBACK_GIVEN, {
+      accuracy: feedbackData.accuracy,
+      helpful: feedbackData.helpful
+    });
     try {
       await mlService.collectFeedback(sessionId, feedbackData, {
         answers,
@@ -1057,17 +289,60 @@ const questionBank = [
       const stats = mlService.getMLStatistics();
       setMlStats(stats);
     } catch (error) {
-      console.error('Error submitting feedback:', error);
+      logger.error('Error submitting feedback', { sessionId, error });
       setShowFeedback(false);
     }
   };
 
+  // Per-score ratings ({ rating, direction }), summarized into an overall accuracy
+  const handleDimensionFeedback = (dimensionFeedback) => {
+    const accuracy = accuracyFromDimensionRatings(dimensionFeedback);
+    return handleProfileFeedback({
+      type: 'dimension',
+      dimensionFeedback,
+      accuracy,
+      helpful: accuracy === 'very_accurate' || accuracy === 'mostly_accurate'
+    });
+  };
+
   const handleEditAnswers = () => {
     setIsEditing(true);
     setEditingAnswers({ ...answers });
   };
 
+  // A changed option in the editor counts as a new answer to that question
+  const handleEditAnswer = (questionId, question, optionIndex) => {
+    const answer = editingAnswers[questionId];
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.ANSWER_SELECTED, {
+      questionId,
+      optionIndex,
+      previousOptionIndex: answer.optionIndex,
+      source: 'edit'
+    });
+    setEditingAnswers({
+      ...editingAnswers,
+      [questionId]: {
+        ...answer,
+        optionIndex,
+        answer: question.options[optionIndex].text,
+        rawScores: question.options[optionIndex].scores
+      }
+    });
+  };
+
+  const trackAnswersEdited = (cancelled) => {
+    const changedQuestionIds = Object.keys(editingAnswers)
+      .filter(questionId => editingAnswers[questionId].optionIndex !== answers[questionId]?.optionIndex);
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.ANSWERS_EDITED, { changedQuestionIds, cancelled });
+  };
+
+  const handleCancelEdit = () => {
+    trackAnswersEdited(true);
+    setIsEditing(false);
+  };
+
   const handleUpdateAnswers = async () => {
+    trackAnswersEdited(false);
     // Recalculate scores with new answers using weighted system
     const newScores = calculateWeightedScores(editingAnswers);
 
@@ -1078,10 +353,18 @@ const questionBank = [
   };
 
   const restart = () => {
+    mlService.trackEvent(sessionId, SESSION_EVENT_TYPES.RESTARTED, {
+      answeredCount: Object.keys(answers).length,
+      completed: isComplete
+    });
+    shownQuestionIds.current = new Set();
+    const nextCatalog = mlService.getQuestionCatalog();
+    setQuestionCatalog(nextCatalog);
     setCurrentQuestion(0);
     setAnswers({});
     setProfile(null);
     setSelectedQuestions([]);
+    setStopReason(null);
     setIsComplete(false);
     setIsEditing(false);
     setShowFeedback(false);
@@ -1101,62 +384,11 @@ const questionBank = [
         skillLevel: 0, socialness: 0, traditionalism: 0, luxuryLevel: 0,
         competitiveness: 0, ageGeneration: 0, genderLean: 0, amenityImportance: 0,
         courseStyle: {}, pace: 0
-      }, questionBank, 0);
+      }, nextCatalog.getQuestions(), 0, { sessionId, questionCatalog: nextCatalog });
       setSelectedQuestions([firstQuestion]);
     }, 0);
   };
 
-  // Helper functions (simplified versions)
-  const getSkillLabel = (skillScore) => {
-    if (skillScore <= 2) return "New to Golf";
-    if (skillScore <= 4) return "Recreational Player";
-    if (skillScore <= 6) return "Regular Golfer";
-    if (skillScore <= 8) return "Serious Player";
-    return "Advanced Golfer";
-  };
-
-  const getPersonalityType = (scores) => {
-    if (scores.socialness >= 7 && scores.competitiveness <= 4) return "Social & Fun-Focused";
-    if (scores.competitiveness >= 7 && scores.traditionalism >= 6) return "Competitive Traditionalist";
-    if (scores.socialness >= 7 && scores.luxuryLevel >= 6) return "Social Luxury Seeker";
-    if (scores.competitiveness <= 3 && scores.socialness <= 4) return "Peaceful Solo Player";
-    if (scores.traditionalism >= 8) return "Golf Purist";
-    return "Balanced Enthusiast";
-  };
-
-  const getPreferences = (scores) => {
-    const prefs = [];
-    if (scores.amenityImportance >= 6) prefs.push("Values practice facilities & amenities");
-    if (scores.luxuryLevel >= 7) prefs.push("Prefers upscale experiences");
-    if (scores.socialness >= 7) prefs.push("Enjoys group golf & social aspects");
-    if (scores.competitiveness >= 7) prefs.push("Competitive & score-focused");
-    if (scores.traditionalism >= 7) prefs.push("Appreciates golf history & tradition");
-    return prefs;
-  };
-
-  const getRecommendations = (scores) => {
-    return {
-      courseStyle: Object.keys(scores.courseStyle).length > 0 ?
-        Object.entries(scores.courseStyle).sort(([,a], [,b]) => b - a)[0][0] :
-        scores.traditionalism >= 7 ? "Classic parkland" : "Resort-style",
-      budgetLevel: scores.luxuryLevel >= 7 ? "Premium ($100+)" :
-                   scores.luxuryLevel >= 4 ? "Mid-range ($50-100)" : "Value ($25-50)",
-      amenities: scores.amenityImportance >= 6 ? ["Driving range", "Practice greens", "Pro shop", "Dining"] :
-                 scores.socialness >= 7 ? ["Bar/restaurant", "Event spaces"] : ["Basic facilities"],
-      lodging: scores.luxuryLevel >= 7 ? "Resort or boutique hotel" :
-               scores.socialness >= 7 ? "Hotel with social areas" : "Comfortable, convenient location"
-    };
-  };
-
-  const getDemographics = (scores) => {
-    const ageGuess = scores.ageGeneration <= 3 ? "25-40" :
-                     scores.ageGeneration <= 6 ? "35-55" : "45-65";
-    const genderLean = Math.abs(scores.genderLean) <= 1 ? "Neutral preferences" :
-                       scores.genderLean > 1 ? "More traditional masculine preferences" :
-                       "More contemporary/feminine preferences";
-    return { estimatedAge: ageGuess, preferenceStyle: genderLean };
-  };
-
   if (isComplete && profile) {
     return (
       <div className="max-w-6xl mx-auto p-6 bg-gradient-to-br from-green-50 to-blue-50 min-h-screen">
@@ -1220,6 +452,15 @@ const questionBank = [
             </div>
           </div>
 
+          {/* Psychographics, Playing Style & Trajectory */}
+          <ProfileTraits profile={profile} scores={scores} />
+
+          {/* Radar Chart & Percentiles */}
+          <ProfileComparisonChart mlService={mlService} scores={scores} sessionId={sessionId} />
+
+          {/* Per-Answer Score Breakdown */}
+          <ScoreExplanation mlService={mlService} answers={answers} questionCatalog={questionCatalog} sessionId={sessionId} />
+
           {/* Enhanced Recommendations */}
           <div className="mb-8">
             <h3 className="font-semibold text-gray-800 mb-4 flex items-center">
@@ -1233,42 +474,19 @@ const questionBank = [
               )}
             </h3>
             <div className="bg-gray-50 p-4 rounded-lg">
-              <p><strong>Preferred Style:</strong> {
-                typeof profile.recommendations?.courseStyle === 'string'
-                  ? profile.recommendations.courseStyle
-                  : profile.recommendations?.courseStyle?.primary ||
-                    (scores.traditionalism >= 7 ? "Classic parkland" : "Parkland")
-              }</p>
-              <p><strong>Budget Range:</strong> {
-                typeof profile.recommendations?.budgetLevel === 'string'
-                  ? profile.recommendations.budgetLevel
-                  : profile.recommendations?.budgetLevel?.primary || 'Mid-range'
-              }</p>
-              <p><strong>Key Amenities:</strong> {
-                Array.isArray(profile.recommendations?.amenities)
-                  ? profile.recommendations.amenities.join(', ')
-                  : Array.isArray(profile.recommendations?.amenities?.essential)
-                    ? profile.recommendations.amenities.essential.join(', ')
-                    : 'Basic facilities'
-              }</p>
-              <p><strong>Lodging:</strong> {
-                typeof profile.recommendations?.lodging === 'string'
-                  ? profile.recommendations.lodging
-                  : profile.recommendations?.lodging?.recommended || 'Comfortable location'
-              }</p>
+              <p><strong>Preferred Style:</strong> {profile.recommendations.courseStyle.primary}</p>
+              <p><strong>Budget Range:</strong> {profile.recommendations.budgetLevel.primary}</p>
+              <p><strong>Key Amenities:</strong> {profile.recommendations.amenities.essential.join(', ')}</p>
+              <p><strong>Lodging:</strong> {profile.recommendations.lodging.primary}</p>
 
               {profile.recommendations?.mlEnhanced && (
                 <div className="mt-4 p-3 bg-purple-50 rounded border-l-4 border-purple-200">
                   <p className="text-sm text-purple-700">
                     <strong>ML Insights:</strong> {profile.recommendations.explanation || 'Enhanced recommendations based on similar golfers'}
                   </p>
-                  {profile.recommendations.alternativeOptions?.courseStyles && (
+                  {profile.recommendations.alternativeOptions?.courseStyles.length > 0 && (
                     <p className="text-xs text-purple-600 mt-1">
-                      Alternative styles: {
-                        Array.isArray(profile.recommendations.alternativeOptions.courseStyles)
-                          ? profile.recommendations.alternativeOptions.courseStyles.map(cs => cs.style || cs).join(", ")
-                          : 'Various options available'
-                      }
+                      Alternative styles: {profile.recommendations.alternativeOptions.courseStyles.map(cs => cs.style).join(', ')}
                     </p>
                   )}
                 </div>
@@ -1426,7 +644,8 @@ const questionBank = [
                   Not Accurate ✗
                 </button>
               </div>
-              <p className="text-xs text-yellow-600">
+              <DimensionFeedback scores={scores} onSubmit={handleDimensionFeedback} />
+              <p className="text-xs text-yellow-600 mt-4">
                 Feedback is anonymous and helps improve accuracy for all users.
               </p>
             </div>
@@ -1478,21 +697,13 @@ const questionBank = [
               </h3>
               <div className="space-y-4">
                 {Object.entries(editingAnswers).map(([questionId, answer]) => {
-                  const question = questionBank.find(q => q.id === questionId);
+                  const question = questionCatalog.findQuestionById(questionId);
                   return (
                     <div key={questionId} className="border-b pb-4">
                       <p className="font-medium text-sm text-gray-700 mb-2">{answer.questionText}</p>
                       <select
                         value={answer.optionIndex}
-                        onChange={(e) => setEditingAnswers({
-                          ...editingAnswers,
-                          [questionId]: {
-                            ...answer,
-                            optionIndex: parseInt(e.target.value),
-                            answer: question.options[parseInt(e.target.value)].text,
-                            rawScores: question.options[parseInt(e.target.value)].scores
-                          }
-                        })}
+                        onChange={(e) => handleEditAnswer(questionId, question, parseInt(e.target.value))}
                         className="w-full p-2 border rounded hover:border-blue-400 focus:border-blue-500 focus:outline-none"
                       >
                         {question.options.map((option, idx) => (
@@ -1511,7 +722,7 @@ const questionBank = [
                   Update Profile
                 </button>
                 <button
-                  onClick={() => setIsEditing(false)}
+                  onClick={handleCancelEdit}
                   className="flex-1 bg-gray-600 text-white py-2 px-4 rounded hover:bg-gray-700 transition"
                 >
                   Cancel
@@ -1580,6 +791,7 @@ const questionBank = [
               <button
                 key={index}
                 onClick={() => handleAnswer(index)}
+                onMouseEnter={() => handleOptionHover(index)}
                 className="p-6 border-2 border-gray-200 rounded-lg hover:border-green-500 hover:bg-green-50 transition duration-200 text-left group hover:shadow-lg"
               >
                 <div className="text-4xl mb-3 text-center">{option.image}</div>
@@ -0,0 +1,140 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { RefreshCw, Trash2 } from 'lucide-react';
+import {
+  LOG_LEVELS,
+  getLogEntries,
+  clearLogEntries,
+  configureLogging,
+  getLoggingSettings
+} from '../ml/Logger';
+
+const LEVEL_STYLES = {
+  debug: 'bg-gray-100 text-gray-700',
+  info: 'bg-blue-100 text-blue-800',
+  warn: 'bg-yellow-100 text-yellow-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const LEVELS = Object.keys(LOG_LEVELS).filter(level => level !== 'silent');
+
+// Recent log entries from the in-memory buffer, filterable down to one session
+const LogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [namespace, setNamespace] = useState('');
+  const [level, setLevel] = useState('debug');
+  const [consoleLevel, setConsoleLevel] = useState(getLoggingSettings().level);
+  const [expanded, setExpanded] = useState(null);
+
+  const refresh = useCallback(() => {
+    setEntries(getLogEntries({ sessionId: sessionId.trim() || null, namespace: namespace || null, level }).reverse());
+  }, [sessionId, namespace, level]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const namespaces = [...new Set(getLogEntries().map(entry => entry.namespace))].sort();
+
+  const handleConsoleLevel = (value) => {
+    configureLogging({ level: value });
+    setConsoleLevel(value);
+  };
+
+  const handleClear = () => {
+    clearLogEntries();
+    setExpanded(null);
+    refresh();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Session ID</label>
+          <input
+            type="text"
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+            placeholder="All sessions"
+            className="p-2 border border-gray-300 rounded text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Module</label>
+          <select
+            value={namespace}
+            onChange={(e) => setNamespace(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="">All modules</option>
+            {namespaces.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Minimum level</label>
+          <select
+            value={level}
+            onChange={(e) => setLevel(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {LEVELS.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Console level</label>
+          <select
+            value={consoleLevel}
+            onChange={(e) => handleConsoleLevel(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {Object.keys(LOG_LEVELS).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <button
+          onClick={refresh}
+          className="flex items-center px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+        >
+          <RefreshCw className="mr-1" size={14} /> Refresh
+        </button>
+        <button
+          onClick={handleClear}
+          className="flex items-center px-3 py-2 bg-gray-200 text-gray-800 rounded text-sm hover:bg-gray-300"
+        >
+          <Trash2 className="mr-1" size={14} /> Clear
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600">
+        {entries.length} entries, newest first. The buffer keeps every level regardless of the console level.
+      </p>
+
+      <div className="border border-gray-200 rounded divide-y divide-gray-200 text-sm">
+        {entries.length === 0 && (
+          <p className="p-4 text-gray-500">No log entries match these filters.</p>
+        )}
+        {entries.map(entry => (
+          <div key={entry.id} className="p-2">
+            <button
+              onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+              className="w-full flex items-center gap-3 text-left"
+            >
+              <span className="text-gray-500 font-mono text-xs">{entry.timestamp.slice(11, 23)}</span>
+              <span className={`px-2 py-0.5 rounded text-xs font-medium ${LEVEL_STYLES[entry.level]}`}>{entry.level}</span>
+              <span className="text-gray-600 font-medium">{entry.namespace}</span>
+              <span className="flex-1 text-gray-900">{entry.message}</span>
+              {entry.sessionId && <span className="text-gray-500 font-mono text-xs">{entry.sessionId}</span>}
+            </button>
+            {expanded === entry.id && Object.keys(entry.context).length > 0 && (
+              <pre className="mt-2 p-2 bg-gray-50 rounded text-xs overflow-x-auto">
+                {JSON.stringify(entry.context, null, 2)}
+              </pre>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LogViewer;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Settings,
   GitBranch,
@@ -7,8 +7,26 @@ import {
   CheckCircle,
   AlertCircle,
   TrendingUp,
-  Cpu
+  Cpu,
+  ListChecks,
+  ScrollText,
+  TrendingDown,
+  Activity,
+  SlidersHorizontal
 } from 'lucide-react';
+import QuestionBankEditor from './QuestionBankEditor';
+import ABTestResults from './ABTestResults';
+import LogViewer from './LogViewer';
+import FunnelView from './FunnelView';
+import QuestionAnalyticsReport from './QuestionAnalyticsReport';
+import OptionCalibrationPanel from './OptionCalibrationPanel';
+import { getScoringMethods } from '../ml/ScoringEngine';
+import { ML_CONFIG } from '../ml/MLConfig';
+import { createLogger } from '../ml/Logger';
+
+const logger = createLogger('MLAdminInterface');
+
+const { TRAFFIC_RAMP_STEPS } = ML_CONFIG.EXPERIMENTS;
 
 const MLAdminInterface = ({ mlService }) => {
   const [activeTab, setActiveTab] = useState('algorithms');
@@ -17,7 +35,12 @@ const MLAdminInterface = ({ mlService }) => {
     questionSelection: null,
     similarityCalculator: null
   });
+  const [versionHistory, setVersionHistory] = useState({});
+  const [selectedVersions, setSelectedVersions] = useState({});
+  const [systemStats, setSystemStats] = useState(null);
   const [abTests, setABTests] = useState([]);
+  const [abTestAnalytics, setABTestAnalytics] = useState({});
+  const [auditLog, setAuditLog] = useState([]);
   const [performance, setPerformance] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -26,6 +49,8 @@ const MLAdminInterface = ({ mlService }) => {
     type: 'scoring',
     version: '',
     name: '',
+    method: 'weighted_average',
+    strategy: 'enhanced_ml',
     config: {},
     notes: ''
   });
@@ -38,98 +63,75 @@ const MLAdminInterface = ({ mlService }) => {
     versionA: '',
     versionB: '',
     trafficSplit: 0.5,
+    holdoutPercentage: 0,
+    trafficPercentage: TRAFFIC_RAMP_STEPS[0],
+    autoRollout: ML_CONFIG.EXPERIMENTS.MONITOR.AUTO_ROLLOUT,
     endDate: '',
     successMetrics: {}
   });
 
-  useEffect(() => {
-    loadAdminData();
-  }, [loadAdminData]);
-
-  const loadAdminData = async () => {
+  const loadAdminData = useCallback(async () => {
     try {
       setLoading(true);
 
       // Check if mlService is available and initialized
       if (!mlService || !mlService.getMLStatistics) {
-        console.error('MLService not available or not properly initialized');
+        logger.error('MLService not available or not properly initialized');
         setLoading(false);
         return;
       }
 
       // Load current algorithms
       const mlStats = await mlService.getMLStatistics();
-      console.log('📊 ML Stats loaded:', mlStats);
+      logger.debug('ML Stats loaded', mlStats);
 
       // Set algorithm versions from ML stats
-      setAlgorithms({
+      const activeVersions = {
         scoring: mlStats.model?.algorithmVersions?.scoring || 'v1.0.0',
         questionSelection: mlStats.model?.algorithmVersions?.questionSelection || 'v1.0.0',
         similarityCalculator: mlStats.model?.algorithmVersions?.similarityCalculator || 'v1.0.0'
-      });
-
-      // Load A/B test data (mock for now since we're in memory mode)
-      const mockABTests = [
-        {
-          id: 1,
-          test_name: 'Scoring Algorithm V2 Test',
-          algorithm_type: 'scoring',
-          version_a: 'v1.0.0',
-          version_b: 'v1.1.0',
-          status: 'running',
-          traffic_split: 0.5,
-          start_date: '2024-01-15',
-          participants: 245,
-          winner: null
-        },
-        {
-          id: 2,
-          test_name: 'Question Selection Enhancement',
-          algorithm_type: 'question_selection',
-          version_a: 'v1.0.0',
-          version_b: 'v1.2.0',
-          status: 'completed',
-          traffic_split: 0.3,
-          start_date: '2024-01-10',
-          participants: 189,
-          winner: 'version_b'
-        }
-      ];
-      setABTests(mockABTests);
-
-      // Load performance data (using actual ML stats)
-      const mockPerformance = [
-        {
-          algorithmType: 'scoring',
-          version: algorithms.scoring || 'v1.0.0',
-          metrics: {
-            user_satisfaction: {
-              average: mlStats.feedback?.averageRating || 0.82,
-              count: mlStats.data?.totalProfiles || 150
-            },
-            accuracy: {
-              average: mlStats.performance?.averageAccuracy || 0.78,
-              count: mlStats.data?.totalProfiles || 150
-            }
-          }
-        },
-        {
-          algorithmType: 'questionSelection',
-          version: algorithms.questionSelection || 'v1.0.0',
-          metrics: {
-            user_satisfaction: { average: 0.85, count: 95 },
-            accuracy: { average: 0.81, count: 95 }
-          }
-        }
-      ];
-      setPerformance(mockPerformance);
+      };
+      setAlgorithms(activeVersions);
+      setSystemStats(mlStats);
+
+      // Version history per algorithm type from AlgorithmManager
+      const historyEntries = await Promise.all(Object.keys(activeVersions).map(async type => (
+        [type, await mlService.getAlgorithmVersionHistory(type)]
+      )));
+      setVersionHistory(Object.fromEntries(historyEntries));
+
+      // A/B tests with participant counts, and the decisions made on them
+      setABTests(await mlService.getABTests());
+      setAuditLog(await mlService.getExperimentAuditLog());
+
+      // Performance recorded per algorithm version over the last 30 days
+      const summary = await mlService.getAlgorithmPerformanceSummary();
+      setPerformance(summary.map(entry => ({
+        algorithmType: entry.algorithmType,
+        version: entry.version,
+        metrics: Object.fromEntries(Object.entries(entry.metrics).map(([metric, values]) => [metric, {
+          average: values.reduce((sum, v) => sum + v.value, 0) / values.length,
+          count: values.reduce((sum, v) => sum + (v.sampleSize || 1), 0)
+        }]))
+      })));
 
     } catch (error) {
-      console.error('Error loading admin data:', error);
+      logger.error('Error loading admin data', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [mlService]);
+
+  useEffect(() => {
+    loadAdminData();
+  }, [loadAdminData]);
+
+  // Running tests are checked on a schedule while the dashboard is open
+  useEffect(() => {
+    if (!mlService?.startExperimentMonitor) return undefined;
+    mlService.startExperimentMonitor();
+    return () => mlService.stopExperimentMonitor();
+  }, [mlService]);
 
   const createNewAlgorithm = async () => {
     try {
@@ -170,24 +172,35 @@ const MLAdminInterface = ({ mlService }) => {
           preparation: 1.0
         };
         algorithmData.calculation_method = {
-          method: 'weighted_average',
+          method: newAlgorithm.method,
           scale_range: [0, 10],
           rounding: 1
         };
+      } else if (newAlgorithm.type === 'question_selection') {
+        algorithmData.selection_logic = {
+          strategy: newAlgorithm.strategy,
+          min_questions: 5,
+          max_questions: 7
+        };
+      } else if (newAlgorithm.type === 'similarity_calculator') {
+        algorithmData.model_type = 'similarity_calculator';
+        algorithmData.config = {
+          algorithm: 'weighted_euclidean',
+          max_similar_profiles: 10
+        };
       }
 
-      // Call the MLService method (which is now a mock)
-      const result = await mlService.createNewScoringAlgorithm(algorithmData);
+      const result = await mlService.createAlgorithmVersion(newAlgorithm.type, algorithmData);
 
       if (result && result.success) {
         alert(`New ${newAlgorithm.type} algorithm created: ${newAlgorithm.version}`);
-        setNewAlgorithm({ type: 'scoring', version: '', name: '', config: {}, notes: '' });
+        setNewAlgorithm({ type: 'scoring', version: '', name: '', method: 'weighted_average', strategy: 'enhanced_ml', config: {}, notes: '' });
         loadAdminData();
       } else {
-        alert('Error creating algorithm');
+        alert('Error creating algorithm' + (result?.error ? ': ' + result.error : ''));
       }
     } catch (error) {
-      console.error('Error creating algorithm:', error);
+      logger.error('Error creating algorithm', error);
       alert('Error creating algorithm: ' + error.message);
     }
   };
@@ -207,6 +220,9 @@ const MLAdminInterface = ({ mlService }) => {
         versionA: newABTest.versionA,
         versionB: newABTest.versionB,
         trafficSplit: newABTest.trafficSplit,
+        holdoutPercentage: Number(newABTest.holdoutPercentage),
+        trafficPercentage: Number(newABTest.trafficPercentage),
+        autoRollout: newABTest.autoRollout,
         endDate: newABTest.endDate,
         successMetrics: {
           user_satisfaction: { target: 0.85, weight: 0.6 },
@@ -214,7 +230,6 @@ const MLAdminInterface = ({ mlService }) => {
         }
       };
 
-      // Call the MLService method (which is now a mock)
       const result = await mlService.createABTest(testConfig);
 
       if (result && result.success) {
@@ -226,19 +241,68 @@ const MLAdminInterface = ({ mlService }) => {
           versionA: '',
           versionB: '',
           trafficSplit: 0.5,
+          holdoutPercentage: 0,
+          trafficPercentage: TRAFFIC_RAMP_STEPS[0],
+          autoRollout: ML_CONFIG.EXPERIMENTS.MONITOR.AUTO_ROLLOUT,
           endDate: '',
           successMetrics: {}
         });
         loadAdminData();
       } else {
-        alert('Error creating A/B test');
+        alert('Error creating A/B test' + (result?.error ? ': ' + result.error : ''));
       }
     } catch (error) {
-      console.error('Error creating A/B test:', error);
+      logger.error('Error creating A/B test', error);
       alert('Error creating A/B test: ' + error.message);
     }
   };
 
+  // Toggle the significance analysis for a test
+  const toggleABTestResults = async (test) => {
+    if (abTestAnalytics[test.id]) {
+      setABTestAnalytics(({ [test.id]: _, ...rest }) => rest);
+      return;
+    }
+
+    const analytics = await mlService.getABTestAnalytics(test.id);
+    if (analytics) {
+      setABTestAnalytics(current => ({ ...current, [test.id]: analytics }));
+    } else {
+      alert('Could not load A/B test results');
+    }
+  };
+
+  const runExperimentChecks = async () => {
+    const decisions = await mlService.runExperimentMonitor();
+    const changed = decisions.filter(decision => decision.action !== 'continue');
+    alert(changed.length > 0
+      ? changed.map(decision => `${decision.testName}: ${decision.action} (${decision.reason})`).join('\n')
+      : `Checked ${decisions.length} running test(s) - no changes`);
+    loadAdminData();
+  };
+
+  const stopABTest = async (test) => {
+    if (!window.confirm(`Stop A/B test "${test.test_name}"? All sessions will get the active version.`)) return;
+    if (await mlService.stopABTest(test.id)) {
+      loadAdminData();
+    } else {
+      alert('Error stopping A/B test');
+    }
+  };
+
+  const rampABTest = async (test, trafficPercentage) => {
+    const result = await mlService.updateABTestTraffic(test.id, trafficPercentage);
+    if (result.success) {
+      loadAdminData();
+    } else {
+      alert('Error ramping A/B test: ' + result.error);
+    }
+  };
+
+  // Next ramp step above a test's current traffic, if any
+  const nextRampStep = (test) =>
+    TRAFFIC_RAMP_STEPS.find(step => step > (test.traffic_percentage ?? 100));
+
   const activateAlgorithm = async (algorithmType, version) => {
     try {
       const success = await mlService.activateAlgorithm(algorithmType, version);
@@ -249,11 +313,16 @@ const MLAdminInterface = ({ mlService }) => {
         alert('Error activating algorithm');
       }
     } catch (error) {
-      console.error('Error activating algorithm:', error);
+      logger.error('Error activating algorithm', error);
       alert('Error activating algorithm: ' + error.message);
     }
   };
 
+  // Satisfaction of the active scoring version, if feedback has been tracked
+  const scoringSatisfaction = performance.find(perf =>
+    perf.algorithmType === 'scoring' && perf.version === algorithms.scoring
+  )?.metrics.user_satisfaction;
+
   if (loading) {
     return (
       <div className="flex items-center justify-center p-8">
@@ -307,7 +376,12 @@ const MLAdminInterface = ({ mlService }) => {
             { id: 'algorithms', label: 'Current Algorithms', icon: Cpu },
             { id: 'ab-tests', label: 'A/B Tests', icon: GitBranch },
             { id: 'performance', label: 'Performance', icon: BarChart3 },
-            { id: 'create', label: 'Create New', icon: Zap }
+            { id: 'funnel', label: 'Funnel', icon: TrendingDown },
+            { id: 'questions', label: 'Questions', icon: ListChecks },
+            { id: 'item-analysis', label: 'Item Analysis', icon: Activity },
+            { id: 'calibration', label: 'Calibration', icon: SlidersHorizontal },
+            { id: 'create', label: 'Create New', icon: Zap },
+            { id: 'logs', label: 'Logs', icon: ScrollText }
           ].map(tab => (
             <button
               key={tab.id}
@@ -341,14 +415,24 @@ const MLAdminInterface = ({ mlService }) => {
                     <div className="space-y-2">
                       <p className="text-sm text-gray-600">Version: <span className="font-mono bg-gray-200 px-2 py-1 rounded">{version}</span></p>
                       <div className="flex space-x-2">
+                        <select
+                          value={selectedVersions[type] || ''}
+                          onChange={(e) => setSelectedVersions({ ...selectedVersions, [type]: e.target.value })}
+                          className="flex-1 text-xs p-1 border border-gray-300 rounded"
+                        >
+                          <option value="">Select version...</option>
+                          {(versionHistory[type] || []).map(record => (
+                            <option key={record.version} value={record.version}>
+                              {record.version}{record.is_active ? ' (active)' : ''}
+                            </option>
+                          ))}
+                        </select>
                         <button
-                          onClick={() => activateAlgorithm(type, 'v1.1.0')}
-                          className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+                          onClick={() => activateAlgorithm(type, selectedVersions[type])}
+                          disabled={!selectedVersions[type] || selectedVersions[type] === version}
+                          className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700 disabled:opacity-50"
                         >
-                          Update
-                        </button>
-                        <button className="text-xs bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700">
-                          History
+                          Activate
                         </button>
                       </div>
                     </div>
@@ -363,7 +447,7 @@ const MLAdminInterface = ({ mlService }) => {
                   <div>
                     <p className="text-blue-600">Total Profiles</p>
                     <p className="font-bold text-blue-800">
-                      {performance.length > 0 ? performance[0].metrics.user_satisfaction.count : 0}
+                      {systemStats?.data?.totalProfiles || 0}
                     </p>
                   </div>
                   <div>
@@ -373,13 +457,13 @@ const MLAdminInterface = ({ mlService }) => {
                   <div>
                     <p className="text-blue-600">Model Confidence</p>
                     <p className="font-bold text-blue-800">
-                      {performance.length > 0 ? performance[0].metrics.accuracy.average.toFixed(2) : '0.82'}
+                      {typeof systemStats?.model?.confidence === 'number' ? systemStats.model.confidence.toFixed(2) : systemStats?.model?.confidence || 'n/a'}
                     </p>
                   </div>
                   <div>
                     <p className="text-blue-600">Avg Satisfaction</p>
                     <p className="font-bold text-blue-800">
-                      {performance.length > 0 ? (performance[0].metrics.user_satisfaction.average * 100).toFixed(1) + '%' : '84.2%'}
+                      {scoringSatisfaction ? (scoringSatisfaction.average * 100).toFixed(1) + '%' : 'n/a'}
                     </p>
                   </div>
                 </div>
@@ -390,9 +474,20 @@ const MLAdminInterface = ({ mlService }) => {
           {/* A/B Tests Tab */}
           {activeTab === 'ab-tests' && (
             <div className="space-y-6">
-              <h3 className="text-lg font-semibold text-gray-800 mb-4">A/B Test Management</h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">A/B Test Management</h3>
+                <button
+                  onClick={runExperimentChecks}
+                  className="text-sm bg-gray-700 text-white px-3 py-1 rounded hover:bg-gray-800"
+                >
+                  Run Checks Now
+                </button>
+              </div>
 
               <div className="space-y-4">
+                {abTests.length === 0 && (
+                  <p className="text-sm text-gray-500">No A/B tests yet. Create one from the Create New tab.</p>
+                )}
                 {abTests.map(test => (
                   <div key={test.id} className="border border-gray-200 rounded-lg p-4">
                     <div className="flex items-center justify-between mb-3">
@@ -416,7 +511,7 @@ const MLAdminInterface = ({ mlService }) => {
                       </div>
                     </div>
 
-                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
                       <div>
                         <p className="text-gray-600">Version A</p>
                         <p className="font-mono bg-gray-100 px-2 py-1 rounded">{test.version_a}</p>
@@ -429,6 +524,13 @@ const MLAdminInterface = ({ mlService }) => {
                         <p className="text-gray-600">Traffic Split</p>
                         <p className="font-medium">{(test.traffic_split * 100).toFixed(0)}% to B</p>
                       </div>
+                      <div>
+                        <p className="text-gray-600">Enrolled Traffic</p>
+                        <p className="font-medium">
+                          {test.traffic_percentage ?? 100}%
+                          {test.holdout_percentage > 0 && ` (${test.holdout_percentage}% holdout)`}
+                        </p>
+                      </div>
                       <div>
                         <p className="text-gray-600">Participants</p>
                         <p className="font-medium">{test.participants}</p>
@@ -436,11 +538,25 @@ const MLAdminInterface = ({ mlService }) => {
                     </div>
 
                     <div className="mt-3 flex space-x-2">
-                      <button className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">
-                        View Results
+                      <button
+                        onClick={() => toggleABTestResults(test)}
+                        className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+                      >
+                        {abTestAnalytics[test.id] ? 'Hide Results' : 'View Results'}
                       </button>
+                      {test.status === 'running' && nextRampStep(test) && (
+                        <button
+                          onClick={() => rampABTest(test, nextRampStep(test))}
+                          className="text-xs bg-purple-600 text-white px-3 py-1 rounded hover:bg-purple-700"
+                        >
+                          Ramp to {nextRampStep(test)}%
+                        </button>
+                      )}
                       {test.status === 'running' && (
-                        <button className="text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">
+                        <button
+                          onClick={() => stopABTest(test)}
+                          className="text-xs bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
+                        >
                           Stop Test
                         </button>
                       )}
@@ -453,9 +569,33 @@ const MLAdminInterface = ({ mlService }) => {
                         </button>
                       )}
                     </div>
+
+                    {abTestAnalytics[test.id] && <ABTestResults analytics={abTestAnalytics[test.id]} />}
                   </div>
                 ))}
               </div>
+
+              {/* Experiment decisions by the monitor and admins */}
+              <div>
+                <h4 className="font-medium text-gray-800 mb-2">Decision Log</h4>
+                {auditLog.length === 0 ? (
+                  <p className="text-sm text-gray-500">No decisions recorded yet.</p>
+                ) : (
+                  <div className="space-y-1 text-sm">
+                    {auditLog.map(entry => (
+                      <div key={entry.id} className="flex items-center justify-between border-b border-gray-100 py-1">
+                        <span>
+                          <span className="font-medium">{abTests.find(test => test.id === entry.ab_test_id)?.test_name || `Test ${entry.ab_test_id}`}</span>
+                          {' '}– {entry.action} ({entry.reason})
+                          {entry.details?.winner && ` • winner ${entry.details.winner}`}
+                          {entry.details?.informationFraction !== undefined && ` • ${Math.round(entry.details.informationFraction * 100)}% of planned sample`}
+                        </span>
+                        <span className="text-xs text-gray-500">{entry.actor} • {new Date(entry.created_at).toLocaleString()}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
@@ -465,6 +605,9 @@ const MLAdminInterface = ({ mlService }) => {
               <h3 className="text-lg font-semibold text-gray-800 mb-4">Algorithm Performance Metrics</h3>
 
               <div className="space-y-4">
+                {performance.length === 0 && (
+                  <p className="text-sm text-gray-500">No performance data recorded in the last 30 days.</p>
+                )}
                 {performance.map((perf, index) => (
                   <div key={index} className="border border-gray-200 rounded-lg p-4">
                     <div className="flex items-center justify-between mb-3">
@@ -491,6 +634,31 @@ const MLAdminInterface = ({ mlService }) => {
             </div>
           )}
 
+          {/* Funnel Tab */}
+          {activeTab === 'funnel' && (
+            <FunnelView mlService={mlService} />
+          )}
+
+          {/* Question Bank Tab */}
+          {activeTab === 'questions' && (
+            <QuestionBankEditor mlService={mlService} />
+          )}
+
+          {/* Item Analysis Tab */}
+          {activeTab === 'item-analysis' && (
+            <QuestionAnalyticsReport mlService={mlService} />
+          )}
+
+          {/* Option Calibration Tab */}
+          {activeTab === 'calibration' && (
+            <OptionCalibrationPanel mlService={mlService} onPublished={loadAdminData} />
+          )}
+
+          {/* Logs Tab */}
+          {activeTab === 'logs' && (
+            <LogViewer />
+          )}
+
           {/* Create New Tab */}
           {activeTab === 'create' && (
             <div className="space-y-8">
@@ -537,6 +705,36 @@ const MLAdminInterface = ({ mlService }) => {
                     />
                   </div>
 
+                  {newAlgorithm.type === 'question_selection' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Selection Strategy</label>
+                      <select
+                        value={newAlgorithm.strategy}
+                        onChange={(e) => setNewAlgorithm({...newAlgorithm, strategy: e.target.value})}
+                        className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                      >
+                        {Object.keys(mlService.questionSelectionStrategies || {}).map(strategy => (
+                          <option key={strategy} value={strategy}>{strategy}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
+                  {newAlgorithm.type === 'scoring' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Scoring Method</label>
+                      <select
+                        value={newAlgorithm.method}
+                        onChange={(e) => setNewAlgorithm({...newAlgorithm, method: e.target.value})}
+                        className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500"
+                      >
+                        {getScoringMethods().map(method => (
+                          <option key={method} value={method}>{method}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
                     <input
@@ -623,6 +821,31 @@ const MLAdminInterface = ({ mlService }) => {
                     />
                   </div>
 
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Holdout (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="50"
+                      value={newABTest.holdoutPercentage}
+                      onChange={(e) => setNewABTest({...newABTest, holdoutPercentage: e.target.value})}
+                      className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-purple-500"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Starting Traffic (%)</label>
+                    <select
+                      value={newABTest.trafficPercentage}
+                      onChange={(e) => setNewABTest({...newABTest, trafficPercentage: e.target.value})}
+                      className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-purple-500"
+                    >
+                      {TRAFFIC_RAMP_STEPS.map(step => (
+                        <option key={step} value={step}>{step}%</option>
+                      ))}
+                    </select>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
                     <input
@@ -631,9 +854,20 @@ const MLAdminInterface = ({ mlService }) => {
                       onChange={(e) => setNewABTest({...newABTest, endDate: e.target.value})}
                       className="w-full p-2 border border-gray-300 rounded focus:ring-2 focus:ring-purple-500"
                     />
+                    <p className="text-xs text-gray-500 mt-1">Leave empty to run until stopped</p>
                   </div>
                 </div>
 
+                <label className="mt-4 flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={newABTest.autoRollout}
+                    onChange={(e) => setNewABTest({...newABTest, autoRollout: e.target.checked})}
+                    className="mr-2"
+                  />
+                  Activate a clear winner automatically
+                </label>
+
                 <div className="mt-4">
                   <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
                   <textarea
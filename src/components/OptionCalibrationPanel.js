@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { RefreshCw, CheckCircle, AlertCircle } from 'lucide-react';
+import { ML_CONFIG } from '../ml/MLConfig';
+import { createLogger } from '../ml/Logger';
+
+const logger = createLogger('OptionCalibrationPanel');
+
+const { MIN_OBSERVATIONS, MIN_CHANGE } = ML_CONFIG.OPTION_CALIBRATION;
+
+const formatError = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+
+// Refit option scores to dimension feedback, review the proposed changes and
+// publish them as a new (inactive) scoring version
+const OptionCalibrationPanel = ({ mlService, onPublished }) => {
+  const [calibration, setCalibration] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [version, setVersion] = useState('');
+  const [notes, setNotes] = useState('');
+  const [result, setResult] = useState(null);
+
+  const run = async () => {
+    setRunning(true);
+    setResult(null);
+    try {
+      setCalibration(await mlService.calibrateOptionScores());
+    } catch (error) {
+      logger.error('Error calibrating option scores', error);
+      setCalibration(null);
+      setResult({ success: false, error: error.message });
+    }
+    setRunning(false);
+  };
+
+  const publish = async () => {
+    const published = await mlService.publishCalibratedScoringAlgorithm(calibration, {
+      version: version.trim(),
+      notes: notes.trim() || null
+    });
+    setResult(published);
+    if (published.success) {
+      setVersion('');
+      setNotes('');
+      if (onPublished) onPublished();
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <p className="flex-1 text-sm text-gray-600">
+          Fits each option's dimension scores to the per-score ratings golfers give on the results page, starting
+          from the active scoring version. Options need {MIN_OBSERVATIONS} or more rated answers and a change of at least{' '}
+          {MIN_CHANGE} to be proposed.
+        </p>
+        <button
+          onClick={run}
+          disabled={running}
+          className="flex items-center px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          <RefreshCw className="mr-1" size={14} /> {running ? 'Calibrating...' : 'Run calibration'}
+        </button>
+      </div>
+
+      {result && (
+        <div className={`flex items-center p-3 rounded text-sm ${result.success ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {result.success ? <CheckCircle className="mr-2" size={16} /> : <AlertCircle className="mr-2" size={16} />}
+          {result.success
+            ? `Created scoring version ${result.version}. Activate it or A/B test it from the other tabs.`
+            : result.error}
+        </div>
+      )}
+
+      {calibration && (
+        <>
+          <p className="text-sm text-gray-600">
+            {calibration.ratedProfiles} profiles with dimension feedback, calibrated against scoring{' '}
+            {calibration.baseVersion} and catalog {calibration.catalogVersion}.
+            {calibration.skippedProfiles > 0 && ` ${calibration.skippedProfiles} rated profiles were skipped because their catalog version could not be loaded.`}
+          </p>
+
+          <table className="w-full text-left text-sm">
+            <thead>
+              <tr className="text-gray-600 border-b border-gray-200">
+                <th className="py-2 pr-4">Dimension</th>
+                <th className="py-2 pr-4">Rated profiles</th>
+                <th className="py-2 pr-4">Options fitted</th>
+                <th className="py-2 pr-4">RMSE now</th>
+                <th className="py-2 pr-4">RMSE proposed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {calibration.dimensions.map(dimension => (
+                <tr key={dimension.dimension} className="border-b border-gray-100">
+                  <td className="py-2 pr-4">{dimension.dimension}</td>
+                  <td className="py-2 pr-4">{dimension.observations}</td>
+                  <td className="py-2 pr-4">{dimension.parameters}</td>
+                  <td className="py-2 pr-4">{formatError(dimension.rmseBefore)}</td>
+                  <td className={`py-2 pr-4 ${dimension.rmseAfter < dimension.rmseBefore ? 'text-green-700' : ''}`}>
+                    {formatError(dimension.rmseAfter)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4 className="font-medium text-gray-800">Proposed changes ({calibration.changes.length})</h4>
+          {calibration.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">The current option scores already fit the feedback.</p>
+          ) : (
+            <table className="w-full text-left text-sm">
+              <thead>
+                <tr className="text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-4">Question</th>
+                  <th className="py-2 pr-4">Option</th>
+                  <th className="py-2 pr-4">Dimension</th>
+                  <th className="py-2 pr-4">Current</th>
+                  <th className="py-2 pr-4">Proposed</th>
+                  <th className="py-2 pr-4">Answers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calibration.changes.map(change => (
+                  <tr key={`${change.questionId}:${change.optionIndex}:${change.dimension}`} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-mono text-xs">{change.questionId}</td>
+                    <td className="py-2 pr-4">{change.optionText}</td>
+                    <td className="py-2 pr-4">{change.dimension}</td>
+                    <td className="py-2 pr-4">{change.current}</td>
+                    <td className={`py-2 pr-4 ${change.delta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                      {change.proposed} ({change.delta > 0 ? '+' : ''}{change.delta})
+                    </td>
+                    <td className="py-2 pr-4">{change.observations}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {calibration.changes.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={version}
+                onChange={(e) => setVersion(e.target.value)}
+                placeholder="New version, e.g. v1.1.0"
+                className="p-2 border border-gray-300 rounded text-sm"
+              />
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Notes (optional)"
+                className="flex-1 p-2 border border-gray-300 rounded text-sm"
+              />
+              <button
+                onClick={publish}
+                disabled={!version.trim()}
+                className="px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50"
+              >
+                Publish scoring version
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OptionCalibrationPanel;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { Radar } from 'lucide-react';
+import { PROFILE_LABELS } from '../ml/MLConfig.js';
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('ProfileComparisonChart');
+
+const SIZE = 340;
+const CENTER = SIZE / 2;
+const RADIUS = 110;
+const SCALE_MAX = 10;
+const RINGS = [2.5, 5, 7.5, 10];
+
+const SERIES = [
+  { key: 'user', label: 'You', stroke: '#16a34a', fill: 'rgba(22, 163, 74, 0.25)', dash: null },
+  { key: 'median', label: 'All golfers (median)', stroke: '#6b7280', fill: 'none', dash: '4 3' },
+  { key: 'centroid', label: 'Your archetype (average)', stroke: '#9333ea', fill: 'none', dash: '2 2' }
+];
+
+const formatArchetype = (name) => name.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+
+const dimensionLabel = (dimension) => PROFILE_LABELS.dimensions[dimension] || dimension;
+
+// "more social than 82% of golfers"
+const percentileLabel = (dimension, percentile) =>
+  `${PROFILE_LABELS.dimensionComparisons[dimension] || `higher ${dimensionLabel(dimension).toLowerCase()}`} than ${percentile}% of golfers`;
+
+const pointAt = (index, count, value) => {
+  const angle = (2 * Math.PI * index) / count - Math.PI / 2;
+  const radius = (Math.max(0, Math.min(SCALE_MAX, value)) / SCALE_MAX) * RADIUS;
+  return [CENTER + radius * Math.cos(angle), CENTER + radius * Math.sin(angle)];
+};
+
+const polygonPoints = (values) => values
+  .map((value, index) => pointAt(index, values.length, value).map(coordinate => coordinate.toFixed(1)).join(','))
+  .join(' ');
+
+// Radar chart of the golfer's similarity dimensions against the population
+// median and their archetype's centroid, with a percentile for each dimension
+const ProfileComparisonChart = ({ mlService, scores, sessionId }) => {
+  const [comparison, setComparison] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    mlService.getProfileComparison(scores, sessionId)
+      .then(result => { if (!cancelled) setComparison(result); })
+      .catch(error => logger.error('Error loading profile comparison', error));
+    return () => { cancelled = true; };
+  }, [mlService, scores, sessionId]);
+
+  if (!comparison || comparison.populationSize === 0) return null;
+
+  const { dimensions, archetype } = comparison;
+  const series = SERIES.filter(({ key }) => dimensions.every(entry => entry[key] !== null));
+  const count = dimensions.length;
+
+  return (
+    <div className="mb-8">
+      <h3 className="font-semibold text-gray-800 mb-4 flex items-center">
+        <Radar className="mr-2" size={20} />
+        How You Compare
+      </h3>
+      <div className="bg-gray-50 p-4 rounded-lg grid md:grid-cols-2 gap-6 items-center">
+        <div>
+          <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-sm mx-auto" role="img" aria-label="Profile radar chart">
+            {RINGS.map(ring => (
+              <polygon key={ring} points={polygonPoints(dimensions.map(() => ring))} fill="none" stroke="#e5e7eb" />
+            ))}
+            {dimensions.map(({ dimension }, index) => {
+              const [x, y] = pointAt(index, count, SCALE_MAX);
+              const [labelX, labelY] = pointAt(index, count, SCALE_MAX * 1.2);
+              const anchor = Math.abs(labelX - CENTER) < 1 ? 'middle' : labelX > CENTER ? 'start' : 'end';
+              return (
+                <g key={dimension}>
+                  <line x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="#e5e7eb" />
+                  <text x={labelX} y={labelY} textAnchor={anchor} dominantBaseline="middle" fontSize="10" fill="#4b5563">
+                    {dimensionLabel(dimension)}
+                  </text>
+                </g>
+              );
+            })}
+            {series.slice().reverse().map(({ key, stroke, fill, dash }) => (
+              <polygon
+                key={key}
+                points={polygonPoints(dimensions.map(entry => entry[key]))}
+                fill={fill}
+                stroke={stroke}
+                strokeWidth="2"
+                strokeDasharray={dash || undefined}
+              />
+            ))}
+          </svg>
+          <div className="flex flex-wrap justify-center gap-4 text-xs mt-2">
+            {series.map(({ key, label, stroke }) => (
+              <span key={key} className="flex items-center">
+                <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: stroke }}></span>
+                {label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          {archetype && (
+            <p className="text-sm text-gray-600 mb-3">
+              Archetype: <strong>{formatArchetype(archetype.name)}</strong>
+              {archetype.size > 0 && ` (${archetype.size} of ${comparison.populationSize} golfers)`}
+            </p>
+          )}
+          <ul className="space-y-1 text-sm">
+            {dimensions.filter(entry => entry.percentile !== null).map(entry => (
+              <li key={entry.dimension} className="flex justify-between gap-4">
+                <span className="text-gray-700">{dimensionLabel(entry.dimension)}</span>
+                <span className="text-gray-500 text-right">{percentileLabel(entry.dimension, entry.percentile)}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-3">Compared with {comparison.populationSize} stored golfer profiles.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileComparisonChart;
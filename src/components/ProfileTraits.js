@@ -0,0 +1,101 @@
+import React from 'react';
+import { Compass, Flag, TrendingUp } from 'lucide-react';
+import { PROFILE_LABELS } from '../ml/MLConfig.js';
+
+const PSYCHOGRAPHIC_ROWS = [
+  { key: 'values', label: 'Values' },
+  { key: 'attitudes', label: 'Attitudes' },
+  { key: 'interests', label: 'Interests' },
+  { key: 'lifestyle', label: 'Lifestyle' },
+  { key: 'decisionMaking', label: 'Decision style' }
+];
+
+const PLAYING_STYLE_ROWS = [
+  { key: 'approach', label: 'Approach' },
+  { key: 'pace', label: 'Pace' },
+  { key: 'focus', label: 'Focus' },
+  { key: 'preparation', label: 'Preparation' },
+  { key: 'postRound', label: 'After the round' }
+];
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(1) : '–');
+
+// The dimensions a statement came from, with the golfer's score on each
+const StatementSources = ({ dimensions, scores }) => (
+  <span className="ml-2 inline-flex flex-wrap gap-1 align-middle">
+    {dimensions.map(dimension => (
+      <span key={dimension} className="text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded">
+        {PROFILE_LABELS.dimensions[dimension] || dimension} {formatScore(scores?.[dimension])}
+      </span>
+    ))}
+  </span>
+);
+
+const Statement = ({ statement, scores }) => (
+  <div className="text-sm text-gray-700">
+    {statement.text}
+    {statement.dimensions.length > 0 && <StatementSources dimensions={statement.dimensions} scores={scores} />}
+  </div>
+);
+
+const StatementRows = ({ section, rows, scores }) => rows
+  .filter(({ key }) => section?.[key] && (!Array.isArray(section[key]) || section[key].length > 0))
+  .map(({ key, label }) => (
+    <div key={key} className="mb-3">
+      <p className="text-xs font-medium text-gray-500 uppercase mb-1">{label}</p>
+      {(Array.isArray(section[key]) ? section[key] : [section[key]]).map(statement => (
+        <Statement key={statement.text} statement={statement} scores={scores} />
+      ))}
+    </div>
+  ));
+
+// Psychographics, playing style and skill trajectory from the profile, each
+// statement tagged with the score dimensions that produced it
+const ProfileTraits = ({ profile, scores }) => {
+  const { psychographics, playingStyle } = profile;
+  const trajectory = profile.skillLevel?.trajectory;
+
+  if (!psychographics && !playingStyle && !trajectory) return null;
+
+  return (
+    <div className="mb-8">
+      <div className="grid md:grid-cols-2 gap-6">
+        {psychographics && (
+          <div className="bg-amber-50 p-6 rounded-lg">
+            <div className="flex items-center mb-3">
+              <Compass className="text-amber-600 mr-2" size={20} />
+              <h3 className="font-semibold text-amber-800">What Drives You</h3>
+            </div>
+            <StatementRows section={psychographics} rows={PSYCHOGRAPHIC_ROWS} scores={scores} />
+          </div>
+        )}
+
+        {playingStyle && (
+          <div className="bg-teal-50 p-6 rounded-lg">
+            <div className="flex items-center mb-3">
+              <Flag className="text-teal-600 mr-2" size={20} />
+              <h3 className="font-semibold text-teal-800">Playing Style</h3>
+            </div>
+            <StatementRows section={playingStyle} rows={PLAYING_STYLE_ROWS} scores={scores} />
+          </div>
+        )}
+      </div>
+
+      {trajectory && (
+        <div className="mt-6 bg-gray-50 p-4 rounded-lg flex items-start">
+          <TrendingUp className="text-green-600 mr-2 mt-0.5" size={20} />
+          <div>
+            <h3 className="font-semibold text-gray-800 mb-1">Skill Trajectory</h3>
+            <Statement statement={trajectory} scores={scores} />
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-3">
+        Tags show the score dimensions (0-10) each statement is based on.
+      </p>
+    </div>
+  );
+};
+
+export default ProfileTraits;
@@ -0,0 +1,171 @@
+import React, { useState, useCallback, useEffect } from 'react';
+import { RefreshCw, AlertCircle } from 'lucide-react';
+import { ML_CONFIG } from '../ml/MLConfig';
+import { QUESTION_FLAGS } from '../ml/QuestionAnalytics';
+import { createLogger } from '../ml/Logger';
+
+const logger = createLogger('QuestionAnalyticsReport');
+
+const { MIN_RESPONSES, MIN_DISCRIMINATION, DOMINANT_OPTION_SHARE } = ML_CONFIG.QUESTION_ANALYTICS;
+
+const FLAG_DETAILS = {
+  [QUESTION_FLAGS.LOW_DISCRIMINATION]: {
+    label: 'Low discrimination',
+    help: `No dimension has an item-rest correlation of ${MIN_DISCRIMINATION} or more`
+  },
+  [QUESTION_FLAGS.UNUSED_OPTIONS]: {
+    label: 'Unused options',
+    help: 'At least one option was never picked'
+  },
+  [QUESTION_FLAGS.DOMINANT_OPTION]: {
+    label: 'Dominant option',
+    help: `One option takes ${Math.round(DOMINANT_OPTION_SHARE * 100)}% or more of the answers`
+  },
+  [QUESTION_FLAGS.UNIFORM_DIRECTION]: {
+    label: 'Same direction',
+    help: 'Every option pushes each dimension to the same side of the scale'
+  }
+};
+
+const formatCorrelation = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+
+// Per-question item analysis with the questions worth rewriting first
+const QuestionAnalyticsReport = ({ mlService }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [flaggedOnly, setFlaggedOnly] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReport(await mlService.getQuestionAnalytics());
+    } catch (error) {
+      logger.error('Error loading question analytics', error);
+      setReport(null);
+    }
+    setLoading(false);
+  }, [mlService]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const questions = (report?.questions || []).filter(question => !flaggedOnly || question.flags.length > 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={flaggedOnly}
+            onChange={(e) => setFlaggedOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Flagged questions only
+        </label>
+        <button
+          onClick={load}
+          className="flex items-center px-3 py-2 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
+        >
+          <RefreshCw className="mr-1" size={14} /> Refresh
+        </button>
+      </div>
+
+      {loading && <p className="text-sm text-gray-500">Analysing answers...</p>}
+
+      {!loading && report && (
+        <>
+          <p className="text-sm text-gray-600">
+            {report.profilesAnalyzed} profiles against catalog {report.catalogVersion}; {report.flaggedCount} of{' '}
+            {report.questions.length} questions flagged. Flags based on answers need {MIN_RESPONSES} or more answers.
+          </p>
+
+          <div className="border border-gray-200 rounded divide-y divide-gray-200 text-sm">
+            {questions.length === 0 && (
+              <p className="p-4 text-gray-500">No questions to show.</p>
+            )}
+            {questions.map(question => (
+              <div key={question.questionId} className="p-3">
+                <button
+                  onClick={() => setExpanded(expanded === question.questionId ? null : question.questionId)}
+                  className="w-full text-left"
+                >
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="font-mono text-xs text-gray-600">{question.questionId}</span>
+                    <span className="flex-1 text-gray-900">{question.question}</span>
+                    {question.retired && <span className="text-xs text-gray-500">retired</span>}
+                    <span className="text-xs text-gray-600">{question.responses} answers</span>
+                    <span className="text-xs text-gray-600">
+                      r = {formatCorrelation(question.discrimination)}{question.bestDimension ? ` (${question.bestDimension})` : ''}
+                    </span>
+                  </div>
+                  {question.flags.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {question.flags.map(flag => (
+                        <span
+                          key={flag}
+                          title={FLAG_DETAILS[flag].help}
+                          className="flex items-center px-2 py-0.5 rounded bg-yellow-100 text-yellow-800 text-xs"
+                        >
+                          <AlertCircle className="mr-1" size={12} /> {FLAG_DETAILS[flag].label}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </button>
+
+                {expanded === question.questionId && (
+                  <div className="mt-3 grid md:grid-cols-2 gap-4">
+                    <div>
+                      <h5 className="font-medium text-gray-800 mb-2">Options</h5>
+                      {question.options.map(option => (
+                        <div key={option.optionIndex} className="mb-2">
+                          <div className="flex justify-between text-xs text-gray-700">
+                            <span className={option.count === 0 ? 'text-red-700' : ''}>{option.text}</span>
+                            <span>{option.count} ({option.share === null ? '–' : `${(option.share * 100).toFixed(0)}%`})</span>
+                          </div>
+                          <div className="h-2 bg-gray-100 rounded">
+                            <div className="h-2 bg-green-500 rounded" style={{ width: `${(option.share || 0) * 100}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <div>
+                      <h5 className="font-medium text-gray-800 mb-2">Dimensions</h5>
+                      <table className="w-full text-left text-xs">
+                        <thead>
+                          <tr className="text-gray-600 border-b border-gray-200">
+                            <th className="py-1 pr-2">Dimension</th>
+                            <th className="py-1 pr-2">Option scores</th>
+                            <th className="py-1 pr-2">Item-rest r</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {question.dimensions.map(dimension => (
+                            <tr key={dimension.dimension} className="border-b border-gray-100">
+                              <td className="py-1 pr-2">{dimension.dimension}</td>
+                              <td className={`py-1 pr-2 ${dimension.separating ? '' : 'text-yellow-700'}`}>
+                                {dimension.min} to {dimension.max}
+                              </td>
+                              <td className="py-1 pr-2">
+                                {formatCorrelation(dimension.itemRestCorrelation)} (n={dimension.sampleSize})
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default QuestionAnalyticsReport;
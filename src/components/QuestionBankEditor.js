@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ArrowUp,
+  ArrowDown,
+  Archive,
+  RotateCcw,
+  Plus,
+  Trash2,
+  Save,
+  Upload,
+  Eye,
+  AlertCircle,
+  CheckCircle
+} from 'lucide-react';
+import { ML_CONFIG } from '../ml/MLConfig';
+import {
+  SCORE_DIMENSIONS,
+  validateQuestionCatalog,
+  bumpCatalogVersion
+} from '../ml/QuestionCatalog';
+
+const [SCORE_MIN, SCORE_MAX] = ML_CONFIG.QUESTION_CATALOG.SCORE_RANGE;
+const SCORE_MIDPOINT = (SCORE_MIN + SCORE_MAX) / 2;
+
+// Deep copy so edits never touch the catalog live quizzes are using
+const cloneDefinition = (definition) => JSON.parse(JSON.stringify(definition));
+
+const QuestionBankEditor = ({ mlService }) => {
+  const liveCatalog = mlService.getQuestionCatalog();
+  const [draft, setDraft] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedOption, setSelectedOption] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  const questionTypes = useMemo(
+    () => [...new Set(liveCatalog.getAllQuestions().map(q => q.type))],
+    [liveCatalog]
+  );
+
+  useEffect(() => {
+    const loadDraft = async () => {
+      const savedDraft = await mlService.getQuestionCatalogDraft();
+      const catalog = mlService.getQuestionCatalog();
+      const definition = savedDraft
+        ? cloneDefinition(savedDraft)
+        : { ...cloneDefinition(catalog.toJSON()), version: bumpCatalogVersion(catalog.version) };
+      setDraft(definition);
+      setSelectedId(definition.questions[0]?.id || null);
+    };
+
+    loadDraft();
+  }, [mlService]);
+
+  const validation = useMemo(() => (draft ? validateQuestionCatalog(draft) : { valid: false, errors: [] }), [draft]);
+
+  if (!draft) {
+    return <p className="text-gray-600">Loading question bank...</p>;
+  }
+
+  const selectedIndex = draft.questions.findIndex(q => q.id === selectedId);
+  const selectedQuestion = draft.questions[selectedIndex] || null;
+  const previewOption = selectedQuestion?.options[selectedOption] || null;
+
+  const updateQuestions = (updater) => {
+    setDraft(current => ({ ...current, questions: updater(current.questions) }));
+    setMessage(null);
+  };
+
+  const updateQuestion = (index, changes) => {
+    updateQuestions(questions => questions.map((q, i) => (i === index ? { ...q, ...changes } : q)));
+    if (changes.id !== undefined) setSelectedId(changes.id);
+  };
+
+  const updateOption = (optionIndex, changes) => {
+    updateQuestion(selectedIndex, {
+      options: selectedQuestion.options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option))
+    });
+  };
+
+  const setOptionScore = (optionIndex, dimension, rawValue) => {
+    const scores = { ...selectedQuestion.options[optionIndex].scores };
+    if (rawValue === '') {
+      delete scores[dimension];
+    } else {
+      scores[dimension] = dimension === 'courseStyle' ? rawValue : Number(rawValue);
+    }
+    updateOption(optionIndex, { scores });
+  };
+
+  const moveQuestion = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= draft.questions.length) return;
+    updateQuestions(questions => {
+      const reordered = [...questions];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  const addQuestion = () => {
+    const existingIds = new Set(draft.questions.map(q => q.id));
+    let counter = draft.questions.length + 1;
+    while (existingIds.has(`new_question_${counter}`)) counter++;
+    const id = `new_question_${counter}`;
+
+    updateQuestions(questions => [...questions, {
+      id,
+      type: questionTypes[0] || 'core',
+      priority: 5,
+      question: '',
+      options: [{ text: '', scores: {} }, { text: '', scores: {} }]
+    }]);
+    setSelectedId(id);
+    setSelectedOption(0);
+  };
+
+  const addOption = () => {
+    updateQuestion(selectedIndex, { options: [...selectedQuestion.options, { text: '', scores: {} }] });
+  };
+
+  const removeOption = (optionIndex) => {
+    updateQuestion(selectedIndex, { options: selectedQuestion.options.filter((_, i) => i !== optionIndex) });
+    setSelectedOption(0);
+  };
+
+  const saveDraft = async () => {
+    const result = await mlService.saveQuestionCatalogDraft(draft);
+    setMessage(result.success
+      ? { type: 'success', text: `Draft ${draft.version} saved. Live quizzes still use ${liveCatalog.version}.` }
+      : { type: 'error', text: 'Error saving draft' });
+  };
+
+  const publish = async () => {
+    if (!window.confirm(`Publish question catalog ${draft.version}? New quizzes will use it immediately.`)) return;
+
+    const result = await mlService.publishQuestionCatalog(draft);
+    if (result.success) {
+      setMessage({ type: 'success', text: `Published question catalog ${result.version}` });
+      setDraft(current => ({ ...current, version: bumpCatalogVersion(result.version) }));
+    } else {
+      setMessage({ type: 'error', text: `Publish failed: ${result.errors.join('; ')}` });
+    }
+  };
+
+  const discardDraft = () => {
+    const definition = { ...cloneDefinition(liveCatalog.toJSON()), version: bumpCatalogVersion(liveCatalog.version) };
+    setDraft(definition);
+    setSelectedId(definition.questions[0]?.id || null);
+    setSelectedOption(0);
+    setMessage(null);
+  };
+
+  const isLiveQuestion = (questionId) => liveCatalog.findQuestionById(questionId) !== null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800">Question Bank</h3>
+          <p className="text-sm text-gray-600">
+            Live version <span className="font-mono bg-gray-200 px-2 py-1 rounded">{liveCatalog.version}</span>
+            {' '}• Editing draft{' '}
+            <input
+              type="text"
+              value={draft.version}
+              onChange={(e) => setDraft({ ...draft, version: e.target.value })}
+              className="font-mono w-24 p-1 border border-gray-300 rounded"
+            />
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={discardDraft}
+            className="flex items-center text-sm bg-gray-600 text-white px-3 py-2 rounded hover:bg-gray-700"
+          >
+            <RotateCcw size={14} className="mr-1" /> Reset to Live
+          </button>
+          <button
+            onClick={saveDraft}
+            className="flex items-center text-sm bg-blue-600 text-white px-3 py-2 rounded hover:bg-blue-700"
+          >
+            <Save size={14} className="mr-1" /> Save Draft
+          </button>
+          <button
+            onClick={publish}
+            disabled={!validation.valid}
+            className="flex items-center text-sm bg-green-600 text-white px-3 py-2 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            <Upload size={14} className="mr-1" /> Publish
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`p-3 rounded text-sm ${
+          message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {validation.valid ? (
+        <p className="flex items-center text-sm text-green-700">
+          <CheckCircle size={16} className="mr-1" /> Draft passes catalog validation
+        </p>
+      ) : (
+        <div className="bg-red-50 p-3 rounded">
+          <p className="flex items-center text-sm font-medium text-red-800 mb-1">
+            <AlertCircle size={16} className="mr-1" /> {validation.errors.length} validation error(s)
+          </p>
+          <ul className="text-xs text-red-700 list-disc ml-5 max-h-32 overflow-y-auto">
+            {validation.errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-3 gap-6">
+        {/* Question List */}
+        <div className="border border-gray-200 rounded-lg">
+          <div className="max-h-[600px] overflow-y-auto divide-y">
+            {draft.questions.map((question, index) => (
+              <div
+                key={`${index}-${question.id}`}
+                onClick={() => { setSelectedId(question.id); setSelectedOption(0); }}
+                className={`p-3 cursor-pointer ${question.id === selectedId ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className={`text-sm font-mono ${question.retired ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                    {question.id}
+                  </span>
+                  <div className="flex space-x-1">
+                    <button onClick={(e) => { e.stopPropagation(); moveQuestion(index, -1); }} className="text-gray-500 hover:text-gray-800">
+                      <ArrowUp size={14} />
+                    </button>
+                    <button onClick={(e) => { e.stopPropagation(); moveQuestion(index, 1); }} className="text-gray-500 hover:text-gray-800">
+                      <ArrowDown size={14} />
+                    </button>
+                    <button
+                      onClick={(e) => { e.stopPropagation(); updateQuestion(index, { retired: !question.retired }); }}
+                      title={question.retired ? 'Restore' : 'Retire'}
+                      className="text-gray-500 hover:text-gray-800"
+                    >
+                      {question.retired ? <RotateCcw size={14} /> : <Archive size={14} />}
+                    </button>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 truncate">{question.type} • {question.question || '(no text)'}</p>
+              </div>
+            ))}
+          </div>
+          <button
+            onClick={addQuestion}
+            className="w-full flex items-center justify-center text-sm text-blue-600 p-2 border-t hover:bg-blue-50"
+          >
+            <Plus size={14} className="mr-1" /> Add Question
+          </button>
+        </div>
+
+        {/* Question Form */}
+        {selectedQuestion && (
+          <div className="md:col-span-2 space-y-4">
+            <div className="grid md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Question ID</label>
+                <input
+                  type="text"
+                  value={selectedQuestion.id}
+                  disabled={isLiveQuestion(selectedQuestion.id)}
+                  onChange={(e) => updateQuestion(selectedIndex, { id: e.target.value })}
+                  className="w-full p-2 border border-gray-300 rounded font-mono disabled:bg-gray-100"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={selectedQuestion.type}
+                  onChange={(e) => updateQuestion(selectedIndex, { type: e.target.value })}
+                  className="w-full p-2 border border-gray-300 rounded"
+                >
+                  {questionTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                <input
+                  type="number"
+                  value={selectedQuestion.priority}
+                  onChange={(e) => updateQuestion(selectedIndex, { priority: Number(e.target.value) })}
+                  className="w-full p-2 border border-gray-300 rounded"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Question Text</label>
+              <input
+                type="text"
+                value={selectedQuestion.question}
+                onChange={(e) => updateQuestion(selectedIndex, { question: e.target.value })}
+                className="w-full p-2 border border-gray-300 rounded"
+              />
+            </div>
+
+            {/* Options with per-dimension scores */}
+            <div className="space-y-3">
+              {selectedQuestion.options.map((option, optionIndex) => (
+                <div
+                  key={optionIndex}
+                  className={`border rounded-lg p-3 ${optionIndex === selectedOption ? 'border-blue-400' : 'border-gray-200'}`}
+                >
+                  <div className="flex items-center space-x-2 mb-2">
+                    <input
+                      type="text"
+                      value={option.text}
+                      placeholder="Option text"
+                      onChange={(e) => updateOption(optionIndex, { text: e.target.value })}
+                      className="flex-1 p-2 border border-gray-300 rounded text-sm"
+                    />
+                    <button
+                      onClick={() => setSelectedOption(optionIndex)}
+                      title="Preview dimension shifts"
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      <Eye size={16} />
+                    </button>
+                    {selectedQuestion.options.length > 2 && (
+                      <button onClick={() => removeOption(optionIndex)} className="text-red-600 hover:text-red-800">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+                    {SCORE_DIMENSIONS.map(dimension => (
+                      <label key={dimension} className="text-xs text-gray-600">
+                        {dimension}
+                        <input
+                          type="number"
+                          step="0.5"
+                          value={option.scores[dimension] ?? ''}
+                          onChange={(e) => setOptionScore(optionIndex, dimension, e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                    ))}
+                    <label className="text-xs text-gray-600">
+                      courseStyle
+                      <select
+                        value={option.scores.courseStyle || ''}
+                        onChange={(e) => setOptionScore(optionIndex, 'courseStyle', e.target.value)}
+                        className="w-full p-1 border border-gray-300 rounded"
+                      >
+                        <option value="">—</option>
+                        {ML_CONFIG.QUESTION_CATALOG.COURSE_STYLES.map(style => (
+                          <option key={style} value={style}>{style}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+              ))}
+              <button onClick={addOption} className="flex items-center text-sm text-blue-600 hover:text-blue-800">
+                <Plus size={14} className="mr-1" /> Add Option
+              </button>
+            </div>
+
+            {/* Preview how the selected option moves a neutral profile */}
+            {previewOption && (
+              <div className="bg-gray-50 p-4 rounded-lg">
+                <h4 className="font-medium text-gray-800 mb-1">
+                  Preview: "{previewOption.text || `Option ${selectedOption + 1}`}"
+                </h4>
+                <p className="text-xs text-gray-500 mb-3">Shift from a neutral score of {SCORE_MIDPOINT}</p>
+                <div className="space-y-2">
+                  {ML_CONFIG.SIMILARITY_DIMENSIONS.map(dimension => {
+                    const value = previewOption.scores[dimension];
+                    const shift = typeof value === 'number' ? value - SCORE_MIDPOINT : null;
+                    const width = shift === null ? 0 : (Math.abs(shift) / (SCORE_MAX - SCORE_MIDPOINT)) * 50;
+
+                    return (
+                      <div key={dimension} className="flex items-center text-xs">
+                        <span className="w-36 text-gray-600">{dimension}</span>
+                        <div className="flex-1 relative h-3 bg-gray-200 rounded">
+                          <div className="absolute left-1/2 top-0 h-3 w-px bg-gray-500" />
+                          {shift !== null && (
+                            <div
+                              className={`absolute top-0 h-3 rounded ${shift >= 0 ? 'bg-green-500' : 'bg-red-500'}`}
+                              style={shift >= 0 ? { left: '50%', width: `${width}%` } : { right: '50%', width: `${width}%` }}
+                            />
+                          )}
+                        </div>
+                        <span className="w-16 text-right font-mono text-gray-700">
+                          {shift === null ? 'not scored' : `${shift >= 0 ? '+' : ''}${shift.toFixed(1)}`}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankEditor;
@@ -0,0 +1,105 @@
+import React, { useState, useMemo } from 'react';
+import { Info, ChevronDown, ChevronUp } from 'lucide-react';
+import { ML_CONFIG, PROFILE_LABELS } from '../ml/MLConfig.js';
+
+const { ANSWERS_PER_DIMENSION, MIN_SHIFT, MAX_FLIPS } = ML_CONFIG.SCORE_EXPLANATION;
+
+const dimensionName = (dimension) => (PROFILE_LABELS.dimensions[dimension] || dimension).toLowerCase();
+
+const formatChange = (change) => `${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(1)}`;
+
+// "Your answer 'Tin Cup' pushed competitiveness up by 1.4"
+const describeShift = (dimension, { answer, shift }) =>
+  `Your answer '${answer}' pushed ${dimensionName(dimension)} ${shift > 0 ? 'up' : 'down'} by ${Math.abs(shift).toFixed(1)}`;
+
+// Shifts only add up under a weighted average; other methods list the
+// value each answer gave instead: "Your answer 'Tin Cup' scored competitiveness 8"
+const describeValue = (dimension, { answer, value }) =>
+  `Your answer '${answer}' scored ${dimensionName(dimension)} ${value}`;
+
+// "Answering 'Caddyshack' instead of 'Tin Cup' would move competitiveness −3.6
+// and add a socialness score (8.0)"
+const describeFlip = ({ from, to, changes, adds = {}, removes = [] }) => {
+  const parts = [];
+  const moves = Object.entries(changes)
+    .sort(([, a], [, b]) => Math.abs(b) - Math.abs(a))
+    .map(([dimension, change]) => `${dimensionName(dimension)} ${formatChange(change)}`);
+  if (moves.length > 0) parts.push(`move ${moves.join(', ')}`);
+  Object.entries(adds).forEach(([dimension, score]) => parts.push(`add a ${dimensionName(dimension)} score (${score.toFixed(1)})`));
+  if (removes.length > 0) parts.push(`leave ${removes.map(dimensionName).join(', ')} unscored`);
+  return `Answering '${to}' instead of '${from}' would ${parts.join(' and ')}`;
+};
+
+// Explain-my-profile: which answers moved each score, and which answer
+// changes would move the profile most
+const ScoreExplanation = ({ mlService, answers, questionCatalog, sessionId }) => {
+  const [open, setOpen] = useState(false);
+
+  const explanation = useMemo(
+    () => (open ? mlService.explainScores(answers, questionCatalog, sessionId) : null),
+    [open, mlService, answers, questionCatalog, sessionId]
+  );
+
+  const showShifts = explanation?.method === 'weighted_average';
+  const dimensions = explanation
+    ? ML_CONFIG.SIMILARITY_DIMENSIONS
+      .map(dimension => ({
+        dimension,
+        score: explanation.dimensions[dimension].score,
+        contributions: explanation.dimensions[dimension].contributions
+          .filter(contribution => !showShifts || Math.abs(contribution.shift) >= MIN_SHIFT)
+          .slice(0, ANSWERS_PER_DIMENSION)
+      }))
+      .filter(entry => entry.contributions.length > 0)
+    : [];
+
+  return (
+    <div className="mb-8">
+      <button
+        onClick={() => setOpen(!open)}
+        className="font-semibold text-gray-800 flex items-center hover:text-green-700"
+      >
+        <Info className="mr-2" size={20} />
+        Explain My Profile
+        {open ? <ChevronUp className="ml-1" size={16} /> : <ChevronDown className="ml-1" size={16} />}
+      </button>
+
+      {explanation && (
+        <div className="mt-4 bg-gray-50 p-4 rounded-lg">
+          <p className="text-xs text-gray-500 mb-3">
+            {showShifts
+              ? 'Each score starts from the middle of the scale; every answer pushes it up or down by its share of the weighted average.'
+              : `Each score is the ${explanation.method.replace(/_/g, ' ')} of your answers' values, so answers don't push it by a fixed amount; these are the answers that scored it.`}
+          </p>
+          <div className="grid md:grid-cols-2 gap-4">
+            {dimensions.map(({ dimension, score, contributions }) => (
+              <div key={dimension}>
+                <p className="text-sm font-medium text-gray-700">
+                  {PROFILE_LABELS.dimensions[dimension] || dimension}: {score}
+                </p>
+                <ul className="text-sm text-gray-600 ml-4">
+                  {contributions.map(contribution => (
+                    <li key={contribution.questionId}>• {showShifts ? describeShift(dimension, contribution) : describeValue(dimension, contribution)}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          {explanation.flips.length > 0 && (
+            <div className="mt-4 p-3 bg-yellow-50 rounded border-l-4 border-yellow-200">
+              <p className="text-sm font-medium text-yellow-800 mb-1">Answers that would change your profile most</p>
+              <ul className="text-sm text-yellow-700 ml-4">
+                {explanation.flips.slice(0, MAX_FLIPS).map(flip => (
+                  <li key={`${flip.questionId}:${flip.optionIndex}`}>• {describeFlip(flip)}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreExplanation;
@@ -0,0 +1,91 @@
+// BackendConfig.js - Data backend settings per environment
+//
+// Settings come from the environment, which Create React App fills from
+// .env, .env.<environment> and their .local variants (see .env.example).
+// Each environment has a profile with its default backend and whether
+// Supabase credentials are mandatory; production refuses to start without
+// them instead of silently running on another backend.
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('BackendConfig');
+
+export const DATA_BACKENDS = {
+  SUPABASE: 'supabase',
+  LOCAL: 'local',
+  MEMORY: 'memory'
+};
+
+export const CONFIG_PROFILES = {
+  development: {
+    dataBackend: DATA_BACKENDS.SUPABASE,
+    requireCredentials: false,
+    // Without credentials, develop against tables kept in the browser
+    fallbackBackend: DATA_BACKENDS.LOCAL
+  },
+  test: {
+    dataBackend: DATA_BACKENDS.MEMORY,
+    requireCredentials: false,
+    fallbackBackend: DATA_BACKENDS.MEMORY
+  },
+  production: {
+    dataBackend: DATA_BACKENDS.SUPABASE,
+    requireCredentials: true,
+    fallbackBackend: null
+  }
+};
+
+// Config keys whose values never reach the console
+const SECRET_KEYS = ['anonKey'];
+
+// REACT_APP_CONFIG_PROFILE picks a profile other than NODE_ENV's, e.g. a
+// staging build (NODE_ENV is always production for `npm run build`).
+// overrides.dataBackend takes precedence over REACT_APP_DATA_BACKEND.
+export function resolveBackendConfig(env = process.env, overrides = {}) {
+  const environment = env.REACT_APP_CONFIG_PROFILE || env.NODE_ENV || 'development';
+  const profile = CONFIG_PROFILES[environment];
+  if (!profile) {
+    throw new Error(`Unknown configuration profile "${environment}" (expected ${Object.keys(CONFIG_PROFILES).join(', ')})`);
+  }
+
+  const requestedBackend = overrides.dataBackend || env.REACT_APP_DATA_BACKEND || profile.dataBackend;
+  if (!Object.values(DATA_BACKENDS).includes(requestedBackend)) {
+    throw new Error(`Unknown data backend "${requestedBackend}" (expected ${Object.values(DATA_BACKENDS).join(', ')})`);
+  }
+
+  const supabase = {
+    url: env.REACT_APP_SUPABASE_URL || null,
+    anonKey: env.REACT_APP_SUPABASE_ANON_KEY || null
+  };
+  const hasCredentials = Boolean(supabase.url && supabase.anonKey);
+  let dataBackend = requestedBackend;
+
+  if (requestedBackend === DATA_BACKENDS.SUPABASE && !hasCredentials) {
+    if (profile.requireCredentials) {
+      throw new Error(
+        `REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_ANON_KEY must be set for the ${environment} profile`
+      );
+    }
+    logger.warn(`Supabase credentials not set - using the ${profile.fallbackBackend} backend for ${environment}`);
+    dataBackend = profile.fallbackBackend;
+  }
+
+  return { environment, dataBackend, supabase };
+}
+
+export function redactSecret(value) {
+  if (!value) return 'MISSING';
+  return `[redacted, ${String(value).length} chars]`;
+}
+
+// Copy of a config that is safe to log
+export function redactConfig(config) {
+  if (Array.isArray(config)) return config.map(redactConfig);
+  if (!config || typeof config !== 'object') return config;
+
+  return Object.fromEntries(Object.entries(config).map(([key, value]) => [
+    key,
+    SECRET_KEYS.includes(key) ? redactSecret(value) : redactConfig(value)
+  ]));
+}
+
+export default resolveBackendConfig;
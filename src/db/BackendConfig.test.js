@@ -0,0 +1,59 @@
+import { resolveBackendConfig, redactConfig, DATA_BACKENDS } from './BackendConfig';
+import { createDataManager } from './createDataManager';
+
+const credentials = {
+  REACT_APP_SUPABASE_URL: 'https://example.supabase.co',
+  REACT_APP_SUPABASE_ANON_KEY: 'anon-key-value'
+};
+
+describe('BackendConfig', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses Supabase in production when credentials are set', () => {
+    expect(resolveBackendConfig({ NODE_ENV: 'production', ...credentials })).toEqual({
+      environment: 'production',
+      dataBackend: DATA_BACKENDS.SUPABASE,
+      supabase: { url: 'https://example.supabase.co', anonKey: 'anon-key-value' }
+    });
+  });
+
+  it('refuses to start in production without credentials', () => {
+    expect(() => resolveBackendConfig({ NODE_ENV: 'production' })).toThrow(/REACT_APP_SUPABASE_URL/);
+    expect(() => createDataManager(null, { env: { NODE_ENV: 'production' } })).toThrow(/production profile/);
+  });
+
+  it('falls back to local tables in development without credentials', () => {
+    expect(resolveBackendConfig({ NODE_ENV: 'development' }).dataBackend).toBe(DATA_BACKENDS.LOCAL);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('defaults tests to memory and honours explicit choices', () => {
+    expect(resolveBackendConfig({ NODE_ENV: 'test' }).dataBackend).toBe(DATA_BACKENDS.MEMORY);
+    expect(resolveBackendConfig({ NODE_ENV: 'test', REACT_APP_DATA_BACKEND: 'local' }).dataBackend).toBe(DATA_BACKENDS.LOCAL);
+    expect(resolveBackendConfig({ NODE_ENV: 'production', REACT_APP_DATA_BACKEND: 'supabase' }, { dataBackend: 'memory' }).dataBackend)
+      .toBe(DATA_BACKENDS.MEMORY);
+    expect(resolveBackendConfig({ NODE_ENV: 'production', REACT_APP_CONFIG_PROFILE: 'development' }).environment)
+      .toBe('development');
+  });
+
+  it('rejects unknown profiles and backends', () => {
+    expect(() => resolveBackendConfig({ NODE_ENV: 'staging' })).toThrow(/configuration profile "staging"/);
+    expect(() => resolveBackendConfig({ NODE_ENV: 'test', REACT_APP_DATA_BACKEND: 'mysql' })).toThrow(/data backend "mysql"/);
+  });
+
+  it('redacts secrets for logging', () => {
+    const config = resolveBackendConfig({ NODE_ENV: 'production', ...credentials });
+
+    const redacted = redactConfig(config);
+    expect(redacted.supabase).toEqual({ url: 'https://example.supabase.co', anonKey: '[redacted, 14 chars]' });
+    expect(JSON.stringify(redacted)).not.toContain('anon-key-value');
+    expect(redactConfig({ anonKey: null }).anonKey).toBe('MISSING');
+  });
+});
@@ -0,0 +1,23 @@
+// LocalDataManager.js - SupabaseDataManager backed by local tables (IndexedDB in the browser, memory in tests)
+import { SupabaseDataManager } from './SupabaseDataManager.js';
+import { createLocalClient, defaultPersistence, memoryPersistence } from './LocalTableStore.js';
+import { TABLES, FUNCTIONS } from './schema.js';
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('LocalDataManager');
+
+// The local tables always follow the current schema, so they need no
+// migrations; they are also always reachable, so the write outbox only
+// needs to live in memory
+export class LocalDataManager extends SupabaseDataManager {
+  constructor({ persistence = defaultPersistence(), schema = TABLES, backend = 'local' } = {}) {
+    super({
+      client: createLocalClient(persistence, { schema, functions: FUNCTIONS }),
+      backend,
+      outboxPersistence: memoryPersistence()
+    });
+    logger.debug(`Using local data backend (${persistence.name})`);
+  }
+}
+
+export default LocalDataManager;
@@ -0,0 +1,393 @@
+// LocalTableStore.js - Local tables behind a Supabase-compatible query builder
+//
+// Supports the subset of the supabase-js builder the app uses: select,
+// insert, update, upsert, delete, eq/neq/in/gt/gte/lt/lte/is, or (flat
+// "column.operator.value" lists), order, limit, range, single, count/head
+// selects and rpc. Rows get an auto-increment id and created_at when missing.
+// maxRows caps every select like PostgREST's max-rows setting.
+// Given a schema ({ table: [columns] }) unknown tables and columns fail with
+// the Postgres error codes, as they would against the real database.
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('LocalTableStore');
+
+const DATABASE_NAME = 'golf_profiler_local';
+const STORE_NAME = 'tables';
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keeps tables in memory only - used in tests and when IndexedDB is missing
+export function memoryPersistence(initialTables = {}) {
+  return {
+    name: 'memory',
+    load: async () => clone(initialTables),
+    save: async () => {}
+  };
+}
+
+// One IndexedDB record per table, so data survives reloads in the browser
+export function indexedDBPersistence(databaseName = DATABASE_NAME) {
+  const open = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  let database = null;
+  const getDatabase = async () => {
+    database = database || await open();
+    return database;
+  };
+
+  return {
+    name: 'indexeddb',
+    load: async () => {
+      const db = await getDatabase();
+      return new Promise((resolve, reject) => {
+        const tables = {};
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(tables);
+            return;
+          }
+          tables[cursor.key] = cursor.value;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    },
+    save: async (tableName, table) => {
+      const db = await getDatabase();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(table, tableName);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+  };
+}
+
+export function defaultPersistence() {
+  return typeof indexedDB !== 'undefined' ? indexedDBPersistence() : memoryPersistence();
+}
+
+// Thrown inside a query and returned as its { error }
+class LocalQueryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export class LocalTableStore {
+  constructor(persistence = defaultPersistence(), { schema = null, functions = {}, maxRows = null } = {}) {
+    this.persistence = persistence;
+    this.schema = schema;
+    this.functions = functions;
+    this.maxRows = maxRows;
+    this.tables = {};
+    this.ready = persistence.load()
+      .then(tables => { this.tables = tables || {}; })
+      .catch(error => {
+        logger.error(`Error loading local tables from ${persistence.name}, starting empty`, error);
+        this.tables = {};
+      });
+  }
+
+  // Without a schema any table and column is accepted
+  checkColumns(tableName, columns) {
+    if (!this.schema) return;
+    const known = this.schema[tableName];
+    if (!known) {
+      throw new LocalQueryError('42P01', `relation "${tableName}" does not exist`);
+    }
+    const unknown = columns.find(column => !known.includes(column));
+    if (unknown) {
+      throw new LocalQueryError('42703', `column ${tableName}.${unknown} does not exist`);
+    }
+  }
+
+  getTable(tableName) {
+    if (!this.tables[tableName]) {
+      this.tables[tableName] = { nextId: 1, rows: [] };
+    }
+    return this.tables[tableName];
+  }
+
+  insertRow(table, row) {
+    const stored = { id: table.nextId, created_at: new Date().toISOString(), ...clone(row) };
+    if (typeof stored.id === 'number' && stored.id >= table.nextId) {
+      table.nextId = stored.id + 1;
+    }
+    table.rows.push(stored);
+    return stored;
+  }
+
+  async persist(tableName) {
+    try {
+      await this.persistence.save(tableName, this.tables[tableName]);
+    } catch (error) {
+      logger.error(`Error persisting local table ${tableName}`, error);
+    }
+  }
+
+  from(tableName) {
+    return new LocalQuery(this, tableName);
+  }
+
+  // Local stand-ins for SQL functions, given as { name: { tables, run } }.
+  // run(store, params) is synchronous, so like one SQL statement it sees no
+  // interleaved writes; the tables it names are persisted afterwards
+  async rpc(name, params = {}) {
+    try {
+      await this.ready;
+      const fn = this.functions[name];
+      if (!fn) {
+        throw new LocalQueryError('PGRST202', `Could not find the function public.${name}`);
+      }
+      const data = fn.run(this, params);
+      await Promise.all(fn.tables.map(tableName => this.persist(tableName)));
+      return { data: data ?? null, error: null };
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message } };
+    }
+  }
+}
+
+// Filter operators, shared by the builder methods and or()
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  neq: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  // Missing columns read as null, as they would from Postgres
+  is: (actual, expected) => (actual ?? null) === expected
+};
+
+// PostgREST filter values arrive as text; is() takes null, true or false
+const parseFilterValue = (operator, text) => {
+  if (operator !== 'is') return text;
+  return { null: null, true: true, false: false }[text];
+};
+
+// Supabase-style chainable query; awaiting it runs it and resolves to { data, error }
+class LocalQuery {
+  constructor(store, tableName) {
+    this.store = store;
+    this.tableName = tableName;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.payload = null;
+    this.conflictColumns = ['id'];
+    this.filters = [];
+    this.filterColumns = [];
+    this.ordering = [];
+    this.rowLimit = null;
+    this.rowOffset = 0;
+    this.singleRow = false;
+    this.countRows = false;
+    this.headOnly = false;
+  }
+
+  // After insert/update/upsert this selects the affected rows, as in
+  // supabase-js. { count: 'exact' } adds the matching row count and
+  // { head: true } leaves out the rows
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countRows = count !== null;
+      this.headOnly = head;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumns = onConflict.split(',').map(column => column.trim());
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(column, predicate) {
+    this.filterColumns.push(column);
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, row => OPERATORS.eq(row[column], value)); }
+  neq(column, value) { return this.filter(column, row => OPERATORS.neq(row[column], value)); }
+  in(column, values) { return this.filter(column, row => values.includes(row[column])); }
+  gt(column, value) { return this.filter(column, row => OPERATORS.gt(row[column], value)); }
+  gte(column, value) { return this.filter(column, row => OPERATORS.gte(row[column], value)); }
+  lt(column, value) { return this.filter(column, row => OPERATORS.lt(row[column], value)); }
+  lte(column, value) { return this.filter(column, row => OPERATORS.lte(row[column], value)); }
+  is(column, value) { return this.filter(column, row => OPERATORS.is(row[column], value)); }
+
+  // Any of "column.operator.value" conditions, e.g. 'end_date.is.null,end_date.gte.2024-01-01'
+  or(expression) {
+    const conditions = expression.split(',').map(condition => {
+      const [column, operator, ...rest] = condition.trim().split('.');
+      if (!OPERATORS[operator]) {
+        throw new Error(`Unsupported or() operator "${operator}" in local query`);
+      }
+      return { column, operator, value: parseFilterValue(operator, rest.join('.')) };
+    });
+    this.filterColumns.push(...conditions.map(({ column }) => column));
+    this.filters.push(row => conditions.some(({ column, operator, value }) => OPERATORS[operator](row[column], value)));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  // Rows from..to of the result, both inclusive
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    try {
+      await this.store.ready;
+      this.store.checkColumns(this.tableName, this.referencedColumns());
+      const table = this.store.getTable(this.tableName);
+      const matches = (row) => this.filters.every(predicate => predicate(row));
+      let affected;
+
+      switch (this.operation) {
+        case 'insert':
+          affected = this.payload.map(row => this.store.insertRow(table, row));
+          break;
+        case 'upsert':
+          affected = this.payload.map(row => {
+            const existing = table.rows.find(candidate =>
+              this.conflictColumns.every(column => row[column] !== undefined && candidate[column] === row[column]));
+            return existing ? Object.assign(existing, clone(row)) : this.store.insertRow(table, row);
+          });
+          break;
+        case 'update':
+          affected = table.rows.filter(matches);
+          affected.forEach(row => Object.assign(row, clone(this.payload)));
+          break;
+        case 'delete':
+          affected = table.rows.filter(matches);
+          table.rows = table.rows.filter(row => !matches(row));
+          break;
+        default: {
+          const rows = table.rows.filter(matches);
+          const result = this.result(this.sortAndLimit(rows), this.columns);
+          if (this.countRows) result.count = rows.length;
+          if (this.headOnly) result.data = null;
+          return result;
+        }
+      }
+
+      await this.store.persist(this.tableName);
+      return this.returning ? this.result(affected, this.returning) : { data: null, error: null };
+
+    } catch (error) {
+      return { data: null, error: { code: error.code, message: error.message } };
+    }
+  }
+
+  // Every column the query reads, writes, filters or sorts on
+  referencedColumns() {
+    const payloadRows = this.payload === null ? [] : [].concat(this.payload);
+    return [
+      ...listColumns(this.operation === 'select' ? this.columns : this.returning),
+      ...payloadRows.flatMap(row => Object.keys(row)),
+      ...this.filterColumns,
+      ...this.ordering.map(({ column }) => column)
+    ];
+  }
+
+  sortAndLimit(rows) {
+    const sorted = [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.ordering) {
+        if (a[column] === b[column]) continue;
+        const before = a[column] === undefined || a[column] === null || a[column] < b[column];
+        return (before ? -1 : 1) * (ascending ? 1 : -1);
+      }
+      return 0;
+    });
+    const limits = [this.rowLimit, this.store.maxRows].filter(limit => limit !== null);
+    return sorted.slice(this.rowOffset, this.rowOffset + (limits.length > 0 ? Math.min(...limits) : sorted.length));
+  }
+
+  result(rows, columns) {
+    const projected = rows.map(row => project(row, columns));
+    if (!this.singleRow) {
+      return { data: projected, error: null };
+    }
+    if (projected.length === 0) {
+      return { data: null, error: { code: 'PGRST116', message: `No rows found in ${this.tableName}` } };
+    }
+    return { data: projected[0], error: null };
+  }
+}
+
+// Named columns of a select list; '*' and no list name none
+function listColumns(columns) {
+  if (!columns || columns.trim() === '*') return [];
+  return columns.split(',').map(column => column.trim());
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return clone(row);
+  return Object.fromEntries(listColumns(columns).map(column => [column, clone(row[column])]));
+}
+
+// A client object that can stand in for the supabase-js client
+export function createLocalClient(persistence = defaultPersistence(), options = {}) {
+  const store = new LocalTableStore(persistence, options);
+  return {
+    store,
+    from: (tableName) => store.from(tableName),
+    rpc: (name, params) => store.rpc(name, params)
+  };
+}
+
+export default LocalTableStore;
@@ -0,0 +1,162 @@
+import { createLocalClient, memoryPersistence } from './LocalTableStore';
+import { LocalDataManager } from './LocalDataManager';
+import { createDataManager } from './createDataManager';
+import { AlgorithmManager } from '../ml/AlgorithmManager';
+
+describe('LocalTableStore', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('supports the supabase query builder subset', async () => {
+    const client = createLocalClient(memoryPersistence());
+
+    const inserted = await client.from('scores')
+      .insert([{ name: 'a', value: 3 }, { name: 'b', value: 7 }, { name: 'c', value: 5 }])
+      .select()
+      .single();
+    expect(inserted.data).toMatchObject({ id: 1, name: 'a' });
+
+    const { data } = await client.from('scores')
+      .select('name, value')
+      .gte('value', 4)
+      .order('value', { ascending: false })
+      .limit(1);
+    expect(data).toEqual([{ name: 'b', value: 7 }]);
+
+    await client.from('scores').update({ value: 9 }).eq('name', 'c');
+    await client.from('scores').delete().in('name', ['a']);
+    const { data: remaining } = await client.from('scores').select('*').neq('name', 'b');
+    expect(remaining.map(row => [row.name, row.value])).toEqual([['c', 9]]);
+
+    const missing = await client.from('scores').select('*').eq('name', 'z').single();
+    expect(missing.error.code).toBe('PGRST116');
+  });
+
+  it('filters on null and on any of several conditions', async () => {
+    const client = createLocalClient(memoryPersistence());
+    await client.from('tests').insert([
+      { name: 'open', end_date: null },
+      { name: 'ended', end_date: '2000-01-01T00:00:00.000Z' },
+      { name: 'running', end_date: '2999-01-01T00:00:00.000Z' },
+      { name: 'unset' }
+    ]);
+
+    const { data: open } = await client.from('tests').select('name').is('end_date', null);
+    expect(open.map(row => row.name)).toEqual(['open', 'unset']);
+
+    const { data: active } = await client.from('tests')
+      .select('name')
+      .or('end_date.is.null,end_date.gte.2024-06-01T00:00:00.000Z');
+    expect(active.map(row => row.name)).toEqual(['open', 'running', 'unset']);
+  });
+
+  it('counts matching rows without returning them', async () => {
+    const client = createLocalClient(memoryPersistence());
+    await client.from('scores').insert([{ value: 3 }, { value: 7 }, { value: 5 }]);
+
+    const counted = await client.from('scores').select('*', { count: 'exact', head: true }).gt('value', 4);
+    expect(counted).toEqual({ data: null, count: 2, error: null });
+
+    const limited = await client.from('scores').select('value', { count: 'exact' }).limit(1);
+    expect(limited.data).toHaveLength(1);
+    expect(limited.count).toBe(3);
+  });
+
+  it('pages with range and caps responses at maxRows', async () => {
+    const client = createLocalClient(memoryPersistence(), { maxRows: 2 });
+    await client.from('scores').insert([1, 2, 3, 4, 5].map(value => ({ value })));
+
+    const { data: page } = await client.from('scores').select('value').order('value').range(1, 3);
+    expect(page.map(row => row.value)).toEqual([2, 3]);
+
+    const { data: capped } = await client.from('scores').select('value').order('value', { ascending: false });
+    expect(capped.map(row => row.value)).toEqual([5, 4]);
+  });
+
+  it('runs registered functions through rpc', async () => {
+    const saved = [];
+    const client = createLocalClient({ name: 'spy', load: async () => ({}), save: async (table) => { saved.push(table); } }, {
+      functions: {
+        add_score: {
+          tables: ['scores'],
+          run: (store, { value }) => store.insertRow(store.getTable('scores'), { value }).id
+        }
+      }
+    });
+
+    expect(await client.rpc('add_score', { value: 4 })).toEqual({ data: 1, error: null });
+    expect(saved).toEqual(['scores']);
+    expect((await client.rpc('missing')).error).toMatchObject({ code: 'PGRST202' });
+  });
+
+  it('upserts on the conflict columns', async () => {
+    const client = createLocalClient(memoryPersistence());
+    await client.from('effectiveness').upsert({ question_id: 'q1', uses: 1 }, { onConflict: 'question_id' });
+    await client.from('effectiveness').upsert({ question_id: 'q1', uses: 2 }, { onConflict: 'question_id' });
+
+    const { data } = await client.from('effectiveness').select('*');
+    expect(data).toHaveLength(1);
+    expect(data[0].uses).toBe(2);
+  });
+
+  it('writes every change through the persistence backend', async () => {
+    const saved = {};
+    const persistence = {
+      name: 'spy',
+      load: async () => ({ user_profiles: { nextId: 5, rows: [{ id: 4, session_id: 'old' }] } }),
+      save: async (tableName, table) => { saved[tableName] = table; }
+    };
+    const client = createLocalClient(persistence);
+
+    await client.from('user_profiles').insert({ session_id: 'new' });
+    expect(saved.user_profiles.rows.map(row => [row.id, row.session_id])).toEqual([[4, 'old'], [5, 'new']]);
+  });
+});
+
+describe('LocalDataManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is the default backend under test, kept in memory', () => {
+    expect(createDataManager().backend).toBe('memory');
+    expect(createDataManager('local').backend).toBe('local');
+  });
+
+  it('persists profiles and question catalogs', async () => {
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence() });
+
+    await dataManager.addProfile({ sessionId: 's1', scores: { skillLevel: 6 }, answers: {}, profile: {}, totalQuestions: 5 });
+    const profiles = await dataManager.getProfiles();
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({ sessionId: 's1', scores: { skillLevel: 6 }, totalQuestions: 5 });
+
+    await dataManager.publishQuestionCatalog({ version: '1.1.0', questions: [] });
+    expect((await dataManager.getPublishedQuestionCatalog()).version).toBe('1.1.0');
+  });
+
+  it('backs the algorithm and A/B test tables', async () => {
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence() });
+    const manager = new AlgorithmManager(dataManager.supabase);
+
+    const test = await manager.createABTest({
+      testName: 'Local test',
+      algorithmType: 'scoring',
+      versionA: 'v1.0.0',
+      versionB: 'v1.1.0',
+      endDate: new Date(Date.now() + 86400000).toISOString()
+    });
+
+    expect(test.id).toBe(1);
+    expect(manager.activeABTests.map(t => t.test_name)).toEqual(['Local test']);
+  });
+});
@@ -0,0 +1,133 @@
+import { LocalDataManager } from './LocalDataManager';
+import { createLocalClient, memoryPersistence } from './LocalTableStore';
+import { SupabaseDataManager } from './SupabaseDataManager';
+import { PAGE_SIZE } from './fetchAllRows';
+import { TABLES } from './schema';
+import { FeedbackCollector } from '../ml/FeedbackCollector';
+
+// The data manager methods run unchanged against the local tables
+const createManager = () => new LocalDataManager({ persistence: memoryPersistence() });
+
+describe('SupabaseDataManager feedback and effectiveness', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads back stored feedback, optionally per session', async () => {
+    const dataManager = createManager();
+    await dataManager.addFeedback({ sessionId: 's1', accuracy: 'very_accurate', helpful: true, detailedComments: 'Spot on' });
+    await dataManager.addFeedback({ sessionId: 's2', accuracy: 'not_accurate', helpful: false });
+
+    const all = await dataManager.getFeedbacks();
+    expect(all).toHaveLength(2);
+
+    const forSession = await dataManager.getFeedbacks('s1');
+    expect(forSession).toEqual([expect.objectContaining({
+      sessionId: 's1',
+      accuracy: 'very_accurate',
+      helpful: true,
+      detailedComments: 'Spot on'
+    })]);
+    expect(forSession[0].timestamp).toBeGreaterThan(0);
+  });
+
+  it('keeps running effectiveness aggregates per question', async () => {
+    const dataManager = createManager();
+    await dataManager.updateQuestionEffectiveness('golf_movie', 0.8);
+    await dataManager.updateQuestionEffectiveness('golf_movie', 0.4);
+    await dataManager.updateQuestionEffectiveness('dream_course', 1);
+
+    const effectiveness = await dataManager.getQuestionEffectiveness();
+    expect(effectiveness.golf_movie.totalUses).toBe(2);
+    expect(effectiveness.golf_movie.totalEffectiveness).toBeCloseTo(1.2);
+    expect(effectiveness.golf_movie.averageEffectiveness).toBeCloseTo(0.6);
+    expect(effectiveness.dream_course.totalUses).toBe(1);
+  });
+
+  it('keeps every use when questions are scored concurrently', async () => {
+    const dataManager = createManager();
+    await Promise.all(Array.from({ length: 10 }, () => dataManager.updateQuestionEffectiveness('golf_movie', 0.5)));
+
+    const effectiveness = await dataManager.getQuestionEffectiveness();
+    expect(effectiveness.golf_movie.totalUses).toBe(10);
+    expect(effectiveness.golf_movie.totalEffectiveness).toBeCloseTo(5);
+  });
+
+  it('computes ML metrics from stored profiles and feedback', async () => {
+    const dataManager = createManager();
+    await dataManager.addProfile({ sessionId: 's1', totalQuestions: 5 });
+    await dataManager.addProfile({ sessionId: 's2', totalQuestions: 7 });
+    await dataManager.addFeedback({ sessionId: 's1', accuracy: 'very_accurate', helpful: true });
+    await dataManager.addFeedback({ sessionId: 's2', accuracy: 'somewhat_accurate', helpful: false });
+
+    const metrics = await dataManager.getMLMetrics();
+    expect(metrics).toMatchObject({
+      totalProfiles: 2,
+      totalFeedbacks: 2,
+      profilesLastWeek: 2,
+      averageQuestions: 6,
+      feedbackDistribution: { very_accurate: 1, somewhat_accurate: 1 },
+      modelConfidence: 'Initializing'
+    });
+    expect(metrics.averageAccuracy).toBeCloseTo(0.75);
+  });
+
+  it('reads events and profiles past the server row cap', async () => {
+    // Responses capped like PostgREST's default max-rows
+    const dataManager = new SupabaseDataManager({
+      client: createLocalClient(memoryPersistence(), { schema: TABLES, maxRows: PAGE_SIZE })
+    });
+    const count = PAGE_SIZE + 5;
+    const occurredAt = new Date().toISOString();
+    await dataManager.supabase.from('session_events').insert(Array.from({ length: count }, (_, sequence) => ({
+      session_id: 's1', event_type: 'question_shown', sequence, occurred_at: occurredAt
+    })));
+    await dataManager.supabase.from('user_profiles').insert(Array.from({ length: count }, (_, index) => ({
+      session_id: `s${index}`, scores: {}
+    })));
+
+    const events = await dataManager.getSessionEvents({ since: Date.now() - 60000 });
+    expect(events.map(event => event.sequence)).toEqual(Array.from({ length: count }, (_, sequence) => sequence));
+    expect(await dataManager.getProfiles({ minTimestamp: Date.now() - 60000 })).toHaveLength(count);
+    expect(await dataManager.getProfiles({ limit: 3 })).toHaveLength(3);
+  });
+
+  it('reads feedback past the server row cap', async () => {
+    const dataManager = new SupabaseDataManager({
+      client: createLocalClient(memoryPersistence(), { schema: TABLES, maxRows: PAGE_SIZE })
+    });
+    const count = PAGE_SIZE + 5;
+    await dataManager.supabase.from('user_feedback').insert(Array.from({ length: count }, (_, index) => ({
+      session_id: `s${index}`, accuracy: 'accurate', helpful: true
+    })));
+
+    const feedbacks = await dataManager.getFeedbacks();
+    expect(new Set(feedbacks.map(feedback => feedback.sessionId)).size).toBe(count);
+  });
+
+  it('stores dimension ratings with the accuracy they add up to', async () => {
+    const dataManager = createManager();
+    const collector = new FeedbackCollector(dataManager);
+    const ratings = { skillLevel: { rating: 2, direction: 'lower' }, pace: { rating: 4 } };
+
+    await collector.collectDimensionFeedback('s1', ratings);
+    const [stored] = await dataManager.getFeedbacks('s1');
+    expect(stored).toMatchObject({ accuracy: 'somewhat_accurate', dimensionFeedback: ratings });
+
+    // Nothing rated: no accuracy rather than NaN
+    expect(collector.calculateOverallAccuracyFromDimensions({ pace: {} })).toBeNull();
+  });
+
+  it('feeds FeedbackCollector analytics', async () => {
+    const dataManager = createManager();
+    await dataManager.addFeedback({ sessionId: 's1', accuracy: 'mostly_accurate', helpful: true });
+
+    const analytics = await new FeedbackCollector(dataManager).getFeedbackAnalytics();
+    expect(analytics.totalFeedback).toBe(1);
+    expect(analytics.averageAccuracy).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,205 @@
+// WriteOutbox.js - Durable queue for profile and feedback writes that failed
+//
+// Writes that fail because the database is unreachable are kept (IndexedDB in
+// the browser, memory elsewhere) and retried with exponential backoff, and
+// straight away when the browser comes back online. Every write gets its
+// own key: a session can write several rows (a restarted quiz keeps its
+// session id), so a queued write is only ever replaced by its own retry.
+import { indexedDBPersistence, memoryPersistence } from './LocalTableStore.js';
+import { createLogger } from '../ml/Logger.js';
+
+const logger = createLogger('WriteOutbox');
+
+const OUTBOX_DATABASE = 'golf_profiler_outbox';
+const OUTBOX_RECORD = 'outbox';
+
+export const OUTBOX_DEFAULTS = {
+  BASE_DELAY_MS: 2000,
+  MAX_DELAY_MS: 5 * 60 * 1000
+};
+
+// SQLSTATE classes worth retrying: connection (08), insufficient resources
+// (53) and server shutdown (57P). Anything else - a constraint or a missing
+// column - fails the same way every time.
+const RETRYABLE_CODE_PREFIXES = ['08', '53', '57P'];
+
+export function isRetryableError(error) {
+  // Network failures reach us without a SQLSTATE
+  if (!error?.code) return true;
+  return RETRYABLE_CODE_PREFIXES.some(prefix => String(error.code).startsWith(prefix));
+}
+
+// 2s, 4s, 8s ... capped at maxDelayMs
+export function retryDelay(attempts, baseDelayMs = OUTBOX_DEFAULTS.BASE_DELAY_MS, maxDelayMs = OUTBOX_DEFAULTS.MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+}
+
+export function defaultOutboxPersistence() {
+  return typeof indexedDB !== 'undefined' ? indexedDBPersistence(OUTBOX_DATABASE) : memoryPersistence();
+}
+
+export class WriteOutbox {
+  // send(table, row) inserts one row and throws the database error on failure
+  constructor({
+    send,
+    persistence = defaultOutboxPersistence(),
+    baseDelayMs = OUTBOX_DEFAULTS.BASE_DELAY_MS,
+    maxDelayMs = OUTBOX_DEFAULTS.MAX_DELAY_MS,
+    now = () => Date.now()
+  }) {
+    this.send = send;
+    this.persistence = persistence;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.now = now;
+
+    this.entries = [];
+    this.lastSyncAt = null;
+    this.lastAttemptAt = null;
+    this.lastError = null;
+    this.flushing = null;
+    this.timer = null;
+
+    // Writes queued in an earlier visit are retried once loaded
+    this.ready = persistence.load()
+      .then(records => { this.entries = records?.[OUTBOX_RECORD]?.entries || []; })
+      .catch(error => logger.error('Error loading queued writes', error))
+      .then(() => this.scheduleRetry());
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      this.handleOnline = () => this.flush({ force: true });
+      window.addEventListener('online', this.handleOnline);
+    }
+  }
+
+  // Insert now, or queue when the database can't be reached. Resolves to
+  // { queued }; errors that retrying can't fix are thrown to the caller.
+  async write(table, row) {
+    await this.ready;
+
+    try {
+      this.lastAttemptAt = this.now();
+      await this.send(table, row);
+      this.lastSyncAt = this.now();
+      this.lastError = null;
+      return { queued: false };
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+      await this.enqueue(table, row, error);
+      return { queued: true };
+    }
+  }
+
+  async enqueue(table, row, error) {
+    const queuedAt = this.now();
+    const entry = {
+      key: entryKey(table, row, queuedAt),
+      table,
+      sessionId: row.session_id ?? null,
+      row,
+      attempts: error ? 1 : 0,
+      queuedAt,
+      nextAttemptAt: queuedAt + (error ? retryDelay(1, this.baseDelayMs, this.maxDelayMs) : 0),
+      lastError: error?.message || null
+    };
+
+    this.entries.push(entry);
+    if (error) this.lastError = error.message;
+
+    logger.warn(`Queued ${table} write (${this.entries.length} waiting)`, { sessionId: entry.sessionId, error: entry.lastError });
+    await this.persist();
+    this.scheduleRetry();
+  }
+
+  // Send every entry that is due; force ignores the backoff (used when the
+  // browser reports it is back online)
+  flush({ force = false } = {}) {
+    if (!this.flushing) {
+      this.flushing = this.sendDueEntries(force).finally(() => {
+        this.flushing = null;
+        this.scheduleRetry();
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendDueEntries(force) {
+    await this.ready;
+    const due = this.entries.filter(entry => force || entry.nextAttemptAt <= this.now());
+    if (due.length === 0) return;
+
+    for (const entry of due) {
+      this.lastAttemptAt = this.now();
+      try {
+        await this.send(entry.table, entry.row);
+        this.remove(entry);
+        this.lastSyncAt = this.now();
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        if (!isRetryableError(error)) {
+          logger.error(`Dropping queued ${entry.table} write`, { sessionId: entry.sessionId, error });
+          this.remove(entry);
+          continue;
+        }
+        entry.attempts += 1;
+        entry.lastError = error.message;
+        entry.nextAttemptAt = this.now() + retryDelay(entry.attempts, this.baseDelayMs, this.maxDelayMs);
+      }
+    }
+
+    await this.persist();
+    if (this.entries.length === 0) {
+      logger.info('Queued writes synced');
+    }
+  }
+
+  // By identity, so a replacement queued while this one was sending stays
+  remove(entry) {
+    this.entries = this.entries.filter(existing => existing !== entry);
+  }
+
+  async persist() {
+    try {
+      await this.persistence.save(OUTBOX_RECORD, { entries: this.entries });
+    } catch (error) {
+      logger.error('Error persisting queued writes', error);
+    }
+  }
+
+  scheduleRetry() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.entries.length === 0) return;
+
+    const nextAttemptAt = Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+    this.timer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - this.now(), 0));
+  }
+
+  getStatus() {
+    return {
+      queueDepth: this.entries.length,
+      lastSyncAt: this.lastSyncAt,
+      lastAttemptAt: this.lastAttemptAt,
+      lastError: this.lastError,
+      oldestQueuedAt: this.entries.length > 0 ? Math.min(...this.entries.map(entry => entry.queuedAt)) : null,
+      nextRetryAt: this.entries.length > 0 ? Math.min(...this.entries.map(entry => entry.nextAttemptAt)) : null
+    };
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.handleOnline) {
+      window.removeEventListener('online', this.handleOnline);
+    }
+  }
+}
+
+// Unique per write, including across reloads (entries come back from
+// persistence with their keys)
+function entryKey(table, row, queuedAt) {
+  return `${table}:${row.session_id ?? 'unkeyed'}:${queuedAt}:${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export default WriteOutbox;
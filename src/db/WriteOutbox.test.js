@@ -0,0 +1,132 @@
+import { WriteOutbox, retryDelay, isRetryableError } from './WriteOutbox';
+import { SupabaseDataManager } from './SupabaseDataManager';
+import { createLocalClient, memoryPersistence } from './LocalTableStore';
+import { TABLES } from './schema';
+
+const networkError = { message: 'TypeError: Failed to fetch', code: '' };
+
+// Persistence that keeps what was saved, so a second outbox can load it
+const sharedPersistence = () => {
+  const records = {};
+  return {
+    name: 'shared',
+    load: async () => JSON.parse(JSON.stringify(records)),
+    save: async (name, value) => { records[name] = JSON.parse(JSON.stringify(value)); }
+  };
+};
+
+describe('WriteOutbox', () => {
+  let clock;
+  const outboxes = [];
+  const createOutbox = (options) => {
+    const outbox = new WriteOutbox({ persistence: memoryPersistence(), now: () => clock, ...options });
+    outboxes.push(outbox);
+    return outbox;
+  };
+
+  beforeEach(() => {
+    clock = 1000000;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    outboxes.splice(0).forEach(outbox => outbox.dispose());
+    jest.restoreAllMocks();
+  });
+
+  it('backs off exponentially and retries only non-permanent errors', () => {
+    expect([1, 2, 3, 4].map(attempts => retryDelay(attempts, 1000, 5000))).toEqual([1000, 2000, 4000, 5000]);
+    expect(isRetryableError(networkError)).toBe(true);
+    expect(isRetryableError({ code: '08006', message: 'connection failure' })).toBe(true);
+    expect(isRetryableError({ code: '42703', message: 'column does not exist' })).toBe(false);
+  });
+
+  it('queues a write the database could not take and retries it when due', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(networkError)
+      .mockRejectedValueOnce(networkError)
+      .mockResolvedValue();
+    const outbox = createOutbox({ send });
+
+    expect(await outbox.write('user_profiles', { session_id: 's1' })).toEqual({ queued: true });
+    expect(outbox.getStatus()).toMatchObject({ queueDepth: 1, lastSyncAt: null, nextRetryAt: clock + 2000 });
+
+    // Not due yet
+    await outbox.flush();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    clock += 2000;
+    await outbox.flush();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(outbox.getStatus()).toMatchObject({ queueDepth: 1, nextRetryAt: clock + 4000 });
+
+    clock += 4000;
+    await outbox.flush();
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(outbox.getStatus()).toMatchObject({ queueDepth: 0, lastSyncAt: clock, lastError: null });
+  });
+
+  it('keeps every queued write of a session, such as a restarted quiz\'s', async () => {
+    const send = jest.fn().mockRejectedValue(networkError);
+    const outbox = createOutbox({ send });
+
+    await outbox.write('user_profiles', { session_id: 's1', total_questions: 5 });
+    await outbox.write('user_profiles', { session_id: 's1', total_questions: 7 });
+    await outbox.write('user_feedback', { session_id: 's1' });
+    await outbox.flush({ force: true });
+
+    // Retries reuse the entry rather than queueing the row again
+    expect(outbox.entries.map(entry => [entry.table, entry.row.total_questions, entry.attempts]))
+      .toEqual([['user_profiles', 5, 2], ['user_profiles', 7, 2], ['user_feedback', undefined, 2]]);
+    expect(new Set(outbox.entries.map(entry => entry.key)).size).toBe(3);
+
+    send.mockReset().mockResolvedValue();
+    await outbox.flush({ force: true });
+    expect(send.mock.calls.filter(([table]) => table === 'user_profiles')).toEqual([
+      ['user_profiles', { session_id: 's1', total_questions: 5 }],
+      ['user_profiles', { session_id: 's1', total_questions: 7 }]
+    ]);
+    expect(outbox.getStatus().queueDepth).toBe(0);
+  });
+
+  it('survives a reload', async () => {
+    const persistence = sharedPersistence();
+    await createOutbox({ persistence, send: jest.fn().mockRejectedValue(networkError) })
+      .write('user_feedback', { session_id: 's1', accuracy: 'very_accurate' });
+
+    const send = jest.fn().mockResolvedValue();
+    const reloaded = createOutbox({ persistence, send });
+    await reloaded.ready;
+    expect(reloaded.getStatus().queueDepth).toBe(1);
+
+    await reloaded.flush({ force: true });
+    expect(send).toHaveBeenCalledWith('user_feedback', { session_id: 's1', accuracy: 'very_accurate' });
+  });
+
+  it('lets SupabaseDataManager keep profiles written while the database is down', async () => {
+    const client = createLocalClient(memoryPersistence(), { schema: TABLES });
+    let online = false;
+    const flakyClient = {
+      from: (table) => (online ? client.from(table) : { insert: async () => ({ data: null, error: networkError }) })
+    };
+    const dataManager = new SupabaseDataManager({ client: flakyClient, backend: 'supabase', outboxPersistence: memoryPersistence() });
+    outboxes.push(dataManager.outbox);
+
+    expect(await dataManager.addProfile({ sessionId: 's1', totalQuestions: 5 })).toBe(true);
+    expect(dataManager.getSyncStatus()).toMatchObject({ backend: 'supabase', queueDepth: 1 });
+
+    online = true;
+    const status = await dataManager.syncPendingWrites();
+    expect(status).toMatchObject({ queueDepth: 0, lastError: null });
+    expect((await dataManager.getProfiles()).map(profile => profile.sessionId)).toEqual(['s1']);
+  });
+
+  it('does not queue writes the database rejects', async () => {
+    const outbox = createOutbox({ send: jest.fn().mockRejectedValue({ code: '42703', message: 'column does not exist' }) });
+
+    await expect(outbox.write('user_feedback', { session_id: 's1' })).rejects.toMatchObject({ code: '42703' });
+    expect(outbox.getStatus().queueDepth).toBe(0);
+  });
+});
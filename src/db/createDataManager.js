@@ -0,0 +1,36 @@
+// createDataManager.js - Picks the data backend from config
+//
+// Every backend exposes the SupabaseDataManager interface: addProfile,
+// getProfiles, addFeedback, getFeedbacks, updateQuestionEffectiveness,
+// getQuestionEffectiveness, getMLMetrics, the question catalog methods, and a
+// `supabase` query client that AlgorithmManager uses for the algorithm,
+// assignment and A/B test tables.
+import { SupabaseDataManager } from './SupabaseDataManager.js';
+import { LocalDataManager } from './LocalDataManager.js';
+import { memoryPersistence } from './LocalTableStore.js';
+import { DATA_BACKENDS, resolveBackendConfig } from './BackendConfig.js';
+
+export { DATA_BACKENDS };
+
+// Backend for the current environment (see BackendConfig.js); tests get the in-memory one
+export function getConfiguredBackend() {
+  return resolveBackendConfig().dataBackend;
+}
+
+// `backend` overrides the environment's choice, e.g. MLService({ dataBackend: 'memory' })
+export function createDataManager(backend = null, options = {}) {
+  const config = resolveBackendConfig(options.env || process.env, { dataBackend: backend });
+
+  switch (config.dataBackend) {
+    case DATA_BACKENDS.LOCAL:
+      return new LocalDataManager(options);
+    case DATA_BACKENDS.MEMORY:
+      return new LocalDataManager({ ...options, persistence: memoryPersistence(), backend: DATA_BACKENDS.MEMORY });
+    case DATA_BACKENDS.SUPABASE:
+      return new SupabaseDataManager({ ...options, supabase: config.supabase });
+    default:
+      throw new Error(`Unknown data backend "${config.dataBackend}" (expected ${Object.values(DATA_BACKENDS).join(' or ')})`);
+  }
+}
+
+export default createDataManager;
@@ -0,0 +1,39 @@
+// fetchAllRows.js - Read every row a query matches, one range() page at a time
+//
+// PostgREST caps each response at its max-rows setting (1000 by default) and
+// silently drops the rest. buildQuery() returns a fresh query ordered on
+// unique columns, so pages don't overlap; pages are requested until one
+// comes back short.
+
+// Rows per request; at most the server's max-rows, or every page is short
+export const PAGE_SIZE = 1000;
+
+export async function fetchAllRows(buildQuery, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) return { data: null, error };
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return { data: rows, error: null };
+  }
+}
+
+// Values per in() filter. Each one lands in the request URL, so a long list
+// is sent as several requests rather than one URL the server may refuse
+export const IN_BATCH_SIZE = 200;
+
+// Every row matching a list of values: buildQuery(batch) filters on one
+// batch of them with in() and is paged like fetchAllRows
+export async function fetchAllRowsIn(values, buildQuery, batchSize = IN_BATCH_SIZE) {
+  const rows = [];
+  for (let start = 0; start < values.length; start += batchSize) {
+    const batch = values.slice(start, start + batchSize);
+    const { data, error } = await fetchAllRows(() => buildQuery(batch));
+    if (error) return { data: null, error };
+    rows.push(...data);
+  }
+  return { data: rows, error: null };
+}
+
+export default fetchAllRows;
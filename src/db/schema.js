@@ -0,0 +1,123 @@
+// schema.js - The tables and columns the app reads and writes
+//
+// Mirrors db/migrations; schema.test.js fails when the two drift apart.
+// verifySchema probes a query-builder client (supabase-js or the local
+// tables) and reports what is missing, so a stale database shows up at
+// startup instead of as failed inserts later on.
+
+// Latest migration in db/migrations
+export const SCHEMA_VERSION = 7;
+
+export const TABLES = {
+  user_profiles: [
+    'id', 'session_id', 'scores', 'answers', 'recommendations', 'total_questions',
+    'question_sequence', 'catalog_version', 'stop_reason', 'created_at'
+  ],
+  user_feedback: [
+    'id', 'session_id', 'accuracy', 'helpful', 'detailed_comments', 'response_time',
+    'dimension_feedback', 'created_at'
+  ],
+  question_catalogs: [
+    'id', 'version', 'status', 'definition', 'published_at', 'created_at'
+  ],
+  question_effectiveness: [
+    'id', 'question_id', 'total_uses', 'total_effectiveness', 'average_effectiveness',
+    'updated_at', 'created_at'
+  ],
+  scoring_algorithms: [
+    'id', 'version', 'algorithm_name', 'dimension_weights', 'question_type_weights',
+    'calculation_method', 'option_scores', 'notes', 'is_active', 'created_at'
+  ],
+  question_selection_algorithms: [
+    'id', 'version', 'algorithm_name', 'selection_logic', 'notes', 'is_active', 'created_at'
+  ],
+  ml_model_versions: [
+    'id', 'version', 'algorithm_name', 'model_type', 'config', 'notes', 'is_active', 'created_at'
+  ],
+  ab_tests: [
+    'id', 'test_name', 'description', 'algorithm_type', 'version_a', 'version_b', 'traffic_split',
+    'variants', 'holdout_percentage', 'traffic_percentage', 'auto_rollout', 'start_date',
+    'end_date', 'success_metrics', 'status', 'results', 'created_at'
+  ],
+  user_algorithm_assignments: [
+    'id', 'session_id', 'user_fingerprint', 'algorithm_type', 'algorithm_version', 'ab_test_id',
+    'variant', 'assigned_at', 'created_at'
+  ],
+  algorithm_performance: [
+    'id', 'algorithm_type', 'algorithm_version', 'metric_name', 'metric_value',
+    'measurement_date', 'sample_size', 'created_at'
+  ],
+  experiment_audit_log: [
+    'id', 'ab_test_id', 'action', 'reason', 'details', 'actor', 'created_at'
+  ],
+  session_events: [
+    'id', 'session_id', 'event_type', 'sequence', 'question_id', 'payload', 'occurred_at', 'created_at'
+  ]
+};
+
+// Local versions of the SQL functions the migrations create, run by
+// LocalTableStore.rpc
+export const FUNCTIONS = {
+  // 0007: add one use of a question and its effectiveness
+  record_question_effectiveness: {
+    tables: ['question_effectiveness'],
+    run: (store, { p_question_id: questionId, p_effectiveness: effectiveness }) => {
+      const table = store.getTable('question_effectiveness');
+      const row = table.rows.find(candidate => candidate.question_id === questionId) ||
+        store.insertRow(table, { question_id: questionId, total_uses: 0, total_effectiveness: 0 });
+      row.total_uses += 1;
+      row.total_effectiveness += effectiveness;
+      row.average_effectiveness = row.total_effectiveness / row.total_uses;
+      row.updated_at = new Date().toISOString();
+    }
+  }
+};
+
+// Postgres reports 42P01/42703; PostgREST answers with its own codes once its
+// schema cache is loaded
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+const MISSING_COLUMN_CODES = ['42703', 'PGRST204'];
+
+const isMissingTable = (error) =>
+  MISSING_TABLE_CODES.includes(error.code) ||
+  /relation .* does not exist|could not find the table/i.test(error.message || '');
+
+const isMissingColumn = (error) =>
+  MISSING_COLUMN_CODES.includes(error.code) ||
+  /column .* does not exist|could not find the .* column/i.test(error.message || '');
+
+// Compare the live schema with TABLES. One query per table (run in parallel)
+// when it is up to date; a table that fails is probed column by column to
+// name what is missing.
+export async function verifySchema(client, tables = TABLES) {
+  const status = { ok: true, missingTables: [], missingColumns: {}, errors: [] };
+
+  const results = await Promise.all(Object.entries(tables).map(async ([tableName, columns]) => {
+    const { error } = await client.from(tableName).select(columns.join(', ')).limit(1);
+    if (!error || isMissingTable(error) || !isMissingColumn(error)) {
+      return { tableName, error };
+    }
+
+    const probes = await Promise.all(columns.map(column => client.from(tableName).select(column).limit(1)));
+    const missing = columns.filter((column, index) => probes[index].error && isMissingColumn(probes[index].error));
+    return { tableName, error, missing };
+  }));
+
+  results.forEach(({ tableName, error, missing }) => {
+    if (!error) return;
+    if (missing) {
+      status.missingColumns[tableName] = missing;
+    } else if (isMissingTable(error)) {
+      status.missingTables.push(tableName);
+    } else {
+      status.errors.push({ table: tableName, message: error.message });
+    }
+  });
+
+  status.ok = status.missingTables.length === 0 &&
+    Object.keys(status.missingColumns).length === 0 &&
+    status.errors.length === 0;
+  return status;
+}
+
+export default verifySchema;
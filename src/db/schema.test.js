@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { TABLES, SCHEMA_VERSION, verifySchema } from './schema';
+import { LocalDataManager } from './LocalDataManager';
+import { memoryPersistence } from './LocalTableStore';
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'db', 'migrations');
+
+// Tables and columns the migrations create, applied in order
+const readMigratedSchema = () => {
+  const tables = {};
+  fs.readdirSync(MIGRATIONS_DIR).sort().forEach(file => {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+
+    for (const [, table, body] of sql.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*?)\n\);/g)) {
+      tables[table] = body.split('\n')
+        .map(line => line.trim().match(/^([a-z_]+) [A-Z]/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    }
+    for (const [, table, column] of sql.matchAll(/ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+)/g)) {
+      tables[table].push(column);
+    }
+  });
+  return tables;
+};
+
+describe('database schema', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches the SQL migrations', () => {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql'));
+    expect(files).toHaveLength(SCHEMA_VERSION);
+
+    const migrated = readMigratedSchema();
+    expect(Object.keys(migrated).sort()).toEqual(Object.keys(TABLES).sort());
+    Object.entries(TABLES).forEach(([table, columns]) => {
+      expect([table, [...migrated[table]].sort()]).toEqual([table, [...columns].sort()]);
+    });
+  });
+
+  it('passes for a database at the current version', async () => {
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence() });
+    const status = await verifySchema(dataManager.supabase);
+
+    expect(status).toEqual({ ok: true, missingTables: [], missingColumns: {}, errors: [] });
+  });
+
+  it('names the missing tables and columns of an older database', async () => {
+    const { experiment_audit_log, ...olderTables } = TABLES;
+    const olderSchema = {
+      ...olderTables,
+      ab_tests: TABLES.ab_tests.filter(column => column !== 'auto_rollout' && column !== 'variants')
+    };
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence(), schema: olderSchema });
+
+    const status = await verifySchema(dataManager.supabase);
+
+    expect(status.ok).toBe(false);
+    expect(status.missingTables).toEqual(['experiment_audit_log']);
+    expect(status.missingColumns).toEqual({ ab_tests: ['variants', 'auto_rollout'] });
+  });
+
+  it('rejects unknown columns in local writes like Postgres does', async () => {
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence() });
+
+    const { error } = await dataManager.supabase.from('user_feedback').insert({ session_id: 's1', rating: 5 });
+    expect(error).toMatchObject({ code: '42703' });
+  });
+});
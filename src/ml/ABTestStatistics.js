@@ -0,0 +1,291 @@
+// ABTestStatistics.js - Significance tests, power and sample-ratio checks for A/B test analytics
+
+const DEFAULT_ALPHA = 0.05;
+const DEFAULT_POWER = 0.8;
+const DEFAULT_SRM_THRESHOLD = 0.001;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse standard normal CDF (Acklam's rational approximation)
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Log gamma (Lanczos approximation)
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Regularized lower incomplete gamma P(a, x)
+function regularizedGammaP(a, x) {
+  if (x <= 0) return 0;
+  const logFront = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n <= 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return sum * Math.exp(logFront);
+  }
+
+  const tiny = 1e-30;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n <= 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return 1 - Math.exp(logFront) * h;
+}
+
+// Two-sided p-value of a Student t statistic
+export function studentTTwoSidedPValue(t, degreesOfFreedom) {
+  return regularizedBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+}
+
+// Critical t value for a two-sided interval, found by bisection
+function studentTCritical(alpha, degreesOfFreedom) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (studentTTwoSidedPValue(mid, degreesOfFreedom) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+export function chiSquarePValue(chiSquare, degreesOfFreedom) {
+  return 1 - regularizedGammaP(degreesOfFreedom / 2, chiSquare / 2);
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const sampleVariance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+export const proportionVariance = (rate) => rate * (1 - rate);
+
+// Compare two rates, e.g. quiz completion. Arms are { successes, total }
+export function twoProportionZTest(control, treatment, { alpha = DEFAULT_ALPHA } = {}) {
+  if (!control.total || !treatment.total) {
+    return { test: 'two_proportion_z', insufficientData: true, significant: false, pValue: null };
+  }
+
+  const controlRate = control.successes / control.total;
+  const treatmentRate = treatment.successes / treatment.total;
+  const difference = treatmentRate - controlRate;
+
+  // Pooled standard error under the null for the test, unpooled for the interval
+  const pooledRate = (control.successes + treatment.successes) / (control.total + treatment.total);
+  const nullError = Math.sqrt(proportionVariance(pooledRate) * (1 / control.total + 1 / treatment.total));
+  const standardError = Math.sqrt(proportionVariance(controlRate) / control.total + proportionVariance(treatmentRate) / treatment.total);
+
+  const zScore = nullError > 0 ? difference / nullError : 0;
+  const pValue = nullError > 0 ? 2 * (1 - normalCdf(Math.abs(zScore))) : 1;
+  const margin = normalQuantile(1 - alpha / 2) * standardError;
+
+  return {
+    test: 'two_proportion_z',
+    control: controlRate,
+    treatment: treatmentRate,
+    difference,
+    statistic: zScore,
+    pValue,
+    confidenceInterval: [difference - margin, difference + margin],
+    significant: pValue < alpha
+  };
+}
+
+// Compare two means without assuming equal variances, e.g. accuracy scores
+export function welchTTest(controlValues, treatmentValues, { alpha = DEFAULT_ALPHA } = {}) {
+  if (controlValues.length < 2 || treatmentValues.length < 2) {
+    return { test: 'welch_t', insufficientData: true, significant: false, pValue: null };
+  }
+
+  const controlMean = mean(controlValues);
+  const treatmentMean = mean(treatmentValues);
+  const difference = treatmentMean - controlMean;
+  const controlTerm = sampleVariance(controlValues) / controlValues.length;
+  const treatmentTerm = sampleVariance(treatmentValues) / treatmentValues.length;
+  const standardError = Math.sqrt(controlTerm + treatmentTerm);
+
+  // Both arms constant: the difference is exact
+  if (standardError === 0) {
+    return {
+      test: 'welch_t',
+      control: controlMean,
+      treatment: treatmentMean,
+      difference,
+      statistic: difference === 0 ? 0 : Math.sign(difference) * Infinity,
+      degreesOfFreedom: controlValues.length + treatmentValues.length - 2,
+      pValue: difference === 0 ? 1 : 0,
+      confidenceInterval: [difference, difference],
+      significant: difference !== 0
+    };
+  }
+
+  // Welch-Satterthwaite degrees of freedom
+  const degreesOfFreedom = (controlTerm + treatmentTerm) ** 2 /
+    (controlTerm ** 2 / (controlValues.length - 1) + treatmentTerm ** 2 / (treatmentValues.length - 1));
+  const tScore = difference / standardError;
+  const pValue = studentTTwoSidedPValue(tScore, degreesOfFreedom);
+  const margin = studentTCritical(alpha, degreesOfFreedom) * standardError;
+
+  return {
+    test: 'welch_t',
+    control: controlMean,
+    treatment: treatmentMean,
+    difference,
+    statistic: tScore,
+    degreesOfFreedom,
+    pValue,
+    confidenceInterval: [difference - margin, difference + margin],
+    significant: pValue < alpha
+  };
+}
+
+// Smallest absolute difference the current sample sizes can detect.
+// variance is p(1-p) for a rate or s^2 for a mean
+export function minimumDetectableEffect({ variance, controlSize, treatmentSize }, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  if (!controlSize || !treatmentSize) return null;
+  const zTotal = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  return zTotal * Math.sqrt(variance * (1 / controlSize + 1 / treatmentSize));
+}
+
+// Sessions needed per arm to detect an absolute difference of `effect`
+export function requiredSampleSize({ variance, effect }, { alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  if (!effect || !(variance > 0)) return null;
+  const zTotal = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  return Math.ceil(2 * zTotal ** 2 * variance / effect ** 2);
+}
+
+// Chi-square goodness-of-fit of the observed arm counts against the
+// configured split. A mismatch means assignment or logging is broken and the
+// test results should not be trusted
+export function sampleRatioMismatch(observedCounts, expectedShares, { threshold = DEFAULT_SRM_THRESHOLD } = {}) {
+  const total = observedCounts.reduce((sum, count) => sum + count, 0);
+  const shareTotal = expectedShares.reduce((sum, share) => sum + share, 0);
+  const normalizedShares = expectedShares.map(share => share / shareTotal);
+
+  if (total === 0 || observedCounts.length < 2) {
+    return { chiSquare: 0, degreesOfFreedom: 0, pValue: 1, detected: false, observedShares: [], expectedShares: normalizedShares };
+  }
+
+  const chiSquare = observedCounts.reduce((sum, count, index) => {
+    const expected = total * normalizedShares[index];
+    return expected > 0 ? sum + (count - expected) ** 2 / expected : sum;
+  }, 0);
+  const degreesOfFreedom = observedCounts.length - 1;
+  const pValue = chiSquarePValue(chiSquare, degreesOfFreedom);
+
+  return {
+    chiSquare,
+    degreesOfFreedom,
+    pValue,
+    detected: pValue < threshold,
+    observedShares: observedCounts.map(count => count / total),
+    expectedShares: normalizedShares
+  };
+}
+
+// Lan-DeMets O'Brien-Fleming-type spending function: the share of alpha that
+// may have been spent once `informationFraction` of the planned sample is in.
+// Early looks get almost none, so checking a running test often stays safe
+export function obrienFlemingAlphaSpent(informationFraction, alpha = DEFAULT_ALPHA) {
+  if (!(informationFraction > 0)) return 0;
+  const fraction = Math.min(1, informationFraction);
+  return 2 - 2 * normalCdf(normalQuantile(1 - alpha / 2) / Math.sqrt(fraction));
+}
@@ -0,0 +1,109 @@
+import {
+  normalQuantile,
+  twoProportionZTest,
+  welchTTest,
+  minimumDetectableEffect,
+  requiredSampleSize,
+  sampleRatioMismatch,
+  proportionVariance
+} from './ABTestStatistics';
+import { AlgorithmManager } from './AlgorithmManager';
+
+describe('ABTestStatistics', () => {
+  it('inverts the normal CDF', () => {
+    expect(normalQuantile(0.975)).toBeCloseTo(1.96, 3);
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 6);
+  });
+
+  it('runs a two-proportion z-test with a confidence interval', () => {
+    const result = twoProportionZTest({ successes: 200, total: 1000 }, { successes: 250, total: 1000 });
+
+    expect(result.difference).toBeCloseTo(0.05);
+    expect(result.statistic).toBeCloseTo(2.677, 2);
+    expect(result.pValue).toBeCloseTo(0.0074, 3);
+    expect(result.confidenceInterval[0]).toBeCloseTo(0.0135, 3);
+    expect(result.confidenceInterval[1]).toBeCloseTo(0.0865, 3);
+    expect(result.significant).toBe(true);
+  });
+
+  it('runs a Welch t-test on unequal variances', () => {
+    const result = welchTTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 8]);
+
+    expect(result.statistic).toBeCloseTo(1.976, 2);
+    expect(result.degreesOfFreedom).toBeCloseTo(7.71, 1);
+    expect(result.pValue).toBeCloseTo(0.085, 2);
+    expect(result.confidenceInterval[0]).toBeLessThan(0);
+    expect(result.significant).toBe(false);
+  });
+
+  it('flags tests without enough data', () => {
+    expect(twoProportionZTest({ successes: 0, total: 0 }, { successes: 1, total: 2 }).insufficientData).toBe(true);
+    expect(welchTTest([1], [1, 2]).insufficientData).toBe(true);
+  });
+
+  it('relates minimum detectable effect and required sample size', () => {
+    const variance = proportionVariance(0.5);
+    const required = requiredSampleSize({ variance, effect: 0.05 });
+
+    expect(required).toBe(1570);
+    expect(minimumDetectableEffect({ variance, controlSize: required, treatmentSize: required })).toBeCloseTo(0.05, 3);
+  });
+
+  it('detects sample ratio mismatch against the configured split', () => {
+    expect(sampleRatioMismatch([5020, 4980], [0.5, 0.5]).detected).toBe(false);
+
+    const mismatch = sampleRatioMismatch([5000, 5600], [0.5, 0.5]);
+    expect(mismatch.degreesOfFreedom).toBe(1);
+    expect(mismatch.detected).toBe(true);
+  });
+});
+
+describe('AlgorithmManager A/B test analytics', () => {
+  const test = {
+    id: 1,
+    test_name: 'Scoring v1.1',
+    version_a: 'v1.0.0',
+    version_b: 'v1.1.0',
+    traffic_split: 0.5,
+    success_metrics: { completion: {} }
+  };
+
+  // count sessions per arm, `completed` of which saved a profile
+  const buildOutcomes = (arms) => {
+    const assignments = [];
+    const completedSessions = new Set();
+    Object.entries(arms).forEach(([version, { count, completed }]) => {
+      for (let i = 0; i < count; i++) {
+        const sessionId = `${version}_${i}`;
+        assignments.push({ session_id: sessionId, algorithm_version: version });
+        if (i < completed) completedSessions.add(sessionId);
+      }
+    });
+    return { assignments, outcomes: { completedSessions, feedback: [] } };
+  };
+
+  it('calls a winner on a significant primary metric', () => {
+    const { assignments, outcomes } = buildOutcomes({
+      'v1.0.0': { count: 1000, completed: 600 },
+      'v1.1.0': { count: 1000, completed: 700 }
+    });
+    const analytics = new AlgorithmManager(null).calculateABTestAnalytics(test, assignments, outcomes);
+
+    expect(analytics.primaryMetric).toBe('completion_rate');
+    expect(analytics.comparisons[0].metrics.completion_rate.significant).toBe(true);
+    expect(analytics.sampleRatioMismatch.detected).toBe(false);
+    expect(analytics.winner).toBe('version_b');
+    expect(analytics.winnerVersion).toBe('v1.1.0');
+  });
+
+  it('withholds a winner when the split is mismatched', () => {
+    const { assignments, outcomes } = buildOutcomes({
+      'v1.0.0': { count: 1000, completed: 600 },
+      'v1.1.0': { count: 1300, completed: 910 }
+    });
+    const analytics = new AlgorithmManager(null).calculateABTestAnalytics(test, assignments, outcomes);
+
+    expect(analytics.sampleRatioMismatch.detected).toBe(true);
+    expect(analytics.winner).toBe('inconclusive');
+  });
+});
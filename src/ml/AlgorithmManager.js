@@ -1,4 +1,47 @@
 // AlgorithmManager.js - Database-driven ML algorithm management with A/B testing
+import { DEFAULT_SCORING_ALGORITHM } from './ScoringEngine.js';
+import { assignVariant, normalizeExperiment } from './ExperimentAssignment.js';
+import {
+  twoProportionZTest,
+  welchTTest,
+  minimumDetectableEffect,
+  requiredSampleSize,
+  sampleRatioMismatch,
+  proportionVariance,
+  sampleVariance
+} from './ABTestStatistics.js';
+import { ML_CONFIG } from './MLConfig.js';
+import { createLogger } from './Logger.js';
+import { fetchAllRows, fetchAllRowsIn } from '../db/fetchAllRows.js';
+
+const logger = createLogger('AlgorithmManager');
+
+// Table holding the versions of each algorithm type
+const ALGORITHM_TABLES = {
+  scoring: 'scoring_algorithms',
+  question_selection: 'question_selection_algorithms',
+  similarity_calculator: 'ml_model_versions'
+};
+
+// The admin UI and service use camelCase keys (questionSelection)
+export function normalizeAlgorithmType(algorithmType) {
+  return algorithmType.replace(/([A-Z])/g, '_$1').toLowerCase();
+}
+
+// Metrics analysed for every A/B test and the per-arm outcome they use
+const AB_TEST_METRICS = {
+  completion_rate: { type: 'proportion', arm: 'completion' },
+  helpful_rate: { type: 'proportion', arm: 'helpful' },
+  accuracy: { type: 'mean', arm: 'accuracyScores' }
+};
+
+function getAlgorithmTable(algorithmType) {
+  const tableName = ALGORITHM_TABLES[normalizeAlgorithmType(algorithmType)];
+  if (!tableName) {
+    throw new Error(`Unknown algorithm type: ${algorithmType}`);
+  }
+  return tableName;
+}
 
 export class AlgorithmManager {
   constructor(supabaseClient) {
@@ -13,7 +56,7 @@ export class AlgorithmManager {
     if (this.initialized) return;
 
     try {
-      console.log('🔧 Initializing AlgorithmManager...');
+      logger.debug('Initializing AlgorithmManager...');
 
       // Load all active algorithms
       await this.loadActiveAlgorithms();
@@ -22,17 +65,17 @@ export class AlgorithmManager {
       await this.loadActiveABTests();
 
       this.initialized = true;
-      console.log('✅ AlgorithmManager initialized successfully');
+      logger.info('AlgorithmManager initialized');
 
     } catch (error) {
-      console.error('❌ Error initializing AlgorithmManager:', error);
+      logger.error('Error initializing AlgorithmManager', error);
       this.initialized = false;
     }
   }
 
   // Load all active algorithms from database
   async loadActiveAlgorithms() {
-    console.log('📥 Loading active algorithms from database...');
+    logger.debug('Loading active algorithms from database...');
 
     try {
       // Load scoring algorithms
@@ -62,48 +105,55 @@ export class AlgorithmManager {
 
       if (modelError) throw modelError;
 
-      // Store in memory for fast access
-      this.loadedAlgorithms.set('scoring', scoringAlgs[0] || null);
-      this.loadedAlgorithms.set('question_selection', questionAlgs[0] || null);
+      // Store in memory for fast access (keep the fallback when nothing is active)
+      this.loadedAlgorithms.set('scoring', scoringAlgs[0] || this.loadedAlgorithms.get('scoring') || null);
+      this.loadedAlgorithms.set('question_selection', questionAlgs[0] || this.loadedAlgorithms.get('question_selection') || null);
       this.loadedAlgorithms.set('similarity_calculator',
-        modelConfigs.find(m => m.model_type === 'similarity_calculator') || null);
+        modelConfigs.find(m => m.model_type === 'similarity_calculator') || this.loadedAlgorithms.get('similarity_calculator') || null);
 
-      console.log('✅ Loaded algorithms:', {
+      logger.debug('Loaded algorithms', {
         scoring: scoringAlgs[0]?.version || 'none',
         questionSelection: questionAlgs[0]?.version || 'none',
         similarityCalculator: modelConfigs.find(m => m.model_type === 'similarity_calculator')?.version || 'none'
       });
 
     } catch (error) {
-      console.error('❌ Error loading algorithms:', error);
+      logger.error('Error loading algorithms', error);
       // Load fallback algorithms
       this.loadFallbackAlgorithms();
     }
   }
 
-  // Load active A/B tests
+  // Load active A/B tests; a test without an end date runs until it is stopped
   async loadActiveABTests() {
     try {
+      const now = new Date().toISOString();
       const { data: tests, error } = await this.supabase
         .from('ab_tests')
         .select('*')
         .eq('status', 'running')
-        .lte('start_date', new Date().toISOString())
-        .gte('end_date', new Date().toISOString());
+        .lte('start_date', now)
+        .or(`end_date.is.null,end_date.gte.${now}`);
 
       if (error) throw error;
 
       this.activeABTests = tests || [];
-      console.log(`📊 Loaded ${this.activeABTests.length} active A/B tests`);
+      logger.debug(`Loaded ${this.activeABTests.length} active A/B tests`);
 
     } catch (error) {
-      console.error('❌ Error loading A/B tests:', error);
+      logger.error('Error loading A/B tests', error);
       this.activeABTests = [];
     }
   }
 
+  // Currently active version of an algorithm type
+  getActiveAlgorithm(algorithmType) {
+    return this.loadedAlgorithms.get(normalizeAlgorithmType(algorithmType)) || null;
+  }
+
   // Get algorithm for user (handles A/B testing)
   async getAlgorithmForUser(sessionId, algorithmType, userFingerprint = null) {
+    algorithmType = normalizeAlgorithmType(algorithmType);
     try {
       // Check if user already has assignment
       const existingAssignment = await this.getUserAssignment(sessionId, algorithmType);
@@ -112,7 +162,7 @@ export class AlgorithmManager {
       }
 
       // Check for active A/B tests for this algorithm type
-      const activeTest = this.activeABTests.find(test =>
+      const activeTest = (this.activeABTests || []).find(test =>
         test.algorithm_type === algorithmType && test.status === 'running'
       );
 
@@ -124,43 +174,66 @@ export class AlgorithmManager {
       return this.loadedAlgorithms.get(algorithmType);
 
     } catch (error) {
-      console.error('❌ Error getting algorithm for user:', error);
+      logger.error('Error getting algorithm for user', { sessionId, error });
       return this.loadedAlgorithms.get(algorithmType);
     }
   }
 
-  // Assign user to A/B test
+  // Assign user to A/B test. The bucket comes from hashing the fingerprint
+  // (or session) with the test id, so the same user always gets the same arm
   async assignUserToABTest(sessionId, abTest, userFingerprint = null) {
     try {
-      // Determine which version to assign (A or B)
-      const random = Math.random();
-      const assignToB = random < abTest.traffic_split;
-      const assignedVersion = assignToB ? abTest.version_b : abTest.version_a;
+      const assignment = assignVariant(userFingerprint || sessionId, abTest);
 
-      console.log(`🧪 A/B Test Assignment: ${sessionId} → ${assignedVersion} (test: ${abTest.test_name})`);
+      // Holdout and not-yet-ramped sessions get the active version and are
+      // not stored, so a later traffic increase can still enrol them
+      if (!assignment.inExperiment) {
+        logger.debug(`A/B test ${abTest.test_name}: not enrolled (${assignment.reason})`, { sessionId });
+        return this.loadedAlgorithms.get(abTest.algorithm_type);
+      }
+
+      const assignedVersion = assignment.variant.version;
+      logger.info(`A/B test ${abTest.test_name}: assigned ${assignment.variant.name} (${assignedVersion})`, { sessionId });
 
-      // Store assignment in database
+      await this.saveAssignment({
+        sessionId,
+        userFingerprint,
+        algorithmType: abTest.algorithm_type,
+        algorithmVersion: assignedVersion,
+        abTestId: abTest.id,
+        variant: assignment.variant.name
+      });
+
+      // Return the assigned algorithm
+      return await this.getAlgorithmByVersion(abTest.algorithm_type, assignedVersion);
+
+    } catch (error) {
+      logger.error('Error in A/B test assignment', { sessionId, error });
+      return this.loadedAlgorithms.get(abTest.algorithm_type);
+    }
+  }
+
+  // Store an assignment so reloads keep the same arm
+  async saveAssignment({ sessionId, userFingerprint = null, algorithmType, algorithmVersion, abTestId = null, variant = null }) {
+    try {
       const { error } = await this.supabase
         .from('user_algorithm_assignments')
         .insert({
           session_id: sessionId,
           user_fingerprint: userFingerprint,
-          algorithm_type: abTest.algorithm_type,
-          algorithm_version: assignedVersion,
-          ab_test_id: abTest.id,
+          algorithm_type: algorithmType,
+          algorithm_version: algorithmVersion,
+          ab_test_id: abTestId,
+          variant,
           assigned_at: new Date().toISOString()
         });
 
-      if (error) {
-        console.error('❌ Error storing A/B assignment:', error);
-      }
-
-      // Return the assigned algorithm
-      return await this.getAlgorithmByVersion(abTest.algorithm_type, assignedVersion);
+      if (error) throw error;
+      return true;
 
     } catch (error) {
-      console.error('❌ Error in A/B test assignment:', error);
-      return this.loadedAlgorithms.get(abTest.algorithm_type);
+      logger.error('Error storing A/B assignment', { sessionId, error });
+      return false;
     }
   }
 
@@ -179,28 +252,33 @@ export class AlgorithmManager {
       return data?.[0] || null;
 
     } catch (error) {
-      console.error('❌ Error getting user assignment:', error);
+      logger.error('Error getting user assignment', error);
       return null;
     }
   }
 
+  // Every stored assignment of one type, e.g. the question selection strategy split
+  async getAssignments(algorithmType) {
+    try {
+      const { data, error } = await fetchAllRows(() => this.supabase
+        .from('user_algorithm_assignments')
+        .select('session_id, algorithm_version, variant, assigned_at')
+        .eq('algorithm_type', algorithmType)
+        .order('id', { ascending: true }));
+
+      if (error) throw error;
+      return data || [];
+
+    } catch (error) {
+      logger.error('Error getting assignments', error);
+      return [];
+    }
+  }
+
   // Get specific algorithm version
   async getAlgorithmByVersion(algorithmType, version) {
     try {
-      let tableName;
-      switch (algorithmType) {
-        case 'scoring':
-          tableName = 'scoring_algorithms';
-          break;
-        case 'question_selection':
-          tableName = 'question_selection_algorithms';
-          break;
-        case 'similarity_calculator':
-          tableName = 'ml_model_versions';
-          break;
-        default:
-          throw new Error(`Unknown algorithm type: ${algorithmType}`);
-      }
+      const tableName = getAlgorithmTable(algorithmType);
 
       const { data, error } = await this.supabase
         .from(tableName)
@@ -212,11 +290,70 @@ export class AlgorithmManager {
       return data;
 
     } catch (error) {
-      console.error(`❌ Error getting ${algorithmType} algorithm version ${version}:`, error);
+      logger.error(`Error getting ${algorithmType} algorithm version ${version}`, error);
       return this.loadedAlgorithms.get(algorithmType);
     }
   }
 
+  // All versions of an algorithm type, newest first
+  async getAlgorithmVersions(algorithmType) {
+    try {
+      const tableName = getAlgorithmTable(algorithmType);
+      let query = this.supabase
+        .from(tableName)
+        .select('*');
+
+      if (tableName === 'ml_model_versions') {
+        query = query.eq('model_type', normalizeAlgorithmType(algorithmType));
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+      if (error) throw error;
+      return data || [];
+
+    } catch (error) {
+      logger.error(`Error listing ${algorithmType} algorithm versions`, error);
+      const active = this.getActiveAlgorithm(algorithmType);
+      return active ? [active] : [];
+    }
+  }
+
+  // All A/B tests with their participant counts, newest first
+  async getABTests() {
+    try {
+      const { data: tests, error } = await this.supabase
+        .from('ab_tests')
+        .select('*')
+        .order('start_date', { ascending: false });
+
+      if (error) throw error;
+
+      const participants = await Promise.all((tests || []).map(test => this.countABTestParticipants(test.id)));
+
+      return (tests || []).map((test, index) => ({
+        ...test,
+        participants: participants[index],
+        winner: test.results?.winner && test.results.winner !== 'inconclusive' ? test.results.winner : null
+      }));
+
+    } catch (error) {
+      logger.error('Error listing A/B tests', error);
+      return [];
+    }
+  }
+
+  // Sessions assigned to a test, counted by the server so tests past its
+  // row cap aren't undercounted
+  async countABTestParticipants(testId) {
+    const { count, error } = await this.supabase
+      .from('user_algorithm_assignments')
+      .select('*', { count: 'exact', head: true })
+      .eq('ab_test_id', testId);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
   // Track algorithm performance
   async trackPerformance(algorithmType, algorithmVersion, metricName, metricValue, sampleSize = 1) {
     try {
@@ -233,13 +370,13 @@ export class AlgorithmManager {
         });
 
       if (error) {
-        console.error('❌ Error tracking performance:', error);
+        logger.error('Error tracking performance', error);
       } else {
-        console.log(`📊 Tracked ${metricName}: ${metricValue} for ${algorithmType} ${algorithmVersion}`);
+        logger.debug(`Tracked ${metricName}: ${metricValue} for ${algorithmType} ${algorithmVersion}`);
       }
 
     } catch (error) {
-      console.error('❌ Error in trackPerformance:', error);
+      logger.error('Error in trackPerformance', error);
     }
   }
 
@@ -255,30 +392,17 @@ export class AlgorithmManager {
         .eq('id', testId);
 
       if (error) throw error;
-      console.log(`📊 Updated A/B test ${testId} results`);
+      logger.debug(`Updated A/B test ${testId} results`);
 
     } catch (error) {
-      console.error('❌ Error updating A/B test results:', error);
+      logger.error('Error updating A/B test results', error);
     }
   }
 
   // Create new algorithm version
   async createAlgorithmVersion(algorithmType, algorithmData) {
     try {
-      let tableName;
-      switch (algorithmType) {
-        case 'scoring':
-          tableName = 'scoring_algorithms';
-          break;
-        case 'question_selection':
-          tableName = 'question_selection_algorithms';
-          break;
-        case 'similarity_calculator':
-          tableName = 'ml_model_versions';
-          break;
-        default:
-          throw new Error(`Unknown algorithm type: ${algorithmType}`);
-      }
+      const tableName = getAlgorithmTable(algorithmType);
 
       const { data, error } = await this.supabase
         .from(tableName)
@@ -288,11 +412,11 @@ export class AlgorithmManager {
 
       if (error) throw error;
 
-      console.log(`✅ Created new ${algorithmType} algorithm version: ${data.version}`);
+      logger.info(`Created new ${algorithmType} algorithm version: ${data.version}`);
       return data;
 
     } catch (error) {
-      console.error(`❌ Error creating ${algorithmType} algorithm:`, error);
+      logger.error(`Error creating ${algorithmType} algorithm`, error);
       return null;
     }
   }
@@ -300,20 +424,7 @@ export class AlgorithmManager {
   // Activate algorithm version
   async activateAlgorithm(algorithmType, version) {
     try {
-      let tableName;
-      switch (algorithmType) {
-        case 'scoring':
-          tableName = 'scoring_algorithms';
-          break;
-        case 'question_selection':
-          tableName = 'question_selection_algorithms';
-          break;
-        case 'similarity_calculator':
-          tableName = 'ml_model_versions';
-          break;
-        default:
-          throw new Error(`Unknown algorithm type: ${algorithmType}`);
-      }
+      const tableName = getAlgorithmTable(algorithmType);
 
       // Deactivate all current versions
       await this.supabase
@@ -332,11 +443,11 @@ export class AlgorithmManager {
       // Reload algorithms
       await this.loadActiveAlgorithms();
 
-      console.log(`✅ Activated ${algorithmType} algorithm version: ${version}`);
+      logger.info(`Activated ${algorithmType} algorithm version: ${version}`);
       return true;
 
     } catch (error) {
-      console.error(`❌ Error activating ${algorithmType} algorithm:`, error);
+      logger.error(`Error activating ${algorithmType} algorithm`, error);
       return false;
     }
   }
@@ -353,8 +464,13 @@ export class AlgorithmManager {
           version_a: testConfig.versionA,
           version_b: testConfig.versionB,
           traffic_split: testConfig.trafficSplit || 0.5,
+          variants: testConfig.variants || null,
+          holdout_percentage: testConfig.holdoutPercentage || 0,
+          traffic_percentage: testConfig.trafficPercentage ?? 100,
+          auto_rollout: testConfig.autoRollout ?? null,
           start_date: testConfig.startDate || new Date().toISOString(),
-          end_date: testConfig.endDate,
+          // The admin form sends '' when no end date is picked
+          end_date: testConfig.endDate || null,
           success_metrics: testConfig.successMetrics,
           status: 'running'
         })
@@ -366,15 +482,121 @@ export class AlgorithmManager {
       // Reload active tests
       await this.loadActiveABTests();
 
-      console.log(`🧪 Created A/B test: ${data.test_name}`);
+      logger.info(`Created A/B test: ${data.test_name}`);
       return data;
 
     } catch (error) {
-      console.error('❌ Error creating A/B test:', error);
+      logger.error('Error creating A/B test', error);
+      return null;
+    }
+  }
+
+  // Ramp a test's traffic. Sessions already enrolled keep their arm and
+  // newly admitted ones are bucketed with the same weights
+  async updateABTestTraffic(testId, trafficPercentage) {
+    try {
+      const { error } = await this.supabase
+        .from('ab_tests')
+        .update({ traffic_percentage: Math.max(0, Math.min(100, trafficPercentage)) })
+        .eq('id', testId);
+
+      if (error) throw error;
+
+      await this.loadActiveABTests();
+      logger.info(`A/B test ${testId} traffic set to ${trafficPercentage}%`);
+      return true;
+
+    } catch (error) {
+      logger.error('Error updating A/B test traffic', error);
+      return false;
+    }
+  }
+
+  // Stop or complete a test. Sessions fall back to the active version once
+  // it is no longer running
+  async updateABTestStatus(testId, status, results = null) {
+    try {
+      const { error } = await this.supabase
+        .from('ab_tests')
+        .update(results ? { status, results } : { status })
+        .eq('id', testId);
+
+      if (error) throw error;
+
+      await this.loadActiveABTests();
+      logger.info(`A/B test ${testId} is now ${status}`);
+      return true;
+
+    } catch (error) {
+      logger.error('Error updating A/B test status', error);
+      return false;
+    }
+  }
+
+  // Audit log of experiment decisions, by the monitor or an admin
+  async recordExperimentDecision({ testId, action, reason, details = {}, actor = 'monitor' }) {
+    try {
+      const { error } = await this.supabase
+        .from('experiment_audit_log')
+        .insert({
+          ab_test_id: testId,
+          action,
+          reason,
+          details,
+          actor,
+          created_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+      return true;
+
+    } catch (error) {
+      logger.error('Error recording experiment decision', error);
+      return false;
+    }
+  }
+
+  async getLatestMonitorDecision(testId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('experiment_audit_log')
+        .select('*')
+        .eq('ab_test_id', testId)
+        .eq('actor', 'monitor')
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data?.[0] || null;
+
+    } catch (error) {
+      logger.error('Error loading latest experiment decision', error);
       return null;
     }
   }
 
+  // Newest first, optionally for one test
+  async getExperimentAuditLog(testId = null, limit = 50) {
+    try {
+      let query = this.supabase
+        .from('experiment_audit_log')
+        .select('*');
+
+      if (testId !== null) query = query.eq('ab_test_id', testId);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return data || [];
+
+    } catch (error) {
+      logger.error('Error loading experiment audit log', error);
+      return [];
+    }
+  }
+
   // Get A/B test analytics
   async getABTestAnalytics(testId) {
     try {
@@ -387,67 +609,199 @@ export class AlgorithmManager {
 
       if (testError) throw testError;
 
-      // Get user assignments for this test
-      const { data: assignments, error: assignmentError } = await this.supabase
+      // Get user assignments for this test, every page of them
+      const { data: assignments, error: assignmentError } = await fetchAllRows(() => this.supabase
         .from('user_algorithm_assignments')
         .select('*')
-        .eq('ab_test_id', testId);
+        .eq('ab_test_id', testId)
+        .order('id', { ascending: true }));
 
       if (assignmentError) throw assignmentError;
 
-      // Get performance metrics for both versions
+      // Per-session outcomes: a saved profile means the quiz was completed.
+      // Session ids go out in batches so the request URL stays short
+      const sessionIds = [...new Set((assignments || []).map(a => a.session_id))];
+
+      const { data: profiles, error: profileError } = await fetchAllRowsIn(sessionIds, batch => this.supabase
+        .from('user_profiles')
+        .select('session_id')
+        .in('session_id', batch)
+        .order('id', { ascending: true }));
+
+      if (profileError) throw profileError;
+
+      const { data: feedback, error: feedbackError } = await fetchAllRowsIn(sessionIds, batch => this.supabase
+        .from('user_feedback')
+        .select('session_id, accuracy, helpful')
+        .in('session_id', batch)
+        .order('id', { ascending: true }));
+
+      if (feedbackError) throw feedbackError;
+
+      // Get performance metrics for the tested versions
+      const versions = normalizeExperiment(test).variants.map(variant => variant.version);
       const { data: performance, error: perfError } = await this.supabase
         .from('algorithm_performance')
         .select('*')
-        .in('algorithm_version', [test.version_a, test.version_b])
+        .in('algorithm_version', versions)
         .eq('algorithm_type', test.algorithm_type);
 
       if (perfError) throw perfError;
 
       // Calculate analytics
-      const analytics = this.calculateABTestAnalytics(test, assignments, performance);
+      const analytics = this.calculateABTestAnalytics(test, assignments || [], {
+        completedSessions: new Set((profiles || []).map(p => p.session_id)),
+        feedback: feedback || []
+      }, performance || []);
 
       return analytics;
 
     } catch (error) {
-      console.error('❌ Error getting A/B test analytics:', error);
+      logger.error('Error getting A/B test analytics', error);
       return null;
     }
   }
 
-  // Calculate A/B test analytics
-  calculateABTestAnalytics(test, assignments, performance) {
-    const versionAAssignments = assignments.filter(a => a.algorithm_version === test.version_a);
-    const versionBAssignments = assignments.filter(a => a.algorithm_version === test.version_b);
-
-    const versionAPerf = performance.filter(p => p.algorithm_version === test.version_a);
-    const versionBPerf = performance.filter(p => p.algorithm_version === test.version_b);
+  // Calculate A/B test analytics - every variant is compared with the first
+  // (control) on completion rate, "helpful" rate and accuracy score
+  calculateABTestAnalytics(test, assignments, outcomes, performance = []) {
+    const { ALPHA, POWER, SRM_THRESHOLD } = ML_CONFIG.EXPERIMENTS;
+    const experiment = normalizeExperiment(test);
+    const arms = this.buildABTestArms(experiment, assignments, outcomes);
+    const [control, ...treatments] = arms;
+
+    const comparisons = treatments.map(arm => ({
+      variant: arm.name,
+      version: arm.version,
+      metrics: Object.fromEntries(Object.keys(AB_TEST_METRICS).map(metricName =>
+        [metricName, this.compareArms(metricName, control, arm)]
+      ))
+    }));
+
+    const sampleRatio = sampleRatioMismatch(
+      arms.map(arm => arm.sessions),
+      experiment.variants.map(variant => variant.weight),
+      { threshold: SRM_THRESHOLD }
+    );
+
+    const primaryMetric = this.getPrimaryMetric(test.success_metrics);
+    const versionBCount = arms[1]?.sessions || 0;
 
     const analytics = {
       testName: test.test_name,
       startDate: test.start_date,
       endDate: test.end_date,
       status: test.status,
+      alpha: ALPHA,
+      power: POWER,
 
       // Assignment stats
       totalAssignments: assignments.length,
-      versionACount: versionAAssignments.length,
-      versionBCount: versionBAssignments.length,
-      actualSplit: versionBAssignments.length / assignments.length,
-      expectedSplit: test.traffic_split,
+      versionACount: control?.sessions || 0,
+      versionBCount,
+      actualSplit: assignments.length > 0 ? versionBCount / assignments.length : 0,
+      expectedSplit: sampleRatio.expectedShares[1] ?? test.traffic_split,
+      sampleRatioMismatch: sampleRatio,
+
+      // Per-variant outcomes and significance tests against the control
+      arms: arms.map(({ name, version, sessions, completion, helpful, accuracyScores }) => ({
+        name,
+        version,
+        sessions,
+        completionRate: completion.total ? completion.successes / completion.total : null,
+        helpfulRate: helpful.total ? helpful.successes / helpful.total : null,
+        averageAccuracy: accuracyScores.length
+          ? accuracyScores.reduce((sum, score) => sum + score, 0) / accuracyScores.length
+          : null
+      })),
+      comparisons,
+      primaryMetric,
 
       // Performance comparison
-      versionAMetrics: this.aggregateMetrics(versionAPerf),
-      versionBMetrics: this.aggregateMetrics(versionBPerf),
+      versionAMetrics: this.aggregateMetrics(performance.filter(p => p.algorithm_version === control?.version)),
+      versionBMetrics: this.aggregateMetrics(performance.filter(p => p.algorithm_version === arms[1]?.version)),
+
+      // Enough sessions per arm to detect the target effect on the primary metric
+      sampleSizeAdequate: comparisons.length > 0 && comparisons.every(comparison => {
+        const metric = comparison.metrics[primaryMetric];
+        return metric.requiredSampleSize !== null && metric.sampleSize >= metric.requiredSampleSize;
+      })
+    };
+
+    analytics.winner = this.determineWinner(control, comparisons, primaryMetric, sampleRatio);
+    analytics.winnerVersion = arms.find(arm => arm.name === analytics.winner)?.version || null;
+
+    return analytics;
+  }
 
-      // Statistical significance (simplified)
-      sampleSizeAdequate: assignments.length >= 100,
+  // Group assignments into variant arms with their per-session outcomes
+  buildABTestArms(experiment, assignments, { completedSessions, feedback }) {
+    const armFor = (assignment) =>
+      experiment.variants.find(variant => variant.name === assignment.variant) ||
+      experiment.variants.find(variant => variant.version === assignment.algorithm_version);
+
+    return experiment.variants.map(variant => {
+      const sessions = new Set(assignments.filter(a => armFor(a) === variant).map(a => a.session_id));
+      const armFeedback = feedback.filter(f => sessions.has(f.session_id));
+
+      return {
+        name: variant.name,
+        version: variant.version,
+        sessions: sessions.size,
+        completion: {
+          successes: [...sessions].filter(sessionId => completedSessions.has(sessionId)).length,
+          total: sessions.size
+        },
+        helpful: {
+          successes: armFeedback.filter(f => f.helpful).length,
+          total: armFeedback.length
+        },
+        accuracyScores: armFeedback
+          .map(f => ML_CONFIG.FEEDBACK_CATEGORIES[String(f.accuracy).toUpperCase()]?.weight)
+          .filter(score => typeof score === 'number')
+      };
+    });
+  }
+
+  // Significance test plus power figures for one metric
+  compareArms(metricName, control, treatment) {
+    const { ALPHA, POWER, TARGET_EFFECTS } = ML_CONFIG.EXPERIMENTS;
+    const options = { alpha: ALPHA, power: POWER };
+    const { type, arm } = AB_TEST_METRICS[metricName];
+
+    let result;
+    let variance;
+    let sizes;
+    if (type === 'proportion') {
+      result = twoProportionZTest(control[arm], treatment[arm], options);
+      // Before any control data, size for the worst case (a 50% rate)
+      variance = proportionVariance(control[arm].total ? control[arm].successes / control[arm].total : 0.5);
+      sizes = [control[arm].total, treatment[arm].total];
+    } else {
+      result = welchTTest(control[arm], treatment[arm], options);
+      variance = control[arm].length >= 2 ? sampleVariance(control[arm]) : null;
+      sizes = [control[arm].length, treatment[arm].length];
+    }
 
-      // Winner determination
-      winner: this.determineWinner(versionAPerf, versionBPerf, test.success_metrics)
+    return {
+      ...result,
+      sampleSize: Math.min(...sizes),
+      minimumDetectableEffect: variance === null
+        ? null
+        : minimumDetectableEffect({ variance, controlSize: sizes[0], treatmentSize: sizes[1] }, options),
+      requiredSampleSize: variance === null
+        ? null
+        : requiredSampleSize({ variance, effect: TARGET_EFFECTS[metricName] }, options)
     };
+  }
 
-    return analytics;
+  // First success metric the analysis knows about
+  getPrimaryMetric(successMetrics) {
+    const { METRIC_ALIASES } = ML_CONFIG.EXPERIMENTS;
+    const known = Object.keys(successMetrics || {})
+      .map(name => METRIC_ALIASES[name] || name)
+      .find(name => AB_TEST_METRICS[name]);
+    return known || 'completion_rate';
   }
 
   // Aggregate performance metrics
@@ -476,78 +830,39 @@ export class AlgorithmManager {
     return metrics;
   }
 
-  // Determine A/B test winner
-  determineWinner(versionAPerf, versionBPerf, successMetrics) {
-    if (!successMetrics || versionAPerf.length === 0 || versionBPerf.length === 0) {
+  // Determine A/B test winner on the primary metric (higher is better for
+  // every analysed metric). A sample ratio mismatch means the split itself is
+  // broken, so no winner is called
+  determineWinner(control, comparisons, primaryMetric, sampleRatio) {
+    if (!control || comparisons.length === 0 || sampleRatio.detected) {
       return 'inconclusive';
     }
 
-    // Simplified winner determination based on primary success metric
-    const primaryMetric = Object.keys(successMetrics)[0];
-    if (!primaryMetric) return 'inconclusive';
-
-    const avgA = this.getAverageMetric(versionAPerf, primaryMetric);
-    const avgB = this.getAverageMetric(versionBPerf, primaryMetric);
+    const primary = comparisons.map(comparison => ({
+      variant: comparison.variant,
+      ...comparison.metrics[primaryMetric]
+    }));
 
-    if (avgA === null || avgB === null) return 'inconclusive';
+    const better = primary
+      .filter(result => result.significant && result.difference > 0)
+      .sort((a, b) => b.difference - a.difference);
+    if (better.length > 0) return better[0].variant;
 
-    // Determine if higher is better based on metric name
-    const higherIsBetter = primaryMetric.includes('accuracy') ||
-                          primaryMetric.includes('satisfaction') ||
-                          primaryMetric.includes('completion');
-
-    if (higherIsBetter) {
-      return avgB > avgA ? 'version_b' : avgA > avgB ? 'version_a' : 'inconclusive';
-    } else {
-      return avgA > avgB ? 'version_b' : avgB > avgA ? 'version_a' : 'inconclusive';
+    if (primary.every(result => result.significant && result.difference < 0)) {
+      return control.name;
     }
-  }
-
-  // Get average metric value
-  getAverageMetric(performanceData, metricName) {
-    const metricValues = performanceData
-      .filter(p => p.metric_name === metricName)
-      .map(p => p.metric_value);
-
-    if (metricValues.length === 0) return null;
 
-    return metricValues.reduce((sum, val) => sum + val, 0) / metricValues.length;
+    return 'inconclusive';
   }
 
   // Load fallback algorithms if database fails
   loadFallbackAlgorithms() {
-    console.log('🔄 Loading fallback algorithms...');
+    logger.debug('Loading fallback algorithms...');
 
-    // Fallback scoring algorithm
+    // Fallback scoring algorithm - the built-in weights the quiz scores with
     this.loadedAlgorithms.set('scoring', {
-      version: 'fallback_v1.0.0',
-      algorithm_name: 'weighted_average',
-      dimension_weights: {
-        skillLevel: 1.0,
-        socialness: 1.0,
-        traditionalism: 1.0,
-        luxuryLevel: 1.0,
-        competitiveness: 1.0,
-        ageGeneration: 0.8,
-        genderLean: 0.6,
-        amenityImportance: 1.0,
-        pace: 0.9
-      },
-      question_type_weights: {
-        starter: 1.2,
-        core: 1.5,
-        skill_assessment: 1.8,
-        social: 1.3,
-        lifestyle: 1.0,
-        knowledge: 1.1,
-        personality: 1.4,
-        preparation: 1.0
-      },
-      calculation_method: {
-        method: 'weighted_average',
-        scale_range: [0, 10],
-        rounding: 1
-      }
+      ...DEFAULT_SCORING_ALGORITHM,
+      version: 'fallback_v1.0.0'
     });
 
     // Fallback question selection
@@ -580,7 +895,7 @@ export class AlgorithmManager {
       }
     });
 
-    console.log('✅ Fallback algorithms loaded');
+    logger.debug('Fallback algorithms loaded');
   }
 
   // Get current algorithm performance summary
@@ -620,7 +935,7 @@ export class AlgorithmManager {
       return Object.values(summary);
 
     } catch (error) {
-      console.error('❌ Error getting performance summary:', error);
+      logger.error('Error getting performance summary', error);
       return [];
     }
   }
@@ -0,0 +1,111 @@
+import { AlgorithmManager } from './AlgorithmManager';
+import { DEFAULT_SCORING_ALGORITHM } from './ScoringEngine';
+import { createLocalClient, memoryPersistence } from '../db/LocalTableStore';
+import { TABLES } from '../db/schema';
+import { PAGE_SIZE } from '../db/fetchAllRows';
+
+const createManager = async (clientOptions = {}) => {
+  const manager = new AlgorithmManager(createLocalClient(memoryPersistence(), { schema: TABLES, ...clientOptions }));
+  await manager.createAlgorithmVersion('scoring', { ...DEFAULT_SCORING_ALGORITHM, is_active: true });
+  await manager.createAlgorithmVersion('scoring', { ...DEFAULT_SCORING_ALGORITHM, version: 'v2.0.0', is_active: false });
+  await manager.initialize();
+  return manager;
+};
+
+// Everyone goes to version_b, so the assignment is predictable
+const abTest = (overrides = {}) => ({
+  testName: 'Scoring v2',
+  algorithmType: 'scoring',
+  versionA: DEFAULT_SCORING_ALGORITHM.version,
+  versionB: 'v2.0.0',
+  trafficSplit: 1,
+  // What the admin form sends when no end date is picked
+  endDate: '',
+  ...overrides
+});
+
+describe('AlgorithmManager A/B tests', () => {
+  beforeEach(() => {
+    ['log', 'info', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs a test without an end date until it is stopped', async () => {
+    const manager = await createManager();
+    const created = await manager.createABTest(abTest());
+
+    expect(created.end_date).toBeNull();
+    expect(manager.activeABTests.map(test => test.id)).toEqual([created.id]);
+
+    await manager.updateABTestStatus(created.id, 'stopped');
+    expect(manager.activeABTests).toEqual([]);
+  });
+
+  it('drops tests whose end date has passed', async () => {
+    const manager = await createManager();
+    await manager.createABTest(abTest({ endDate: '2000-01-01T00:00:00.000Z' }));
+    const running = await manager.createABTest(abTest({ testName: 'Open ended', endDate: '2999-01-01T00:00:00.000Z' }));
+
+    expect(manager.activeABTests.map(test => test.test_name)).toEqual([running.test_name]);
+  });
+
+  it('assigns sessions to the running test and keeps the assignment', async () => {
+    const manager = await createManager();
+    const test = await manager.createABTest(abTest());
+
+    const assigned = await manager.getAlgorithmForUser('session-1', 'scoring');
+    expect(assigned.version).toBe('v2.0.0');
+    expect(await manager.getUserAssignment('session-1', 'scoring')).toMatchObject({
+      ab_test_id: test.id,
+      algorithm_version: 'v2.0.0',
+      variant: 'version_b'
+    });
+
+    // Later lookups reuse the stored assignment
+    const saveAssignment = jest.spyOn(manager, 'saveAssignment');
+    expect((await manager.getAlgorithmForUser('session-1', 'scoring')).version).toBe('v2.0.0');
+    expect(saveAssignment).not.toHaveBeenCalled();
+
+    // Other algorithm types have no test and get the active version
+    expect(await manager.getAlgorithmForUser('session-1', 'questionSelection')).toBe(manager.getActiveAlgorithm('question_selection'));
+  });
+
+  it('lists every assignment of a type, past the server row cap', async () => {
+    const manager = await createManager({ maxRows: PAGE_SIZE });
+    const sessions = Array.from({ length: PAGE_SIZE + 3 }, (_, index) => `s${index}`);
+    await manager.supabase.from('user_algorithm_assignments').insert(sessions.map(sessionId => ({
+      session_id: sessionId,
+      algorithm_type: 'question_selection_strategy',
+      algorithm_version: 'random',
+      variant: 'random'
+    })));
+
+    const assignments = await manager.getAssignments('question_selection_strategy');
+    expect(assignments.map(assignment => assignment.session_id)).toEqual(sessions);
+  });
+
+  it('counts and analyses every session of a test, past the server row cap', async () => {
+    const manager = await createManager({ maxRows: PAGE_SIZE });
+    const test = await manager.createABTest(abTest());
+    const sessions = Array.from({ length: PAGE_SIZE + 3 }, (_, index) => `s${index}`);
+    await manager.supabase.from('user_algorithm_assignments').insert(sessions.map(sessionId => ({
+      session_id: sessionId,
+      algorithm_type: 'scoring',
+      algorithm_version: 'v2.0.0',
+      variant: 'version_b',
+      ab_test_id: test.id
+    })));
+    // Every session but the first three completed the quiz
+    await manager.supabase.from('user_profiles').insert(sessions.slice(3).map(sessionId => ({ session_id: sessionId, scores: {} })));
+
+    const [listed] = await manager.getABTests();
+    expect(listed.participants).toBe(PAGE_SIZE + 3);
+
+    const analytics = await manager.getABTestAnalytics(test.id);
+    expect(analytics.totalAssignments).toBe(PAGE_SIZE + 3);
+    expect(analytics.arms.find(arm => arm.name === 'version_b')).toMatchObject({ sessions: PAGE_SIZE + 3, completionRate: PAGE_SIZE / (PAGE_SIZE + 3) });
+  });
+});
@@ -0,0 +1,122 @@
+// DimensionBelief.js - Per-dimension mean/variance posterior built from quiz answers
+import { ML_CONFIG } from './MLConfig.js';
+
+const { PRIOR_MEAN, PRIOR_VARIANCE, OBSERVATION_VARIANCE } = ML_CONFIG.DIMENSION_BELIEF;
+
+export class DimensionBelief {
+  constructor(dimensions = ML_CONFIG.SIMILARITY_DIMENSIONS, config = {}) {
+    this.dimensions = dimensions;
+    this.observationVariance = config.observationVariance ?? OBSERVATION_VARIANCE;
+
+    // observedMean and observedSquares (sum of squared deviations) track the
+    // spread of the observed values themselves, which the posterior variance
+    // ignores: with a fixed observation noise it only counts answers
+    this.state = {};
+    dimensions.forEach(dim => {
+      this.state[dim] = {
+        mean: config.priorMean ?? PRIOR_MEAN,
+        variance: config.priorVariance ?? PRIOR_VARIANCE,
+        observations: 0,
+        observedMean: 0,
+        observedSquares: 0
+      };
+    });
+  }
+
+  // Build a belief from answers keyed by question id. Option scores come from
+  // the catalog when available, falling back to the stored rawScores
+  static fromAnswers(answers, questionCatalog, dimensions, config) {
+    const belief = new DimensionBelief(dimensions, config);
+
+    Object.entries(answers || {}).forEach(([questionId, answer]) => {
+      const option = questionCatalog?.getOption(questionId, answer?.optionIndex);
+      belief.observe(option?.scores || answer?.rawScores || {});
+    });
+
+    return belief;
+  }
+
+  // Conjugate Gaussian update for every tracked dimension the option scores
+  observe(scores) {
+    Object.entries(scores).forEach(([dim, value]) => {
+      const current = this.state[dim];
+      if (!current || typeof value !== 'number') return;
+
+      const variance = 1 / (1 / current.variance + 1 / this.observationVariance);
+      const observations = current.observations + 1;
+      const observedMean = current.observedMean + (value - current.observedMean) / observations;
+      this.state[dim] = {
+        mean: variance * (current.mean / current.variance + value / this.observationVariance),
+        variance,
+        observations,
+        observedMean,
+        observedSquares: current.observedSquares + (value - current.observedMean) * (value - observedMean)
+      };
+    });
+    return this;
+  }
+
+  getMean(dim) {
+    return this.state[dim]?.mean;
+  }
+
+  getVariance(dim) {
+    return this.state[dim]?.variance;
+  }
+
+  // Sample variance of the values observed for a dimension (0 below two
+  // observations): how much the answers disagree with each other
+  getObservedVariance(dim) {
+    const current = this.state[dim];
+    if (!current || current.observations < 2) return 0;
+    return current.observedSquares / (current.observations - 1);
+  }
+
+  getTotalVariance() {
+    return this.dimensions.reduce((sum, dim) => sum + this.state[dim].variance, 0);
+  }
+
+  // Variance removed from a dimension by one more observation of it. With a
+  // known observation noise this does not depend on the observed value
+  varianceReduction(dim) {
+    const current = this.state[dim];
+    if (!current) return 0;
+    return current.variance - 1 / (1 / current.variance + 1 / this.observationVariance);
+  }
+
+  // Likelihood of an option's scores under the predictive distribution
+  // N(mean, variance + observation noise) of each dimension it scores
+  predictiveLikelihood(scores) {
+    return Object.entries(scores).reduce((likelihood, [dim, value]) => {
+      const current = this.state[dim];
+      if (!current || typeof value !== 'number') return likelihood;
+
+      const spread = current.variance + this.observationVariance;
+      const density = Math.exp(-((value - current.mean) ** 2) / (2 * spread)) / Math.sqrt(2 * Math.PI * spread);
+      return likelihood * density;
+    }, 1);
+  }
+
+  // Expected drop in total variance from asking a question, weighting each
+  // option by how likely this golfer is to pick it
+  expectedVarianceReduction(question) {
+    const options = question.options || [];
+    if (options.length === 0) return 0;
+
+    const likelihoods = options.map(option => this.predictiveLikelihood(option.scores || {}));
+    const total = likelihoods.reduce((sum, value) => sum + value, 0);
+
+    return options.reduce((expected, option, index) => {
+      const probability = total > 0 ? likelihoods[index] / total : 1 / options.length;
+      const reduction = Object.keys(option.scores || {})
+        .reduce((sum, dim) => sum + this.varianceReduction(dim), 0);
+      return expected + probability * reduction;
+    }, 0);
+  }
+
+  toJSON() {
+    return { ...this.state };
+  }
+}
+
+export default DimensionBelief;
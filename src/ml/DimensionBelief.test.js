@@ -0,0 +1,59 @@
+import { DimensionBelief } from './DimensionBelief';
+import { InformationGainSelector } from './InformationGainSelector';
+import { QuestionCatalog } from './QuestionCatalog';
+
+const option = (text, scores) => ({ text, scores });
+
+const catalog = new QuestionCatalog({
+  version: '1.0.0',
+  questions: [
+    { id: 'opener', type: 'starter', priority: 1, question: 'Opener?', options: [option('A', { skillLevel: 1 }), option('B', { skillLevel: 9 })] },
+    { id: 'more_skill', type: 'core', priority: 9, question: 'Skill again?', options: [option('A', { skillLevel: 2 }), option('B', { skillLevel: 8 })] },
+    { id: 'pace_and_social', type: 'social', priority: 1, question: 'Pace?', options: [option('A', { pace: 2, socialness: 3 }), option('B', { pace: 8, socialness: 7 })] }
+  ]
+});
+
+describe('DimensionBelief', () => {
+  it('keeps an unanswered dimension at the prior rather than treating it as extreme', () => {
+    const belief = new DimensionBelief();
+    const prior = belief.getVariance('pace');
+
+    belief.observe({ skillLevel: 0 });
+
+    expect(belief.getMean('skillLevel')).toBeLessThan(5);
+    expect(belief.getVariance('skillLevel')).toBeLessThan(prior);
+    expect(belief.getMean('pace')).toBe(5);
+    expect(belief.getVariance('pace')).toBe(prior);
+  });
+
+  it('builds the posterior from catalog option scores', () => {
+    const belief = DimensionBelief.fromAnswers({ opener: { optionIndex: 1 } }, catalog);
+
+    expect(belief.getMean('skillLevel')).toBeGreaterThan(5);
+    expect(belief.state.skillLevel.observations).toBe(1);
+  });
+
+  it('expects more reduction from a question covering unobserved dimensions', () => {
+    const belief = DimensionBelief.fromAnswers({ opener: { optionIndex: 0 } }, catalog);
+
+    expect(belief.expectedVarianceReduction(catalog.findQuestionById('pace_and_social')))
+      .toBeGreaterThan(belief.expectedVarianceReduction(catalog.findQuestionById('more_skill')));
+  });
+});
+
+describe('InformationGainSelector', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('picks the question with the largest expected variance reduction over priority', () => {
+    const selector = new InformationGainSelector(catalog);
+    const next = selector.selectNextQuestion({ opener: { optionIndex: 0 } }, {}, catalog.getQuestions(), 1);
+
+    expect(next.id).toBe('pace_and_social');
+  });
+});
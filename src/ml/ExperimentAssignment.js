@@ -0,0 +1,88 @@
+// ExperimentAssignment.js - Deterministic bucketing of sessions into A/B test variants
+import { ML_CONFIG } from './MLConfig.js';
+
+// FNV-1a 32-bit hash mapped to [0, 1)
+export function hashToUnitInterval(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+const clampFraction = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : fallback;
+};
+
+// Accepts either an experiment config ({ id, variants, holdout, traffic }) or
+// an ab_tests row (version_a/version_b/traffic_split, optional variants,
+// holdout_percentage and traffic_percentage)
+export function normalizeExperiment(test) {
+  const variants = Array.isArray(test.variants) && test.variants.length > 0
+    ? test.variants.map(variant => ({ weight: 1, ...variant }))
+    : [
+      { name: 'version_a', version: test.version_a, weight: 1 - clampFraction(test.traffic_split, 0.5) },
+      { name: 'version_b', version: test.version_b, weight: clampFraction(test.traffic_split, 0.5) }
+    ];
+
+  return {
+    id: String(test.id),
+    variants: variants.filter(variant => variant.weight > 0),
+    holdout: test.holdout ?? clampFraction((test.holdout_percentage ?? 0) / 100, 0),
+    traffic: test.traffic ?? clampFraction((test.traffic_percentage ?? 100) / 100, 1)
+  };
+}
+
+// Assign a unit (session id or fingerprint) to an experiment. Holdout,
+// traffic and variant each use their own hash, so raising traffic from 5% to
+// 100% only adds units and never moves anyone between variants
+export function assignVariant(unitId, experimentConfig) {
+  const experiment = normalizeExperiment(experimentConfig);
+  const unit = String(unitId);
+  const base = { experimentId: experiment.id, unitId: unit };
+
+  if (experiment.variants.length === 0) {
+    return { ...base, inExperiment: false, reason: 'no_variants', variant: null };
+  }
+
+  if (hashToUnitInterval(`${experiment.id}:holdout:${unit}`) < experiment.holdout) {
+    return { ...base, inExperiment: false, reason: 'holdout', variant: null };
+  }
+
+  if (hashToUnitInterval(`${experiment.id}:traffic:${unit}`) >= experiment.traffic) {
+    return { ...base, inExperiment: false, reason: 'not_in_traffic', variant: null };
+  }
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = hashToUnitInterval(`${experiment.id}:variant:${unit}`) * totalWeight;
+
+  let cumulative = 0;
+  const variant = experiment.variants.find(candidate => {
+    cumulative += candidate.weight;
+    return point < cumulative;
+  }) || experiment.variants[experiment.variants.length - 1];
+
+  return { ...base, inExperiment: true, reason: 'assigned', variant };
+}
+
+const createFingerprint = () => Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+// Per-browser assignment unit, stored so a reload or a new quiz keeps the
+// same variants. Without storage every call gets a fresh id
+export function getUserFingerprint(storage = typeof window !== 'undefined' ? window.localStorage : null) {
+  const key = ML_CONFIG.STORAGE_KEYS.USER_FINGERPRINT;
+  try {
+    const stored = storage.getItem(key);
+    if (stored) return stored;
+
+    const fingerprint = createFingerprint();
+    storage.setItem(key, fingerprint);
+    return fingerprint;
+  } catch (error) {
+    return createFingerprint();
+  }
+}
+
+export default assignVariant;
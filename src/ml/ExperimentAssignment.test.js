@@ -0,0 +1,90 @@
+import { assignVariant, normalizeExperiment, hashToUnitInterval, getUserFingerprint } from './ExperimentAssignment';
+
+const sessions = Array.from({ length: 2000 }, (_, index) => `session_${index}`);
+
+const experiment = {
+  id: 'strategy_test',
+  variants: [
+    { name: 'control', weight: 1 },
+    { name: 'treatment', weight: 3 }
+  ],
+  holdout: 0,
+  traffic: 1
+};
+
+describe('ExperimentAssignment', () => {
+  it('hashes keys into the unit interval', () => {
+    const value = hashToUnitInterval('session_1:strategy_test');
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+    expect(hashToUnitInterval('session_1:strategy_test')).toBe(value);
+  });
+
+  it('assigns the same session to the same variant every time', () => {
+    const first = assignVariant('session_42', experiment);
+    const again = assignVariant('session_42', experiment);
+
+    expect(first.inExperiment).toBe(true);
+    expect(again.variant.name).toBe(first.variant.name);
+  });
+
+  it('splits traffic according to variant weights', () => {
+    const treatment = sessions.filter(id => assignVariant(id, experiment).variant.name === 'treatment');
+    expect(treatment.length / sessions.length).toBeCloseTo(0.75, 1);
+  });
+
+  it('keeps a holdout group out of the experiment', () => {
+    const withHoldout = { ...experiment, holdout: 0.2 };
+    const heldOut = sessions.filter(id => assignVariant(id, withHoldout).reason === 'holdout');
+
+    expect(heldOut.length / sessions.length).toBeCloseTo(0.2, 1);
+    expect(assignVariant(heldOut[0], withHoldout).variant).toBeNull();
+  });
+
+  it('ramps traffic without moving enrolled sessions', () => {
+    const ramp = [0.05, 0.25, 0.5, 1].map(traffic =>
+      sessions.map(id => assignVariant(id, { ...experiment, traffic }))
+    );
+
+    expect(ramp[0].filter(a => a.inExperiment).length / sessions.length).toBeCloseTo(0.05, 1);
+
+    for (let step = 1; step < ramp.length; step++) {
+      ramp[step - 1].forEach((assignment, index) => {
+        if (!assignment.inExperiment) return;
+        expect(ramp[step][index].inExperiment).toBe(true);
+        expect(ramp[step][index].variant.name).toBe(assignment.variant.name);
+      });
+    }
+  });
+
+  it('reads A/B test rows with version_a/version_b and percentages', () => {
+    const normalized = normalizeExperiment({
+      id: 7,
+      version_a: 'v1.0.0',
+      version_b: 'v1.1.0',
+      traffic_split: 0.3,
+      holdout_percentage: 10,
+      traffic_percentage: 25
+    });
+
+    expect(normalized.id).toBe('7');
+    expect(normalized.variants.map(v => [v.version, v.weight])).toEqual([['v1.0.0', 0.7], ['v1.1.0', 0.3]]);
+    expect(normalized.holdout).toBeCloseTo(0.1);
+    expect(normalized.traffic).toBeCloseTo(0.25);
+  });
+
+  it('keeps one stored fingerprint per browser', () => {
+    const values = {};
+    const storage = {
+      getItem: key => values[key] || null,
+      setItem: (key, value) => { values[key] = value; }
+    };
+
+    const fingerprint = getUserFingerprint(storage);
+    expect(fingerprint).toEqual(expect.any(String));
+    expect(getUserFingerprint(storage)).toBe(fingerprint);
+
+    const unavailable = { getItem: () => { throw new Error('denied'); } };
+    expect(getUserFingerprint(unavailable)).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,203 @@
+// ExperimentMonitor.js - Scheduled sequential evaluation of running A/B tests
+import { ML_CONFIG } from './MLConfig.js';
+import { obrienFlemingAlphaSpent } from './ABTestStatistics.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('ExperimentMonitor');
+
+export const MONITOR_ACTIONS = {
+  CONTINUE: 'continue',
+  STOP: 'stop',
+  COMPLETE: 'complete',
+  ROLLOUT: 'rollout'
+};
+
+export const MONITOR_REASONS = {
+  COLLECTING_DATA: 'collecting_data',
+  GUARDRAIL: 'guardrail_degraded',
+  SAMPLE_RATIO_MISMATCH: 'sample_ratio_mismatch',
+  EFFICACY: 'efficacy_boundary_crossed',
+  NO_DIFFERENCE: 'planned_sample_reached',
+  WINNER_ACTIVATED: 'winner_activated'
+};
+
+export class ExperimentMonitor {
+  constructor(algorithmManager, options = {}) {
+    this.algorithmManager = algorithmManager;
+    this.config = { ...ML_CONFIG.EXPERIMENTS.MONITOR, ...options };
+    this.alpha = ML_CONFIG.EXPERIMENTS.ALPHA;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start(intervalMs = this.config.INTERVAL_MS) {
+    if (this.timer) return;
+    logger.info(`Experiment monitor checking running tests every ${Math.round(intervalMs / 60000)} min`);
+    this.timer = setInterval(() => this.evaluateRunningTests(), intervalMs);
+    this.evaluateRunningTests();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Evaluate every running test once. Overlapping runs are skipped
+  async evaluateRunningTests() {
+    if (this.running) return [];
+    this.running = true;
+
+    try {
+      await this.algorithmManager.loadActiveABTests();
+      const decisions = [];
+      for (const test of this.algorithmManager.activeABTests || []) {
+        const decision = await this.evaluateTest(test);
+        if (decision) decisions.push(decision);
+      }
+      return decisions;
+
+    } catch (error) {
+      logger.error('Error evaluating running A/B tests', error);
+      return [];
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async evaluateTest(test) {
+    // Counted before the analytics are read, so sessions assigned in between
+    // can only add to them. Analytics covering fewer sessions were truncated,
+    // and no decision is taken on partial data
+    const participants = await this.algorithmManager.countABTestParticipants(test.id);
+    const analytics = await this.algorithmManager.getABTestAnalytics(test.id);
+    if (!analytics) return null;
+    if (analytics.totalAssignments < participants) {
+      logger.warn(`Skipping ${test.test_name}: analytics cover ${analytics.totalAssignments} of ${participants} sessions`, { testId: test.id });
+      return null;
+    }
+
+    // Alpha already spent by earlier looks is carried in the audit log
+    const previous = await this.algorithmManager.getLatestMonitorDecision(test.id);
+    const decision = this.decide(test, analytics, previous?.details?.alphaSpent || 0);
+    await this.applyDecision(test, decision);
+    return decision;
+  }
+
+  // Decide what to do with a test given its current analytics
+  decide(test, analytics, previousAlphaSpent = 0) {
+    const primaryMetric = analytics.primaryMetric;
+    const primary = analytics.comparisons.map(comparison => ({
+      variant: comparison.variant,
+      version: comparison.version,
+      ...comparison.metrics[primaryMetric]
+    }));
+
+    // Share of the planned sample collected, from the primary metric's
+    // required sample size
+    const informationFraction = primary.length > 0
+      ? Math.min(...primary.map(result =>
+        result.requiredSampleSize ? Math.min(1, result.sampleSize / result.requiredSampleSize) : 0))
+      : 0;
+    const alphaSpent = Math.max(previousAlphaSpent, obrienFlemingAlphaSpent(informationFraction, this.alpha));
+    const nominalAlpha = alphaSpent - previousAlphaSpent;
+
+    const base = {
+      testId: test.id,
+      testName: test.test_name,
+      details: { primaryMetric, informationFraction, alphaSpent, nominalAlpha }
+    };
+
+    // Guardrails are checked at every look, without spending
+    for (const comparison of analytics.comparisons) {
+      for (const [metricName, maxDegradation] of Object.entries(this.config.GUARDRAIL_METRICS)) {
+        const result = comparison.metrics[metricName];
+        if (result && !result.insufficientData && result.pValue < this.config.GUARDRAIL_ALPHA && result.difference < -maxDegradation) {
+          return {
+            ...base,
+            action: MONITOR_ACTIONS.STOP,
+            reason: MONITOR_REASONS.GUARDRAIL,
+            details: { ...base.details, variant: comparison.variant, metric: metricName, difference: result.difference, pValue: result.pValue }
+          };
+        }
+      }
+    }
+
+    // A broken split makes every comparison untrustworthy
+    if (analytics.sampleRatioMismatch.detected) {
+      return {
+        ...base,
+        action: MONITOR_ACTIONS.CONTINUE,
+        reason: MONITOR_REASONS.SAMPLE_RATIO_MISMATCH,
+        details: { ...base.details, srmPValue: analytics.sampleRatioMismatch.pValue }
+      };
+    }
+
+    const crossed = primary.filter(result => result.pValue !== null && result.pValue < nominalAlpha);
+    const better = crossed.filter(result => result.difference > 0).sort((a, b) => b.difference - a.difference);
+    const control = analytics.arms[0];
+
+    if (better.length > 0 || (primary.length > 0 && crossed.length === primary.length)) {
+      const winner = better[0] || { variant: control.name, version: control.version };
+      return {
+        ...base,
+        action: MONITOR_ACTIONS.COMPLETE,
+        reason: MONITOR_REASONS.EFFICACY,
+        winner: winner.variant,
+        winnerVersion: winner.version,
+        details: { ...base.details, winner: winner.variant }
+      };
+    }
+
+    if (informationFraction >= 1) {
+      return { ...base, action: MONITOR_ACTIONS.COMPLETE, reason: MONITOR_REASONS.NO_DIFFERENCE, winner: 'inconclusive', winnerVersion: null };
+    }
+
+    return { ...base, action: MONITOR_ACTIONS.CONTINUE, reason: MONITOR_REASONS.COLLECTING_DATA };
+  }
+
+  async applyDecision(test, decision) {
+    await this.algorithmManager.recordExperimentDecision({
+      testId: test.id,
+      action: decision.action,
+      reason: decision.reason,
+      details: decision.details,
+      actor: 'monitor'
+    });
+
+    if (decision.action === MONITOR_ACTIONS.STOP) {
+      logger.warn(`Stopping A/B test ${test.test_name}: ${decision.details.metric} degraded in ${decision.details.variant}`);
+      await this.algorithmManager.updateABTestStatus(test.id, 'stopped', {
+        ...test.results,
+        stopReason: decision.reason,
+        guardrail: decision.details
+      });
+      return;
+    }
+
+    if (decision.action !== MONITOR_ACTIONS.COMPLETE) return;
+
+    logger.info(`A/B test ${test.test_name} complete: ${decision.winner}`);
+    await this.algorithmManager.updateABTestStatus(test.id, 'completed', {
+      ...test.results,
+      winner: decision.winner,
+      winnerVersion: decision.winnerVersion,
+      decidedBy: 'monitor'
+    });
+
+    const autoRollout = test.auto_rollout ?? this.config.AUTO_ROLLOUT;
+    if (autoRollout && decision.winnerVersion) {
+      const activated = await this.algorithmManager.activateAlgorithm(test.algorithm_type, decision.winnerVersion);
+      if (activated) {
+        await this.algorithmManager.recordExperimentDecision({
+          testId: test.id,
+          action: MONITOR_ACTIONS.ROLLOUT,
+          reason: MONITOR_REASONS.WINNER_ACTIVATED,
+          details: { algorithmType: test.algorithm_type, version: decision.winnerVersion },
+          actor: 'monitor'
+        });
+      }
+    }
+  }
+}
+
+export default ExperimentMonitor;
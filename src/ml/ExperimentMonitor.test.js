@@ -0,0 +1,116 @@
+import { ExperimentMonitor, MONITOR_ACTIONS, MONITOR_REASONS } from './ExperimentMonitor';
+import { obrienFlemingAlphaSpent } from './ABTestStatistics';
+import { AlgorithmManager } from './AlgorithmManager';
+
+const test = {
+  id: 3,
+  test_name: 'Scoring v1.1',
+  algorithm_type: 'scoring',
+  version_a: 'v1.0.0',
+  version_b: 'v1.1.0',
+  traffic_split: 0.5,
+  success_metrics: { completion: {} },
+  results: {}
+};
+
+// Analytics for two arms of `count` sessions with the given completions
+const analyticsFor = (count, completedA, completedB) => {
+  const assignments = [];
+  const completedSessions = new Set();
+  [['v1.0.0', completedA], ['v1.1.0', completedB]].forEach(([version, completed]) => {
+    for (let i = 0; i < count; i++) {
+      assignments.push({ session_id: `${version}_${i}`, algorithm_version: version });
+      if (i < completed) completedSessions.add(`${version}_${i}`);
+    }
+  });
+  return new AlgorithmManager(null).calculateABTestAnalytics(test, assignments, { completedSessions, feedback: [] });
+};
+
+describe('ExperimentMonitor', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('spends almost no alpha on early looks and all of it at the planned sample', () => {
+    expect(obrienFlemingAlphaSpent(0.1)).toBeLessThan(0.0001);
+    expect(obrienFlemingAlphaSpent(0.5)).toBeLessThan(0.01);
+    expect(obrienFlemingAlphaSpent(1)).toBeCloseTo(0.05, 4);
+  });
+
+  it('keeps collecting data when an early difference has not crossed the boundary', () => {
+    const analytics = analyticsFor(200, 100, 120);
+    const decision = new ExperimentMonitor({}).decide(test, analytics);
+
+    // Significant at a fixed 5%, which a single look would have acted on
+    expect(analytics.comparisons[0].metrics.completion_rate.pValue).toBeLessThan(0.05);
+    expect(decision.action).toBe(MONITOR_ACTIONS.CONTINUE);
+    expect(decision.reason).toBe(MONITOR_REASONS.COLLECTING_DATA);
+    expect(decision.details.informationFraction).toBeLessThan(1);
+  });
+
+  it('completes a test whose winner crosses the spending boundary', () => {
+    const decision = new ExperimentMonitor({}).decide(test, analyticsFor(1000, 500, 650));
+
+    expect(decision.action).toBe(MONITOR_ACTIONS.COMPLETE);
+    expect(decision.reason).toBe(MONITOR_REASONS.EFFICACY);
+    expect(decision.winner).toBe('version_b');
+    expect(decision.winnerVersion).toBe('v1.1.0');
+  });
+
+  it('does not spend alpha twice at the same information fraction', () => {
+    const analytics = analyticsFor(1000, 500, 650);
+    const first = new ExperimentMonitor({}).decide(test, analytics);
+    const repeat = new ExperimentMonitor({}).decide(test, analytics, first.details.alphaSpent);
+
+    expect(repeat.details.nominalAlpha).toBe(0);
+    expect(repeat.action).toBe(MONITOR_ACTIONS.CONTINUE);
+  });
+
+  it('stops a test when a guardrail metric degrades', () => {
+    const decision = new ExperimentMonitor({}).decide(test, analyticsFor(500, 300, 200));
+
+    expect(decision.action).toBe(MONITOR_ACTIONS.STOP);
+    expect(decision.reason).toBe(MONITOR_REASONS.GUARDRAIL);
+    expect(decision.details.metric).toBe('completion_rate');
+  });
+
+  it('records decisions and rolls out a clear winner when enabled', async () => {
+    const manager = {
+      recordExperimentDecision: jest.fn().mockResolvedValue(true),
+      updateABTestStatus: jest.fn().mockResolvedValue(true),
+      activateAlgorithm: jest.fn().mockResolvedValue(true)
+    };
+    const monitor = new ExperimentMonitor(manager, { AUTO_ROLLOUT: true });
+    const decision = monitor.decide(test, analyticsFor(1000, 500, 650));
+
+    await monitor.applyDecision(test, decision);
+
+    expect(manager.updateABTestStatus).toHaveBeenCalledWith(3, 'completed', expect.objectContaining({ winner: 'version_b' }));
+    expect(manager.activateAlgorithm).toHaveBeenCalledWith('scoring', 'v1.1.0');
+    expect(manager.recordExperimentDecision.mock.calls.map(([entry]) => entry.action))
+      .toEqual([MONITOR_ACTIONS.COMPLETE, MONITOR_ACTIONS.ROLLOUT]);
+  });
+
+  it('takes no decision on analytics that miss some of the test\'s sessions', async () => {
+    const manager = {
+      countABTestParticipants: jest.fn().mockResolvedValue(2500),
+      getABTestAnalytics: jest.fn().mockResolvedValue(analyticsFor(1000, 500, 650)),
+      getLatestMonitorDecision: jest.fn().mockResolvedValue(null),
+      recordExperimentDecision: jest.fn().mockResolvedValue(true),
+      updateABTestStatus: jest.fn().mockResolvedValue(true)
+    };
+    const monitor = new ExperimentMonitor(manager);
+
+    expect(await monitor.evaluateTest(test)).toBeNull();
+    expect(manager.recordExperimentDecision).not.toHaveBeenCalled();
+    expect(manager.updateABTestStatus).not.toHaveBeenCalled();
+
+    manager.countABTestParticipants.mockResolvedValue(2000);
+    expect(await monitor.evaluateTest(test)).toMatchObject({ action: MONITOR_ACTIONS.COMPLETE, winner: 'version_b' });
+  });
+});
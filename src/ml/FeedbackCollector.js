@@ -1,5 +1,31 @@
 // FeedbackCollector.js - Collect and process user feedback for ML improvement
 import { ML_CONFIG } from './MLConfig.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('FeedbackCollector');
+
+// Dimension feedback rates each dimension 1-5, either as a number or as
+// { rating, direction } where direction ('higher' or 'lower') says which way
+// an inaccurate score was off
+export const DIMENSION_DIRECTIONS = ['higher', 'lower'];
+
+export function getDimensionRating(value) {
+  const rating = typeof value === 'number' ? value : value?.rating;
+  return Number.isFinite(rating) ? rating : null;
+}
+
+// Overall accuracy category from the average dimension rating, or null when
+// no dimension was rated
+export function accuracyFromDimensionRatings(dimensionRatings) {
+  const ratings = Object.values(dimensionRatings || {}).map(getDimensionRating).filter(rating => rating !== null);
+  if (ratings.length === 0) return null;
+
+  const avgRating = ratings.reduce((a, b) => a + b, 0) / ratings.length;
+  if (avgRating >= 4.5) return 'very_accurate';
+  if (avgRating >= 3.5) return 'mostly_accurate';
+  if (avgRating >= 2.5) return 'somewhat_accurate';
+  return 'not_accurate';
+}
 
 export class FeedbackCollector {
   constructor(dataManager) {
@@ -171,7 +197,7 @@ export class FeedbackCollector {
     this.updateModelWeights(batch);
     this.identifyImprovementOpportunities(batch);
 
-    console.log(`Processed batch of ${batch.length} feedback items`);
+    logger.debug(`Processed batch of ${batch.length} feedback items`);
   }
 
   // Analyze patterns in feedback
@@ -244,8 +270,9 @@ export class FeedbackCollector {
 
         // Track specific dimension issues
         if (feedback.dimensionFeedback) {
-          Object.entries(feedback.dimensionFeedback).forEach(([dimension, rating]) => {
-            if (rating < 3) { // Poor rating
+          Object.entries(feedback.dimensionFeedback).forEach(([dimension, value]) => {
+            const rating = getDimensionRating(value);
+            if (rating !== null && rating < 3) { // Poor rating
               const issueKey = `${dimension}_inaccurate`;
               issues[issueKey] = (issues[issueKey] || 0) + 1;
             }
@@ -470,17 +497,17 @@ export class FeedbackCollector {
 
   updateRecommendationType(recType, accuracy, weight) {
     // Implementation would update specific recommendation type accuracy
-    console.log(`Updating ${recType} accuracy: ${accuracy} with weight ${weight}`);
+    logger.debug(`Updating ${recType} accuracy: ${accuracy} with weight ${weight}`);
   }
 
   updateAggregatedMetrics(metrics) {
     // Implementation would update running averages of metrics
-    console.log('Updating aggregated metrics:', metrics);
+    logger.debug('Updating aggregated metrics', metrics);
   }
 
   adjustFeatureWeight(feature, multiplier) {
     // Implementation would adjust ML model weights
-    console.log(`Adjusting ${feature} weight by ${multiplier}`);
+    logger.debug(`Adjusting ${feature} weight by ${multiplier}`);
   }
 
   storeFeedbackPatterns(patterns) {
@@ -538,17 +565,12 @@ export class FeedbackCollector {
   }
 
   calculateOverallAccuracyFromDimensions(dimensionRatings) {
-    const avgRating = Object.values(dimensionRatings).reduce((a, b) => a + b, 0) / Object.values(dimensionRatings).length;
-
-    if (avgRating >= 4.5) return 'very_accurate';
-    if (avgRating >= 3.5) return 'mostly_accurate';
-    if (avgRating >= 2.5) return 'somewhat_accurate';
-    return 'not_accurate';
+    return accuracyFromDimensionRatings(dimensionRatings);
   }
 
   // Analytics and reporting
-  getFeedbackAnalytics() {
-    const allFeedback = this.dataManager.getFeedbacks();
+  async getFeedbackAnalytics() {
+    const allFeedback = await this.dataManager.getFeedbacks();
 
     return {
       totalFeedback: allFeedback.length,
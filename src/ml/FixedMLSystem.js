@@ -1,4 +1,9 @@
 // MemoryDataManager.js - Replaces localStorage with in-memory storage
+import { loadQuestionCatalog } from './QuestionCatalog.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('EnhancedQuestionSelector');
+
 export class MemoryDataManager {
   constructor() {
     // In-memory storage instead of localStorage
@@ -38,7 +43,7 @@ export class MemoryDataManager {
     // Add mock question effectiveness data
     this.memoryStore.questionEffectiveness = this.generateMockQuestionEffectiveness();
 
-    console.log('Initialized with mock ML data:', {
+    logger.debug('Initialized with mock ML data', {
       profiles: mockProfiles.length,
       feedbacks: mockFeedbacks.length
     });
@@ -259,20 +264,28 @@ export class MemoryDataManager {
 
 // Enhanced QuestionSelector with true randomization
 export class EnhancedQuestionSelector {
-  constructor(dataManager) {
+  constructor(dataManager, questionCatalog = loadQuestionCatalog()) {
     this.dataManager = dataManager;
+    // Used to look up type and option scores of already answered questions,
+    // unless the quiz passes the catalog it started with (userContext.questionCatalog)
+    this.questionCatalog = questionCatalog;
     this.questionAnalytics = {};
     this.userBehaviorPatterns = {};
   }
 
+  setQuestionCatalog(questionCatalog) {
+    this.questionCatalog = questionCatalog;
+  }
+
   selectNextQuestion(currentAnswers, currentScores, questionBank, questionNumber, userContext = {}) {
-    console.log('🎯 Enhanced question selection called for question #', questionNumber);
+    const sessionLogger = logger.withContext({ sessionId: userContext.sessionId, questionNumber });
+    const questionCatalog = userContext.questionCatalog || this.questionCatalog;
 
     // Use the basic selection as base
     if (questionNumber === 0) {
       const starters = questionBank.filter(q => q.type === 'starter');
       const selected = starters[Math.floor(Math.random() * starters.length)] || questionBank[0];
-      console.log('🎯 Selected starter question:', selected?.id);
+      sessionLogger.debug('Selected starter question', { questionId: selected?.id });
       return selected;
     }
 
@@ -284,28 +297,27 @@ export class EnhancedQuestionSelector {
     // INTELLIGENT ML-BASED SELECTION
     const scored = unanswered.map(q => ({
       question: q,
-      score: this.calculateIntelligentQuestionScore(q, currentAnswers, currentScores, questionNumber)
+      score: this.calculateIntelligentQuestionScore(q, currentAnswers, currentScores, questionNumber, questionCatalog)
     }));
 
     scored.sort((a, b) => b.score - a.score);
 
-    console.log('🧠 Question scores:', scored.map(s => ({ id: s.question.id, score: s.score.toFixed(2) })));
-
     // Add variety - don't always pick the top score
     const topCandidates = scored.slice(0, Math.min(2, scored.length));
     const randomIndex = Math.floor(Math.random() * topCandidates.length);
     const selected = topCandidates[randomIndex].question;
 
-    console.log('🎯 Enhanced selection picked:', selected?.id, 'from', topCandidates.length, 'candidates');
+    sessionLogger.debug(`Enhanced selection picked ${selected?.id} from ${topCandidates.length} candidates`, {
+      topScores: scored.slice(0, 5).map(s => ({ id: s.question.id, score: Number(s.score.toFixed(2)) }))
+    });
     return selected;
   }
 
-  calculateIntelligentQuestionScore(question, currentAnswers, currentScores, questionNumber) {
+  calculateIntelligentQuestionScore(question, currentAnswers, currentScores, questionNumber, questionCatalog = this.questionCatalog) {
     let score = question.priority || 0;
 
     // Calculate which dimensions need more information
     const uncertainties = this.calculateUncertainties(currentScores);
-    console.log('🎯 Current uncertainties:', uncertainties);
 
     // Score based on how much this question helps with uncertain dimensions
     let uncertaintyReduction = 0;
@@ -342,8 +354,9 @@ export class EnhancedQuestionSelector {
     }
 
     // Variety bonus - avoid recently selected question types
-    const recentTypes = Object.values(currentAnswers).map(a => {
-      const q = this.findQuestionById(a.questionId);
+    // (answers are keyed by question id)
+    const recentTypes = Object.keys(currentAnswers).map(questionId => {
+      const q = questionCatalog.findQuestionById(questionId);
       return q?.type;
     }).filter(Boolean);
 
@@ -355,19 +368,18 @@ export class EnhancedQuestionSelector {
     }
 
     // Balance different aspects
-    if (questionNumber === 2 && !this.hasAnsweredDimension(currentAnswers, 'socialness')) {
+    if (questionNumber === 2 && !this.hasAnsweredDimension(currentAnswers, 'socialness', questionCatalog)) {
       if (question.id === 'playing_partner' || question.id === 'nineteenth_hole') {
         score += 2;
       }
     }
 
-    if (questionNumber === 3 && !this.hasAnsweredDimension(currentAnswers, 'luxuryLevel')) {
+    if (questionNumber === 3 && !this.hasAnsweredDimension(currentAnswers, 'luxuryLevel', questionCatalog)) {
       if (question.id === 'course_recognition' || question.id === 'golf_membership') {
         score += 2;
       }
     }
 
-    console.log(`🧠 Question ${question.id}: base=${question.priority}, uncertainty=${uncertaintyReduction}, final=${score}`);
     return score;
   }
 
@@ -388,11 +400,13 @@ export class EnhancedQuestionSelector {
     return uncertainties;
   }
 
-  hasAnsweredDimension(currentAnswers, dimension) {
-    // Check if we've already explored this dimension
-    for (const answer of Object.values(currentAnswers)) {
-      const scores = answer.rawScores || {};
-      if (scores[dimension] && scores[dimension] > 0) {
+  hasAnsweredDimension(currentAnswers, dimension, questionCatalog = this.questionCatalog) {
+    // Check if we've already explored this dimension, using the catalog's
+    // scores for the chosen option so answers without rawScores still count
+    for (const [questionId, answer] of Object.entries(currentAnswers)) {
+      const option = questionCatalog.getOption(questionId, answer?.optionIndex);
+      const scores = option?.scores || answer?.rawScores || {};
+      if (typeof scores[dimension] === 'number') {
         return true;
       }
     }
@@ -400,8 +414,7 @@ export class EnhancedQuestionSelector {
   }
 
   findQuestionById(questionId) {
-    // This would normally reference the question bank, simplified for now
-    return { id: questionId, type: 'unknown' };
+    return this.questionCatalog.findQuestionById(questionId);
   }
 }
 
@@ -417,9 +430,10 @@ export function createEnhancedMLSystem() {
 
     // Test the system
     test() {
-      console.log('Testing ML System:');
-      console.log('Available profiles:', memoryDataManager.getProfiles().length);
-      console.log('ML Metrics:', memoryDataManager.getMLMetrics());
+      logger.debug('Testing ML System', {
+        availableProfiles: memoryDataManager.getProfiles().length,
+        metrics: memoryDataManager.getMLMetrics()
+      });
 
       // Test question selection variation
       const mockQuestions = [
@@ -434,7 +448,7 @@ export function createEnhancedMLSystem() {
         selections.push(selected.id);
       }
 
-      console.log('Question selection variation:', selections);
+      logger.debug('Question selection variation', selections);
       return selections.length === new Set(selections).size; // Should have variety
     }
   };
@@ -442,4 +456,4 @@ export function createEnhancedMLSystem() {
 
 // Initialize the system
 const mlSystem = createEnhancedMLSystem();
-console.log('Enhanced ML System Created:', mlSystem.test());
\ No newline at end of file
+logger.debug('Enhanced ML System Created', { varied: mlSystem.test() });
\ No newline at end of file
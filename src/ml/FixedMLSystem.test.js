@@ -0,0 +1,70 @@
+import { EnhancedQuestionSelector } from './FixedMLSystem';
+import { QuestionCatalog, loadQuestionCatalog } from './QuestionCatalog';
+
+const option = (text, scores) => ({ text, scores });
+
+const testCatalog = new QuestionCatalog({
+  version: '1.0.0',
+  questions: [
+    { id: 'core_one', type: 'core', priority: 5, question: 'Core one?', options: [option('A', { pace: 3 }), option('B', { pace: 7 })] },
+    { id: 'core_two', type: 'core', priority: 5, question: 'Core two?', options: [option('A', { pace: 3 }), option('B', { pace: 7 })] },
+    { id: 'core_three', type: 'core', priority: 6, question: 'Core three?', options: [option('A', { socialness: 2 }), option('B', { socialness: 8 })] },
+    { id: 'social_one', type: 'social', priority: 5, question: 'Social one?', options: [option('A', { socialness: 2 }), option('B', { socialness: 8 })] },
+    { id: 'lifestyle_one', type: 'lifestyle', priority: 1, question: 'Lifestyle?', options: [option('A', { luxuryLevel: 9 }), option('B', { pace: 1 })] }
+  ]
+});
+
+// Answers are stored by GolfProfiler keyed by question id, without a questionId field
+const answer = (questionId, optionIndex) => ({
+  questionText: testCatalog.findQuestionById(questionId).question,
+  answer: testCatalog.getOption(questionId, optionIndex).text,
+  optionIndex,
+  rawScores: testCatalog.getOption(questionId, optionIndex).scores
+});
+
+describe('EnhancedQuestionSelector', () => {
+  let selector;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // Always take the top candidate instead of one of the top two
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    selector = new EnhancedQuestionSelector(null, testCatalog);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('looks up question types from the catalog', () => {
+    expect(selector.findQuestionById('social_one').type).toBe('social');
+    expect(selector.findQuestionById('missing')).toBeNull();
+  });
+
+  it('defaults to the bundled catalog', () => {
+    const defaultSelector = new EnhancedQuestionSelector(null);
+    expect(defaultSelector.findQuestionById('golf_equipment').type).toBe('gear');
+    expect(defaultSelector.questionCatalog).toBe(loadQuestionCatalog());
+  });
+
+  it('penalises a question type that has already been asked twice', () => {
+    const scores = { socialness: 5, pace: 5 };
+    const candidates = testCatalog.getQuestions().filter(q => ['core_three', 'social_one'].includes(q.id));
+
+    // Nothing asked yet: the higher-priority core question wins
+    expect(selector.selectNextQuestion({}, scores, candidates, 4).id).toBe('core_three');
+
+    // Two core answers already given: the variety penalty flips the choice
+    const coreAnswers = { core_one: answer('core_one', 0), core_two: answer('core_two', 1) };
+    expect(selector.calculateIntelligentQuestionScore(candidates[0], coreAnswers, scores, 4))
+      .toBeLessThan(selector.calculateIntelligentQuestionScore(candidates[1], coreAnswers, scores, 4));
+    expect(selector.selectNextQuestion(coreAnswers, scores, candidates, 4).id).toBe('social_one');
+  });
+
+  it('detects answered dimensions from the catalog option scores', () => {
+    const answers = { lifestyle_one: { optionIndex: 0 } };
+
+    expect(selector.hasAnsweredDimension(answers, 'luxuryLevel')).toBe(true);
+    expect(selector.hasAnsweredDimension(answers, 'pace')).toBe(false);
+  });
+});
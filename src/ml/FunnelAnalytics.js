@@ -0,0 +1,214 @@
+// FunnelAnalytics.js - Quiz funnel and drop-off figures from session events
+//
+// Events (see SessionEventLog.js) are grouped into journeys, one per quiz
+// attempt: a restart ends the current journey and the next quiz_started
+// begins another in the same session. Sessions saved before events were
+// recorded are rebuilt from their profile's questionSequence, so they count
+// as completed journeys without timings.
+import { ML_CONFIG } from './MLConfig.js';
+import { SESSION_EVENT_TYPES } from './SessionEventLog.js';
+import { median } from './Statistics.js';
+
+export const JOURNEY_EXITS = {
+  COMPLETED: 'completed',
+  RESTARTED: 'restarted',
+  LEFT: 'left'
+};
+
+export const UNASSIGNED_STRATEGY = 'unassigned';
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+function newJourney(sessionId, attempt) {
+  return {
+    sessionId,
+    attempt,
+    strategy: null,
+    source: 'events',
+    startedAt: null,
+    lastEventAt: null,
+    shown: [],
+    answers: [],
+    completed: false,
+    durationMs: null,
+    exit: JOURNEY_EXITS.LEFT
+  };
+}
+
+// strategyFor(sessionId) names the question-selection strategy of sessions
+// whose quiz_started event doesn't record one
+export function buildQuizJourneys(events, profiles = [], { strategyFor = () => null } = {}) {
+  const journeys = [];
+  const bySession = new Map();
+  events.forEach(event => {
+    if (!bySession.has(event.sessionId)) bySession.set(event.sessionId, []);
+    bySession.get(event.sessionId).push(event);
+  });
+
+  bySession.forEach((sessionEvents, sessionId) => {
+    let journey = null;
+    let attempt = 0;
+    const current = () => {
+      if (!journey) {
+        journey = newJourney(sessionId, attempt++);
+        journeys.push(journey);
+      }
+      return journey;
+    };
+
+    [...sessionEvents].sort((a, b) => a.sequence - b.sequence).forEach(event => {
+      const payload = event.payload || {};
+
+      // A second start without a restart in between still begins a new attempt
+      if (event.type === SESSION_EVENT_TYPES.QUIZ_STARTED && journey?.shown.length > 0) journey = null;
+      if (event.type === SESSION_EVENT_TYPES.RESTARTED && !journey) return;
+
+      const active = current();
+      active.lastEventAt = event.occurredAt;
+
+      switch (event.type) {
+        case SESSION_EVENT_TYPES.QUIZ_STARTED:
+          active.startedAt = event.occurredAt;
+          active.strategy = payload.questionSelectionStrategy || null;
+          break;
+        case SESSION_EVENT_TYPES.QUESTION_SHOWN:
+          active.shown.push({ questionId: event.questionId, questionNumber: payload.questionNumber });
+          break;
+        case SESSION_EVENT_TYPES.ANSWER_SELECTED:
+          // Changes made in the answer editor after the quiz are not steps of it
+          if (payload.source === 'edit') break;
+          active.answers.push({
+            questionId: event.questionId,
+            questionNumber: payload.questionNumber,
+            dwellMs: payload.dwellMs ?? null
+          });
+          break;
+        case SESSION_EVENT_TYPES.PROFILE_GENERATED:
+          if (!active.completed) {
+            active.completed = true;
+            active.exit = JOURNEY_EXITS.COMPLETED;
+            active.durationMs = payload.elapsedMs ?? null;
+          }
+          break;
+        case SESSION_EVENT_TYPES.RESTARTED:
+          if (!active.completed) active.exit = JOURNEY_EXITS.RESTARTED;
+          journey = null;
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  profiles
+    .filter(profile => profile.sessionId && !bySession.has(profile.sessionId))
+    .forEach(profile => {
+      const sequence = profile.questionSequence || Object.keys(profile.answers || {});
+      const steps = sequence.map((questionId, index) => ({ questionId, questionNumber: index + 1 }));
+      journeys.push({
+        ...newJourney(profile.sessionId, 0),
+        source: 'profile',
+        startedAt: profile.timestamp ?? null,
+        lastEventAt: profile.timestamp ?? null,
+        shown: steps,
+        answers: steps.map(step => ({ ...step, dwellMs: null })),
+        completed: true,
+        exit: JOURNEY_EXITS.COMPLETED
+      });
+    });
+
+  journeys.forEach(entry => {
+    entry.strategy = entry.strategy || strategyFor(entry.sessionId) || UNASSIGNED_STRATEGY;
+  });
+  return journeys;
+}
+
+// Unfinished journeys with an event in the last inProgressMs may still be
+// answered, so they are left out rather than counted as abandoned
+export function calculateFunnel(journeys, {
+  now = Date.now(),
+  inProgressMs = ML_CONFIG.FUNNEL.IN_PROGRESS_MS
+} = {}) {
+  const inProgress = journeys.filter(journey =>
+    !journey.completed && journey.exit === JOURNEY_EXITS.LEFT && now - journey.lastEventAt < inProgressMs);
+  const finished = journeys.filter(journey => !inProgress.includes(journey));
+
+  const starts = finished.length;
+  const completions = finished.filter(journey => journey.completed).length;
+  const abandoned = finished.filter(journey => !journey.completed);
+  const maxQuestions = Math.max(0, ...finished.map(journey => Math.max(journey.shown.length, journey.answers.length)));
+
+  // Position of the question a journey saw but never answered before leaving
+  const abandonedIndex = (journey) => (!journey.completed && journey.shown.length > journey.answers.length
+    ? journey.answers.length
+    : null);
+
+  const byQuestionNumber = Array.from({ length: maxQuestions }, (_, index) => {
+    const questionNumber = index + 1;
+    const reached = finished.filter(journey => Math.max(journey.shown.length, journey.answers.length) >= questionNumber);
+    const answered = finished.filter(journey => journey.answers.length >= questionNumber);
+    const dropped = reached.filter(journey => abandonedIndex(journey) === index);
+
+    return {
+      questionNumber,
+      reached: reached.length,
+      answered: answered.length,
+      abandoned: dropped.length,
+      // Share of all starts that got past this question
+      completionRate: rate(answered.length, starts),
+      dropOffRate: rate(dropped.length, reached.length),
+      medianDwellMs: median(answered.map(journey => journey.answers[index].dwellMs))
+    };
+  });
+
+  const questionStats = new Map();
+  const statsFor = (questionId) => {
+    if (!questionStats.has(questionId)) {
+      questionStats.set(questionId, { questionId, shown: 0, answered: 0, abandoned: 0, dwellTimes: [] });
+    }
+    return questionStats.get(questionId);
+  };
+  finished.forEach(journey => {
+    journey.shown.forEach(step => { statsFor(step.questionId).shown++; });
+    journey.answers.forEach(step => {
+      const stats = statsFor(step.questionId);
+      stats.answered++;
+      stats.dwellTimes.push(step.dwellMs);
+    });
+    const index = abandonedIndex(journey);
+    if (index !== null) statsFor(journey.shown[index].questionId).abandoned++;
+  });
+
+  const byQuestion = [...questionStats.values()]
+    .map(({ dwellTimes, ...stats }) => ({
+      ...stats,
+      abandonmentRate: rate(stats.abandoned, stats.shown),
+      medianDwellMs: median(dwellTimes)
+    }))
+    .sort((a, b) => b.abandoned - a.abandoned || (b.abandonmentRate ?? 0) - (a.abandonmentRate ?? 0));
+
+  return {
+    starts,
+    completions,
+    completionRate: rate(completions, starts),
+    restarts: abandoned.filter(journey => journey.exit === JOURNEY_EXITS.RESTARTED).length,
+    left: abandoned.filter(journey => journey.exit === JOURNEY_EXITS.LEFT).length,
+    inProgress: inProgress.length,
+    medianDurationMs: median(finished.filter(journey => journey.completed).map(journey => journey.durationMs)),
+    byQuestionNumber,
+    byQuestion
+  };
+}
+
+// One funnel per question-selection strategy, largest first
+export function compareFunnelsByStrategy(journeys, options = {}) {
+  const strategies = [...new Set(journeys.map(journey => journey.strategy))];
+  return strategies
+    .map(strategy => ({
+      strategy,
+      ...calculateFunnel(journeys.filter(journey => journey.strategy === strategy), options)
+    }))
+    .sort((a, b) => b.starts - a.starts);
+}
+
+export default calculateFunnel;
@@ -0,0 +1,105 @@
+import {
+  buildQuizJourneys,
+  calculateFunnel,
+  compareFunnelsByStrategy,
+  JOURNEY_EXITS
+} from './FunnelAnalytics';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 100 * HOUR;
+
+// Events for one quiz attempt: shows and answers questions in order, then
+// optionally finishes or restarts
+const quiz = (sessionId, { answered, shown = answered, dwellMs = 1000, strategy = 'enhanced_ml', end = null, at = 0 }) => {
+  const steps = [{ type: 'quiz_started', payload: { questionSelectionStrategy: strategy } }];
+  for (let index = 0; index < shown; index++) {
+    const questionId = `q${index + 1}`;
+    steps.push({ type: 'question_shown', questionId, payload: { questionNumber: index + 1 } });
+    if (index < answered) {
+      steps.push({ type: 'answer_selected', questionId, payload: { questionNumber: index + 1, optionIndex: 0, dwellMs } });
+    }
+  }
+  if (end === 'completed') steps.push({ type: 'profile_generated', payload: { totalQuestions: answered, elapsedMs: answered * dwellMs } });
+  if (end === 'restarted') steps.push({ type: 'restarted', payload: { answeredCount: answered } });
+  return steps.map(step => ({ sessionId, questionId: null, occurredAt: at, ...step }));
+};
+
+// Number events per session in the order given
+const sequenced = (...attempts) => {
+  const counters = {};
+  return attempts.flat().map(event => {
+    counters[event.sessionId] = counters[event.sessionId] ?? 0;
+    return { ...event, sequence: counters[event.sessionId]++ };
+  });
+};
+
+describe('FunnelAnalytics', () => {
+  it('splits a session into one journey per attempt', () => {
+    const events = sequenced(
+      quiz('s1', { answered: 1, shown: 2, end: 'restarted' }),
+      quiz('s1', { answered: 5, end: 'completed' }),
+      [{ sessionId: 's1', type: 'answer_selected', questionId: 'q1', occurredAt: 0, payload: { optionIndex: 2, source: 'edit' } }]
+    );
+
+    const journeys = buildQuizJourneys(events);
+    expect(journeys.map(journey => [journey.attempt, journey.exit, journey.answers.length])).toEqual([
+      [0, JOURNEY_EXITS.RESTARTED, 1],
+      [1, JOURNEY_EXITS.COMPLETED, 5]
+    ]);
+    expect(journeys[1].durationMs).toBe(5000);
+  });
+
+  it('counts drop-off at the question a journey saw but did not answer', () => {
+    const journeys = buildQuizJourneys(sequenced(
+      quiz('s1', { answered: 5, end: 'completed', dwellMs: 2000 }),
+      quiz('s2', { answered: 5, end: 'completed', dwellMs: 4000 }),
+      quiz('s3', { answered: 1, shown: 2 }),
+      quiz('s4', { answered: 2, shown: 3, end: 'restarted' })
+    ));
+
+    const funnel = calculateFunnel(journeys, { now: NOW });
+    expect(funnel).toMatchObject({ starts: 4, completions: 2, completionRate: 0.5, left: 1, restarts: 1, medianDurationMs: 15000 });
+
+    const [first, second, third, fourth] = funnel.byQuestionNumber;
+    expect(first).toMatchObject({ reached: 4, answered: 4, abandoned: 0, completionRate: 1, medianDwellMs: 1500 });
+    expect(second).toMatchObject({ reached: 4, answered: 3, abandoned: 1, completionRate: 0.75, dropOffRate: 0.25 });
+    expect(third).toMatchObject({ reached: 3, answered: 2, abandoned: 1, completionRate: 0.5 });
+    expect(fourth).toMatchObject({ reached: 2, abandoned: 0 });
+
+    expect(funnel.byQuestion.slice(0, 2).map(question => [question.questionId, question.abandoned, question.shown]))
+      .toEqual([['q3', 1, 3], ['q2', 1, 4]]);
+  });
+
+  it('leaves out recent unfinished journeys and rebuilds sessions saved before events', () => {
+    const events = sequenced(
+      quiz('s1', { answered: 2, shown: 3, at: NOW - 5 * 60 * 1000 }),
+      quiz('s2', { answered: 1, shown: 2, at: NOW - 2 * HOUR })
+    );
+    const profiles = [{ sessionId: 'old', questionSequence: ['q1', 'q2', 'q3', 'q4', 'q5'], timestamp: NOW - 24 * HOUR }];
+
+    const journeys = buildQuizJourneys(events, profiles);
+    const funnel = calculateFunnel(journeys, { now: NOW });
+
+    expect(funnel).toMatchObject({ starts: 2, completions: 1, inProgress: 1, left: 1 });
+    expect(funnel.byQuestionNumber[4]).toMatchObject({ answered: 1, medianDwellMs: null });
+  });
+
+  it('compares funnels across question selection strategies', () => {
+    const events = sequenced(
+      quiz('s1', { answered: 5, end: 'completed', strategy: 'information_gain' }),
+      quiz('s2', { answered: 5, end: 'completed', strategy: 'random' }),
+      quiz('s3', { answered: 1, shown: 2, strategy: 'random' }),
+      quiz('s4', { answered: 5, end: 'completed', strategy: null })
+    );
+    const storedStrategies = { s4: 'information_gain' };
+
+    const journeys = buildQuizJourneys(events, [], { strategyFor: sessionId => storedStrategies[sessionId] });
+    const byStrategy = compareFunnelsByStrategy(journeys, { now: NOW });
+
+    expect(byStrategy.map(funnel => [funnel.strategy, funnel.starts, funnel.completionRate])).toEqual([
+      ['information_gain', 2, 1],
+      ['random', 2, 0.5]
+    ]);
+    expect(byStrategy[1].byQuestionNumber[1]).toMatchObject({ abandoned: 1, completionRate: 0.5 });
+  });
+});
@@ -0,0 +1,44 @@
+// InformationGainSelector.js - Picks the question with the largest expected variance reduction
+import { DimensionBelief } from './DimensionBelief.js';
+import { loadQuestionCatalog } from './QuestionCatalog.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('InformationGainSelector');
+
+export class InformationGainSelector {
+  // Answers are scored against this catalog unless the quiz passes the one
+  // it started with (userContext.questionCatalog)
+  constructor(questionCatalog = loadQuestionCatalog()) {
+    this.questionCatalog = questionCatalog;
+  }
+
+  setQuestionCatalog(questionCatalog) {
+    this.questionCatalog = questionCatalog;
+  }
+
+  selectNextQuestion(currentAnswers, currentScores, questionBank, questionNumber, userContext = {}) {
+    // Open with a starter like the other strategies so variants only differ
+    // in how they follow up
+    if (questionNumber === 0) {
+      return questionBank.find(q => q.type === 'starter') || questionBank[0];
+    }
+
+    const answeredIds = Object.keys(currentAnswers);
+    const unanswered = questionBank.filter(q => !answeredIds.includes(q.id));
+    if (unanswered.length === 0) return null;
+
+    const belief = DimensionBelief.fromAnswers(currentAnswers, userContext.questionCatalog || this.questionCatalog);
+    const scored = unanswered.map(question => ({
+      question,
+      gain: belief.expectedVarianceReduction(question)
+    }));
+
+    // Highest expected gain first, catalog priority breaks ties
+    scored.sort((a, b) => (b.gain - a.gain) || ((b.question.priority || 0) - (a.question.priority || 0)));
+
+    logger.debug('Information gain scores', scored.slice(0, 3).map(s => ({ id: s.question.id, gain: s.gain.toFixed(3) })));
+    return scored[0].question;
+  }
+}
+
+export default InformationGainSelector;
@@ -0,0 +1,96 @@
+// JsonSchema.js - Validates values against the JSON schema keywords our schemas use
+//
+// Covers the draft-07 subset in QUESTION_CATALOG_SCHEMA: type, required,
+// properties, additionalProperties: false, items, minItems, minLength,
+// pattern, enum, minimum and maximum. A schema can carry an errorMessage
+// (as in ajv-errors): a string used for any failing keyword, or an object
+// with one message per keyword. Array items with an id are labelled with
+// it in error paths: questions[2] (golf_movie).options.
+
+const ARTICLES = { array: 'an', object: 'an', integer: 'an' };
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return (actual === 'number' && Number.isFinite(value)) || actual === 'integer';
+  return actual === type;
+};
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Scalars are echoed back in the message; arrays and objects are too long
+const got = (value) => (value !== null && typeof value === 'object' ? '' : ` (got ${JSON.stringify(value)})`);
+
+function describe(schema, keyword, value, fallback) {
+  const custom = typeof schema.errorMessage === 'string' ? schema.errorMessage : schema.errorMessage?.[keyword];
+  return custom ? `${custom}${got(value)}` : fallback;
+}
+
+// Every way value breaks schema, as "path message" strings
+export function validateJsonSchema(schema, value, path = '') {
+  const errors = [];
+  const fail = (keyword, fallback) => errors.push(`${path} ${describe(schema, keyword, value, fallback)}`);
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('type', `must be ${ARTICLES[schema.type] || 'a'} ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of ${schema.enum.join(', ')}${got(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}${got(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    const { minimum = -Infinity, maximum = Infinity } = schema;
+    if (value < minimum || value > maximum) {
+      fail(value < minimum ? 'minimum' : 'maximum', `is out of range [${minimum}, ${maximum}]${got(value)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        const label = typeof item?.id === 'string' ? ` (${item.id})` : '';
+        errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]${label}`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${childPath(path, key)} is required`);
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateJsonSchema(propertySchema, child, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        const message = schema.errorMessage?.additionalProperties || 'is not an allowed property';
+        errors.push(`${childPath(path, key)} ${message}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+export default validateJsonSchema;
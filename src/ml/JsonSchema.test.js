@@ -0,0 +1,33 @@
+import { validateJsonSchema } from './JsonSchema';
+
+const schema = {
+  type: 'object',
+  required: ['name', 'holes'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    par: { type: 'integer', minimum: 54, maximum: 76, errorMessage: { maximum: 'is too long for a course' } },
+    style: { type: 'string', enum: ['links', 'parkland'] },
+    holes: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', additionalProperties: false, properties: { id: { type: 'string', pattern: '^h\\d+$' } } }
+    }
+  }
+};
+
+describe('JsonSchema', () => {
+  it('accepts a value that matches', () => {
+    expect(validateJsonSchema(schema, { name: 'Old Course', par: 72, style: 'links', holes: [{ id: 'h1' }] })).toEqual([]);
+  });
+
+  it('lists every problem with its path', () => {
+    expect(validateJsonSchema(schema, { name: ' ', par: 80, style: 'desert', holes: [{ id: 'x', yards: 400 }] })).toEqual([
+      'name must not be empty',
+      'par is too long for a course (got 80)',
+      'style must be one of links, parkland (got "desert")',
+      'holes[0] (x).id must match ^h\\d+$ (got "x")',
+      'holes[0] (x).yards is not an allowed property'
+    ]);
+    expect(validateJsonSchema(schema, { holes: 'all' })).toEqual(['name is required', 'holes must be an array']);
+  });
+});
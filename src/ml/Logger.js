@@ -0,0 +1,169 @@
+// Logger.js - Leveled, namespaced logging with an in-memory ring buffer
+//
+//   const logger = createLogger('MLService');
+//   logger.debug('Selected question', { sessionId, questionId });
+//
+// The console only shows entries at or above the configured level (warn in
+// production and tests, info in development); REACT_APP_LOG_LEVEL changes it,
+// optionally per namespace ("info,SimilarityCalculator=debug"), and
+// REACT_APP_LOG_FORMAT=json prints one JSON object per line. The buffer keeps
+// the latest entries at every level so the admin Logs tab can replay what
+// happened in one session even when the console was quiet.
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const DEFAULT_LEVELS = {
+  production: 'warn',
+  test: 'warn',
+  development: 'info'
+};
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+const DEFAULT_BUFFER_SIZE = 500;
+
+// "warn,SimilarityCalculator=debug" -> { level: 'warn', namespaceLevels: { SimilarityCalculator: 'debug' } }
+export function parseLogLevel(value) {
+  const parsed = { level: null, namespaceLevels: {} };
+  (value || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, level] = part.includes('=') ? part.split('=').map(item => item.trim()) : [null, part];
+    if (!LOG_LEVELS[level]) return;
+    if (name) {
+      parsed.namespaceLevels[name] = level;
+    } else {
+      parsed.level = level;
+    }
+  });
+  return parsed;
+}
+
+function defaultSettings(env = process.env) {
+  const { level, namespaceLevels } = parseLogLevel(env.REACT_APP_LOG_LEVEL);
+  return {
+    level: level || DEFAULT_LEVELS[env.NODE_ENV] || DEFAULT_LEVELS.development,
+    namespaceLevels,
+    format: env.REACT_APP_LOG_FORMAT === 'json' ? 'json' : 'text',
+    bufferSize: DEFAULT_BUFFER_SIZE
+  };
+}
+
+let settings = defaultSettings();
+let buffer = [];
+let nextEntryId = 1;
+
+// Override the environment's settings, e.g. from tests or the admin console
+export function configureLogging(overrides = {}) {
+  settings = {
+    ...settings,
+    ...overrides,
+    namespaceLevels: { ...settings.namespaceLevels, ...(overrides.namespaceLevels || {}) }
+  };
+  if (buffer.length > settings.bufferSize) {
+    buffer = buffer.slice(-settings.bufferSize);
+  }
+  return getLoggingSettings();
+}
+
+export function resetLogging(env = process.env) {
+  settings = defaultSettings(env);
+  buffer = [];
+}
+
+export function getLoggingSettings() {
+  return { ...settings, namespaceLevels: { ...settings.namespaceLevels } };
+}
+
+// Errors don't survive JSON.stringify, and callers may hand over live
+// objects; entries keep a plain copy
+function toPlain(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  try {
+    return JSON.parse(JSON.stringify(value, (key, item) => (item instanceof Error ? toPlain(item) : item)));
+  } catch (error) {
+    return String(value);
+  }
+}
+
+// The second argument may be a context object, an Error or any single value
+function toContext(details) {
+  if (details === undefined) return {};
+  if (details instanceof Error) return { error: toPlain(details) };
+  if (details && typeof details === 'object' && !Array.isArray(details)) return toPlain(details);
+  return { value: toPlain(details) };
+}
+
+function isEnabled(namespace, level) {
+  const threshold = settings.namespaceLevels[namespace] || settings.level;
+  return LOG_LEVELS[level] >= LOG_LEVELS[threshold];
+}
+
+function write(namespace, level, message, details, boundContext) {
+  const context = { ...boundContext, ...toContext(details) };
+  const { sessionId = null, ...rest } = context;
+  const entry = {
+    id: nextEntryId++,
+    timestamp: new Date().toISOString(),
+    level,
+    namespace,
+    message,
+    sessionId,
+    context: rest
+  };
+
+  buffer.push(entry);
+  if (buffer.length > settings.bufferSize) buffer.shift();
+
+  if (!isEnabled(namespace, level)) return;
+
+  const method = CONSOLE_METHODS[level];
+  if (settings.format === 'json') {
+    console[method](JSON.stringify(entry));
+  } else if (Object.keys(context).length > 0) {
+    console[method](`[${namespace}] ${message}`, context);
+  } else {
+    console[method](`[${namespace}] ${message}`);
+  }
+}
+
+export function createLogger(namespace, boundContext = {}) {
+  const logger = {
+    namespace,
+    debug: (message, details) => write(namespace, 'debug', message, details, boundContext),
+    info: (message, details) => write(namespace, 'info', message, details, boundContext),
+    warn: (message, details) => write(namespace, 'warn', message, details, boundContext),
+    error: (message, details) => write(namespace, 'error', message, details, boundContext),
+    log: (level, message, details) => write(namespace, level, message, details, boundContext),
+    // Same namespace with fields (e.g. sessionId) added to every entry
+    withContext: (context) => createLogger(namespace, { ...boundContext, ...context }),
+    isEnabled: (level) => isEnabled(namespace, level)
+  };
+  return logger;
+}
+
+// Newest last; filter by session, namespace and minimum level
+export function getLogEntries({ sessionId = null, namespace = null, level = 'debug', limit = null } = {}) {
+  const entries = buffer.filter(entry =>
+    (!sessionId || entry.sessionId === sessionId) &&
+    (!namespace || entry.namespace === namespace) &&
+    LOG_LEVELS[entry.level] >= LOG_LEVELS[level]);
+  return limit ? entries.slice(-limit) : entries;
+}
+
+export function clearLogEntries() {
+  buffer = [];
+}
+
+export default createLogger;
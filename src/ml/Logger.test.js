@@ -0,0 +1,102 @@
+import {
+  createLogger,
+  configureLogging,
+  resetLogging,
+  getLogEntries,
+  getLoggingSettings,
+  parseLogLevel
+} from './Logger';
+
+describe('Logger', () => {
+  beforeEach(() => {
+    resetLogging({ NODE_ENV: 'development' });
+    ['debug', 'info', 'warn', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    resetLogging();
+    jest.restoreAllMocks();
+  });
+
+  it('defaults to warn in production and info in development', () => {
+    resetLogging({ NODE_ENV: 'production' });
+    expect(getLoggingSettings().level).toBe('warn');
+
+    resetLogging({ NODE_ENV: 'development' });
+    expect(getLoggingSettings().level).toBe('info');
+
+    resetLogging({ NODE_ENV: 'production', REACT_APP_LOG_LEVEL: 'debug', REACT_APP_LOG_FORMAT: 'json' });
+    expect(getLoggingSettings()).toMatchObject({ level: 'debug', format: 'json' });
+  });
+
+  it('parses per-namespace levels', () => {
+    expect(parseLogLevel('warn, SimilarityCalculator=debug, Bogus=loud')).toEqual({
+      level: 'warn',
+      namespaceLevels: { SimilarityCalculator: 'debug' }
+    });
+  });
+
+  it('writes to the console at or above the configured level', () => {
+    const logger = createLogger('MLService');
+    logger.log('debug', 'Selected question', { questionId: 'q1' });
+    logger.info('MLService initialized');
+    logger.error('Error saving profile', new Error('offline'));
+
+    expect(console.debug).not.toHaveBeenCalled();
+    expect(console.info).toHaveBeenCalledWith('[MLService] MLService initialized');
+    expect(console.error).toHaveBeenCalledWith('[MLService] Error saving profile', {
+      error: expect.objectContaining({ message: 'offline' })
+    });
+  });
+
+  it('honours namespace overrides', () => {
+    configureLogging({ level: 'warn', namespaceLevels: { SimilarityCalculator: 'debug' } });
+
+    createLogger('SimilarityCalculator').log('debug', 'Lowering threshold');
+    createLogger('MLService').info('MLService initialized');
+
+    expect(console.debug).toHaveBeenCalledWith('[SimilarityCalculator] Lowering threshold');
+    expect(console.info).not.toHaveBeenCalled();
+  });
+
+  it('prints one JSON object per entry when configured', () => {
+    configureLogging({ format: 'json' });
+    createLogger('WriteOutbox').warn('Queued user_feedback write', { sessionId: 's1' });
+
+    const printed = JSON.parse(console.warn.mock.calls[0][0]);
+    expect(printed).toMatchObject({
+      level: 'warn',
+      namespace: 'WriteOutbox',
+      message: 'Queued user_feedback write',
+      sessionId: 's1'
+    });
+  });
+
+  it('keeps every level in a bounded buffer that can be filtered by session', () => {
+    configureLogging({ level: 'silent', bufferSize: 3 });
+    const logger = createLogger('MLService');
+    const sessionLogger = logger.withContext({ sessionId: 's2' });
+
+    logger.log('debug', 'Before the quiz');
+    sessionLogger.log('debug', 'Selected question', { questionId: 'q1' });
+    logger.info('Unrelated', { sessionId: 's3' });
+    sessionLogger.warn('No similar profiles found');
+
+    expect(console.debug).not.toHaveBeenCalled();
+    expect(getLogEntries().map(entry => entry.message))
+      .toEqual(['Selected question', 'Unrelated', 'No similar profiles found']);
+
+    const session = getLogEntries({ sessionId: 's2' });
+    expect(session.map(entry => [entry.level, entry.message, entry.context]))
+      .toEqual([['debug', 'Selected question', { questionId: 'q1' }], ['warn', 'No similar profiles found', {}]]);
+    expect(getLogEntries({ sessionId: 's2', level: 'warn' })).toHaveLength(1);
+  });
+
+  it('stores a copy of the context', () => {
+    const scores = { skillLevel: 4 };
+    createLogger('GolfProfiler').log('debug', 'Scores', { scores });
+    scores.skillLevel = 9;
+
+    expect(getLogEntries()[0].context.scores.skillLevel).toBe(4);
+  });
+});
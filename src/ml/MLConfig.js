@@ -37,6 +37,23 @@ export const ML_CONFIG = {
     'pace'
   ],
 
+  // Per-dimension Gaussian belief used by information-gain question selection.
+  // The prior matches a uniform guess over the 0-10 scale; each answer that
+  // scores a dimension is treated as one noisy observation of it
+  DIMENSION_BELIEF: {
+    PRIOR_MEAN: 5,
+    PRIOR_VARIANCE: 100 / 12,
+    OBSERVATION_VARIANCE: 4
+  },
+
+  // Question catalog validation rules
+  QUESTION_CATALOG: {
+    SCORE_RANGE: [0, 10],
+    // genderLean is a signed lean around 0 rather than a 0-10 scale
+    SIGNED_DIMENSIONS: { genderLean: [-5, 5] },
+    COURSE_STYLES: ['parkland', 'links', 'coastal', 'desert', 'mountain']
+  },
+
   // Feedback categories
   FEEDBACK_CATEGORIES: {
     VERY_ACCURATE: { weight: 1.0, helpful: true },
@@ -49,7 +66,10 @@ export const ML_CONFIG = {
   STORAGE_KEYS: {
     TRAINING_DATA: 'golf_profiler_training_data',
     USER_SESSIONS: 'golf_profiler_sessions',
-    ML_METRICS: 'golf_profiler_ml_metrics'
+    ML_METRICS: 'golf_profiler_ml_metrics',
+    // Kept out of the 'golf_profiler' prefix, which GolfProfiler holds in
+    // memory, so the A/B assignment unit survives a reload
+    USER_FINGERPRINT: 'golfer_fingerprint'
   },
 
   // Question flow parameters
@@ -57,7 +77,100 @@ export const ML_CONFIG = {
     MIN_QUESTIONS: 5,
     MAX_QUESTIONS: 7,
     UNCERTAINTY_THRESHOLD: 2,
+    // Share of prior variance that must be explained for every required
+    // dimension before the quiz can stop early: two answers within the
+    // observation noise of each other reach ~0.8, two that contradict
+    // each other (e.g. 2 and 9) only ~0.4
+    CONFIDENCE_THRESHOLD: 0.75,
     REQUIRED_DIMENSIONS: ['skillLevel', 'luxuryLevel', 'amenityImportance']
+  },
+
+  // Quiz journey events (see SessionEventLog.js), written in batches
+  SESSION_EVENTS: {
+    BATCH_SIZE: 20,
+    FLUSH_INTERVAL_MS: 5000,
+    // Oldest events are dropped beyond this while the database is unreachable
+    MAX_BUFFERED: 500
+  },
+
+  // Funnel analytics in the admin interface (see FunnelAnalytics.js)
+  FUNNEL: {
+    LOOKBACK_DAYS: 30,
+    // Unfinished quizzes with activity this recent are not counted as abandoned yet
+    IN_PROGRESS_MS: 30 * 60 * 1000
+  },
+
+  // Per-question item analysis (see QuestionAnalytics.js)
+  QUESTION_ANALYTICS: {
+    // Distribution and correlation flags need at least this many answers
+    MIN_RESPONSES: 20,
+    // Best item-rest correlation below this means the question barely
+    // separates golfers on any dimension it scores
+    MIN_DISCRIMINATION: 0.2,
+    // Share of answers on one option that makes the others near-useless
+    DOMINANT_OPTION_SHARE: 0.7
+  },
+
+  // Fitting option scores to dimension feedback (see OptionCalibration.js)
+  OPTION_CALIBRATION: {
+    // Dimension ratings (1-5) at or above this confirm the profile's score
+    ACCURATE_RATING: 4,
+    // Points the target moves per rating step below ACCURATE_RATING, in the
+    // direction the golfer said the score was off
+    CORRECTION_STEP: 1,
+    // Ridge penalty pulling each option towards its current score
+    REGULARIZATION: 2,
+    // Changes are only proposed for options with this many rated answers...
+    MIN_OBSERVATIONS: 5,
+    // ...and that move by at least this much
+    MIN_CHANGE: 0.5
+  },
+
+  // The results page's per-answer score breakdown (ScoringEngine.explainScores)
+  SCORE_EXPLANATION: {
+    // Answers listed per dimension, largest shift first
+    ANSWERS_PER_DIMENSION: 3,
+    // Shifts smaller than this are left out of the breakdown
+    MIN_SHIFT: 0.1,
+    // Answer changes listed as moving the profile most
+    MAX_FLIPS: 3
+  },
+
+  // A/B test assignment and analysis
+  EXPERIMENTS: {
+    // Traffic steps offered when ramping a running test (percent of sessions)
+    TRAFFIC_RAMP_STEPS: [5, 25, 50, 100],
+    // Significance level, power and sample-ratio-mismatch p-value threshold
+    // used by the A/B test analytics
+    ALPHA: 0.05,
+    POWER: 0.8,
+    SRM_THRESHOLD: 0.001,
+    // Smallest absolute lift worth detecting per metric, which sets the
+    // required sample size
+    TARGET_EFFECTS: { completion_rate: 0.05, helpful_rate: 0.05, accuracy: 0.05 },
+    // success_metrics names on A/B tests mapped to the analysed metrics
+    METRIC_ALIASES: { user_satisfaction: 'accuracy', completion: 'completion_rate', helpful: 'helpful_rate' },
+    // Scheduled evaluation of running tests (see ExperimentMonitor.js)
+    MONITOR: {
+      INTERVAL_MS: 60 * 60 * 1000,
+      // Metrics that stop a test when a variant is significantly worse than
+      // the control by more than the given absolute amount
+      GUARDRAIL_METRICS: { completion_rate: 0.02 },
+      GUARDRAIL_ALPHA: 0.01,
+      // Activate a clear winner automatically unless the test sets auto_rollout
+      AUTO_ROLLOUT: false
+    },
+    // Built-in split of sessions across the question selection strategies,
+    // used when the session's question-selection version pins no strategy.
+    // Strategies without a weight get 1
+    QUESTION_SELECTION: {
+      ID: 'question_selection_strategy',
+      VARIANT_WEIGHTS: { enhanced_ml: 1, priority_based: 1, random: 1, information_gain: 1 },
+      HOLDOUT: 0,
+      TRAFFIC: 1,
+      // Strategy for holdout sessions and sessions outside the traffic share
+      DEFAULT_VARIANT: 'enhanced_ml'
+    }
   }
 };
 
@@ -84,6 +197,30 @@ export const PROFILE_LABELS = {
     low: "Value ($25-50)",
     medium: "Mid-range ($50-100)",
     high: "Premium ($100+)"
+  },
+
+  dimensions: {
+    skillLevel: "Skill level",
+    socialness: "Socialness",
+    traditionalism: "Traditionalism",
+    luxuryLevel: "Luxury",
+    competitiveness: "Competitiveness",
+    ageGeneration: "Age generation",
+    genderLean: "Gender lean",
+    amenityImportance: "Amenity importance",
+    pace: "Pace"
+  },
+
+  // "<comparison> than 82% of golfers"
+  dimensionComparisons: {
+    skillLevel: "more skilled",
+    socialness: "more social",
+    traditionalism: "more traditional",
+    luxuryLevel: "more luxury-minded",
+    competitiveness: "more competitive",
+    ageGeneration: "older in outlook",
+    amenityImportance: "more amenity-focused",
+    pace: "faster-paced"
   }
 };
 
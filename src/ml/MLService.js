@@ -2,31 +2,78 @@
 
 // Import working components
 import { EnhancedQuestionSelector } from './FixedMLSystem.js';
+import { InformationGainSelector } from './InformationGainSelector.js';
+import { QuizStoppingRule } from './QuizStoppingRule.js';
+import { ScoringEngine, DEFAULT_SCORING_ALGORITHM } from './ScoringEngine.js';
 import { SimilarityCalculator } from './SimilarityCalculator.js';
 import { FeedbackCollector } from './FeedbackCollector.js';
 import { RecommendationEngine } from './RecommendationEngine.js';
+import { ProfileGenerator, ENHANCEMENT_LEVELS } from './ProfileGenerator.js';
+import { AlgorithmManager, normalizeAlgorithmType } from './AlgorithmManager.js';
+import { assignVariant } from './ExperimentAssignment.js';
+import { ExperimentMonitor } from './ExperimentMonitor.js';
+import { SessionEventLog } from './SessionEventLog.js';
+import { buildQuizJourneys, calculateFunnel, compareFunnelsByStrategy } from './FunnelAnalytics.js';
+import { analyzeQuestionBank } from './QuestionAnalytics.js';
+import { calibrateOptionScores, buildCalibratedAlgorithm } from './OptionCalibration.js';
+import { compareToPopulation } from './ProfileComparison.js';
+import { normalizeRecommendations, validateProfile } from './ProfileSchema.js';
 import { ML_CONFIG } from './MLConfig.js';
-import { SupabaseDataManager } from '../db/SupabaseDataManager.js';
+import {
+  loadQuestionCatalog,
+  registerQuestionCatalog,
+  validateQuestionCatalog,
+  compareCatalogVersions
+} from './QuestionCatalog.js';
+import { createDataManager } from '../db/createDataManager.js';
+import { verifySchema, SCHEMA_VERSION } from '../db/schema.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('MLService');
 
 export class MLService {
   constructor(options = {}) {
     // Store options for later
     this.options = options;
 
+    // Question bank shared by the quiz, question selection and scoring
+    this.questionCatalog = options.questionCatalog || loadQuestionCatalog();
+
     // Initialize core components with working classes
-    this.dataManager = new SupabaseDataManager();
+    this.dataManager = options.dataManager || createDataManager(options.dataBackend);
     this.similarityCalculator = new SimilarityCalculator();
-    this.questionSelector = new EnhancedQuestionSelector(this.dataManager);
+    this.questionSelector = new EnhancedQuestionSelector(this.dataManager, this.questionCatalog);
+    this.informationGainSelector = new InformationGainSelector(this.questionCatalog);
+    this.stoppingRule = new QuizStoppingRule(options.questionFlow);
+    this.scoringEngines = new Map();
     this.feedbackCollector = new FeedbackCollector(this.dataManager);
     this.recommendationEngine = new RecommendationEngine(this.similarityCalculator, this.dataManager);
-
-    // Algorithm versioning (simplified for memory mode)
-    this.activeAlgorithms = {
-      scoring: { version: 'v1.0.0' },
-      questionSelection: { version: 'v1.0.0' },
-      similarityCalculator: { version: 'v1.0.0' }
+    this.profileGenerator = new ProfileGenerator(this.similarityCalculator, this.recommendationEngine, this.dataManager);
+    // Quiz journey events, batched to the data manager (see trackEvent)
+    this.sessionEvents = new SessionEventLog(this.dataManager, options.sessionEvents);
+
+    // Question selection strategies, keyed by A/B test variant
+    this.questionSelectionStrategies = {
+      enhanced_ml: (answers, scores, bank, number, context) =>
+        this.questionSelector.selectNextQuestion(answers, scores, bank, number, context),
+      priority_based: (answers, scores, bank, number) =>
+        this.priorityBasedQuestionSelection(answers, bank, number),
+      random: (answers, scores, bank, number) =>
+        this.randomQuestionSelection(answers, bank, number),
+      information_gain: (answers, scores, bank, number, context) =>
+        this.informationGainSelector.selectNextQuestion(answers, scores, bank, number, context)
     };
 
+    // Algorithm versioning - fallback versions until the database ones load,
+    // then each session is resolved once through getAlgorithmForUser
+    this.algorithmManager = new AlgorithmManager(this.dataManager.supabase);
+    this.algorithmManager.loadFallbackAlgorithms();
+    this.sessionAlgorithms = new Map();
+    // Sequential checks of running A/B tests, scheduled from the admin dashboard
+    this.experimentMonitor = new ExperimentMonitor(this.algorithmManager);
+    // Built-in question selection strategy per session (see getABTestVariant)
+    this.strategyAssignments = new Map();
+
     // Configuration
     this.config = {
       ...ML_CONFIG,
@@ -38,6 +85,8 @@ export class MLService {
 
     this.isInitialized = false;
     this.modelVersion = '1.0.0';
+    // Result of the startup schema check (see checkSchema)
+    this.schemaStatus = null;
 
     // Performance tracking
     this.performanceMetrics = {
@@ -49,38 +98,55 @@ export class MLService {
 
     // A/B Testing initialization
     this.abTestMetrics = {};
-    this.activeABTests = {};
 
-    console.log('🚀 Starting MLService initialization...');
-    // Initialize the service
-    this.initialize();
+    logger.debug('Starting MLService initialization...');
+    // Initialize the service; callers that need it loaded can await `ready`
+    this.ready = this.initialize();
+  }
+
+  // Active algorithm records, keyed the way the service reports them
+  get activeAlgorithms() {
+    return {
+      scoring: this.algorithmManager.getActiveAlgorithm('scoring'),
+      questionSelection: this.algorithmManager.getActiveAlgorithm('question_selection'),
+      similarityCalculator: this.algorithmManager.getActiveAlgorithm('similarity_calculator')
+    };
   }
 
   async initialize() {
     if (this.isInitialized) return;
 
     try {
-      console.log('🔄 Initializing MLService...');
+      logger.debug('Initializing MLService...');
 
       // MemoryDataManager initializes itself in constructor
-      console.log('📝 DataManager initialized with mock data');
+      logger.debug('DataManager initialized with mock data');
+
+      // Report tables or columns the database is missing before anything uses them
+      if (this.dataManager.isConnected) {
+        await this.checkSchema();
+      }
 
       // Load performance metrics
       await this.loadPerformanceMetrics();
 
+      // Switch new quizzes to the latest published question catalog
+      await this.loadPublishedQuestionCatalog();
+
+      // Load active algorithm versions and A/B tests from the database
+      if (this.dataManager.isConnected) {
+        await this.algorithmManager.initialize();
+      }
+
       // CRITICAL: Set to true to enable ML features
       this.isInitialized = true;
 
-      console.log('✅ MLService initialized successfully');
-      console.log('📊 ML System Status:', {
+      logger.info('MLService initialized');
+      logger.debug('ML System Status', {
         initialized: this.isInitialized,
         profiles: (await this.getDataManagerMetrics()).totalProfiles,
         confidence: await this.calculateModelConfidence(),
-        algorithmVersions: {
-          scoring: this.activeAlgorithms.scoring?.version || 'v1.0.0',
-          questionSelection: this.activeAlgorithms.questionSelection?.version || 'v1.0.0',
-          similarityCalculator: this.activeAlgorithms.similarityCalculator?.version || 'v1.0.0'
-        },
+        algorithmVersions: this.getAlgorithmVersions(),
         similarityThreshold: this.config?.SIMILARITY_THRESHOLD || 0.5
       });
 
@@ -88,7 +154,7 @@ export class MLService {
       await this.testMLEnhancement();
 
     } catch (error) {
-      console.error('❌ Error initializing MLService:', error);
+      logger.error('Error initializing MLService', error);
       this.isInitialized = false;
     }
   }
@@ -96,7 +162,7 @@ export class MLService {
   // Test ML enhancement capability
   async testMLEnhancement() {
     try {
-      console.log('🧪 Testing ML system capabilities...');
+      logger.debug('Testing ML system capabilities...');
 
       // Test different archetype scenarios
       const testScenarios = [
@@ -115,7 +181,7 @@ export class MLService {
       ];
 
       for (const scenario of testScenarios) {
-        console.log(`\n🎯 Testing scenario: ${scenario.name}`);
+        logger.debug(`Testing scenario: ${scenario.name}`);
 
         const allProfiles = await this.dataManager.getProfiles();
         const similarProfiles = this.similarityCalculator.findSimilarProfilesProgressive(
@@ -124,26 +190,26 @@ export class MLService {
           { debug: false }
         );
 
-        console.log(`✅ Found ${similarProfiles.length} similar profiles for ${scenario.name}`);
+        logger.debug(`Found ${similarProfiles.length} similar profiles for ${scenario.name}`);
 
         if (similarProfiles.length > 0) {
           const archetypes = similarProfiles.map(p => p.profileArchetype).filter(a => a);
           const uniqueArchetypes = [...new Set(archetypes)];
-          console.log(`🎯 Archetype matches: ${uniqueArchetypes.join(', ')}`);
+          logger.debug(`Archetype matches: ${uniqueArchetypes.join(', ')}`);
         }
       }
 
-      console.log('✅ ML testing completed');
+      logger.debug('ML testing completed');
 
     } catch (error) {
-      console.error('❌ Error testing ML system:', error);
+      logger.error('Error testing ML system', error);
     }
   }
 
   // Load performance metrics from storage
   async loadPerformanceMetrics() {
     try {
-      console.log('📈 Performance metrics loaded (memory mode)');
+      logger.debug('Performance metrics loaded (memory mode)');
 
       // Initialize with reasonable defaults
       this.performanceMetrics = {
@@ -153,97 +219,257 @@ export class MLService {
         lastUpdated: Date.now()
       };
     } catch (error) {
-      console.error('Error loading performance metrics:', error);
+      logger.error('Error loading performance metrics', error);
     }
   }
 
   // Main API Methods for Golf Profiler
+  // Profiles come from ProfileGenerator; options.enhancementLevel picks how
+  // much of it similar golfers shape (see ENHANCEMENT_LEVELS)
   async generateProfile(answers, scores, sessionId, options = {}) {
+    const enhancementLevel = options.enhancementLevel || ENHANCEMENT_LEVELS.FULL;
+
     // CRITICAL: Fall back to basic if not initialized
     if (!this.isInitialized) {
-      console.warn('MLService not initialized, using basic profile generation');
-      return this.generateCompleteProfile(scores);
+      logger.warn('MLService not initialized, using basic profile generation');
+      return this.generateBaseProfile(answers, scores, sessionId);
     }
 
     try {
       // Record the profile generation
       this.performanceMetrics.profilesGenerated++;
 
-      console.log('🎯 Generating profile with ML enhancement for:', sessionId);
-      console.log('📊 Available profiles for similarity:', (await this.getDataManagerMetrics()).totalProfiles);
-
-      const similarProfiles = await this.findSimilarProfilesForML(scores, sessionId);
-
-      let profile;
-      if (similarProfiles.length >= 3) {
-        profile = await this.generateEnhancedProfile(scores, similarProfiles, sessionId);
-      } else {
-        profile = this.generateCompleteProfile(scores, sessionId);
-      }
+      logger.debug('Generating profile', { sessionId, enhancementLevel });
+
+      const similarProfiles = enhancementLevel === ENHANCEMENT_LEVELS.BASE
+        ? []
+        : await this.findSimilarProfilesForML(scores, sessionId);
+      const generated = this.profileGenerator.generateProfile(answers, scores, sessionId, enhancementLevel, similarProfiles);
+
+      const profile = {
+        ...generated,
+        algorithmVersions: this.getAlgorithmVersions(sessionId),
+        ...(generated.mlEnhanced && {
+          mlMetadata: {
+            ...generated.mlMetadata,
+            similarProfiles: similarProfiles.length,
+            modelConfidence: await this.calculateModelConfidence()
+          }
+        })
+      };
 
       // Store profile
-      await this.addProfileData(answers, scores, profile, sessionId);
+      await this.addProfileData(answers, scores, profile, sessionId, options.catalogVersion, options.stopReason);
       await this.updatePerformanceMetrics();
 
-      console.log('✅ Profile generated with ML enhancement:', profile.mlEnhanced || false);
+      logger.info('Profile generated', { sessionId, mlEnhanced: profile.mlEnhanced, enhancementLevel: profile.enhancementLevel });
 
       return profile;
     } catch (error) {
-      console.error('❌ Error generating profile:', error);
+      logger.error('Error generating profile', { sessionId, error });
       // Fallback to basic profile
-      return this.generateCompleteProfile(scores);
+      return this.generateBaseProfile(answers, scores, sessionId);
+    }
+  }
+
+  // Rule-based profile without similar golfers, e.g. when generation fails
+  generateBaseProfile(answers, scores, sessionId = null) {
+    return {
+      ...this.profileGenerator.generateProfile(answers, scores, sessionId, ENHANCEMENT_LEVELS.BASE),
+      algorithmVersions: this.getAlgorithmVersions(sessionId)
+    };
+  }
+
+  getQuestionCatalog() {
+    return this.questionCatalog;
+  }
+
+  async loadPublishedQuestionCatalog() {
+    try {
+      const definition = await this.dataManager.getPublishedQuestionCatalog();
+      if (!definition) return this.questionCatalog;
+
+      const catalog = registerQuestionCatalog(definition);
+      if (compareCatalogVersions(catalog.version, this.questionCatalog.version) > 0) {
+        this.questionCatalog = catalog;
+        this.questionSelector.setQuestionCatalog(catalog);
+        this.informationGainSelector.setQuestionCatalog(catalog);
+        logger.info(`Using published question catalog ${catalog.version}`);
+      }
+    } catch (error) {
+      logger.error('Error loading published question catalog, keeping bundled catalog', error);
+    }
+    return this.questionCatalog;
+  }
+
+  // Admin question-bank editor: drafts never reach live quizzes until published
+  async getQuestionCatalogDraft() {
+    const draft = await this.dataManager.getQuestionCatalogDraft();
+    // A draft that is not newer than the live catalog has already been published
+    if (!draft || compareCatalogVersions(draft.version, this.questionCatalog.version) <= 0) {
+      return null;
+    }
+    return draft;
+  }
+
+  async saveQuestionCatalogDraft(definition) {
+    const success = await this.dataManager.saveQuestionCatalogDraft(definition);
+    return { success };
+  }
+
+  async publishQuestionCatalog(definition) {
+    const { valid, errors } = validateQuestionCatalog(definition);
+    if (!valid) {
+      return { success: false, errors };
+    }
+
+    if (compareCatalogVersions(definition.version, this.questionCatalog.version) <= 0) {
+      return {
+        success: false,
+        errors: [`version must be greater than the live catalog version ${this.questionCatalog.version}`]
+      };
+    }
+
+    const saved = await this.dataManager.publishQuestionCatalog(definition);
+    if (!saved) {
+      return { success: false, errors: ['Failed to save the catalog'] };
+    }
+
+    // Quizzes already in progress keep the catalog they started with
+    this.questionCatalog = registerQuestionCatalog(definition);
+    this.questionSelector.setQuestionCatalog(this.questionCatalog);
+    this.informationGainSelector.setQuestionCatalog(this.questionCatalog);
+    logger.info(`Published question catalog ${definition.version}`);
+    return { success: true, version: definition.version };
+  }
+
+  // Resolve which scoring, question-selection and similarity versions a
+  // session uses (A/B assignments included). Resolved once per session;
+  // the fingerprint buckets the browser rather than the session, so a
+  // reload or restart keeps the same variants
+  async prepareSession(sessionId, userFingerprint = null) {
+    // Active versions and A/B tests load during initialization
+    await this.ready;
+    if (this.sessionAlgorithms.has(sessionId)) {
+      return this.sessionAlgorithms.get(sessionId);
+    }
+
+    const algorithms = { ...this.activeAlgorithms };
+    if (this.dataManager.isConnected) {
+      try {
+        const [scoring, questionSelection, similarityCalculator] = await Promise.all([
+          this.algorithmManager.getAlgorithmForUser(sessionId, 'scoring', userFingerprint),
+          this.algorithmManager.getAlgorithmForUser(sessionId, 'question_selection', userFingerprint),
+          this.algorithmManager.getAlgorithmForUser(sessionId, 'similarity_calculator', userFingerprint)
+        ]);
+        algorithms.scoring = scoring || algorithms.scoring;
+        algorithms.questionSelection = questionSelection || algorithms.questionSelection;
+        algorithms.similarityCalculator = similarityCalculator || algorithms.similarityCalculator;
+      } catch (error) {
+        logger.error('Error resolving session algorithms, using active versions', { sessionId, error });
+      }
+    }
+
+    this.sessionAlgorithms.set(sessionId, algorithms);
+    await this.prepareStrategyAssignment(sessionId, userFingerprint);
+    logger.debug('Session algorithms', { sessionId, ...this.getAlgorithmVersions(sessionId) });
+    return algorithms;
+  }
+
+  // Algorithms for a session, or the active ones if it was never prepared
+  getSessionAlgorithms(sessionId = null) {
+    return this.sessionAlgorithms.get(sessionId) || this.activeAlgorithms;
+  }
+
+  getAlgorithmVersions(sessionId = null) {
+    const algorithms = this.getSessionAlgorithms(sessionId);
+    return {
+      scoring: algorithms.scoring?.version || 'v1.0.0',
+      questionSelection: algorithms.questionSelection?.version || 'v1.0.0',
+      similarityCalculator: algorithms.similarityCalculator?.version || 'v1.0.0'
+    };
+  }
+
+  // Score answers with the session's scoring algorithm
+  calculateScores(answers, questionCatalog = this.questionCatalog, sessionId = null) {
+    const algorithm = this.getSessionAlgorithms(sessionId).scoring || DEFAULT_SCORING_ALGORITHM;
+    return this.getScoringEngine(algorithm).calculateScores(answers, questionCatalog);
+  }
+
+  // Per-answer contributions to each score and the answers whose change
+  // would move the profile most, with the session's scoring algorithm
+  explainScores(answers, questionCatalog = this.questionCatalog, sessionId = null) {
+    const algorithm = this.getSessionAlgorithms(sessionId).scoring || DEFAULT_SCORING_ALGORITHM;
+    return this.getScoringEngine(algorithm).explainScores(answers, questionCatalog);
+  }
+
+  getScoringEngine(algorithm = DEFAULT_SCORING_ALGORITHM) {
+    if (!this.scoringEngines.has(algorithm.version)) {
+      this.scoringEngines.set(algorithm.version, new ScoringEngine(algorithm));
     }
+    return this.scoringEngines.get(algorithm.version);
   }
 
-  // Smart question selection with A/B testing
+  // Whether the quiz has enough evidence to stop, and why
+  evaluateStoppingRule(answers, questionCatalog = this.questionCatalog, sessionId = null) {
+    // A question-selection version can override the question count limits
+    const selectionLogic = this.getSessionAlgorithms(sessionId).questionSelection?.selection_logic;
+    if (selectionLogic?.min_questions || selectionLogic?.max_questions) {
+      return new QuizStoppingRule({
+        ...this.stoppingRule.config,
+        MIN_QUESTIONS: selectionLogic.min_questions ?? this.stoppingRule.config.MIN_QUESTIONS,
+        MAX_QUESTIONS: selectionLogic.max_questions ?? this.stoppingRule.config.MAX_QUESTIONS
+      }).evaluate(answers, questionCatalog);
+    }
+    return this.stoppingRule.evaluate(answers, questionCatalog);
+  }
+
+  // Smart question selection with A/B testing. userContext.questionCatalog is
+  // the catalog the quiz started with, so a catalog published mid-quiz
+  // doesn't change how its answers are read
   selectNextQuestion(currentAnswers, currentScores, questionBank, questionNumber, userContext = {}) {
-    console.log('🎯 selectNextQuestion called');
+    logger.debug('selectNextQuestion called');
+    questionBank = questionBank || (userContext.questionCatalog || this.questionCatalog).getQuestions();
 
     // CRITICAL: Fall back to basic if not initialized
     if (!this.isInitialized) {
-      console.warn('❌ MLService not initialized, using basic question selection');
+      logger.warn('MLService not initialized, using basic question selection');
       return this.basicQuestionSelection(currentAnswers, questionBank, questionNumber);
     }
 
     try {
-      // A/B Testing: Randomly assign users to different algorithms
+      // A/B Testing: sessions are deterministically bucketed per strategy
       const sessionId = userContext.sessionId || 'default';
-      const abTestVariant = this.getABTestVariant(sessionId, 'question_selection');
-      
-      console.log('🧪 A/B Test variant:', abTestVariant);
+      const abTestVariant = this.getQuestionSelectionStrategy(sessionId);
 
-      let selectedQuestion;
-      
-      if (abTestVariant === 'enhanced_ml') {
-        console.log('🤖 Using Enhanced ML question selection (Variant A)');
-        selectedQuestion = this.questionSelector.selectNextQuestion(
-          currentAnswers,
-          currentScores,
-          questionBank,
-          questionNumber,
-          userContext
-        );
-      } else if (abTestVariant === 'priority_based') {
-        console.log('📊 Using Priority-based question selection (Variant B)');
-        selectedQuestion = this.priorityBasedQuestionSelection(currentAnswers, questionBank, questionNumber);
-      } else {
-        console.log('🎯 Using Random selection (Control)');
-        selectedQuestion = this.randomQuestionSelection(currentAnswers, questionBank, questionNumber);
-      }
+      const strategy = this.questionSelectionStrategies[abTestVariant] || this.questionSelectionStrategies.random;
+      logger.debug(`Using ${abTestVariant} question selection`, { sessionId, questionNumber });
+      const selectedQuestion = strategy(currentAnswers, currentScores, questionBank, questionNumber, userContext);
 
       // Track A/B test performance
       this.trackABTestMetric(sessionId, 'question_selection', abTestVariant, 'question_selected', selectedQuestion?.id);
 
-      console.log('✅ ML question selected:', selectedQuestion?.id);
+      logger.debug('ML question selected', { sessionId, questionId: selectedQuestion?.id });
       return selectedQuestion;
 
     } catch (error) {
-      console.error('❌ Error in ML question selection:', error);
-      console.log('🔄 Falling back to basic question selection');
+      logger.error('Error in ML question selection, falling back to basic selection', {
+        sessionId: userContext.sessionId,
+        error
+      });
       return this.basicQuestionSelection(currentAnswers, questionBank, questionNumber);
     }
   }
 
+  // A question-selection version can pin a strategy, otherwise the session
+  // falls into the built-in strategy split
+  getQuestionSelectionStrategy(sessionId) {
+    const pinnedStrategy = this.getSessionAlgorithms(sessionId).questionSelection?.selection_logic?.strategy;
+    return this.questionSelectionStrategies[pinnedStrategy]
+      ? pinnedStrategy
+      : this.getABTestVariant(sessionId, 'question_selection');
+  }
+
   // Collect and process user feedback
   async collectFeedback(sessionId, feedbackData, profileData = null) {
     try {
@@ -252,14 +478,133 @@ export class MLService {
       if (success) {
         this.performanceMetrics.totalFeedbacks++;
         this.updateAccuracyMetrics(feedbackData);
+
+        // Attribute the rating to the versions this session used
+        if (this.dataManager.isConnected) {
+          const versions = this.getAlgorithmVersions(sessionId);
+          const satisfaction = this.mapAccuracyToScore(feedbackData.accuracy);
+          await Promise.all([
+            this.algorithmManager.trackPerformance('scoring', versions.scoring, 'user_satisfaction', satisfaction),
+            this.algorithmManager.trackPerformance('question_selection', versions.questionSelection, 'user_satisfaction', satisfaction)
+          ]);
+        }
       }
       return success;
     } catch (error) {
-      console.error('Error collecting feedback:', error);
+      logger.error('Error collecting feedback', error);
       return false;
     }
   }
 
+  // Record a step of the quiz journey (SESSION_EVENT_TYPES); returns the
+  // event, or null when it is not valid
+  trackEvent(sessionId, type, data = {}) {
+    return this.sessionEvents.track(sessionId, type, data);
+  }
+
+  // Write buffered events now, e.g. when the page is being hidden
+  flushEvents() {
+    return this.sessionEvents.flush();
+  }
+
+  async getSessionEvents(filters = {}) {
+    return this.dataManager.getSessionEvents(filters);
+  }
+
+  // Starts, completion and drop-off per question index and per question, and
+  // the same funnel for each question selection strategy
+  async getFunnelAnalytics({ lookbackDays = this.config.FUNNEL.LOOKBACK_DAYS, now = Date.now() } = {}) {
+    const since = now - lookbackDays * 24 * 60 * 60 * 1000;
+    const [events, profiles, assignments] = await Promise.all([
+      this.dataManager.getSessionEvents({ since }),
+      this.dataManager.getProfiles({ minTimestamp: since }),
+      this.algorithmManager.getAssignments(this.config.EXPERIMENTS.QUESTION_SELECTION.ID)
+    ]);
+
+    // Sessions whose quiz_started predates the strategy field use their stored assignment
+    const storedStrategies = new Map(assignments.map(assignment =>
+      [assignment.session_id, assignment.variant || assignment.algorithm_version]));
+    const journeys = buildQuizJourneys(events, profiles, { strategyFor: sessionId => storedStrategies.get(sessionId) });
+
+    return {
+      since,
+      lookbackDays,
+      overall: calculateFunnel(journeys, { now }),
+      byStrategy: compareFunnelsByStrategy(journeys, { now })
+    };
+  }
+
+  // The catalog a stored profile was scored with, or null when that
+  // version can't be loaded
+  catalogForProfile(profile) {
+    try {
+      return loadQuestionCatalog(profile.catalogVersion || undefined);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Option spread, item-rest correlation and rewrite flags for every
+  // question of the current catalog, from all stored profiles
+  async getQuestionAnalytics(options = {}) {
+    const profiles = await this.dataManager.getProfiles();
+    const typeWeights = (this.getSessionAlgorithms(null).scoring || DEFAULT_SCORING_ALGORITHM).question_type_weights || {};
+
+    // Options as the session was asked them; unknown catalog versions fall
+    // back to the answer's stored text and rawScores
+    const askedOption = (profile, questionId, optionIndex) =>
+      this.catalogForProfile(profile)?.getOption(questionId, optionIndex) || null;
+    // Answers weigh in by question type, as the active scoring algorithm weighs them
+    const questionWeight = (profile, questionId) =>
+      typeWeights[this.catalogForProfile(profile)?.findQuestionById(questionId)?.type] || 1.0;
+
+    const report = analyzeQuestionBank(this.questionCatalog.getAllQuestions(), profiles, { ...options, askedOption, questionWeight });
+    logger.debug('Question analytics', { profiles: report.profilesAnalyzed, flagged: report.flaggedCount });
+    return { catalogVersion: this.questionCatalog.version, ...report };
+  }
+
+  // Option scores refitted to dimension feedback, starting from the active
+  // scoring algorithm; nothing is saved until the calibration is published
+  async calibrateOptionScores(options = {}) {
+    const [profiles, feedbacks] = await Promise.all([
+      this.dataManager.getProfiles(),
+      this.dataManager.getFeedbacks()
+    ]);
+    const baseAlgorithm = this.getSessionAlgorithms(null).scoring || DEFAULT_SCORING_ALGORITHM;
+
+    const calibration = calibrateOptionScores({
+      ...options,
+      catalog: this.questionCatalog,
+      catalogFor: profile => this.catalogForProfile(profile),
+      profiles,
+      feedbacks,
+      baseAlgorithm
+    });
+    logger.info('Option score calibration', {
+      baseVersion: calibration.baseVersion,
+      ratedProfiles: calibration.ratedProfiles,
+      skippedProfiles: calibration.skippedProfiles,
+      changes: calibration.changes.length
+    });
+    return calibration;
+  }
+
+  // Save a calibration as a new, inactive scoring version built on the
+  // version it was calibrated against
+  async publishCalibratedScoringAlgorithm(calibration, { version, notes } = {}) {
+    if (!version) return { success: false, error: 'A version is required' };
+    if (calibration.changes.length === 0) return { success: false, error: 'The calibration proposes no changes' };
+
+    const active = this.getSessionAlgorithms(null).scoring || DEFAULT_SCORING_ALGORITHM;
+    if (active.version !== calibration.baseVersion) {
+      return {
+        success: false,
+        error: `Calibrated against ${calibration.baseVersion} but ${active.version} is now active; run it again`
+      };
+    }
+    return this.createAlgorithmVersion('scoring', buildCalibratedAlgorithm(active, calibration, { version, notes }));
+  }
+
   // Get enhanced recommendations for existing profile
   async getEnhancedRecommendations(currentScores, currentProfile, options = {}) {
     try {
@@ -275,16 +620,16 @@ export class MLService {
         return this.aggregateRecommendations(similarProfiles, currentScores);
       }
     } catch (error) {
-      console.error('Error generating enhanced recommendations:', error);
-      return currentProfile.recommendations || this.getDefaultRecommendations(currentScores);
+      logger.error('Error generating enhanced recommendations', error);
+      return currentProfile.recommendations || this.getBaseRecommendations(currentScores);
     }
   }
 
   async getMLStatistics() {
-    console.log('🔍 getMLStatistics called');
+    logger.debug('getMLStatistics called');
 
     if (!this.isInitialized) {
-      console.warn('⚠️ MLService not initialized, returning basic stats');
+      logger.warn('MLService not initialized, returning basic stats');
       return {
         model: {
           version: this.modelVersion || '1.0.0',
@@ -325,41 +670,45 @@ export class MLService {
     }
 
     try {
-      console.log('📊 Getting ML statistics...');
+      logger.debug('Getting ML statistics...');
 
       const dataMetrics = await this.getDataManagerMetrics();
       const modelConfidence = await this.calculateModelConfidence();
+      const questionEffectiveness = this.dataManager.getQuestionEffectiveness
+        ? await this.dataManager.getQuestionEffectiveness()
+        : {};
+      const effectivenessValues = Object.values(questionEffectiveness).map(q => q.averageEffectiveness);
+      const feedbackTrend = (await this.feedbackCollector.getFeedbackAnalytics()).feedbackTrends.trend;
 
       const result = {
         model: {
           version: this.modelVersion,
           initialized: this.isInitialized,
           confidence: modelConfidence || 0.5,
-          algorithmVersions: {
-            scoring: this.activeAlgorithms.scoring?.version || 'v1.0.0',
-            questionSelection: this.activeAlgorithms.questionSelection?.version || 'v1.0.0',
-            similarityCalculator: this.activeAlgorithms.similarityCalculator?.version || 'v1.0.0'
-          }
+          algorithmVersions: this.getAlgorithmVersions()
         },
         data: dataMetrics,
         feedback: {
           totalFeedbacks: dataMetrics.totalFeedbacks || 0,
-          averageRating: 0.75,
-          recentTrend: 'stable'
+          averageRating: dataMetrics.averageAccuracy || 0,
+          recentTrend: feedbackTrend > 0.05 ? 'improving' : feedbackTrend < -0.05 ? 'declining' : 'stable'
         },
         questions: {
-          totalQuestions: 8,
-          averageEffectiveness: 0.75,
+          totalQuestions: this.questionCatalog.getQuestions().length,
+          averageEffectiveness: effectivenessValues.length > 0
+            ? effectivenessValues.reduce((sum, value) => sum + value, 0) / effectivenessValues.length
+            : 0,
+          trackedQuestions: effectivenessValues.length,
           selectionVariety: 'high'
         },
         performance: this.performanceMetrics
       };
 
-      console.log('✅ ML statistics generated successfully');
+      logger.debug('ML statistics generated successfully');
       return result;
 
     } catch (error) {
-      console.error('❌ Error getting ML statistics:', error);
+      logger.error('Error getting ML statistics', error);
       return {
         model: {
           version: this.modelVersion || '1.0.0',
@@ -402,10 +751,10 @@ export class MLService {
 
   // Get user similarity insights
   async getUserSimilarityInsights(userScores, options = {}) {
-    console.log('🔍 getUserSimilarityInsights called');
+    logger.debug('getUserSimilarityInsights called');
 
     if (!this.isInitialized) {
-      console.warn('⚠️ MLService not initialized for similarity insights');
+      logger.warn('MLService not initialized for similarity insights');
       return {
         similarUsers: 0,
         averageSimilarity: 0,
@@ -416,14 +765,14 @@ export class MLService {
     }
 
     try {
-      console.log('📊 Getting similarity insights...');
+      logger.debug('Getting similarity insights...');
 
       const allProfiles = await this.dataManager.getProfiles();
-      console.log('📊 Total profiles available:', allProfiles.length);
+      logger.debug(`Total profiles available: ${allProfiles.length}`);
 
       // Determine user's archetype
       const userArchetype = this.similarityCalculator.determineArchetype(userScores);
-      console.log(`🎯 User archetype: ${userArchetype.archetype} (${(userArchetype.confidence * 100).toFixed(0)}% confidence)`);
+      logger.debug(`User archetype: ${userArchetype.archetype} (${(userArchetype.confidence * 100).toFixed(0)}% confidence)`);
 
       // Find similar profiles
       const similarProfiles = this.similarityCalculator.findSimilarProfilesProgressive(
@@ -432,7 +781,7 @@ export class MLService {
         { ...options, debug: false }
       );
 
-      console.log(`🔍 Found ${similarProfiles.length} similar profiles`);
+      logger.debug(`Found ${similarProfiles.length} similar profiles`);
 
       // Calculate archetype-specific insights
       const sameArchetypeProfiles = similarProfiles.filter(p =>
@@ -469,11 +818,11 @@ export class MLService {
         }
       };
 
-      console.log('✅ Similarity insights generated');
+      logger.debug('Similarity insights generated');
       return result;
 
     } catch (error) {
-      console.error('❌ Error getting similarity insights:', error);
+      logger.error('Error getting similarity insights', error);
       return {
         similarUsers: 0,
         averageSimilarity: 0,
@@ -484,27 +833,42 @@ export class MLService {
     }
   }
 
+  // Population median, archetype centroid and percentile per similarity
+  // dimension, for the results page's comparison chart. The golfer's own
+  // saved profile is left out so they aren't compared with themselves
+  async getProfileComparison(userScores, sessionId = null) {
+    const profiles = (await this.dataManager.getProfiles())
+      .filter(profile => profile.scores && profile.sessionId !== sessionId);
+    const archetype = this.similarityCalculator.determineArchetype(userScores);
+
+    return compareToPopulation(userScores, profiles, {
+      archetype,
+      archetypeOf: (scores) => this.similarityCalculator.determineArchetype(scores).archetype,
+      percentiles: this.calculateUserPercentiles(userScores, profiles)
+    });
+  }
+
   // Find similar profiles for ML enhancement
   async findSimilarProfilesForML(userScores, sessionId = 'default') {
     try {
       const allProfiles = await this.dataManager.getProfiles();
-      console.log(`🔍 Similarity search among ${allProfiles.length} total profiles`);
-      console.log('👤 User scores:', userScores);
+      logger.debug(`Similarity search among ${allProfiles.length} total profiles`, { sessionId, userScores });
 
-      // Use enhanced progressive search
+      // Use enhanced progressive search with the session's similarity version
+      const similarityConfig = this.getSessionAlgorithms(sessionId).similarityCalculator?.config || {};
       const similarProfiles = this.similarityCalculator.findSimilarProfilesProgressive(
         userScores,
         allProfiles,
         {
-          algorithm: 'weighted_euclidean',
-          maxResults: this.config?.MAX_SIMILAR_PROFILES || 10,
+          algorithm: similarityConfig.algorithm || 'weighted_euclidean',
+          maxResults: similarityConfig.max_similar_profiles || this.config?.MAX_SIMILAR_PROFILES || 10,
           minResults: this.config?.MIN_SIMILAR_PROFILES || 3,
           useArchetypeBonus: true,
           diversityFactor: 0.1
         }
       );
 
-      console.log(`✅ Progressive search completed: ${similarProfiles.length} similar profiles found`);
+      logger.debug(`Progressive search completed: ${similarProfiles.length} similar profiles found`, { sessionId });
 
       if (similarProfiles.length > 0) {
         const targetArchetype = this.similarityCalculator.determineArchetype(userScores);
@@ -515,17 +879,16 @@ export class MLService {
           archetypeDistribution[archetype] = (archetypeDistribution[archetype] || 0) + 1;
         });
 
-        console.log(`🎯 Target archetype: ${targetArchetype.archetype}`);
-        console.log(`📊 Found archetype distribution:`, archetypeDistribution);
+        logger.debug(`Target archetype: ${targetArchetype.archetype}`, { sessionId, archetypeDistribution });
 
         return similarProfiles;
       } else {
-        console.warn('⚠️ No similar profiles found');
+        logger.info('No similar profiles found', { sessionId });
         return [];
       }
 
     } catch (error) {
-      console.error('❌ Error in similarity search:', error);
+      logger.error('Error in similarity search', { sessionId, error });
       return [];
     }
   }
@@ -533,7 +896,7 @@ export class MLService {
   // Get recommendation insights and explanations
   async getRecommendationInsights(userScores, recommendations) {
     try {
-      console.log('🔍 Getting recommendation insights');
+      logger.debug('Getting recommendation insights');
 
       const similarProfiles = await this.findSimilarProfilesForML(userScores);
       const safeRecommendations = recommendations || {};
@@ -550,10 +913,10 @@ export class MLService {
         mlEnhanced: safeRecommendations.mlEnhanced || false
       };
 
-      console.log('✅ Generated insights');
+      logger.debug('Generated insights');
       return insights;
     } catch (error) {
-      console.error('Error getting recommendation insights:', error);
+      logger.error('Error getting recommendation insights', error);
       return {
         confidence: 'Medium',
         explanation: 'Based on user preferences',
@@ -569,11 +932,11 @@ export class MLService {
 
   // Basic question selection fallback
   basicQuestionSelection(currentAnswers, questionBank, questionNumber) {
-    console.log('🔧 Using basic question selection');
+    logger.debug('Using basic question selection');
 
     if (questionNumber === 0) {
       const starter = questionBank.find(q => q.type === 'starter') || questionBank[0];
-      console.log('🎯 Selected starter question:', starter?.id);
+      logger.debug('Selected starter question', { questionId: starter?.id });
       return starter;
     }
 
@@ -588,157 +951,13 @@ export class MLService {
     });
 
     const selected = sorted[0];
-    console.log('🎯 Selected question:', selected?.id);
+    logger.debug('Selected question', { questionId: selected?.id });
     return selected;
   }
 
-  // Generate complete profile
-  generateCompleteProfile(userScores, sessionId = null) {
-    console.log('🎯 Generating complete profile for scores:', userScores);
-
-    const skillLevel = {
-      numeric: userScores.skillLevel || 0,
-      label: this.getSkillLabel(userScores.skillLevel || 0),
-      confidence: 'Medium'
-    };
-
-    const personality = {
-      primary: this.getPersonalityType(userScores),
-      secondary: [],
-      confidence: 'Medium'
-    };
-
-    const preferences = {
-      core: this.getPreferences(userScores)
-    };
-
-    const recommendations = this.getDefaultRecommendations(userScores);
-    const demographics = this.getDemographics(userScores);
-
-    const completeProfile = {
-      skillLevel,
-      personality,
-      preferences,
-      recommendations,
-      demographics,
-      mlEnhanced: false,
-      enhancementLevel: 'basic',
-      source: 'Default Algorithm',
-      algorithmVersions: sessionId ? {
-        scoring: this.activeAlgorithms.scoring?.version || 'v1.0.0',
-        questionSelection: this.activeAlgorithms.questionSelection?.version || 'v1.0.0',
-        similarityCalculator: this.activeAlgorithms.similarityCalculator?.version || 'v1.0.0'
-      } : {}
-    };
-
-    console.log('✅ Complete profile generated');
-    return completeProfile;
-  }
-
-  // Generate ML-enhanced profile
-  async generateEnhancedProfile(userScores, similarProfiles, sessionId = null) {
-    console.log('🤖 Generating ML-enhanced profile');
-
-    // Start with basic profile structure
-    const baseProfile = this.generateCompleteProfile(userScores, sessionId);
-
-    // Enhance with ML recommendations
-    const currentProfile = { recommendations: baseProfile.recommendations };
-    const enhancedRecommendations = this.recommendationEngine.generateEnhancedRecommendations(
-      userScores,
-      currentProfile,
-      similarProfiles
-    );
-
-    // Enhance personality insights
-    const enhancedPersonality = {
-      ...baseProfile.personality,
-      mlInsights: {
-        similarUserCount: similarProfiles.length,
-        confidence: similarProfiles.length >= 10 ? 'High' : 'Medium',
-        personalityPatterns: {
-          insights: `Enhanced based on ${similarProfiles.length} similar golfers`
-        }
-      }
-    };
-
-    return {
-      ...baseProfile,
-      personality: enhancedPersonality,
-      recommendations: enhancedRecommendations,
-      mlEnhanced: true,
-      enhancementLevel: 'full',
-      mlMetadata: {
-        similarProfiles: similarProfiles.length,
-        confidence: await this.calculateModelConfidence(),
-        dataQuality: similarProfiles.length >= 10 ? 'High' : 'Medium',
-        algorithmVersions: {
-          scoring: this.activeAlgorithms.scoring?.version || 'v1.0.0',
-          questionSelection: this.activeAlgorithms.questionSelection?.version || 'v1.0.0',
-          similarityCalculator: this.activeAlgorithms.similarityCalculator?.version || 'v1.0.0'
-        }
-      }
-    };
-  }
-
-  // Helper methods
-  getSkillLabel(skillScore) {
-    if (skillScore <= 2) return "New to Golf";
-    if (skillScore <= 4) return "Recreational Player";
-    if (skillScore <= 6) return "Regular Golfer";
-    if (skillScore <= 8) return "Serious Player";
-    return "Advanced Golfer";
-  }
-
-  getPersonalityType(scores) {
-    if (scores.socialness >= 7 && scores.competitiveness <= 4) return "Social & Fun-Focused";
-    if (scores.competitiveness >= 7 && scores.traditionalism >= 6) return "Competitive Traditionalist";
-    if (scores.socialness >= 7 && scores.luxuryLevel >= 6) return "Social Luxury Seeker";
-    if (scores.competitiveness <= 3 && scores.socialness <= 4) return "Peaceful Solo Player";
-    if (scores.traditionalism >= 8) return "Golf Purist";
-    return "Balanced Enthusiast";
-  }
-
-  getPreferences(scores) {
-    const prefs = [];
-    if (scores.amenityImportance >= 6) prefs.push("Values practice facilities & amenities");
-    if (scores.luxuryLevel >= 7) prefs.push("Prefers upscale experiences");
-    if (scores.socialness >= 7) prefs.push("Enjoys group golf & social aspects");
-    if (scores.competitiveness >= 7) prefs.push("Competitive & score-focused");
-    if (scores.traditionalism >= 7) prefs.push("Appreciates golf history & tradition");
-    return prefs;
-  }
-
-  getDemographics(scores) {
-    const ageGuess = scores.ageGeneration <= 3 ? "25-40" :
-                     scores.ageGeneration <= 6 ? "35-55" : "45-65";
-    const genderLean = Math.abs(scores.genderLean) <= 1 ? "Neutral preferences" :
-                       scores.genderLean > 1 ? "More traditional masculine preferences" :
-                       "More contemporary/feminine preferences";
-    return {
-      estimatedAge: ageGuess,
-      preferenceStyle: genderLean
-    };
-  }
-
-  getDefaultRecommendations(userScores) {
-    const { skillLevel = 5, luxuryLevel = 5, socialness = 5 } = userScores;
-
-    let courseStyle = 'parkland';
-    if (skillLevel >= 7) courseStyle = 'links';
-    if (luxuryLevel >= 8) courseStyle = 'coastal';
-
-    let budgetLevel = 'Mid-range ($50-100)';
-    if (luxuryLevel >= 7) budgetLevel = 'Premium ($100+)';
-    if (luxuryLevel <= 3) budgetLevel = 'Value ($25-50)';
-
-    return {
-      courseStyle,
-      budgetLevel,
-      socialLevel: socialness >= 6 ? 'Group-friendly' : 'Individual-focused',
-      confidence: 'Medium',
-      source: 'Default Algorithm'
-    };
+  // Rule-based recommendations from ProfileGenerator
+  getBaseRecommendations(userScores) {
+    return normalizeRecommendations(this.profileGenerator.generateBaseRecommendations(userScores));
   }
 
   // Helper method to calculate recommendation confidence
@@ -810,7 +1029,7 @@ export class MLService {
     return matches;
   }
 
-  async addProfileData(answers, scores, profile, sessionId) {
+  async addProfileData(answers, scores, profile, sessionId, catalogVersion = this.questionCatalog.version, stopReason = null) {
     try {
       const profileData = {
         sessionId,
@@ -819,17 +1038,21 @@ export class MLService {
         profile,
         questionSequence: Object.keys(answers),
         totalQuestions: Object.keys(answers).length,
+        catalogVersion,
+        stopReason,
         timestamp: Date.now(),
-        algorithmVersions: {
-          scoring: this.activeAlgorithms.scoring?.version,
-          questionSelection: this.activeAlgorithms.questionSelection?.version,
-          similarityCalculator: this.activeAlgorithms.similarityCalculator?.version
-        }
+        algorithmVersions: this.getAlgorithmVersions(sessionId)
       };
 
+      // Stored either way, so the session isn't lost, but reported
+      const { valid, errors } = validateProfile(profile);
+      if (!valid) {
+        logger.warn('Storing a profile that does not match the profile schema', { sessionId, errors });
+      }
+
       return this.dataManager.addProfile(profileData);
     } catch (error) {
-      console.error('Error adding profile data:', error);
+      logger.error('Error adding profile data', { sessionId, error });
       return false;
     }
   }
@@ -895,10 +1118,10 @@ export class MLService {
 
   aggregateRecommendations(similarProfiles, userScores) {
     try {
-      console.log('🤖 Aggregating recommendations from similar profiles:', similarProfiles.length);
+      logger.debug(`Aggregating recommendations from ${similarProfiles.length} similar profiles`);
 
       if (similarProfiles.length === 0) {
-        return this.getDefaultRecommendations(userScores);
+        return this.getBaseRecommendations(userScores);
       }
 
       const recommendations = {
@@ -908,16 +1131,15 @@ export class MLService {
 
       similarProfiles.forEach(({ profile, similarity }) => {
         const weight = similarity;
-        const rec = profile.profile?.recommendations;
+        const courseStyle = profile.profile?.recommendations?.courseStyle?.primary;
+        const budgetLevel = profile.profile?.recommendations?.budgetLevel?.primary;
 
-        if (rec?.courseStyle) {
-          recommendations.courseStyles[rec.courseStyle] =
-            (recommendations.courseStyles[rec.courseStyle] || 0) + weight;
+        if (courseStyle) {
+          recommendations.courseStyles[courseStyle] = (recommendations.courseStyles[courseStyle] || 0) + weight;
         }
 
-        if (rec?.budgetLevel) {
-          recommendations.budgetLevels[rec.budgetLevel] =
-            (recommendations.budgetLevels[rec.budgetLevel] || 0) + weight;
+        if (budgetLevel) {
+          recommendations.budgetLevels[budgetLevel] = (recommendations.budgetLevels[budgetLevel] || 0) + weight;
         }
       });
 
@@ -927,47 +1149,80 @@ export class MLService {
       const topBudgetLevel = Object.entries(recommendations.budgetLevels)
         .sort(([,a], [,b]) => b - a)[0]?.[0] || 'Mid-range ($50-100)';
 
-      const result = {
+      // Amenities and lodging aren't aggregated; they keep the rule-based picks
+      const result = normalizeRecommendations({
+        ...this.getBaseRecommendations(userScores),
         courseStyle: topCourseStyle,
         budgetLevel: topBudgetLevel,
-        socialLevel: userScores.socialness >= 6 ? 'Group-friendly' : 'Individual-focused',
         confidence: similarProfiles.length >= 3 ? 'High' : 'Medium',
         source: 'ML Algorithm',
         basedOnProfiles: similarProfiles.length
-      };
+      });
 
-      console.log('✅ Aggregated recommendations');
+      logger.debug('Aggregated recommendations');
       return result;
     } catch (error) {
-      console.error('❌ Error aggregating recommendations:', error);
-      return this.getDefaultRecommendations(userScores);
+      logger.error('Error aggregating recommendations', error);
+      return this.getBaseRecommendations(userScores);
     }
   }
 
-  // A/B Testing Implementation
-  getABTestVariant(sessionId, testType) {
-    // Hash sessionId to ensure consistent assignment
-    const hash = this.hashString(sessionId);
-    const hashNumber = parseInt(hash.substring(0, 8), 16);
-    const variant = hashNumber % 3;
-    
-    const variants = {
-      0: 'enhanced_ml',     // 33% get enhanced ML
-      1: 'priority_based',  // 33% get priority-based
-      2: 'random'          // 33% get random (control)
+  // A/B Testing Implementation - built-in split across the registered
+  // question selection strategies, configured by EXPERIMENTS.QUESTION_SELECTION
+  getQuestionSelectionExperiment() {
+    const experiment = this.config.EXPERIMENTS.QUESTION_SELECTION;
+    return {
+      id: experiment.ID,
+      variants: Object.keys(this.questionSelectionStrategies).map(name => ({
+        name,
+        weight: experiment.VARIANT_WEIGHTS[name] ?? 1
+      })),
+      holdout: experiment.HOLDOUT,
+      traffic: experiment.TRAFFIC
     };
-    
-    return variants[variant];
   }
 
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  getABTestVariant(sessionId, testType, userFingerprint = null) {
+    if (this.strategyAssignments.has(sessionId)) {
+      return this.strategyAssignments.get(sessionId);
+    }
+
+    const assignment = assignVariant(userFingerprint || sessionId, this.getQuestionSelectionExperiment());
+    const variant = assignment.inExperiment
+      ? assignment.variant.name
+      : this.config.EXPERIMENTS.QUESTION_SELECTION.DEFAULT_VARIANT;
+
+    this.strategyAssignments.set(sessionId, variant);
+    return variant;
+  }
+
+  // Restore a stored strategy assignment, or store a new one, so a session
+  // keeps its strategy if the split is reconfigured mid-quiz
+  async prepareStrategyAssignment(sessionId, userFingerprint = null) {
+    if (this.strategyAssignments.has(sessionId)) return;
+
+    const experimentId = this.config.EXPERIMENTS.QUESTION_SELECTION.ID;
+    const stored = this.dataManager.isConnected
+      ? await this.algorithmManager.getUserAssignment(sessionId, experimentId)
+      : null;
+    if (stored && this.questionSelectionStrategies[stored.variant]) {
+      this.strategyAssignments.set(sessionId, stored.variant);
+      return;
     }
-    return Math.abs(hash).toString(16);
+
+    // Sessions outside the experiment stay unstored so a traffic ramp can
+    // still enrol them
+    const variant = this.getABTestVariant(sessionId, 'question_selection', userFingerprint);
+    if (!this.dataManager.isConnected) return;
+    if (!assignVariant(userFingerprint || sessionId, this.getQuestionSelectionExperiment()).inExperiment) return;
+
+    await this.algorithmManager.saveAssignment({
+      sessionId,
+      userFingerprint,
+      algorithmType: experimentId,
+      algorithmVersion: variant,
+      variant
+    });
   }
 
   trackABTestMetric(sessionId, testType, variant, metricName, metricValue) {
@@ -997,7 +1252,7 @@ export class MLService {
       sessionId
     });
     
-    console.log(`📊 A/B Test tracked: ${testType}/${variant} - ${metricName}:`, metricValue);
+    logger.debug(`A/B Test tracked: ${testType}/${variant} - ${metricName}`, { sessionId, value: metricValue });
   }
 
   // Alternative question selection methods for A/B testing
@@ -1061,49 +1316,144 @@ export class MLService {
     return results;
   }
 
-  // Admin functions for testing (simplified)
+  // Admin functions - backed by AlgorithmManager
+  async createAlgorithmVersion(algorithmType, algorithmData) {
+    if (normalizeAlgorithmType(algorithmType) === 'scoring') {
+      try {
+        // Constructing the engine validates the calculation method
+        new ScoringEngine(algorithmData);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    const created = await this.algorithmManager.createAlgorithmVersion(algorithmType, algorithmData);
+    if (!created) {
+      return { success: false, error: `Could not save ${algorithmType} version ${algorithmData.version}` };
+    }
+    return { success: true, version: created.version };
+  }
+
   async createNewScoringAlgorithm(algorithmData) {
-    console.log('📝 Mock: New scoring algorithm created:', algorithmData.version);
-    return { success: true, version: algorithmData.version };
+    return this.createAlgorithmVersion('scoring', algorithmData);
   }
 
   async createABTest(testConfig) {
-    console.log('🧪 A/B test created:', testConfig.testName);
-    
-    // Store A/B test configuration
-    if (!this.activeABTests) {
-      this.activeABTests = {};
+    const test = await this.algorithmManager.createABTest(testConfig);
+    if (!test) {
+      return { success: false, error: 'Could not save A/B test' };
     }
-    
-    const testId = Date.now();
-    this.activeABTests[testId] = {
-      id: testId,
-      testName: testConfig.testName,
-      algorithmType: testConfig.algorithmType,
-      variants: testConfig.variants || ['enhanced_ml', 'priority_based', 'random'],
-      startDate: new Date().toISOString(),
-      status: 'running'
-    };
-    
-    return { success: true, id: testId };
+    logger.info(`A/B test created: ${test.test_name}`);
+    return { success: true, id: test.id };
+  }
+
+  async updateABTestTraffic(testId, trafficPercentage) {
+    const success = await this.algorithmManager.updateABTestTraffic(testId, trafficPercentage);
+    return success
+      ? { success: true }
+      : { success: false, error: 'Could not update A/B test traffic' };
   }
 
   async activateAlgorithm(algorithmType, version) {
-    console.log(`🔄 Mock: Activated ${algorithmType} algorithm: ${version}`);
-    this.activeAlgorithms[algorithmType] = { version };
+    // Sessions already prepared keep the versions they started with
+    const success = await this.algorithmManager.activateAlgorithm(algorithmType, version);
+    if (success) {
+      logger.info(`Activated ${algorithmType} algorithm: ${version}`);
+    }
+    return success;
+  }
+
+  async getAlgorithmVersionHistory(algorithmType) {
+    return this.algorithmManager.getAlgorithmVersions(algorithmType);
+  }
+
+  async getABTests() {
+    return this.algorithmManager.getABTests();
+  }
+
+  // Experiment monitoring needs the database; without it there are no tests
+  startExperimentMonitor() {
+    if (!this.dataManager.isConnected) return false;
+    this.experimentMonitor.start();
     return true;
   }
 
+  stopExperimentMonitor() {
+    this.experimentMonitor.stop();
+  }
+
+  async runExperimentMonitor() {
+    return this.experimentMonitor.evaluateRunningTests();
+  }
+
+  async stopABTest(testId) {
+    const success = await this.algorithmManager.updateABTestStatus(testId, 'stopped');
+    if (success) {
+      await this.algorithmManager.recordExperimentDecision({
+        testId,
+        action: 'stop',
+        reason: 'manual_stop',
+        actor: 'admin'
+      });
+    }
+    return success;
+  }
+
+  async getExperimentAuditLog(testId = null) {
+    return this.algorithmManager.getExperimentAuditLog(testId);
+  }
+
+  async getABTestAnalytics(testId) {
+    return this.algorithmManager.getABTestAnalytics(testId);
+  }
+
+  async getAlgorithmPerformanceSummary() {
+    return this.algorithmManager.getAlgorithmPerformanceSummary();
+  }
+
+  // Compare the database with the schema the code expects. Missing tables or
+  // columns are logged with the migration to run, not thrown - the service
+  // keeps working with whatever is there.
+  async checkSchema() {
+    try {
+      this.schemaStatus = {
+        expectedVersion: SCHEMA_VERSION,
+        ...await verifySchema(this.dataManager.supabase)
+      };
+    } catch (error) {
+      logger.error('Error checking database schema', error);
+      this.schemaStatus = {
+        expectedVersion: SCHEMA_VERSION,
+        ok: false,
+        missingTables: [],
+        missingColumns: {},
+        errors: [{ message: error.message }]
+      };
+    }
+
+    const { ok, missingTables, missingColumns, errors } = this.schemaStatus;
+    if (ok) {
+      logger.info(`Database schema matches version ${SCHEMA_VERSION}`);
+    } else {
+      logger.error(`Database schema is behind version ${SCHEMA_VERSION} - run npm run db:migrate`, {
+        missingTables,
+        missingColumns,
+        errors
+      });
+    }
+    return this.schemaStatus;
+  }
+
   healthCheck() {
     return {
       initialized: this.isInitialized,
       version: this.modelVersion,
       performanceHealth: this.performanceMetrics,
-      algorithmVersions: {
-        scoring: this.activeAlgorithms.scoring?.version || 'v1.0.0',
-        questionSelection: this.activeAlgorithms.questionSelection?.version || 'v1.0.0',
-        similarityCalculator: this.activeAlgorithms.similarityCalculator?.version || 'v1.0.0'
-      },
+      algorithmVersions: this.getAlgorithmVersions(),
+      schema: this.schemaStatus,
+      // Profile and feedback writes waiting for the database, and the last one that landed
+      writeQueue: this.dataManager.getSyncStatus?.() || null,
+      sessionEvents: this.sessionEvents.getStatus(),
       status: 'Healthy - Memory Mode Active'
     };
   }
@@ -0,0 +1,129 @@
+import { MLService } from './MLService';
+import { DimensionBelief } from './DimensionBelief';
+import { loadQuestionCatalog, bumpCatalogVersion } from './QuestionCatalog';
+import { assignVariant } from './ExperimentAssignment';
+import { createDataManager } from '../db/createDataManager';
+
+const createService = async (options = {}) => {
+  const service = new MLService({ dataBackend: 'memory', ...options });
+  await service.ready;
+  return service;
+};
+
+describe('MLService', () => {
+  beforeEach(() => {
+    ['log', 'info', 'warn', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('question catalog publishing', () => {
+    const bundled = loadQuestionCatalog();
+    const nextDefinition = () => {
+      const definition = JSON.parse(JSON.stringify(bundled.toJSON()));
+      definition.version = bumpCatalogVersion(bundled.version);
+      // Reorder the first question's options, so option indexes mean something else
+      definition.questions[0].options.reverse();
+      return definition;
+    };
+
+    it('publishes a draft as a new live version', async () => {
+      const dataManager = createDataManager('memory');
+      const service = await createService({ dataManager });
+      const draft = nextDefinition();
+
+      await service.saveQuestionCatalogDraft(draft);
+      expect((await service.getQuestionCatalogDraft()).version).toBe(draft.version);
+
+      expect(await service.publishQuestionCatalog(draft)).toEqual({ success: true, version: draft.version });
+      expect(service.getQuestionCatalog().version).toBe(draft.version);
+      // The published draft is no longer offered for editing
+      expect(await service.getQuestionCatalogDraft()).toBeNull();
+
+      // Services started later pick up the published version
+      const restarted = await createService({ dataManager });
+      expect(restarted.getQuestionCatalog().version).toBe(draft.version);
+    });
+
+    it('requires a valid catalog with a higher version', async () => {
+      const service = await createService();
+
+      const stale = await service.publishQuestionCatalog({ ...nextDefinition(), version: bundled.version });
+      expect(stale).toEqual({
+        success: false,
+        errors: [`version must be greater than the live catalog version ${bundled.version}`]
+      });
+
+      const invalid = await service.publishQuestionCatalog({ ...nextDefinition(), version: 'next' });
+      expect(invalid.success).toBe(false);
+      expect(invalid.errors[0]).toMatch(/^version must be a semantic version string/);
+      expect(service.getQuestionCatalog()).toBe(bundled);
+    });
+
+    it('keeps reading a quiz in progress against the catalog it started with', async () => {
+      const service = await createService();
+      const startedWith = service.getQuestionCatalog();
+      await service.publishQuestionCatalog(nextDefinition());
+
+      const fromAnswers = jest.spyOn(DimensionBelief, 'fromAnswers');
+      const answers = { [startedWith.questions[0].id]: { optionIndex: 0 } };
+      service.informationGainSelector.selectNextQuestion(answers, {}, startedWith.getQuestions(), 1, { questionCatalog: startedWith });
+      expect(fromAnswers).toHaveBeenCalledWith(answers, startedWith);
+
+      const enhanced = jest.spyOn(service.questionSelector, 'hasAnsweredDimension');
+      service.questionSelector.selectNextQuestion(answers, {}, startedWith.getQuestions(), 2, { questionCatalog: startedWith });
+      expect(enhanced).toHaveBeenCalledWith(answers, 'socialness', startedWith);
+    });
+  });
+
+  describe('session assignment', () => {
+    it('buckets every session from one browser into the same strategy', async () => {
+      const service = new MLService({ dataBackend: 'memory' });
+      const expected = assignVariant('browser-1', service.getQuestionSelectionExperiment()).variant.name;
+
+      // Preparing waits for initialization, then stores the assignment
+      await service.prepareSession('session-1', 'browser-1');
+      expect(await service.algorithmManager.getUserAssignment('session-1', 'question_selection_strategy')).toMatchObject({
+        user_fingerprint: 'browser-1',
+        variant: expected
+      });
+
+      const sessions = Array.from({ length: 12 }, (_, index) => `reload-${index}`);
+      for (const sessionId of sessions) {
+        await service.prepareSession(sessionId, 'browser-1');
+      }
+      expect(new Set(sessions.map(sessionId => service.getQuestionSelectionStrategy(sessionId)))).toEqual(new Set([expected]));
+    });
+  });
+
+  describe('storing profiles', () => {
+    it('warns about a profile that does not match the schema and stores it anyway', async () => {
+      const dataManager = createDataManager('memory');
+      const service = await createService({ dataManager });
+      const answers = { golf_movie: { optionIndex: 0 } };
+
+      await service.addProfileData(answers, { skillLevel: 5 }, { skillLevel: { label: 'Regular Golfer' } }, 'session-1');
+
+      const warning = console.warn.mock.calls.find(([message]) => /does not match the profile schema/.test(message));
+      expect(warning[1].errors).toContain('personality.primary is required');
+      expect((await dataManager.getProfiles()).map(profile => profile.sessionId)).toEqual(['session-1']);
+    });
+  });
+
+  describe('profile comparison', () => {
+    it('leaves the golfer\'s own saved profile out of the population', async () => {
+      const dataManager = createDataManager('memory');
+      const service = await createService({ dataManager });
+      for (const [sessionId, socialness] of [['session-1', 9], ['session-2', 2], ['session-3', 4]]) {
+        await dataManager.addProfile({ sessionId, answers: {}, scores: { socialness }, profile: {} });
+      }
+
+      const comparison = await service.getProfileComparison({ socialness: 9 }, 'session-1');
+
+      expect(comparison.populationSize).toBe(2);
+      expect(comparison.dimensions.find(entry => entry.dimension === 'socialness')).toMatchObject({ median: 3, percentile: 100 });
+    });
+  });
+});
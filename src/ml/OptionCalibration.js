@@ -0,0 +1,262 @@
+// OptionCalibration.js - Fit option score vectors to dimension-level feedback
+//
+// A profile's score on a dimension is the weighted average of the scores the
+// chosen options give it, so it is linear in the option scores. Dimension
+// feedback (FeedbackCollector.collectDimensionFeedback) turns each rated
+// profile into a target for that dimension: the stored score when the golfer
+// rated it accurate, or the score moved the way they said it was off. A ridge
+// regression per dimension then finds option scores that hit the targets
+// while staying close to the current, hand-authored values - options with
+// little feedback barely move. The result is published as a new scoring
+// algorithm version (option_scores) rather than edited into the catalog.
+import { ML_CONFIG } from './MLConfig.js';
+import { SCORE_DIMENSIONS } from './QuestionCatalog.js';
+import { DEFAULT_SCORING_ALGORITHM } from './ScoringEngine.js';
+import { getDimensionRating } from './FeedbackCollector.js';
+
+const { SCORE_RANGE, SIGNED_DIMENSIONS } = ML_CONFIG.QUESTION_CATALOG;
+
+const scaleFor = (dimension) => SIGNED_DIMENSIONS[dimension] || SCORE_RANGE;
+const clamp = (value, [min, max]) => Math.max(min, Math.min(max, value));
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Where the feedback says a dimension score should have been, or null when
+// it can't tell (an inaccurate rating without a direction)
+export function feedbackTarget(dimension, score, feedback, {
+  accurateRating = ML_CONFIG.OPTION_CALIBRATION.ACCURATE_RATING,
+  correctionStep = ML_CONFIG.OPTION_CALIBRATION.CORRECTION_STEP
+} = {}) {
+  const rating = getDimensionRating(feedback);
+  if (rating === null || typeof score !== 'number') return null;
+  if (rating >= accurateRating) return score;
+
+  const direction = feedback?.direction;
+  if (direction !== 'higher' && direction !== 'lower') return null;
+  const shift = (accurateRating - rating) * correctionStep;
+  return clamp(score + (direction === 'higher' ? shift : -shift), scaleFor(dimension));
+}
+
+// Solve matrix * x = vector by Gaussian elimination with partial pivoting
+export function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      throw new Error('Calibration system is singular');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = column + 1; row < n; row++) {
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= n; k++) rows[row][k] -= factor * rows[column][k];
+    }
+  }
+
+  const solution = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n];
+    for (let k = row + 1; k < n; k++) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+const rootMeanSquare = (residuals) => (residuals.length > 0
+  ? Math.sqrt(residuals.reduce((sum, value) => sum + value * value, 0) / residuals.length)
+  : null);
+
+// Latest dimension feedback per session (feedbacks come newest first)
+function latestDimensionFeedback(feedbacks) {
+  const bySession = new Map();
+  feedbacks.forEach(feedback => {
+    if (feedback.dimensionFeedback && !bySession.has(feedback.sessionId)) {
+      bySession.set(feedback.sessionId, feedback.dimensionFeedback);
+    }
+  });
+  return bySession;
+}
+
+// Proposed option scores for the questions in catalog, starting from the
+// base scoring algorithm (its question type weights, dimension weights and
+// any option_scores it already overrides). catalogFor(profile) is the
+// catalog the profile was scored with, or null when it can't be loaded -
+// those profiles are skipped. Answers are matched to catalog's options by
+// question id and option text, so reordered options still line up; answers
+// with no match keep the score they were given.
+export function calibrateOptionScores({
+  catalog,
+  profiles,
+  feedbacks,
+  catalogFor = () => catalog,
+  baseAlgorithm = DEFAULT_SCORING_ALGORITHM,
+  regularization = ML_CONFIG.OPTION_CALIBRATION.REGULARIZATION,
+  minObservations = ML_CONFIG.OPTION_CALIBRATION.MIN_OBSERVATIONS,
+  minChange = ML_CONFIG.OPTION_CALIBRATION.MIN_CHANGE,
+  ...targetOptions
+}) {
+  const typeWeights = baseAlgorithm.question_type_weights || {};
+  const dimensionWeights = baseAlgorithm.dimension_weights || {};
+  const baseOverrides = baseAlgorithm.option_scores || {};
+  const feedbackBySession = latestDimensionFeedback(feedbacks);
+  const rated = profiles
+    .filter(profile => feedbackBySession.has(profile.sessionId))
+    .map(profile => ({ profile, profileCatalog: catalogFor(profile) }));
+  const ratedProfiles = rated.filter(({ profileCatalog }) => profileCatalog);
+
+  const currentScore = (question, optionIndex, dimension) => {
+    const option = question.options[optionIndex];
+    return baseOverrides[question.id]?.[option?.text]?.[dimension] ?? option?.scores?.[dimension];
+  };
+
+  const dimensions = [];
+  const changes = [];
+
+  SCORE_DIMENSIONS.forEach(dimension => {
+    const [min, max] = scaleFor(dimension);
+    const midpoint = (min + max) / 2;
+    const dimensionWeight = dimensionWeights[dimension] ?? 1;
+    if (dimensionWeight === 0) return;
+
+    // One regression row per rated profile: the weights of the fitted
+    // options, what the other answers add (offset) and the target before the
+    // dimension weight stretched it
+    const rows = [];
+    ratedProfiles.forEach(({ profile, profileCatalog }) => {
+      const target = feedbackTarget(dimension, profile.scores?.[dimension], feedbackBySession.get(profile.sessionId)[dimension], targetOptions);
+      if (target === null) return;
+
+      const answers = Object.entries(profile.answers || {})
+        .map(([questionId, answer]) => {
+          const asked = profileCatalog.findQuestionById(questionId);
+          const optionIndex = answer?.optionIndex;
+          const value = asked ? currentScore(asked, optionIndex, dimension) : null;
+          if (typeof value !== 'number') return null;
+
+          const question = catalog.findQuestionById(questionId);
+          const index = question ? question.options.findIndex(option => option.text === asked.options[optionIndex].text) : -1;
+          const fitted = index >= 0 && typeof currentScore(question, index, dimension) === 'number';
+          return {
+            key: `${questionId}:${index}`,
+            question: fitted ? question : null,
+            optionIndex: index,
+            value,
+            weight: typeWeights[asked.type] || 1
+          };
+        })
+        .filter(Boolean);
+
+      const totalWeight = answers.reduce((sum, answer) => sum + answer.weight, 0);
+      const weighted = answers.map(answer => ({ ...answer, weight: answer.weight / totalWeight }));
+      const terms = weighted.filter(answer => answer.question);
+      if (terms.length === 0) return;
+
+      rows.push({
+        terms,
+        offset: weighted.filter(answer => !answer.question).reduce((sum, answer) => sum + answer.weight * answer.value, 0),
+        target: midpoint + (target - midpoint) / dimensionWeight
+      });
+    });
+    if (rows.length === 0) return;
+
+    const parameters = new Map();
+    rows.forEach(row => row.terms.forEach(term => {
+      if (!parameters.has(term.key)) {
+        parameters.set(term.key, {
+          index: parameters.size,
+          question: term.question,
+          optionIndex: term.optionIndex,
+          current: currentScore(term.question, term.optionIndex, dimension),
+          observations: 0
+        });
+      }
+      parameters.get(term.key).observations++;
+    }));
+
+    // (AᵀA + λI) x = Aᵀt + λ x₀
+    const size = parameters.size;
+    const params = [...parameters.values()];
+    const matrix = Array.from({ length: size }, (_, index) =>
+      Array.from({ length: size }, (__, column) => (index === column ? regularization : 0)));
+    const vector = params.map(param => regularization * param.current);
+    rows.forEach(row => row.terms.forEach(term => {
+      const i = parameters.get(term.key).index;
+      vector[i] += term.weight * (row.target - row.offset);
+      row.terms.forEach(other => { matrix[i][parameters.get(other.key).index] += term.weight * other.weight; });
+    }));
+    const fitted = solveLinearSystem(matrix, vector);
+
+    const accepted = params.map((param, index) => {
+      const proposed = roundTo(clamp(fitted[index], [min, max]), 1);
+      const change = param.observations >= minObservations && Math.abs(proposed - param.current) >= minChange;
+      if (change) {
+        changes.push({
+          questionId: param.question.id,
+          optionIndex: param.optionIndex,
+          optionText: param.question.options[param.optionIndex].text,
+          dimension,
+          current: param.current,
+          proposed,
+          delta: roundTo(proposed - param.current, 1),
+          observations: param.observations
+        });
+      }
+      return change ? proposed : param.current;
+    });
+
+    const predict = (row, values) => row.terms.reduce((sum, term) => sum + term.weight * values[parameters.get(term.key).index], row.offset);
+    dimensions.push({
+      dimension,
+      observations: rows.length,
+      parameters: size,
+      rmseBefore: rootMeanSquare(rows.map(row => row.target - predict(row, params.map(param => param.current)))),
+      rmseAfter: rootMeanSquare(rows.map(row => row.target - predict(row, accepted)))
+    });
+  });
+
+  changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  // Overrides for the new version: the base's, plus every accepted change,
+  // keyed by option text as ScoringEngine looks them up
+  const optionScores = JSON.parse(JSON.stringify(baseOverrides));
+  changes.forEach(change => {
+    optionScores[change.questionId] = optionScores[change.questionId] || {};
+    optionScores[change.questionId][change.optionText] = {
+      ...optionScores[change.questionId][change.optionText],
+      [change.dimension]: change.proposed
+    };
+  });
+
+  return {
+    baseVersion: baseAlgorithm.version,
+    catalogVersion: catalog.version,
+    ratedProfiles: ratedProfiles.length,
+    // Rated profiles left out because their catalog version couldn't be loaded
+    skippedProfiles: rated.length - ratedProfiles.length,
+    dimensions,
+    changes,
+    optionScores
+  };
+}
+
+// scoring_algorithms record for the calibrated version; it is created
+// inactive so it can be A/B tested or activated from the admin interface
+export function buildCalibratedAlgorithm(baseAlgorithm, calibration, { version, notes = null }) {
+  return {
+    version,
+    algorithm_name: baseAlgorithm.algorithm_name,
+    dimension_weights: baseAlgorithm.dimension_weights,
+    question_type_weights: baseAlgorithm.question_type_weights,
+    calculation_method: baseAlgorithm.calculation_method,
+    option_scores: calibration.optionScores,
+    notes: notes || `Option scores calibrated from ${calibration.ratedProfiles} rated profiles ` +
+      `(${calibration.changes.length} changes to ${calibration.baseVersion}, catalog ${calibration.catalogVersion})`,
+    is_active: false
+  };
+}
+
+export default calibrateOptionScores;
@@ -0,0 +1,140 @@
+import {
+  feedbackTarget,
+  solveLinearSystem,
+  calibrateOptionScores,
+  buildCalibratedAlgorithm
+} from './OptionCalibration';
+import { ScoringEngine, DEFAULT_SCORING_ALGORITHM } from './ScoringEngine';
+
+const questions = [
+  {
+    id: 'practice_time',
+    type: 'core',
+    options: [
+      { text: 'Never', scores: { skillLevel: 2 } },
+      { text: 'Daily', scores: { skillLevel: 8, pace: 6 } }
+    ]
+  },
+  {
+    id: 'handicap',
+    type: 'core',
+    options: [
+      { text: 'Not sure', scores: { skillLevel: 5 } },
+      { text: 'Single figures', scores: { skillLevel: 9 } }
+    ]
+  }
+];
+
+const catalog = {
+  version: 'test',
+  findQuestionById: (questionId) => questions.find(question => question.id === questionId) || null,
+  getOption: (questionId, optionIndex) => catalog.findQuestionById(questionId)?.options[optionIndex] || null
+};
+
+const baseAlgorithm = { ...DEFAULT_SCORING_ALGORITHM, question_type_weights: {} };
+
+const profile = (sessionId, practiceOption, scores) => ({
+  sessionId,
+  answers: { practice_time: { optionIndex: practiceOption }, handicap: { optionIndex: 0 } },
+  scores
+});
+
+describe('OptionCalibration', () => {
+  it('turns a dimension rating into a target score', () => {
+    expect(feedbackTarget('skillLevel', 6, 5)).toBe(6);
+    expect(feedbackTarget('skillLevel', 6, { rating: 2, direction: 'lower' })).toBe(4);
+    expect(feedbackTarget('skillLevel', 9, { rating: 1, direction: 'higher' })).toBe(10);
+    expect(feedbackTarget('skillLevel', 6, 2)).toBeNull();
+    expect(feedbackTarget('skillLevel', undefined, 5)).toBeNull();
+  });
+
+  it('solves linear systems', () => {
+    const [x, y] = solveLinearSystem([[0, 2], [3, 1]], [4, 5]);
+    expect(x).toBeCloseTo(1);
+    expect(y).toBeCloseTo(2);
+    expect(() => solveLinearSystem([[1, 2], [2, 4]], [1, 2])).toThrow('singular');
+  });
+
+  it('moves the options golfers said scored them too high', () => {
+    const profiles = [
+      ...Array.from({ length: 10 }, (_, index) => profile(`daily${index}`, 1, { skillLevel: 6.5, pace: 6 })),
+      profile('never0', 0, { skillLevel: 3.5 }),
+      profile('never1', 0, { skillLevel: 3.5 }),
+      profile('unrated', 1, { skillLevel: 6.5 })
+    ];
+    const feedbacks = [
+      ...Array.from({ length: 10 }, (_, index) => ({
+        sessionId: `daily${index}`,
+        dimensionFeedback: { skillLevel: { rating: 2, direction: 'lower' }, pace: 5 }
+      })),
+      { sessionId: 'never0', dimensionFeedback: { skillLevel: 2 } },
+      { sessionId: 'never1', dimensionFeedback: { skillLevel: 4 } },
+      // older feedback for the same session is ignored
+      { sessionId: 'daily0', dimensionFeedback: { skillLevel: 5 } },
+      { sessionId: 'unrated', accuracy: 'mostly_accurate' }
+    ];
+
+    const calibration = calibrateOptionScores({ catalog, profiles, feedbacks, baseAlgorithm });
+
+    expect(calibration.ratedProfiles).toBe(12);
+    // 'Never' has one usable rating, too few to propose a change
+    expect(calibration.changes.map(({ questionId, optionIndex, current, proposed, observations }) =>
+      [questionId, optionIndex, current, proposed, observations])).toEqual([
+      ['practice_time', 1, 8, 6.5, 10],
+      ['handicap', 0, 5, 3.7, 11]
+    ]);
+    expect(calibration.optionScores).toEqual({
+      practice_time: { Daily: { skillLevel: 6.5 } },
+      handicap: { 'Not sure': { skillLevel: 3.7 } }
+    });
+
+    const skill = calibration.dimensions.find(dimension => dimension.dimension === 'skillLevel');
+    expect(skill).toMatchObject({ observations: 11, parameters: 3 });
+    expect(skill.rmseAfter).toBeLessThan(skill.rmseBefore);
+    expect(calibration.dimensions.find(dimension => dimension.dimension === 'pace').rmseBefore).toBe(0);
+  });
+
+  it('reads each profile against the catalog it was scored with', () => {
+    // An older catalog listed practice_time's options the other way round
+    const olderQuestions = [{ ...questions[0], options: [...questions[0].options].reverse() }, questions[1]];
+    const olderCatalog = {
+      version: 'older',
+      findQuestionById: (questionId) => olderQuestions.find(question => question.id === questionId) || null
+    };
+    const catalogFor = (stored) => ({ test: catalog, older: olderCatalog })[stored.catalogVersion] || null;
+
+    const profiles = [
+      ...Array.from({ length: 5 }, (_, index) => ({ ...profile(`current${index}`, 1, { skillLevel: 6.5 }), catalogVersion: 'test' })),
+      // optionIndex 0 was 'Daily' in the older catalog
+      ...Array.from({ length: 5 }, (_, index) => ({ ...profile(`older${index}`, 0, { skillLevel: 6.5 }), catalogVersion: 'older' })),
+      { ...profile('unknown', 1, { skillLevel: 6.5 }), catalogVersion: 'retired' }
+    ];
+    const feedbacks = profiles.map(({ sessionId }) => ({
+      sessionId,
+      dimensionFeedback: { skillLevel: { rating: 2, direction: 'lower' } }
+    }));
+
+    const calibration = calibrateOptionScores({ catalog, catalogFor, profiles, feedbacks, baseAlgorithm });
+
+    expect(calibration).toMatchObject({ ratedProfiles: 10, skippedProfiles: 1 });
+    const daily = calibration.changes.find(change => change.questionId === 'practice_time');
+    expect(daily).toMatchObject({ optionIndex: 1, optionText: 'Daily', observations: 10 });
+  });
+
+  it('builds an inactive scoring version the engine applies', () => {
+    const calibration = {
+      baseVersion: 'v1.0.0',
+      catalogVersion: 'test',
+      ratedProfiles: 12,
+      changes: [{}],
+      optionScores: { practice_time: { Daily: { skillLevel: 6 } } }
+    };
+    const algorithm = buildCalibratedAlgorithm(baseAlgorithm, calibration, { version: 'v1.1.0' });
+
+    expect(algorithm).toMatchObject({ version: 'v1.1.0', is_active: false, algorithm_name: baseAlgorithm.algorithm_name });
+    expect(algorithm.notes).toContain('12 rated profiles');
+
+    const scores = new ScoringEngine(algorithm).calculateScores(profile('s', 1).answers, catalog);
+    expect(scores.skillLevel).toBe(5.5);
+  });
+});
@@ -0,0 +1,42 @@
+// ProfileComparison.js - A golfer's scores against the stored population
+//
+// For each similarity dimension: the golfer's score, the population median,
+// the centroid (mean) of stored golfers sharing their archetype, and the
+// percentile from MLService.calculateUserPercentiles (the share of golfers
+// scoring strictly lower).
+import { ML_CONFIG } from './MLConfig.js';
+import { mean, median } from './Statistics.js';
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// archetype is the golfer's { archetype, confidence } and archetypeOf maps
+// stored scores to an archetype name (SimilarityCalculator.determineArchetype)
+export function compareToPopulation(userScores, profiles, {
+  archetype = null,
+  archetypeOf = null,
+  percentiles = {},
+  dimensions = ML_CONFIG.SIMILARITY_DIMENSIONS
+} = {}) {
+  const scored = profiles.filter(profile => profile.scores);
+  const peers = archetype && archetypeOf
+    ? scored.filter(profile => archetypeOf(profile.scores) === archetype.archetype)
+    : [];
+
+  return {
+    populationSize: scored.length,
+    archetype: archetype && {
+      name: archetype.archetype,
+      confidence: archetype.confidence,
+      size: peers.length
+    },
+    dimensions: dimensions.map(dimension => ({
+      dimension,
+      user: userScores[dimension] || 0,
+      median: round(median(scored.map(profile => profile.scores[dimension] || 0))),
+      centroid: round(mean(peers.map(profile => profile.scores[dimension] || 0))),
+      percentile: percentiles[dimension] ?? null
+    }))
+  };
+}
+
+export default compareToPopulation;
@@ -0,0 +1,46 @@
+import { compareToPopulation } from './ProfileComparison';
+import { SimilarityCalculator } from './SimilarityCalculator';
+
+const golfer = (socialness, skillLevel) => ({ scores: { socialness, skillLevel } });
+
+describe('ProfileComparison', () => {
+  const profiles = [golfer(2, 8), golfer(4, 6), golfer(8, 3), golfer(9, 2), { scores: null }];
+  const archetypeOf = (scores) => (scores.socialness >= 6 ? 'social' : 'solo');
+
+  it('compares a golfer with the population median and their archetype centroid', () => {
+    const comparison = compareToPopulation({ socialness: 7, skillLevel: 4 }, profiles, {
+      archetype: { archetype: 'social', confidence: 0.8 },
+      archetypeOf,
+      percentiles: { socialness: 50, skillLevel: 50 },
+      dimensions: ['socialness', 'skillLevel']
+    });
+
+    expect(comparison.populationSize).toBe(4);
+    expect(comparison.archetype).toEqual({ name: 'social', confidence: 0.8, size: 2 });
+    expect(comparison.dimensions).toEqual([
+      { dimension: 'socialness', user: 7, median: 6, centroid: 8.5, percentile: 50 },
+      { dimension: 'skillLevel', user: 4, median: 4.5, centroid: 2.5, percentile: 50 }
+    ]);
+  });
+
+  it('leaves the centroid empty without an archetype', () => {
+    const comparison = compareToPopulation({ socialness: 7 }, profiles, { dimensions: ['socialness'] });
+
+    expect(comparison.archetype).toBeNull();
+    expect(comparison.dimensions[0]).toMatchObject({ median: 6, centroid: null, percentile: null });
+  });
+
+  it('covers every similarity dimension with SimilarityCalculator archetypes', () => {
+    const calculator = new SimilarityCalculator();
+    const scores = { skillLevel: 2, socialness: 8, luxuryLevel: 3, competitiveness: 2 };
+    const competitor = { skillLevel: 9, socialness: 1, luxuryLevel: 6, competitiveness: 9, pace: 8 };
+    const comparison = compareToPopulation(scores, [{ scores }, { scores: competitor }], {
+      archetype: calculator.determineArchetype(scores),
+      archetypeOf: (stored) => calculator.determineArchetype(stored).archetype
+    });
+
+    expect(comparison.dimensions).toHaveLength(8);
+    expect(comparison.archetype).toMatchObject({ name: 'social_beginner', size: 1 });
+    expect(comparison.dimensions.find(entry => entry.dimension === 'socialness').centroid).toBe(8);
+  });
+});
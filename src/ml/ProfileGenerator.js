@@ -1,5 +1,18 @@
 // ProfileGenerator.js - ML-Enhanced Profile Generation
 import { ML_CONFIG, PROFILE_LABELS } from './MLConfig.js';
+import { normalizeProfile } from './ProfileSchema.js';
+
+// How much of the profile comes from similar golfers: 'full' enhances the
+// recommendations, personality and preferences and adds ML insights,
+// 'ml_only' enhances only the recommendations, and 'base' is rule-based
+export const ENHANCEMENT_LEVELS = {
+  FULL: 'full',
+  ML_ONLY: 'ml_only',
+  BASE: 'base'
+};
+
+// A generated statement and the score dimensions that produced it
+const statement = (text, dimensions) => ({ text, dimensions });
 
 export class ProfileGenerator {
   constructor(similarityCalculator, recommendationEngine, dataManager) {
@@ -8,23 +21,24 @@ export class ProfileGenerator {
     this.dataManager = dataManager;
   }
 
-  // Main profile generation method
-  generateProfile(answers, scores, sessionId, enhancementLevel = 'full') {
+  // Main profile generation method. similarProfiles come from the caller's
+  // similarity search (MLService.findSimilarProfilesForML); with fewer than
+  // MIN_SIMILAR_PROFILES the profile stays rule-based.
+  generateProfile(answers, scores, sessionId, enhancementLevel = ENHANCEMENT_LEVELS.FULL, similarProfiles = []) {
     // Generate base profile using rule-based logic
     const baseProfile = this.generateBaseProfile(scores);
 
     // Enhance with ML if we have enough data
-    if (enhancementLevel === 'full' || enhancementLevel === 'ml_only') {
-      const similarProfiles = this.findSimilarProfiles(scores);
-      const enhancedProfile = this.enhanceProfileWithML(baseProfile, scores, similarProfiles);
+    if (enhancementLevel === ENHANCEMENT_LEVELS.FULL || enhancementLevel === ENHANCEMENT_LEVELS.ML_ONLY) {
+      const enhancedProfile = this.enhanceProfileWithML(baseProfile, scores, similarProfiles, enhancementLevel);
 
       // Add confidence and explanation
       enhancedProfile.mlMetadata = this.generateMLMetadata(similarProfiles, scores);
 
-      return enhancedProfile;
+      return normalizeProfile(enhancedProfile);
     }
 
-    return baseProfile;
+    return normalizeProfile({ ...baseProfile, mlEnhanced: false, enhancementLevel: ENHANCEMENT_LEVELS.BASE });
   }
 
   // Generate base profile using rule-based logic
@@ -117,7 +131,7 @@ export class ProfileGenerator {
   // Generate demographics with privacy considerations
   generateDemographics(scores) {
     return {
-      estimatedAgeRange: this.estimateAgeRange(scores.ageGeneration || 0),
+      estimatedAge: this.estimateAgeRange(scores.ageGeneration || 0),
       preferenceStyle: this.analyzePreferenceStyle(scores.genderLean || 0),
       experienceLevel: this.assessExperienceLevel(scores),
       lifestyleSegment: this.determineLifestyleSegment(scores),
@@ -148,12 +162,12 @@ export class ProfileGenerator {
   }
 
   // ML Enhancement Methods
-  enhanceProfileWithML(baseProfile, scores, similarProfiles) {
+  enhanceProfileWithML(baseProfile, scores, similarProfiles, enhancementLevel = ENHANCEMENT_LEVELS.FULL) {
     if (similarProfiles.length < ML_CONFIG.MIN_SIMILAR_PROFILES) {
       return {
         ...baseProfile,
         mlEnhanced: false,
-        enhancementLevel: 'none'
+        enhancementLevel: ENHANCEMENT_LEVELS.BASE
       };
     }
 
@@ -164,6 +178,15 @@ export class ProfileGenerator {
       similarProfiles
     );
 
+    if (enhancementLevel === ENHANCEMENT_LEVELS.ML_ONLY) {
+      return {
+        ...baseProfile,
+        recommendations: enhancedRecommendations,
+        mlEnhanced: true,
+        enhancementLevel
+      };
+    }
+
     // Enhance personality insights
     const enhancedPersonality = this.enhancePersonalityWithML(baseProfile.personality, similarProfiles);
 
@@ -180,26 +203,10 @@ export class ProfileGenerator {
       recommendations: enhancedRecommendations,
       mlInsights: mlInsights,
       mlEnhanced: true,
-      enhancementLevel: 'full'
+      enhancementLevel
     };
   }
 
-  // Find similar profiles for ML enhancement
-  findSimilarProfiles(scores) {
-    const allProfiles = this.dataManager.getProfiles();
-
-    return this.similarityCalculator.findSimilarProfiles(
-      scores,
-      allProfiles,
-      {
-        threshold: ML_CONFIG.SIMILARITY_THRESHOLD,
-        maxResults: ML_CONFIG.MAX_SIMILAR_PROFILES,
-        minResults: ML_CONFIG.MIN_SIMILAR_PROFILES,
-        diversityFactor: 0.15 // Add some diversity to avoid echo chambers
-      }
-    );
-  }
-
   // MISSING METHODS - Now properly added to the class:
 
   generateContextualPreferences(scores) {
@@ -305,31 +312,35 @@ export class ProfileGenerator {
     return "Value-conscious with selective upgrades";
   }
 
+  // Psychographic and playing-style statements name the score dimensions
+  // that decided them, so the results page can show where each came from
   identifyValues(scores) {
     const values = [];
-    if (scores.traditionalism >= 7) values.push("Tradition and heritage");
-    if (scores.competitiveness >= 7) values.push("Achievement and excellence");
-    if (scores.socialness >= 7) values.push("Community and relationships");
-    if (scores.luxuryLevel >= 7) values.push("Quality and prestige");
-    if (values.length === 0) values.push("Fun and enjoyment");
+    if (scores.traditionalism >= 7) values.push(statement("Tradition and heritage", ['traditionalism']));
+    if (scores.competitiveness >= 7) values.push(statement("Achievement and excellence", ['competitiveness']));
+    if (scores.socialness >= 7) values.push(statement("Community and relationships", ['socialness']));
+    if (scores.luxuryLevel >= 7) values.push(statement("Quality and prestige", ['luxuryLevel']));
+    if (values.length === 0) {
+      values.push(statement("Fun and enjoyment", ['traditionalism', 'competitiveness', 'socialness', 'luxuryLevel']));
+    }
     return values;
   }
 
   assessAttitudes(scores) {
     const attitudes = [];
-    if (scores.competitiveness >= 7) attitudes.push("Goal-oriented and driven");
-    if (scores.socialness >= 7) attitudes.push("Collaborative and outgoing");
-    if (scores.traditionalism >= 7) attitudes.push("Respectful of golf traditions");
-    if (scores.pace >= 6) attitudes.push("Efficient and time-conscious");
+    if (scores.competitiveness >= 7) attitudes.push(statement("Goal-oriented and driven", ['competitiveness']));
+    if (scores.socialness >= 7) attitudes.push(statement("Collaborative and outgoing", ['socialness']));
+    if (scores.traditionalism >= 7) attitudes.push(statement("Respectful of golf traditions", ['traditionalism']));
+    if (scores.pace >= 6) attitudes.push(statement("Efficient and time-conscious", ['pace']));
     return attitudes;
   }
 
   inferInterests(scores) {
     const interests = [];
-    if (scores.amenityImportance >= 6) interests.push("Golf instruction and improvement");
-    if (scores.socialness >= 7) interests.push("Golf events and tournaments");
-    if (scores.luxuryLevel >= 7) interests.push("Premium golf destinations");
-    if (scores.traditionalism >= 7) interests.push("Golf history and classic courses");
+    if (scores.amenityImportance >= 6) interests.push(statement("Golf instruction and improvement", ['amenityImportance']));
+    if (scores.socialness >= 7) interests.push(statement("Golf events and tournaments", ['socialness']));
+    if (scores.luxuryLevel >= 7) interests.push(statement("Premium golf destinations", ['luxuryLevel']));
+    if (scores.traditionalism >= 7) interests.push(statement("Golf history and classic courses", ['traditionalism']));
     return interests;
   }
 
@@ -338,39 +349,40 @@ export class ProfileGenerator {
     const luxury = scores.luxuryLevel || 0;
     const pace = scores.pace || 0;
 
-    if (luxury >= 7 && social >= 6) return "Upscale social lifestyle";
-    if (pace >= 7) return "Active, scheduled lifestyle";
-    if (social >= 7) return "Community-oriented lifestyle";
-    return "Balanced, flexible lifestyle";
+    if (luxury >= 7 && social >= 6) return statement("Upscale social lifestyle", ['luxuryLevel', 'socialness']);
+    if (pace >= 7) return statement("Active, scheduled lifestyle", ['pace']);
+    if (social >= 7) return statement("Community-oriented lifestyle", ['socialness']);
+    return statement("Balanced, flexible lifestyle", ['luxuryLevel', 'socialness', 'pace']);
   }
 
   analyzeDecisionMakingStyle(scores) {
     const competitive = scores.competitiveness || 0;
     const traditional = scores.traditionalism || 0;
 
-    if (competitive >= 7) return "Data-driven and performance-focused";
-    if (traditional >= 7) return "Careful and tradition-guided";
-    if (scores.socialness >= 7) return "Collaborative and consensus-seeking";
-    return "Practical and flexible";
+    if (competitive >= 7) return statement("Data-driven and performance-focused", ['competitiveness']);
+    if (traditional >= 7) return statement("Careful and tradition-guided", ['traditionalism']);
+    if (scores.socialness >= 7) return statement("Collaborative and consensus-seeking", ['socialness']);
+    return statement("Practical and flexible", ['competitiveness', 'traditionalism', 'socialness']);
   }
 
   determinePlayingApproach(scores) {
     const competitive = scores.competitiveness || 0;
     const social = scores.socialness || 0;
 
-    if (competitive >= 8) return "Serious and strategic";
-    if (social >= 8) return "Fun and social-focused";
-    if (scores.traditionalism >= 7) return "Traditional and respectful";
-    return "Relaxed and enjoyable";
+    if (competitive >= 8) return statement("Serious and strategic", ['competitiveness']);
+    if (social >= 8) return statement("Fun and social-focused", ['socialness']);
+    if (scores.traditionalism >= 7) return statement("Traditional and respectful", ['traditionalism']);
+    return statement("Relaxed and enjoyable", ['competitiveness', 'socialness', 'traditionalism']);
   }
 
   analyzePreferredPace(scores) {
     const pace = scores.pace || 0;
     const competitive = scores.competitiveness || 0;
 
-    if (pace >= 7 || competitive >= 7) return "Brisk and efficient";
-    if (pace <= 3) return "Leisurely and relaxed";
-    return "Moderate and flexible";
+    if (pace >= 7) return statement("Brisk and efficient", ['pace']);
+    if (competitive >= 7) return statement("Brisk and efficient", ['competitiveness']);
+    if (pace <= 3) return statement("Leisurely and relaxed", ['pace', 'competitiveness']);
+    return statement("Moderate and flexible", ['pace', 'competitiveness']);
   }
 
   identifyPlayingFocus(scores) {
@@ -378,28 +390,28 @@ export class ProfileGenerator {
     const social = scores.socialness || 0;
     const skill = scores.skillLevel || 0;
 
-    if (competitive >= 7 && skill >= 6) return "Score improvement and competition";
-    if (social >= 7) return "Social interaction and fun";
-    if (skill <= 4) return "Learning and skill development";
-    return "Overall enjoyment and relaxation";
+    if (competitive >= 7 && skill >= 6) return statement("Score improvement and competition", ['competitiveness', 'skillLevel']);
+    if (social >= 7) return statement("Social interaction and fun", ['socialness']);
+    if (skill <= 4) return statement("Learning and skill development", ['skillLevel']);
+    return statement("Overall enjoyment and relaxation", ['competitiveness', 'socialness', 'skillLevel']);
   }
 
   analyzePreparationStyle(scores) {
     const amenity = scores.amenityImportance || 0;
     const competitive = scores.competitiveness || 0;
 
-    if (competitive >= 7 && amenity >= 6) return "Thorough preparation with practice";
-    if (amenity >= 6) return "Some warm-up and preparation";
-    return "Minimal preparation, casual approach";
+    if (competitive >= 7 && amenity >= 6) return statement("Thorough preparation with practice", ['competitiveness', 'amenityImportance']);
+    if (amenity >= 6) return statement("Some warm-up and preparation", ['amenityImportance']);
+    return statement("Minimal preparation, casual approach", ['amenityImportance']);
   }
 
   analyzePostRoundBehavior(scores) {
     const social = scores.socialness || 0;
     const competitive = scores.competitiveness || 0;
 
-    if (social >= 7) return "Social time at 19th hole";
-    if (competitive >= 7) return "Score analysis and practice planning";
-    return "Quick wrap-up and departure";
+    if (social >= 7) return statement("Social time at 19th hole", ['socialness']);
+    if (competitive >= 7) return statement("Score analysis and practice planning", ['competitiveness']);
+    return statement("Quick wrap-up and departure", ['socialness', 'competitiveness']);
   }
 
   // Helper methods for profile generation
@@ -440,11 +452,11 @@ export class ProfileGenerator {
     const amenityImportance = scores.amenityImportance || 0;
 
     if (competitiveness >= 7 && amenityImportance >= 6) {
-      return "Rapid improvement expected with practice focus";
+      return statement("Rapid improvement expected with practice focus", ['competitiveness', 'amenityImportance']);
     } else if (competitiveness >= 5) {
-      return "Steady improvement with regular play";
+      return statement("Steady improvement with regular play", ['competitiveness']);
     } else {
-      return "Casual improvement focused on enjoyment";
+      return statement("Casual improvement focused on enjoyment", ['competitiveness']);
     }
   }
 
@@ -0,0 +1,77 @@
+import { ProfileGenerator, ENHANCEMENT_LEVELS } from './ProfileGenerator';
+import { RecommendationEngine } from './RecommendationEngine';
+import { validateProfile } from './ProfileSchema';
+
+const scores = {
+  skillLevel: 8, socialness: 7, traditionalism: 6, luxuryLevel: 5,
+  competitiveness: 8, ageGeneration: 4, genderLean: 0, amenityImportance: 7,
+  pace: 6, courseStyle: { parkland: 3 }
+};
+
+const similarProfiles = [0.92, 0.88, 0.81, 0.77].map((similarity, index) => ({
+  similarity,
+  scores: { ...scores, socialness: 5 + index },
+  profile: null
+}));
+
+describe('ProfileGenerator', () => {
+  const generator = new ProfileGenerator(null, new RecommendationEngine(null, null), null);
+
+  it('builds a rule-based profile with psychographics and playing style', () => {
+    const profile = generator.generateProfile({}, scores, 'session', ENHANCEMENT_LEVELS.BASE, similarProfiles);
+
+    expect(validateProfile(profile).errors).toEqual([]);
+    expect(profile).toMatchObject({ mlEnhanced: false, enhancementLevel: ENHANCEMENT_LEVELS.BASE });
+    expect(profile.recommendations.courseStyle.primary).toBe('parkland');
+    expect(profile.psychographics.values.length).toBeGreaterThan(0);
+    expect(profile.playingStyle.approach).toEqual({ text: expect.any(String), dimensions: expect.any(Array) });
+    expect(profile.skillLevel.trajectory).toEqual({
+      text: 'Rapid improvement expected with practice focus',
+      dimensions: ['competitiveness', 'amenityImportance']
+    });
+  });
+
+  it('names the dimensions behind each psychographic and playing style statement', () => {
+    const { psychographics, playingStyle } = generator.generateProfile({}, scores, 'session', ENHANCEMENT_LEVELS.BASE);
+
+    expect(psychographics.values).toEqual([
+      { text: 'Achievement and excellence', dimensions: ['competitiveness'] },
+      { text: 'Community and relationships', dimensions: ['socialness'] }
+    ]);
+    expect(psychographics.decisionMaking).toEqual({ text: 'Data-driven and performance-focused', dimensions: ['competitiveness'] });
+    expect(playingStyle.focus).toEqual({ text: 'Score improvement and competition', dimensions: ['competitiveness', 'skillLevel'] });
+    expect(playingStyle.pace).toEqual({ text: 'Brisk and efficient', dimensions: ['competitiveness'] });
+
+    // A fallback statement names every dimension that ruled out the others
+    const quiet = generator.generatePsychographics({ socialness: 2 });
+    expect(quiet.values).toEqual([
+      { text: 'Fun and enjoyment', dimensions: ['traditionalism', 'competitiveness', 'socialness', 'luxuryLevel'] }
+    ]);
+  });
+
+  it('enhances recommendations, personality and preferences at the full level', () => {
+    const profile = generator.generateProfile({}, scores, 'session', ENHANCEMENT_LEVELS.FULL, similarProfiles);
+
+    expect(validateProfile(profile).errors).toEqual([]);
+    expect(profile).toMatchObject({ mlEnhanced: true, enhancementLevel: ENHANCEMENT_LEVELS.FULL });
+    expect(profile.recommendations.mlEnhanced).toBe(true);
+    expect(profile.personality.mlInsights.similarUserCount).toBe(4);
+    expect(profile.mlInsights.similarUserInsights.count).toBe(4);
+  });
+
+  it('enhances only the recommendations at the ml_only level', () => {
+    const profile = generator.generateProfile({}, scores, 'session', ENHANCEMENT_LEVELS.ML_ONLY, similarProfiles);
+
+    expect(profile).toMatchObject({ mlEnhanced: true, enhancementLevel: ENHANCEMENT_LEVELS.ML_ONLY });
+    expect(profile.recommendations.mlEnhanced).toBe(true);
+    expect(profile.personality.mlInsights).toBeUndefined();
+    expect(profile.mlInsights).toBeUndefined();
+  });
+
+  it('stays rule-based without enough similar golfers', () => {
+    const profile = generator.generateProfile({}, scores, 'session', ENHANCEMENT_LEVELS.FULL, similarProfiles.slice(0, 2));
+
+    expect(validateProfile(profile).errors).toEqual([]);
+    expect(profile).toMatchObject({ mlEnhanced: false, enhancementLevel: ENHANCEMENT_LEVELS.BASE });
+  });
+});
@@ -0,0 +1,229 @@
+// ProfileSchema.js - Versioned shape of a generated golf profile
+//
+// MLService, ProfileGenerator and RecommendationEngine used to return
+// recommendations in different shapes (courseStyle as a string or as
+// { primary, alternatives }, amenities as an array or as
+// { essential, nice_to_have }, ...). Every producer now passes its result
+// through normalizeProfile / normalizeRecommendations, and stored profiles
+// are normalized when they are read, so consumers only see this shape.
+// Bump PROFILE_SCHEMA_VERSION when the shape changes and teach the
+// normalizer to upgrade the older one.
+//
+// Version 2: psychographics, playingStyle and skillLevel.trajectory hold
+// statements ({ text, dimensions }) instead of plain strings.
+
+export const PROFILE_SCHEMA_VERSION = 2;
+
+const PSYCHOGRAPHIC_LISTS = ['values', 'attitudes', 'interests'];
+const PSYCHOGRAPHIC_STATEMENTS = ['lifestyle', 'decisionMaking'];
+const PLAYING_STYLE_STATEMENTS = ['approach', 'pace', 'focus', 'preparation', 'postRound'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const toStringList = (value) => {
+  if (isNonEmptyString(value)) return [value];
+  return Array.isArray(value) ? value.filter(isNonEmptyString) : [];
+};
+
+// A statement: version 1 stored the text alone, without its dimensions
+function normalizeStatement(value) {
+  if (isNonEmptyString(value)) return { text: value, dimensions: [] };
+  if (!isPlainObject(value) || !isNonEmptyString(value.text)) return null;
+  return { ...value, dimensions: toStringList(value.dimensions) };
+}
+
+const normalizeStatementList = (value) => (Array.isArray(value) ? value : [value])
+  .map(normalizeStatement)
+  .filter(Boolean);
+
+// Normalize the statement-valued keys of an optional section, leaving the rest
+function normalizeStatements(section, lists, statements) {
+  if (!isPlainObject(section)) return undefined;
+  const normalized = { ...section };
+  lists.filter(key => key in section).forEach(key => { normalized[key] = normalizeStatementList(section[key]); });
+  statements.filter(key => key in section).forEach(key => { normalized[key] = normalizeStatement(section[key]); });
+  return normalized;
+}
+
+// A single recommendation: a string, or an object naming its pick in
+// `primary` (or the older `recommended`)
+function normalizeChoice(value) {
+  if (isNonEmptyString(value)) return { primary: value, alternatives: [], reasoning: null };
+  if (!isPlainObject(value)) return { primary: null, alternatives: [], reasoning: null };
+
+  const { recommended, ...rest } = value;
+  return {
+    ...rest,
+    primary: value.primary ?? recommended ?? null,
+    alternatives: toStringList(value.alternatives),
+    reasoning: value.reasoning ?? null
+  };
+}
+
+// A list of amenities: a string, an array, or { essential | recommended, nice_to_have }
+function normalizeAmenities(value) {
+  if (!isPlainObject(value)) return { essential: toStringList(value), nice_to_have: [], reasoning: null };
+  return {
+    essential: toStringList(value.essential ?? value.recommended),
+    nice_to_have: toStringList(value.nice_to_have),
+    reasoning: value.reasoning ?? null
+  };
+}
+
+export function normalizeRecommendations(recommendations) {
+  const source = isPlainObject(recommendations) ? recommendations : {};
+  const normalized = {
+    ...source,
+    courseStyle: normalizeChoice(source.courseStyle),
+    budgetLevel: normalizeChoice(source.budgetLevel),
+    amenities: normalizeAmenities(source.amenities),
+    lodging: normalizeChoice(source.lodging),
+    confidence: source.confidence ?? null,
+    explanation: source.explanation ?? null,
+    mlEnhanced: Boolean(source.mlEnhanced)
+  };
+
+  if (source.alternativeOptions) {
+    const courseStyles = Array.isArray(source.alternativeOptions.courseStyles) ? source.alternativeOptions.courseStyles : [];
+    normalized.alternativeOptions = {
+      ...source.alternativeOptions,
+      courseStyles: courseStyles
+        .map(option => (isNonEmptyString(option) ? { style: option, confidence: null } : option))
+        .filter(option => isNonEmptyString(option?.style))
+    };
+  }
+  return normalized;
+}
+
+// Bring a profile from any producer, or stored under any earlier shape, to
+// the current schema. Sections the schema doesn't cover are kept as they are.
+export function normalizeProfile(profile) {
+  if (!isPlainObject(profile)) return profile ?? null;
+
+  const skillLevel = isPlainObject(profile.skillLevel) ? profile.skillLevel : { label: profile.skillLevel };
+  const personality = isPlainObject(profile.personality) ? profile.personality : { primary: profile.personality };
+  const preferences = isPlainObject(profile.preferences) ? profile.preferences : { core: profile.preferences };
+  const { estimatedAgeRange, ...demographics } = isPlainObject(profile.demographics) ? profile.demographics : {};
+  const mlEnhanced = Boolean(profile.mlEnhanced);
+  const normalized = {
+    ...profile,
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    skillLevel: {
+      ...skillLevel,
+      label: isNonEmptyString(skillLevel.label) ? skillLevel.label : null,
+      numeric: typeof skillLevel.numeric === 'number' ? skillLevel.numeric : null,
+      confidence: skillLevel.confidence ?? null
+    },
+    personality: {
+      ...personality,
+      primary: isNonEmptyString(personality.primary) ? personality.primary : null,
+      secondary: toStringList(personality.secondary)
+    },
+    preferences: { ...preferences, core: toStringList(preferences.core) },
+    recommendations: normalizeRecommendations(profile.recommendations),
+    demographics: {
+      ...demographics,
+      estimatedAge: demographics.estimatedAge ?? estimatedAgeRange ?? null,
+      preferenceStyle: demographics.preferenceStyle ?? null
+    },
+    mlEnhanced,
+    enhancementLevel: profile.enhancementLevel || (mlEnhanced ? 'full' : 'base')
+  };
+
+  if ('trajectory' in skillLevel) normalized.skillLevel.trajectory = normalizeStatement(skillLevel.trajectory);
+  if ('psychographics' in profile) {
+    normalized.psychographics = normalizeStatements(profile.psychographics, PSYCHOGRAPHIC_LISTS, PSYCHOGRAPHIC_STATEMENTS);
+  }
+  if ('playingStyle' in profile) {
+    normalized.playingStyle = normalizeStatements(profile.playingStyle, [], PLAYING_STYLE_STATEMENTS);
+  }
+  return normalized;
+}
+
+function validateStatement(value, path, errors) {
+  if (!isPlainObject(value) || !isNonEmptyString(value.text)) {
+    errors.push(`${path}.text is required`);
+  } else if (!Array.isArray(value.dimensions)) {
+    errors.push(`${path}.dimensions must be an array`);
+  }
+}
+
+// Optional sections are checked only when present
+function validateStatements(section, path, lists, statements, errors) {
+  if (section === undefined) return;
+  if (!isPlainObject(section)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  lists.filter(key => key in section).forEach(key => {
+    if (!Array.isArray(section[key])) {
+      errors.push(`${path}.${key} must be an array`);
+    } else {
+      section[key].forEach((value, index) => validateStatement(value, `${path}.${key}[${index}]`, errors));
+    }
+  });
+  statements.filter(key => key in section).forEach(key => validateStatement(section[key], `${path}.${key}`, errors));
+}
+
+function validateChoice(choice, path, errors) {
+  if (!isPlainObject(choice)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!isNonEmptyString(choice.primary)) errors.push(`${path}.primary is required`);
+  if (!Array.isArray(choice.alternatives)) errors.push(`${path}.alternatives must be an array`);
+}
+
+// Check a normalized profile has the required sections, and well-formed
+// statements in psychographics and playingStyle when present; sections such
+// as mlInsights pass unchecked
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (!isPlainObject(profile)) {
+    return { valid: false, errors: ['profile must be an object'] };
+  }
+
+  if (profile.schemaVersion !== PROFILE_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${PROFILE_SCHEMA_VERSION} (got ${JSON.stringify(profile.schemaVersion)})`);
+  }
+
+  if (!isNonEmptyString(profile.skillLevel?.label)) errors.push('skillLevel.label is required');
+  if (profile.skillLevel?.numeric !== null && typeof profile.skillLevel?.numeric !== 'number') {
+    errors.push('skillLevel.numeric must be a number or null');
+  }
+  if (profile.skillLevel && 'trajectory' in profile.skillLevel) {
+    validateStatement(profile.skillLevel.trajectory, 'skillLevel.trajectory', errors);
+  }
+
+  if (!isNonEmptyString(profile.personality?.primary)) errors.push('personality.primary is required');
+  if (!Array.isArray(profile.personality?.secondary)) errors.push('personality.secondary must be an array');
+  if (!Array.isArray(profile.preferences?.core)) errors.push('preferences.core must be an array');
+
+  const recommendations = profile.recommendations;
+  if (!isPlainObject(recommendations)) {
+    errors.push('recommendations must be an object');
+  } else {
+    ['courseStyle', 'budgetLevel', 'lodging'].forEach(key => validateChoice(recommendations[key], `recommendations.${key}`, errors));
+
+    const amenities = recommendations.amenities;
+    if (!isPlainObject(amenities) || !Array.isArray(amenities.essential) || !Array.isArray(amenities.nice_to_have)) {
+      errors.push('recommendations.amenities must have essential and nice_to_have arrays');
+    } else if (amenities.essential.length === 0) {
+      errors.push('recommendations.amenities.essential must not be empty');
+    }
+
+    if (typeof recommendations.mlEnhanced !== 'boolean') errors.push('recommendations.mlEnhanced must be a boolean');
+  }
+
+  if (!isNonEmptyString(profile.demographics?.estimatedAge)) errors.push('demographics.estimatedAge is required');
+  if (!isNonEmptyString(profile.demographics?.preferenceStyle)) errors.push('demographics.preferenceStyle is required');
+  validateStatements(profile.psychographics, 'psychographics', PSYCHOGRAPHIC_LISTS, PSYCHOGRAPHIC_STATEMENTS, errors);
+  validateStatements(profile.playingStyle, 'playingStyle', [], PLAYING_STYLE_STATEMENTS, errors);
+  if (typeof profile.mlEnhanced !== 'boolean') errors.push('mlEnhanced must be a boolean');
+  if (!isNonEmptyString(profile.enhancementLevel)) errors.push('enhancementLevel is required');
+
+  return { valid: errors.length === 0, errors };
+}
+
+export default normalizeProfile;
@@ -0,0 +1,111 @@
+import {
+  PROFILE_SCHEMA_VERSION,
+  normalizeProfile,
+  normalizeRecommendations,
+  validateProfile
+} from './ProfileSchema';
+import { ProfileGenerator } from './ProfileGenerator';
+import { RecommendationEngine } from './RecommendationEngine';
+
+const scores = {
+  skillLevel: 7, socialness: 8, traditionalism: 4, luxuryLevel: 7,
+  competitiveness: 5, ageGeneration: 5, genderLean: 0, amenityImportance: 6,
+  pace: 5, courseStyle: { links: 2 }
+};
+
+// The shape GolfProfiler and ProfileGenerator's rule-based path used to return
+const legacyProfile = {
+  skillLevel: { label: 'Serious Player' },
+  personality: { primary: 'Social Luxury Seeker' },
+  preferences: { core: ['Enjoys group golf & social aspects'] },
+  recommendations: {
+    courseStyle: 'links',
+    budgetLevel: 'Premium ($100+)',
+    amenities: ['Driving range', 'Dining'],
+    lodging: 'Resort or boutique hotel'
+  },
+  demographics: { estimatedAgeRange: '35-55', preferenceStyle: 'Neutral preferences' },
+  mlEnhanced: false
+};
+
+describe('ProfileSchema', () => {
+  it('normalizes string and array recommendations', () => {
+    const profile = normalizeProfile(legacyProfile);
+
+    expect(validateProfile(profile)).toEqual({ valid: true, errors: [] });
+    expect(profile.schemaVersion).toBe(PROFILE_SCHEMA_VERSION);
+    expect(profile.recommendations.courseStyle).toEqual({ primary: 'links', alternatives: [], reasoning: null });
+    expect(profile.recommendations.amenities).toEqual({ essential: ['Driving range', 'Dining'], nice_to_have: [], reasoning: null });
+    expect(profile.demographics).toEqual({ estimatedAge: '35-55', preferenceStyle: 'Neutral preferences' });
+    expect(profile.enhancementLevel).toBe('base');
+  });
+
+  it('normalizes object recommendations and is idempotent', () => {
+    const recommendations = normalizeRecommendations({
+      courseStyle: { primary: 'links', alternatives: ['parkland'], reasoning: 'Classic' },
+      budgetLevel: { primary: 'Premium ($100+)', priceRange: '$100-200' },
+      amenities: { recommended: ['Spa services'] },
+      lodging: { recommended: 'Resort or boutique hotel', alternatives: ['Convenient'] },
+      alternativeOptions: { courseStyles: ['coastal', { style: 'desert', confidence: 0.7 }] },
+      mlEnhanced: true
+    });
+
+    expect(recommendations.budgetLevel).toMatchObject({ primary: 'Premium ($100+)', priceRange: '$100-200', alternatives: [] });
+    expect(recommendations.amenities.essential).toEqual(['Spa services']);
+    expect(recommendations.lodging).toEqual({ primary: 'Resort or boutique hotel', alternatives: ['Convenient'], reasoning: null });
+    expect(recommendations.alternativeOptions.courseStyles).toEqual([
+      { style: 'coastal', confidence: null },
+      { style: 'desert', confidence: 0.7 }
+    ]);
+    expect(normalizeRecommendations(recommendations)).toEqual(recommendations);
+  });
+
+  it('reports what a profile is missing', () => {
+    const { valid, errors } = validateProfile(normalizeProfile({ skillLevel: { label: 'Regular Golfer' } }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'personality.primary is required',
+      'recommendations.courseStyle.primary is required',
+      'recommendations.amenities.essential must not be empty',
+      'demographics.estimatedAge is required'
+    ]));
+    expect(validateProfile(legacyProfile).errors).toContain('schemaVersion must be 2 (got undefined)');
+  });
+
+  it('upgrades version 1 string statements to statements with dimensions', () => {
+    const profile = normalizeProfile({
+      ...legacyProfile,
+      schemaVersion: 1,
+      skillLevel: { label: 'Serious Player', numeric: 7, trajectory: 'Steady improvement with regular play' },
+      psychographics: { values: ['Quality and prestige'], lifestyle: 'Upscale social lifestyle' },
+      playingStyle: { approach: { text: 'Fun and social-focused', dimensions: ['socialness'] }, pace: 42 }
+    });
+
+    expect(profile.skillLevel.trajectory).toEqual({ text: 'Steady improvement with regular play', dimensions: [] });
+    expect(profile.psychographics).toEqual({
+      values: [{ text: 'Quality and prestige', dimensions: [] }],
+      lifestyle: { text: 'Upscale social lifestyle', dimensions: [] }
+    });
+    expect(profile.playingStyle.approach).toEqual({ text: 'Fun and social-focused', dimensions: ['socialness'] });
+    expect(validateProfile(profile).errors).toEqual(['playingStyle.pace.text is required']);
+    expect(normalizeProfile(profile)).toEqual(profile);
+  });
+
+  it('is the shape ProfileGenerator and RecommendationEngine produce', () => {
+    const generator = new ProfileGenerator(null, null, null);
+    const profile = generator.generateProfile({}, scores, 'session', 'base');
+    expect(validateProfile(profile).errors).toEqual([]);
+
+    const similarProfiles = [0.9, 0.85, 0.8].map(similarity => ({
+      similarity,
+      scores,
+      profile: normalizeProfile(legacyProfile)
+    }));
+    const recommendations = new RecommendationEngine(null, null)
+      .generateEnhancedRecommendations(scores, profile, similarProfiles);
+    expect(validateProfile({ ...profile, recommendations }).errors).toEqual([]);
+    expect(recommendations.courseStyle.primary).toBe('links');
+    expect(recommendations.amenities.essential).toContain('Driving range');
+  });
+});
@@ -0,0 +1,200 @@
+// QuestionAnalytics.js - Item analysis of the question bank from stored answers
+//
+// For every question: how answers spread over its options, options nobody
+// picks, and how well the option scores agree with the golfer's score from
+// their other answers on each dimension the question scores (item-rest
+// correlation - a question that separates golfers has options whose scores
+// rise with the rest of the quiz; leaving the question itself out keeps it
+// from correlating with its own contribution). Questions whose options all
+// push each dimension to the same side of the scale are flagged from the
+// catalog alone, since any answer moves the profile the same way.
+import { ML_CONFIG } from './MLConfig.js';
+import { SCORE_DIMENSIONS } from './QuestionCatalog.js';
+
+const { SCORE_RANGE, SIGNED_DIMENSIONS } = ML_CONFIG.QUESTION_CATALOG;
+
+export const QUESTION_FLAGS = {
+  LOW_DISCRIMINATION: 'low_discrimination',
+  UNUSED_OPTIONS: 'unused_options',
+  DOMINANT_OPTION: 'dominant_option',
+  UNIFORM_DIRECTION: 'uniform_direction'
+};
+
+// Pearson correlation, or null when either side has no variance
+export function pearsonCorrelation(xs, ys) {
+  const n = Math.min(xs.length, ys.length);
+  if (n < 3) return null;
+
+  const meanX = xs.slice(0, n).reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.slice(0, n).reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+const scaleMidpoint = (dimension) => {
+  const [min, max] = SIGNED_DIMENSIONS[dimension] || SCORE_RANGE;
+  return (min + max) / 2;
+};
+
+// Dimensions the question's options score, with the range of option scores
+// and the side of the scale midpoint each option pushes towards
+export function analyzeOptionDirections(question) {
+  return SCORE_DIMENSIONS
+    .map(dimension => {
+      const values = question.options
+        .map(option => option.scores?.[dimension])
+        .filter(value => typeof value === 'number');
+      if (values.length === 0) return null;
+
+      const midpoint = scaleMidpoint(dimension);
+      const directions = new Set(values.map(value => Math.sign(value - midpoint)));
+      return {
+        dimension,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        spread: Math.max(...values) - Math.min(...values),
+        // Some options raise the dimension and others lower it
+        separating: directions.has(1) && directions.has(-1)
+      };
+    })
+    .filter(Boolean);
+}
+
+// responses: [{ optionIndex, optionText, itemScores, restScores }] - the
+// option chosen, the scores it contributed and the golfer's scores without
+// this answer. An answer with its option text counts toward the current
+// option with that text, so sessions asked on a catalog that ordered the
+// options differently land on the right one; answers whose option has
+// since been removed are left out.
+export function analyzeQuestion(question, responses, {
+  minResponses = ML_CONFIG.QUESTION_ANALYTICS.MIN_RESPONSES,
+  minDiscrimination = ML_CONFIG.QUESTION_ANALYTICS.MIN_DISCRIMINATION,
+  dominantOptionShare = ML_CONFIG.QUESTION_ANALYTICS.DOMINANT_OPTION_SHARE
+} = {}) {
+  const counted = responses
+    .map(response => (response.optionText != null
+      ? { ...response, optionIndex: question.options.findIndex(option => option.text === response.optionText) }
+      : response))
+    .filter(response => question.options[response.optionIndex]);
+  const total = counted.length;
+
+  const options = question.options.map((option, optionIndex) => {
+    const count = counted.filter(response => response.optionIndex === optionIndex).length;
+    return { optionIndex, text: option.text, count, share: total > 0 ? count / total : null };
+  });
+
+  const dimensions = analyzeOptionDirections(question).map(direction => {
+    const pairs = counted.filter(response =>
+      typeof response.itemScores?.[direction.dimension] === 'number' &&
+      typeof response.restScores?.[direction.dimension] === 'number');
+    return {
+      ...direction,
+      sampleSize: pairs.length,
+      itemRestCorrelation: pearsonCorrelation(
+        pairs.map(response => response.itemScores[direction.dimension]),
+        pairs.map(response => response.restScores[direction.dimension])
+      )
+    };
+  });
+
+  const correlations = dimensions.map(dimension => dimension.itemRestCorrelation).filter(value => value !== null);
+  const discrimination = correlations.length > 0 ? Math.max(...correlations) : null;
+  const bestDimension = dimensions.find(dimension => dimension.itemRestCorrelation === discrimination)?.dimension || null;
+  const unusedOptions = options.filter(option => option.count === 0).map(option => option.optionIndex);
+  const dominantOption = options.find(option => option.share !== null && option.share >= dominantOptionShare) || null;
+
+  // Flags from answers wait for enough of them; the option directions come from the catalog
+  const flags = [];
+  const enoughResponses = total >= minResponses;
+  if (enoughResponses && (discrimination === null || discrimination < minDiscrimination)) {
+    flags.push(QUESTION_FLAGS.LOW_DISCRIMINATION);
+  }
+  if (enoughResponses && unusedOptions.length > 0) flags.push(QUESTION_FLAGS.UNUSED_OPTIONS);
+  if (enoughResponses && dominantOption) flags.push(QUESTION_FLAGS.DOMINANT_OPTION);
+  if (dimensions.length > 0 && dimensions.every(dimension => !dimension.separating)) {
+    flags.push(QUESTION_FLAGS.UNIFORM_DIRECTION);
+  }
+
+  return {
+    questionId: question.id,
+    question: question.question,
+    type: question.type,
+    retired: Boolean(question.retired),
+    responses: total,
+    options,
+    unusedOptions,
+    dominantOption: dominantOption?.optionIndex ?? null,
+    dimensions,
+    discrimination,
+    bestDimension,
+    flags
+  };
+}
+
+// Responses to each question from stored profiles. askedOption(profile,
+// questionId, optionIndex) looks up the option in the catalog the session
+// was asked; the answer's stored text and rawScores are used when it can't.
+// questionWeight(profile, questionId) is the answer's weight in the weighted
+// average, so its weighted value can be taken back out of the final score.
+// A dimension no other answer scored has no rest score.
+export function collectResponses(profiles, askedOption = () => null, questionWeight = () => 1) {
+  const responses = new Map();
+  profiles.forEach(profile => {
+    const totalScores = profile.scores || {};
+    const answered = Object.entries(profile.answers || {})
+      .filter(([, answer]) => typeof answer?.optionIndex === 'number')
+      .map(([questionId, answer]) => {
+        const option = askedOption(profile, questionId, answer.optionIndex);
+        return {
+          questionId,
+          optionIndex: answer.optionIndex,
+          optionText: option?.text ?? answer.answer ?? null,
+          itemScores: option?.scores || answer.rawScores || {},
+          weight: questionWeight(profile, questionId)
+        };
+      });
+
+    // Weight of all the golfer's answers on each dimension
+    const totalWeights = {};
+    answered.forEach(({ itemScores, weight }) => Object.entries(itemScores).forEach(([dimension, value]) => {
+      if (typeof value === 'number') totalWeights[dimension] = (totalWeights[dimension] || 0) + weight;
+    }));
+
+    answered.forEach(({ questionId, optionIndex, optionText, itemScores, weight }) => {
+      const restScores = {};
+      Object.entries(itemScores).forEach(([dimension, value]) => {
+        const restWeight = (totalWeights[dimension] || 0) - weight;
+        if (typeof value !== 'number' || typeof totalScores[dimension] !== 'number' || restWeight <= 1e-9) return;
+        restScores[dimension] = (totalScores[dimension] * totalWeights[dimension] - value * weight) / restWeight;
+      });
+
+      if (!responses.has(questionId)) responses.set(questionId, []);
+      responses.get(questionId).push({ optionIndex, optionText, itemScores, restScores });
+    });
+  });
+  return responses;
+}
+
+// Every question of the bank, flagged ones first
+export function analyzeQuestionBank(questions, profiles, { askedOption, questionWeight, ...options } = {}) {
+  const responses = collectResponses(profiles, askedOption, questionWeight);
+  const analyses = questions
+    .map(question => analyzeQuestion(question, responses.get(question.id) || [], options))
+    .sort((a, b) => b.flags.length - a.flags.length || (a.discrimination ?? Infinity) - (b.discrimination ?? Infinity));
+
+  return {
+    profilesAnalyzed: profiles.length,
+    questions: analyses,
+    flaggedCount: analyses.filter(analysis => analysis.flags.length > 0).length
+  };
+}
+
+export default analyzeQuestionBank;
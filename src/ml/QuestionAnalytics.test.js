@@ -0,0 +1,138 @@
+import {
+  pearsonCorrelation,
+  analyzeOptionDirections,
+  analyzeQuestion,
+  analyzeQuestionBank,
+  collectResponses,
+  QUESTION_FLAGS
+} from './QuestionAnalytics';
+import { loadQuestionCatalog } from './QuestionCatalog';
+
+const question = {
+  id: 'practice_time',
+  type: 'core',
+  question: 'How much do you practice?',
+  options: [
+    { text: 'Never', scores: { skillLevel: 2, socialness: 6 } },
+    { text: 'Sometimes', scores: { skillLevel: 5, socialness: 7 } },
+    { text: 'Every week', scores: { skillLevel: 8, socialness: 6 } },
+    { text: 'Daily', scores: { skillLevel: 9, socialness: 8 } }
+  ]
+};
+
+// count answers per option; skillLevel from the other answers follows the
+// option score plus some spread when discriminating, and averages the same
+// for every option otherwise
+const responsesFor = (counts, discriminating = true) => counts.flatMap((count, optionIndex) =>
+  Array.from({ length: count }, (_, index) => ({
+    optionIndex,
+    itemScores: question.options[optionIndex].scores,
+    restScores: {
+      skillLevel: discriminating ? question.options[optionIndex].scores.skillLevel + (index % 3) - 1 : 5 + (index % 2),
+      socialness: 5 + (index % 2)
+    }
+  })));
+
+describe('QuestionAnalytics', () => {
+  it('correlates paired values and gives null without variance', () => {
+    expect(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+    expect(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1);
+    expect(pearsonCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+    expect(pearsonCorrelation([1, 2], [1, 2])).toBeNull();
+  });
+
+  it('finds dimensions whose options all sit on one side of the scale', () => {
+    const directions = analyzeOptionDirections(question);
+    expect(directions.map(({ dimension, spread, separating }) => [dimension, spread, separating])).toEqual([
+      ['skillLevel', 7, true],
+      ['socialness', 2, false]
+    ]);
+
+    const uniform = {
+      ...question,
+      options: question.options.map(option => ({ ...option, scores: { socialness: option.scores.socialness, genderLean: 2 } }))
+    };
+    expect(analyzeQuestion(uniform, []).flags).toEqual([QUESTION_FLAGS.UNIFORM_DIRECTION]);
+  });
+
+  it('reports option spread and item-rest correlation per dimension', () => {
+    const analysis = analyzeQuestion(question, responsesFor([6, 8, 7, 9]));
+
+    expect(analysis.responses).toBe(30);
+    expect(analysis.options.map(option => option.count)).toEqual([6, 8, 7, 9]);
+    expect(analysis.bestDimension).toBe('skillLevel');
+    expect(analysis.discrimination).toBeGreaterThan(0.9);
+    expect(analysis.flags).toEqual([]);
+  });
+
+  it('flags questions that do not separate golfers once there are enough answers', () => {
+    const skewed = analyzeQuestion(question, responsesFor([0, 2, 24, 0], false));
+    expect(skewed.unusedOptions).toEqual([0, 3]);
+    expect(skewed.dominantOption).toBe(2);
+    expect(skewed.flags).toEqual([
+      QUESTION_FLAGS.LOW_DISCRIMINATION,
+      QUESTION_FLAGS.UNUSED_OPTIONS,
+      QUESTION_FLAGS.DOMINANT_OPTION
+    ]);
+
+    expect(analyzeQuestion(question, responsesFor([0, 2, 8, 0], false)).flags).toEqual([]);
+  });
+
+  it('takes each answer back out of the final score', () => {
+    const profile = {
+      answers: { practice_time: { optionIndex: 2 }, dream_course: { optionIndex: 0 } },
+      // practice_time (weight 1.5) scored skillLevel 8 and dream_course (weight 1) 3
+      scores: { skillLevel: 6, socialness: 6 }
+    };
+    const askedOption = (stored, questionId) => (questionId === 'practice_time'
+      ? { text: 'Every week', scores: { skillLevel: 8, socialness: 6 } }
+      : { text: 'Pebble Beach', scores: { skillLevel: 3 } });
+    const questionWeight = (stored, questionId) => (questionId === 'practice_time' ? 1.5 : 1);
+
+    const responses = collectResponses([profile], askedOption, questionWeight);
+    // Only practice_time scored socialness, so it has no rest score there
+    expect(responses.get('practice_time')[0].restScores).toEqual({ skillLevel: 3 });
+    expect(responses.get('dream_course')[0].restScores).toEqual({ skillLevel: 8 });
+  });
+
+  it('analyses the bank from stored profiles, flagged questions first', () => {
+    const catalog = loadQuestionCatalog();
+    const [first, second] = catalog.getQuestions();
+    const profiles = Array.from({ length: 25 }, (_, index) => ({
+      sessionId: `s${index}`,
+      answers: {
+        [first.id]: { optionIndex: 0, rawScores: first.options[0].scores },
+        [second.id]: { optionIndex: index % 4 }
+      },
+      scores: { skillLevel: index % 10, socialness: 10 - (index % 10) }
+    }));
+    const askedOption = (profile, questionId, optionIndex) => catalog.getOption(questionId, optionIndex);
+
+    const report = analyzeQuestionBank([second, first], profiles, { askedOption });
+    expect(report.profilesAnalyzed).toBe(25);
+    expect(report.questions[0]).toMatchObject({ questionId: first.id, responses: 25, dominantOption: 0 });
+    expect(report.questions[0].flags).toContain(QUESTION_FLAGS.UNUSED_OPTIONS);
+    expect(report.questions[1].options.map(option => option.count)).toEqual([7, 6, 6, 6]);
+  });
+
+  it('counts answers from older catalogs toward the option with the same text', () => {
+    // An older catalog listed the options the other way round and had one
+    // since removed
+    const older = [{ text: 'Twice a year', scores: { skillLevel: 1 } }, ...[...question.options].reverse()];
+    const profiles = [
+      { sessionId: 'current', catalogVersion: 'current', answers: { practice_time: { optionIndex: 3 } } },
+      { sessionId: 'older', catalogVersion: 'older', answers: { practice_time: { optionIndex: 1 } } },
+      { sessionId: 'removed', catalogVersion: 'older', answers: { practice_time: { optionIndex: 0 } } },
+      // No catalog to look it up in, but the answer kept its text
+      { sessionId: 'retired', catalogVersion: 'retired', answers: { practice_time: { optionIndex: 2, answer: 'Never' } } }
+    ];
+    const catalogs = { current: question.options, older };
+    const askedOption = (profile, questionId, optionIndex) => catalogs[profile.catalogVersion]?.[optionIndex] || null;
+
+    const [analysis] = analyzeQuestionBank([question], profiles, { askedOption }).questions;
+    expect(analysis.responses).toBe(3);
+    expect(analysis.options.map(option => [option.text, option.count])).toEqual([
+      ['Never', 1], ['Sometimes', 0], ['Every week', 0], ['Daily', 2]
+    ]);
+  });
+});
@@ -0,0 +1,174 @@
+// QuestionCatalog.js - Versioned, schema-validated question bank
+import { ML_CONFIG } from './MLConfig.js';
+import { validateJsonSchema } from './JsonSchema.js';
+import bundledCatalog from './questionCatalog.json';
+
+const { SCORE_RANGE, SIGNED_DIMENSIONS, COURSE_STYLES } = ML_CONFIG.QUESTION_CATALOG;
+
+// Every dimension an option is allowed to score
+export const SCORE_DIMENSIONS = [
+  ...ML_CONFIG.SIMILARITY_DIMENSIONS,
+  ...Object.keys(SIGNED_DIMENSIONS)
+];
+
+// JSON schema describing a catalog definition (questionCatalog.json);
+// validateQuestionCatalog checks definitions against it
+export const QUESTION_CATALOG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Golf Profiler question catalog',
+  type: 'object',
+  required: ['version', 'questions'],
+  properties: {
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$', errorMessage: 'must be a semantic version string' },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      errorMessage: 'must be a non-empty array',
+      items: {
+        type: 'object',
+        required: ['id', 'type', 'priority', 'question', 'options'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9_]+$', errorMessage: 'must be a snake_case string' },
+          type: { type: 'string', minLength: 1 },
+          priority: { type: 'number' },
+          question: { type: 'string', minLength: 1 },
+          retired: { type: 'boolean' },
+          options: {
+            type: 'array',
+            minItems: 2,
+            errorMessage: { minItems: 'must contain at least 2 options' },
+            items: {
+              type: 'object',
+              required: ['text', 'scores'],
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                image: { type: 'string' },
+                scores: {
+                  type: 'object',
+                  additionalProperties: false,
+                  errorMessage: { additionalProperties: 'is not a known dimension' },
+                  properties: {
+                    ...Object.fromEntries(SCORE_DIMENSIONS.map(dimension => {
+                      const [min, max] = SIGNED_DIMENSIONS[dimension] || SCORE_RANGE;
+                      return [dimension, { type: 'number', minimum: min, maximum: max }];
+                    })),
+                    courseStyle: { type: 'string', enum: COURSE_STYLES }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Validate a catalog definition against QUESTION_CATALOG_SCHEMA, plus what
+// the schema can't express: question ids are unique and at least one
+// question is active
+export function validateQuestionCatalog(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { valid: false, errors: ['catalog must be an object'] };
+  }
+
+  const errors = validateJsonSchema(QUESTION_CATALOG_SCHEMA, definition);
+
+  if (Array.isArray(definition.questions) && definition.questions.length > 0) {
+    const seenIds = new Set();
+    definition.questions.forEach((question, qIndex) => {
+      if (typeof question?.id !== 'string') return;
+      if (seenIds.has(question.id)) errors.push(`questions[${qIndex}] (${question.id}).id is duplicated`);
+      seenIds.add(question.id);
+    });
+
+    if (definition.questions.every(q => q?.retired)) {
+      errors.push('at least one question must be active');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Compare two semantic versions: negative if a < b, positive if a > b
+export function compareCatalogVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+export function bumpCatalogVersion(version, level = 'minor') {
+  const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(Number);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'patch') return `${major}.${minor}.${patch + 1}`;
+  return `${major}.${minor + 1}.0`;
+}
+
+export class QuestionCatalog {
+  constructor(definition) {
+    const { valid, errors } = validateQuestionCatalog(definition);
+    if (!valid) {
+      throw new Error(`Invalid question catalog ${definition?.version || ''}: ${errors.join('; ')}`);
+    }
+
+    this.version = definition.version;
+    this.questions = definition.questions;
+    this.questionMap = new Map(this.questions.map(q => [q.id, q]));
+  }
+
+  // Questions that can be asked in a live quiz (retired ones are skipped)
+  getQuestions() {
+    return this.questions.filter(q => !q.retired);
+  }
+
+  // Every question, including retired ones, for re-scoring and editing
+  getAllQuestions() {
+    return this.questions;
+  }
+
+  findQuestionById(questionId) {
+    return this.questionMap.get(questionId) || null;
+  }
+
+  getOption(questionId, optionIndex) {
+    return this.findQuestionById(questionId)?.options[optionIndex] || null;
+  }
+
+  toJSON() {
+    return { version: this.version, questions: this.questions };
+  }
+}
+
+// Catalogs shipped with the app, keyed by version, so stored sessions can be
+// re-scored against the bank they were actually asked
+const bundledCatalogs = {
+  [bundledCatalog.version]: bundledCatalog
+};
+
+export const CURRENT_CATALOG_VERSION = bundledCatalog.version;
+
+const loadedCatalogs = new Map();
+
+// Make a published catalog available to loadQuestionCatalog
+export function registerQuestionCatalog(definition) {
+  const catalog = definition instanceof QuestionCatalog ? definition : new QuestionCatalog(definition);
+  loadedCatalogs.set(catalog.version, catalog);
+  return catalog;
+}
+
+export function loadQuestionCatalog(version = CURRENT_CATALOG_VERSION) {
+  if (!loadedCatalogs.has(version)) {
+    const definition = bundledCatalogs[version];
+    if (!definition) {
+      throw new Error(`Unknown question catalog version: ${version}`);
+    }
+    loadedCatalogs.set(version, new QuestionCatalog(definition));
+  }
+  return loadedCatalogs.get(version);
+}
+
+export default QuestionCatalog;
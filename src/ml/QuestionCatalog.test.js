@@ -0,0 +1,76 @@
+import {
+  QuestionCatalog,
+  validateQuestionCatalog,
+  compareCatalogVersions,
+  bumpCatalogVersion,
+  loadQuestionCatalog
+} from './QuestionCatalog';
+
+const question = (id, overrides = {}) => ({
+  id,
+  type: 'core',
+  priority: 5,
+  question: `Question ${id}?`,
+  options: [
+    { text: 'Yes', scores: { skillLevel: 7 } },
+    { text: 'No', scores: { skillLevel: 3, courseStyle: 'links' } }
+  ],
+  ...overrides
+});
+
+const catalog = (questions, version = '1.2.0') => ({ version, questions });
+
+describe('QuestionCatalog', () => {
+  it('accepts the bundled catalog', () => {
+    const bundled = loadQuestionCatalog();
+    expect(validateQuestionCatalog(bundled.toJSON())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects a bad version string', () => {
+    const { valid, errors } = validateQuestionCatalog(catalog([question('a')], '1.2'));
+    expect(valid).toBe(false);
+    expect(errors).toEqual(['version must be a semantic version string (got "1.2")']);
+  });
+
+  it('rejects duplicate and malformed ids', () => {
+    const { errors } = validateQuestionCatalog(catalog([question('a'), question('a'), question('Bad-Id')]));
+    expect(errors).toEqual([
+      'questions[2] (Bad-Id).id must be a snake_case string (got "Bad-Id")',
+      'questions[1] (a).id is duplicated'
+    ]);
+  });
+
+  it('rejects out-of-range scores, unknown dimensions and unknown course styles', () => {
+    const { errors } = validateQuestionCatalog(catalog([question('a', {
+      options: [
+        { text: 'Too high', scores: { skillLevel: 11, genderLean: -6 } },
+        { text: 'Unknown', scores: { handicap: 4, courseStyle: 'moon' } }
+      ]
+    })]));
+    expect(errors).toEqual([
+      'questions[0] (a).options[0].scores.skillLevel is out of range [0, 10] (got 11)',
+      expect.stringMatching(/^questions\[0\] \(a\)\.options\[0\]\.scores\.genderLean is out of range/),
+      'questions[0] (a).options[1].scores.handicap is not a known dimension',
+      expect.stringMatching(/^questions\[0\] \(a\)\.options\[1\]\.scores\.courseStyle must be one of/)
+    ]);
+  });
+
+  it('requires two options and an active question', () => {
+    const { errors } = validateQuestionCatalog(catalog([
+      question('a', { retired: true, options: [{ text: 'Only', scores: {} }] })
+    ]));
+    expect(errors).toEqual([
+      'questions[0] (a).options must contain at least 2 options',
+      'at least one question must be active'
+    ]);
+    expect(() => new QuestionCatalog(catalog([]))).toThrow('questions must be a non-empty array');
+  });
+
+  it('compares and bumps versions', () => {
+    expect(compareCatalogVersions('1.10.0', '1.9.3')).toBeGreaterThan(0);
+    expect(compareCatalogVersions('1.2.0', '1.2.0')).toBe(0);
+    expect(bumpCatalogVersion('1.2.3')).toBe('1.3.0');
+    expect(bumpCatalogVersion('1.2.3', 'patch')).toBe('1.2.4');
+    expect(bumpCatalogVersion('1.2.3', 'major')).toBe('2.0.0');
+  });
+});
@@ -0,0 +1,60 @@
+// QuizStoppingRule.js - Decides when the quiz has asked enough questions
+import { ML_CONFIG } from './MLConfig.js';
+import { DimensionBelief } from './DimensionBelief.js';
+
+export const STOP_REASONS = {
+  MAX_QUESTIONS: 'max_questions',
+  CONFIDENCE_REACHED: 'confidence_reached',
+  QUESTION_BANK_EXHAUSTED: 'question_bank_exhausted'
+};
+
+export const CONTINUE_REASONS = {
+  MIN_QUESTIONS: 'min_questions',
+  LOW_CONFIDENCE: 'low_confidence'
+};
+
+export class QuizStoppingRule {
+  constructor(config = {}) {
+    this.config = { ...ML_CONFIG.QUESTION_FLOW, ...config };
+  }
+
+  // Confidence in a dimension is the share of prior variance the answers
+  // have removed: 0 before any evidence, growing with each answer. Answers
+  // that disagree more than the assumed observation noise count as noisier
+  // observations, so contradicting answers leave the dimension less certain
+  // than agreeing ones
+  calculateConfidence(belief, dimension) {
+    const { PRIOR_VARIANCE, OBSERVATION_VARIANCE } = ML_CONFIG.DIMENSION_BELIEF;
+    const observations = belief.state[dimension]?.observations || 0;
+    const noise = Math.max(OBSERVATION_VARIANCE, belief.getObservedVariance(dimension));
+    const variance = 1 / (1 / PRIOR_VARIANCE + observations / noise);
+    return 1 - variance / PRIOR_VARIANCE;
+  }
+
+  evaluate(answers, questionCatalog) {
+    const { MIN_QUESTIONS, MAX_QUESTIONS, CONFIDENCE_THRESHOLD, REQUIRED_DIMENSIONS } = this.config;
+    const questionCount = Object.keys(answers || {}).length;
+
+    const belief = DimensionBelief.fromAnswers(answers, questionCatalog);
+    const confidence = {};
+    REQUIRED_DIMENSIONS.forEach(dim => {
+      confidence[dim] = Math.round(this.calculateConfidence(belief, dim) * 1000) / 1000;
+    });
+    const unresolvedDimensions = REQUIRED_DIMENSIONS.filter(dim => confidence[dim] < CONFIDENCE_THRESHOLD);
+
+    const decision = (shouldStop, reason) => ({
+      shouldStop,
+      reason,
+      questionCount,
+      confidence,
+      unresolvedDimensions
+    });
+
+    if (questionCount >= MAX_QUESTIONS) return decision(true, STOP_REASONS.MAX_QUESTIONS);
+    if (questionCount < MIN_QUESTIONS) return decision(false, CONTINUE_REASONS.MIN_QUESTIONS);
+    if (unresolvedDimensions.length === 0) return decision(true, STOP_REASONS.CONFIDENCE_REACHED);
+    return decision(false, CONTINUE_REASONS.LOW_CONFIDENCE);
+  }
+}
+
+export default QuizStoppingRule;
@@ -0,0 +1,51 @@
+import { QuizStoppingRule, STOP_REASONS, CONTINUE_REASONS } from './QuizStoppingRule';
+
+// Answers without a catalog fall back to the stored rawScores
+const answersWith = (scoresList) => Object.fromEntries(
+  scoresList.map((rawScores, index) => [`question_${index}`, { optionIndex: 0, rawScores }])
+);
+
+const required = { skillLevel: 7, luxuryLevel: 3, amenityImportance: 6 };
+
+describe('QuizStoppingRule', () => {
+  const rule = new QuizStoppingRule({ MIN_QUESTIONS: 3, MAX_QUESTIONS: 6, CONFIDENCE_THRESHOLD: 0.75 });
+
+  it('keeps asking until the minimum question count is reached', () => {
+    const decision = rule.evaluate(answersWith([required, required]));
+
+    expect(decision.shouldStop).toBe(false);
+    expect(decision.reason).toBe(CONTINUE_REASONS.MIN_QUESTIONS);
+  });
+
+  it('stops once every required dimension is confident', () => {
+    const decision = rule.evaluate(answersWith([required, required, { pace: 4 }]));
+
+    expect(decision.shouldStop).toBe(true);
+    expect(decision.reason).toBe(STOP_REASONS.CONFIDENCE_REACHED);
+    expect(decision.unresolvedDimensions).toEqual([]);
+  });
+
+  it('reports which required dimensions are still uncertain', () => {
+    const decision = rule.evaluate(answersWith([required, { skillLevel: 6, luxuryLevel: 4 }, { pace: 4 }]));
+
+    expect(decision.shouldStop).toBe(false);
+    expect(decision.reason).toBe(CONTINUE_REASONS.LOW_CONFIDENCE);
+    expect(decision.unresolvedDimensions).toEqual(['amenityImportance']);
+  });
+
+  it('is less confident when answers contradict each other', () => {
+    const agreeing = rule.evaluate(answersWith([{ skillLevel: 7 }, { skillLevel: 8 }]));
+    const contradicting = rule.evaluate(answersWith([{ skillLevel: 2 }, { skillLevel: 9 }]));
+
+    expect(agreeing.confidence.skillLevel).toBeCloseTo(0.806, 3);
+    expect(contradicting.confidence.skillLevel).toBeCloseTo(0.405, 3);
+  });
+
+  it('stops at the maximum question count regardless of confidence', () => {
+    const decision = rule.evaluate(answersWith(Array(6).fill({ pace: 5 })));
+
+    expect(decision.shouldStop).toBe(true);
+    expect(decision.reason).toBe(STOP_REASONS.MAX_QUESTIONS);
+    expect(decision.confidence.skillLevel).toBe(0);
+  });
+});
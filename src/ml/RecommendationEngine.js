@@ -1,5 +1,6 @@
 // RecommendationEngine.js - ML-enhanced recommendation generation
 import { ML_CONFIG, PROFILE_LABELS } from './MLConfig.js';
+import { normalizeRecommendations } from './ProfileSchema.js';
 
 export class RecommendationEngine {
   constructor(similarityCalculator, dataManager) {
@@ -12,12 +13,12 @@ export class RecommendationEngine {
     const baseRecommendations = currentProfile.recommendations;
 
     if (similarProfiles.length < ML_CONFIG.MIN_SIMILAR_PROFILES) {
-      return {
+      return normalizeRecommendations({
         ...baseRecommendations,
         mlEnhanced: false,
         confidence: 'Low - Insufficient data',
         explanation: 'Using rule-based recommendations due to limited similar profiles'
-      };
+      });
     }
 
     const mlRecommendations = {
@@ -31,14 +32,14 @@ export class RecommendationEngine {
       equipmentSuggestions: this.recommendEquipment(currentScores, similarProfiles)
     };
 
-    return {
+    return normalizeRecommendations({
       ...baseRecommendations,
       ...mlRecommendations,
       mlEnhanced: true,
       confidence: this.calculateConfidence(similarProfiles),
       explanation: this.generateExplanation(similarProfiles, mlRecommendations),
       alternativeOptions: this.generateAlternatives(currentScores, similarProfiles)
-    };
+    });
   }
 
   // Course style recommendations with ML
@@ -49,7 +50,7 @@ export class RecommendationEngine {
     // Aggregate preferences from similar users
     similarProfiles.forEach(profile => {
       const weight = profile.similarity;
-      const userCourseStyle = profile.profile?.recommendations?.courseStyle ||
+      const userCourseStyle = profile.profile?.recommendations?.courseStyle?.primary ||
                              Object.keys(profile.scores.courseStyle || {})[0] ||
                              'parkland';
 
@@ -100,7 +101,7 @@ export class RecommendationEngine {
     });
 
     return {
-      recommended: recommendedLodging,
+      primary: recommendedLodging,
       alternatives: Object.keys(lodgingPreferences).filter(type =>
         type !== recommendedLodging.split(' ')[0]
       ),
@@ -163,31 +164,14 @@ export class RecommendationEngine {
     // Score amenities based on similar users
     similarProfiles.forEach(profile => {
       const weight = profile.similarity;
-      let userAmenities = profile.profile?.recommendations?.amenities || [];
-
-      // Handle different amenities formats
-      if (typeof userAmenities === 'string') {
-        userAmenities = [userAmenities];
-      } else if (!Array.isArray(userAmenities)) {
-        // If it's an object with essential/recommended properties
-        if (userAmenities.essential) {
-          userAmenities = userAmenities.essential;
-        } else if (userAmenities.recommended) {
-          userAmenities = userAmenities.recommended;
-        } else {
-          userAmenities = [];
-        }
-      }
+      const userAmenities = profile.profile?.recommendations?.amenities?.essential || [];
 
-  // Now safely iterate over the array
-  if (Array.isArray(userAmenities)) {
-    userAmenities.forEach(amenity => {
-      if (amenityScores.hasOwnProperty(amenity)) {
-        amenityScores[amenity] += weight;
-      }
+      userAmenities.forEach(amenity => {
+        if (amenityScores.hasOwnProperty(amenity)) {
+          amenityScores[amenity] += weight;
+        }
+      });
     });
-  }
-});
 
     // Boost scores based on user characteristics
     const amenityImportance = currentScores.amenityImportance || 0;
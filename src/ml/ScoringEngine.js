@@ -0,0 +1,205 @@
+// ScoringEngine.js - Turns quiz answers into profile scores using a scoring algorithm record
+import { ML_CONFIG } from './MLConfig.js';
+import { SCORE_DIMENSIONS } from './QuestionCatalog.js';
+
+const { SIGNED_DIMENSIONS } = ML_CONFIG.QUESTION_CATALOG;
+
+// Same record shape as the scoring_algorithms table. These are the weights the
+// quiz has always used, so scores are unchanged until a new version is activated
+export const DEFAULT_SCORING_ALGORITHM = {
+  version: 'v1.0.0',
+  algorithm_name: 'weighted_average',
+  dimension_weights: Object.fromEntries(SCORE_DIMENSIONS.map(dim => [dim, 1.0])),
+  question_type_weights: {
+    starter: 1.2,
+    core: 1.5,
+    skill_assessment: 1.8,
+    social: 1.3,
+    lifestyle: 1.0,
+    knowledge: 1.1,
+    personality: 1.4,
+    preparation: 1.0
+  },
+  calculation_method: {
+    method: 'weighted_average',
+    scale_range: [0, 10],
+    rounding: 1
+  }
+};
+
+// Combine the weighted answer values collected for one dimension
+const scoringMethods = {
+  weighted_average: (entries) => {
+    const weightedSum = entries.reduce((sum, entry) => sum + entry.value * entry.weight, 0);
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    return weightedSum / totalWeight;
+  },
+
+  // Less sensitive to a single outlying answer
+  weighted_median: (entries) => {
+    const sorted = [...entries].sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, entry) => sum + entry.weight, 0) / 2;
+    let cumulative = 0;
+    for (const entry of sorted) {
+      cumulative += entry.weight;
+      if (cumulative >= half) return entry.value;
+    }
+    return sorted[sorted.length - 1].value;
+  }
+};
+
+export function registerScoringMethod(name, combine) {
+  scoringMethods[name] = combine;
+}
+
+export function getScoringMethods() {
+  return Object.keys(scoringMethods);
+}
+
+export class ScoringEngine {
+  constructor(algorithm = DEFAULT_SCORING_ALGORITHM) {
+    const method = algorithm?.calculation_method?.method || 'weighted_average';
+    if (!scoringMethods[method]) {
+      throw new Error(`Unknown scoring method "${method}" in scoring algorithm ${algorithm?.version}`);
+    }
+
+    this.algorithm = algorithm;
+    this.version = algorithm.version;
+    this.method = method;
+    this.combine = scoringMethods[method];
+    this.dimensionWeights = algorithm.dimension_weights || {};
+    this.questionTypeWeights = algorithm.question_type_weights || {};
+    // { [questionId]: { [optionText]: { dimension: score } } } replacing the
+    // catalog's option scores, e.g. from OptionCalibration. Keyed by text so
+    // they stay on the same option when a later catalog reorders them
+    this.optionScores = algorithm.option_scores || {};
+    this.scaleRange = algorithm.calculation_method?.scale_range || DEFAULT_SCORING_ALGORITHM.calculation_method.scale_range;
+    this.rounding = algorithm.calculation_method?.rounding ?? DEFAULT_SCORING_ALGORITHM.calculation_method.rounding;
+  }
+
+  // The weighted value each answer gives each dimension, and courseStyle votes
+  collectEntries(answers, questionCatalog) {
+    const dimensionScores = Object.fromEntries(SCORE_DIMENSIONS.map(dim => [dim, []]));
+    const courseStyle = {};
+
+    Object.entries(answers || {}).forEach(([questionId, answerData]) => {
+      const question = questionCatalog?.findQuestionById(questionId);
+      const weight = this.questionTypeWeights[question?.type] || 1.0;
+      const option = questionCatalog?.getOption(questionId, answerData?.optionIndex);
+      const rawScores = {
+        ...(answerData?.rawScores || option?.scores || {}),
+        ...this.optionScores[questionId]?.[answerData?.answer ?? option?.text]
+      };
+
+      Object.entries(rawScores).forEach(([dimension, value]) => {
+        if (dimension === 'courseStyle') {
+          courseStyle[value] = (courseStyle[value] || 0) + 1;
+        } else if (dimensionScores[dimension] && typeof value === 'number') {
+          dimensionScores[dimension].push({ questionId, value, weight });
+        }
+      });
+    });
+
+    return { dimensionScores, courseStyle };
+  }
+
+  calculateScores(answers, questionCatalog) {
+    const { dimensionScores, courseStyle } = this.collectEntries(answers, questionCatalog);
+
+    const finalScores = { courseStyle };
+    SCORE_DIMENSIONS.forEach(dimension => {
+      const entries = dimensionScores[dimension];
+      finalScores[dimension] = entries.length > 0 ? this.scaleScore(dimension, this.combine(entries)) : 0;
+    });
+
+    return finalScores;
+  }
+
+  // Why each dimension scored what it did. Per dimension, every answer that
+  // scored it gets its contribution (value x type weight / total weight; the
+  // contributions sum to the weighted average) and its shift: how far it
+  // moved the score from the middle of the scale after the dimension weight.
+  // Shifts add up to the score exactly for weighted_average before clamping
+  // and rounding. Flips rescore the quiz with one answer swapped for each of
+  // the question's other options, largest total change first. A dimension no
+  // answer scored sits at 0, so a flip that gives it its first score lists
+  // it under adds (with the new score) and one that takes away its only
+  // score under removes, rather than as a change from or to 0.
+  explainScores(answers, questionCatalog) {
+    const { dimensionScores } = this.collectEntries(answers, questionCatalog);
+    const scores = this.calculateScores(answers, questionCatalog);
+    const answerText = (questionId) => answers[questionId]?.answer
+      || questionCatalog?.getOption(questionId, answers[questionId]?.optionIndex)?.text
+      || questionId;
+
+    const dimensions = Object.fromEntries(SCORE_DIMENSIONS.map(dimension => {
+      const entries = dimensionScores[dimension];
+      const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+      const [min, max] = SIGNED_DIMENSIONS[dimension] || this.scaleRange;
+      const midpoint = (min + max) / 2;
+      const dimensionWeight = this.dimensionWeights[dimension] ?? 1.0;
+
+      const contributions = entries
+        .map(({ questionId, value, weight }) => ({
+          questionId,
+          answer: answerText(questionId),
+          value,
+          weight,
+          contribution: (value * weight) / totalWeight,
+          shift: ((value - midpoint) * weight * dimensionWeight) / totalWeight
+        }))
+        .sort((a, b) => Math.abs(b.shift) - Math.abs(a.shift));
+
+      return [dimension, { score: scores[dimension], midpoint, totalWeight, contributions }];
+    }));
+
+    const factor = 10 ** this.rounding;
+    const flips = [];
+    Object.entries(answers || {}).forEach(([questionId, answerData]) => {
+      const options = questionCatalog?.findQuestionById(questionId)?.options || [];
+      options.forEach((option, optionIndex) => {
+        if (optionIndex === answerData?.optionIndex) return;
+
+        const flippedAnswers = {
+          ...answers,
+          [questionId]: { ...answerData, answer: option.text, optionIndex, rawScores: option.scores }
+        };
+        const flipped = this.calculateScores(flippedAnswers, questionCatalog);
+        const flippedScores = this.collectEntries(flippedAnswers, questionCatalog).dimensionScores;
+        const scoredBefore = SCORE_DIMENSIONS.filter(dimension => dimensionScores[dimension].length > 0);
+        const scoredAfter = SCORE_DIMENSIONS.filter(dimension => flippedScores[dimension].length > 0);
+
+        const changes = Object.fromEntries(scoredBefore
+          .filter(dimension => scoredAfter.includes(dimension))
+          .map(dimension => [dimension, Math.round((flipped[dimension] - scores[dimension]) * factor) / factor])
+          .filter(([, change]) => change !== 0));
+        const adds = Object.fromEntries(scoredAfter
+          .filter(dimension => !scoredBefore.includes(dimension))
+          .map(dimension => [dimension, flipped[dimension]]));
+        const removes = scoredBefore.filter(dimension => !scoredAfter.includes(dimension));
+        const totalChange = Object.values(changes).reduce((sum, change) => sum + Math.abs(change), 0);
+
+        if (totalChange > 0 || Object.keys(adds).length > 0 || removes.length > 0) {
+          flips.push({ questionId, from: answerText(questionId), to: option.text, optionIndex, changes, adds, removes, totalChange });
+        }
+      });
+    });
+    flips.sort((a, b) => b.totalChange - a.totalChange);
+
+    return { method: this.method, scores, dimensions, flips };
+  }
+
+  // Dimension weights stretch or shrink a score around the middle of its
+  // scale, then the result is clamped and rounded per calculation_method
+  scaleScore(dimension, value) {
+    const [min, max] = SIGNED_DIMENSIONS[dimension] || this.scaleRange;
+    const midpoint = (min + max) / 2;
+    const weight = this.dimensionWeights[dimension] ?? 1.0;
+    const weighted = midpoint + (value - midpoint) * weight;
+    const factor = 10 ** this.rounding;
+
+    return Math.round(Math.max(min, Math.min(max, weighted)) * factor) / factor;
+  }
+}
+
+export default ScoringEngine;
@@ -0,0 +1,136 @@
+import { ScoringEngine, DEFAULT_SCORING_ALGORITHM } from './ScoringEngine';
+import { loadQuestionCatalog } from './QuestionCatalog';
+
+const catalog = loadQuestionCatalog();
+
+// Answers as GolfProfiler stores them, keyed by question id
+const answersFor = (selections) => Object.fromEntries(
+  Object.entries(selections).map(([questionId, optionIndex]) => {
+    const option = catalog.getOption(questionId, optionIndex);
+    return [questionId, { answer: option.text, optionIndex, rawScores: option.scores }];
+  })
+);
+
+describe('ScoringEngine', () => {
+  const answers = answersFor({ golf_movie: 1, dream_course: 0, pressure_shot: 2 });
+
+  it('weights answers by question type with the default algorithm', () => {
+    const scores = new ScoringEngine().calculateScores(answers, catalog);
+
+    const expected = (dim) => {
+      const entries = Object.keys(answers)
+        .map(id => ({ value: answers[id].rawScores[dim], weight: DEFAULT_SCORING_ALGORITHM.question_type_weights[catalog.findQuestionById(id).type] }))
+        .filter(entry => typeof entry.value === 'number');
+      const average = entries.reduce((sum, e) => sum + e.value * e.weight, 0) / entries.reduce((sum, e) => sum + e.weight, 0);
+      return Math.round(average * 10) / 10;
+    };
+
+    expect(scores.skillLevel).toBe(expected('skillLevel'));
+    expect(scores.pace).toBe(0);
+    expect(Object.values(scores.courseStyle).reduce((a, b) => a + b, 0)).toBeGreaterThan(0);
+  });
+
+  it('applies dimension weights around the middle of the scale', () => {
+    const flattened = new ScoringEngine({
+      ...DEFAULT_SCORING_ALGORITHM,
+      version: 'test_flat',
+      dimension_weights: { skillLevel: 0 }
+    }).calculateScores(answers, catalog);
+
+    expect(flattened.skillLevel).toBe(5);
+  });
+
+  it('supports a weighted median calculation method', () => {
+    const engine = new ScoringEngine({
+      ...DEFAULT_SCORING_ALGORITHM,
+      version: 'test_median',
+      question_type_weights: {},
+      calculation_method: { method: 'weighted_median', scale_range: [0, 10], rounding: 0 }
+    });
+    const scores = engine.calculateScores({
+      a: { rawScores: { pace: 1 } },
+      b: { rawScores: { pace: 9 } },
+      c: { rawScores: { pace: 8 } }
+    });
+
+    expect(scores.pace).toBe(8);
+  });
+
+  it('keeps signed dimensions on their own range', () => {
+    const scores = new ScoringEngine().calculateScores({ a: { rawScores: { genderLean: -3 } } });
+    expect(scores.genderLean).toBe(-3);
+  });
+
+  it('applies option score overrides on top of the catalog', () => {
+    const engine = new ScoringEngine({
+      ...DEFAULT_SCORING_ALGORITHM,
+      version: 'test_calibrated',
+      question_type_weights: {},
+      option_scores: { a: { Brisk: { pace: 2 } } }
+    });
+    const scores = engine.calculateScores({
+      a: { answer: 'Brisk', optionIndex: 1, rawScores: { pace: 8, skillLevel: 6 } },
+      b: { answer: 'Brisk', optionIndex: 0, rawScores: { pace: 4 } }
+    });
+
+    expect(scores.pace).toBe(3);
+    expect(scores.skillLevel).toBe(6);
+  });
+
+  it('applies overrides to the option with that text, wherever the catalog lists it', () => {
+    const options = [{ text: 'No rush', scores: { pace: 3 } }, { text: 'Brisk', scores: { pace: 8 } }];
+    const reordered = {
+      findQuestionById: () => ({ id: 'a', options }),
+      getOption: (questionId, optionIndex) => options[optionIndex] || null
+    };
+    const engine = new ScoringEngine({ ...DEFAULT_SCORING_ALGORITHM, version: 'test_by_text', option_scores: { a: { Brisk: { pace: 10 } } } });
+
+    expect(engine.calculateScores({ a: { optionIndex: 1 } }, reordered).pace).toBe(10);
+    expect(engine.calculateScores({ a: { optionIndex: 0 } }, reordered).pace).toBe(3);
+  });
+
+  it('explains each answer\'s contribution and the answers worth flipping', () => {
+    const questions = [
+      { id: 'golf_movie', type: 'personality', options: [{ text: 'Tin Cup', scores: { competitiveness: 8 } }, { text: 'Caddyshack', scores: { competitiveness: 2, socialness: 8 } }] },
+      { id: 'round_pace', type: 'lifestyle', options: [{ text: 'Brisk', scores: { competitiveness: 6, pace: 8 } }, { text: 'No rush', scores: { pace: 3 } }] }
+    ];
+    const stubCatalog = {
+      findQuestionById: (questionId) => questions.find(question => question.id === questionId) || null,
+      getOption: (questionId, optionIndex) => stubCatalog.findQuestionById(questionId)?.options[optionIndex] || null
+    };
+    const engine = new ScoringEngine({
+      ...DEFAULT_SCORING_ALGORITHM,
+      version: 'test_explain',
+      question_type_weights: { personality: 1.5, lifestyle: 1 }
+    });
+    const quizAnswers = {
+      golf_movie: { answer: 'Tin Cup', optionIndex: 0, rawScores: questions[0].options[0].scores },
+      round_pace: { answer: 'Brisk', optionIndex: 0, rawScores: questions[1].options[0].scores }
+    };
+
+    const { method, scores, dimensions, flips } = engine.explainScores(quizAnswers, stubCatalog);
+
+    expect(scores.competitiveness).toBe(7.2);
+    const [tinCup, brisk] = dimensions.competitiveness.contributions;
+    expect(tinCup).toMatchObject({ questionId: 'golf_movie', answer: 'Tin Cup', value: 8, weight: 1.5 });
+    expect(tinCup.contribution).toBeCloseTo(4.8);
+    expect(tinCup.shift).toBeCloseTo(1.8);
+    expect(brisk.shift).toBeCloseTo(0.4);
+    expect(dimensions.competitiveness.midpoint + tinCup.shift + brisk.shift).toBeCloseTo(scores.competitiveness);
+    expect(dimensions.socialness.contributions).toEqual([]);
+
+    expect(method).toBe('weighted_average');
+    expect(flips.map(({ questionId, to, changes, adds, removes }) => [questionId, to, changes, adds, removes])).toEqual([
+      ['round_pace', 'No rush', { competitiveness: 0.8, pace: -5 }, {}, []],
+      ['golf_movie', 'Caddyshack', { competitiveness: -3.6 }, { socialness: 8 }, []]
+    ]);
+
+    const { flips: paceFlips } = engine.explainScores({ round_pace: quizAnswers.round_pace }, stubCatalog);
+    expect(paceFlips[0]).toMatchObject({ to: 'No rush', changes: { pace: -5 }, adds: {}, removes: ['competitiveness'] });
+  });
+
+  it('rejects unknown calculation methods', () => {
+    expect(() => new ScoringEngine({ version: 'bad', calculation_method: { method: 'magic' } }))
+      .toThrow('Unknown scoring method');
+  });
+});
@@ -0,0 +1,178 @@
+// SessionEventLog.js - Typed events for each step of a quiz session
+//
+// GolfProfiler reports what the golfer does (questions shown, answers picked,
+// edits, feedback, restarts) through MLService.trackEvent. Events are
+// numbered per session, stamped with the time spent on the question and
+// since the quiz started, and written to session_events in batches - when
+// the batch is full, on a timer, and when the page is hidden - so the
+// last steps before a golfer leaves are kept too.
+import { ML_CONFIG } from './MLConfig.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('SessionEventLog');
+
+export const SESSION_EVENT_TYPES = {
+  QUIZ_STARTED: 'quiz_started',
+  QUESTION_SHOWN: 'question_shown',
+  ANSWER_SELECTED: 'answer_selected',
+  ANSWERS_EDITED: 'answers_edited',
+  PROFILE_GENERATED: 'profile_generated',
+  FEEDBACK_GIVEN: 'feedback_given',
+  RESTARTED: 'restarted'
+};
+
+// Payload fields each event type must carry
+const REQUIRED_FIELDS = {
+  quiz_started: [],
+  question_shown: ['questionId', 'questionNumber'],
+  answer_selected: ['questionId', 'optionIndex'],
+  answers_edited: ['changedQuestionIds'],
+  profile_generated: ['totalQuestions'],
+  feedback_given: ['accuracy'],
+  restarted: ['answeredCount']
+};
+
+// Reasons an event can't be recorded, or null when it is valid
+export function validateSessionEvent(sessionId, type, data = {}) {
+  if (!sessionId) return 'sessionId is required';
+  if (!REQUIRED_FIELDS[type]) return `Unknown event type "${type}"`;
+  const missing = REQUIRED_FIELDS[type].filter(field => data[field] === undefined || data[field] === null);
+  return missing.length > 0 ? `${type} needs ${missing.join(', ')}` : null;
+}
+
+export class SessionEventLog {
+  constructor(dataManager, {
+    batchSize = ML_CONFIG.SESSION_EVENTS.BATCH_SIZE,
+    flushIntervalMs = ML_CONFIG.SESSION_EVENTS.FLUSH_INTERVAL_MS,
+    maxBuffered = ML_CONFIG.SESSION_EVENTS.MAX_BUFFERED,
+    now = () => Date.now()
+  } = {}) {
+    this.dataManager = dataManager;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxBuffered = maxBuffered;
+    this.now = now;
+
+    this.buffer = [];
+    this.flushing = null;
+    this.timer = null;
+    // Per session: next sequence number, quiz start and the question on screen
+    this.sessions = new Map();
+    this.droppedCount = 0;
+  }
+
+  // Record one event; returns it, or null when it isn't valid
+  track(sessionId, type, data = {}) {
+    const problem = validateSessionEvent(sessionId, type, data);
+    if (problem) {
+      logger.warn(`Ignoring session event: ${problem}`, { sessionId });
+      return null;
+    }
+
+    const occurredAt = this.now();
+    const session = this.getSession(sessionId);
+    const payload = { ...data };
+
+    if (type === SESSION_EVENT_TYPES.QUIZ_STARTED) {
+      session.startedAt = occurredAt;
+    }
+    if (session.startedAt !== null) {
+      payload.elapsedMs = occurredAt - session.startedAt;
+    }
+
+    if (type === SESSION_EVENT_TYPES.QUESTION_SHOWN) {
+      session.shown = { questionId: data.questionId, at: occurredAt };
+    } else if (type === SESSION_EVENT_TYPES.ANSWER_SELECTED && session.shown?.questionId === data.questionId) {
+      // Time on the question, from when it was shown to this answer
+      payload.dwellMs = occurredAt - session.shown.at;
+    } else if (type === SESSION_EVENT_TYPES.RESTARTED) {
+      session.startedAt = null;
+      session.shown = null;
+    }
+
+    const event = {
+      sessionId,
+      type,
+      sequence: session.sequence++,
+      questionId: data.questionId ?? null,
+      occurredAt,
+      payload
+    };
+
+    this.buffer.push(event);
+    this.trimBuffer();
+    logger.debug(`Tracked ${type}`, { sessionId, sequence: event.sequence, questionId: event.questionId });
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+    return event;
+  }
+
+  getSession(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { sequence: 0, startedAt: null, shown: null });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  // Write everything buffered; resolves to true when nothing is left waiting
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.flushing) {
+      this.flushing = this.writeBuffered().finally(() => {
+        this.flushing = null;
+        if (this.buffer.length > 0) this.scheduleFlush();
+      });
+    }
+    return this.flushing;
+  }
+
+  async writeBuffered() {
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+      const saved = await this.dataManager.addSessionEvents(batch);
+      if (!saved) {
+        // Keep the batch ahead of anything tracked meanwhile and retry on the timer
+        this.buffer.unshift(...batch);
+        this.trimBuffer();
+        return false;
+      }
+    }
+    return true;
+  }
+
+  scheduleFlush() {
+    if (this.timer || this.buffer.length === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.flushIntervalMs);
+  }
+
+  trimBuffer() {
+    const excess = this.buffer.length - this.maxBuffered;
+    if (excess <= 0) return;
+    this.buffer.splice(0, excess);
+    this.droppedCount += excess;
+    logger.warn(`Dropped ${excess} session events while the database was unreachable`, { dropped: this.droppedCount });
+  }
+
+  getStatus() {
+    return {
+      buffered: this.buffer.length,
+      dropped: this.droppedCount,
+      sessions: this.sessions.size
+    };
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export default SessionEventLog;
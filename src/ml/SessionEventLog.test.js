@@ -0,0 +1,119 @@
+import { SessionEventLog, SESSION_EVENT_TYPES, validateSessionEvent } from './SessionEventLog';
+import { LocalDataManager } from '../db/LocalDataManager';
+import { SupabaseDataManager } from '../db/SupabaseDataManager';
+import { memoryPersistence } from '../db/LocalTableStore';
+
+const { QUIZ_STARTED, QUESTION_SHOWN, ANSWER_SELECTED, RESTARTED } = SESSION_EVENT_TYPES;
+
+describe('SessionEventLog', () => {
+  let clock;
+  const logs = [];
+  const createLog = (dataManager, options) => {
+    const log = new SessionEventLog(dataManager, { now: () => clock, flushIntervalMs: 60000, ...options });
+    logs.push(log);
+    return log;
+  };
+
+  beforeEach(() => {
+    clock = 1000000;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logs.splice(0).forEach(log => log.dispose());
+    jest.restoreAllMocks();
+  });
+
+  it('rejects unknown types and events missing their fields', () => {
+    expect(validateSessionEvent('s1', 'question_hovered')).toMatch(/Unknown event type/);
+    expect(validateSessionEvent('s1', ANSWER_SELECTED, { questionId: 'q1' })).toBe('answer_selected needs optionIndex');
+    expect(validateSessionEvent(null, QUIZ_STARTED)).toBe('sessionId is required');
+
+    const log = createLog({ addSessionEvents: jest.fn() });
+    expect(log.track('s1', ANSWER_SELECTED, { questionId: 'q1' })).toBeNull();
+    expect(log.getStatus().buffered).toBe(0);
+  });
+
+  it('numbers events per session and times each answer from when its question was shown', () => {
+    const log = createLog({ addSessionEvents: jest.fn() });
+
+    log.track('s1', QUIZ_STARTED);
+    clock += 1000;
+    log.track('s1', QUESTION_SHOWN, { questionId: 'q1', questionNumber: 1 });
+    log.track('s2', QUIZ_STARTED);
+    clock += 4500;
+    const answer = log.track('s1', ANSWER_SELECTED, { questionId: 'q1', optionIndex: 2, hoveredOptions: [0, 2] });
+
+    expect(answer).toMatchObject({
+      sessionId: 's1',
+      sequence: 2,
+      questionId: 'q1',
+      payload: { optionIndex: 2, hoveredOptions: [0, 2], dwellMs: 4500, elapsedMs: 5500 }
+    });
+
+    log.track('s1', RESTARTED, { answeredCount: 1 });
+    const edit = log.track('s1', ANSWER_SELECTED, { questionId: 'q1', optionIndex: 0 });
+    expect(edit.payload).not.toHaveProperty('dwellMs');
+    expect(edit.payload).not.toHaveProperty('elapsedMs');
+  });
+
+  it('writes full batches straight away and keeps a failed batch for the next flush', async () => {
+    const addSessionEvents = jest.fn().mockResolvedValueOnce(false).mockResolvedValue(true);
+    const log = createLog({ addSessionEvents }, { batchSize: 2 });
+
+    log.track('s1', QUIZ_STARTED);
+    log.track('s1', QUESTION_SHOWN, { questionId: 'q1', questionNumber: 1 });
+    await log.flushing;
+    expect(addSessionEvents).toHaveBeenCalledTimes(1);
+    expect(log.getStatus().buffered).toBe(2);
+
+    log.track('s1', ANSWER_SELECTED, { questionId: 'q1', optionIndex: 1 });
+    expect(await log.flush()).toBe(true);
+
+    const written = addSessionEvents.mock.calls.slice(1).flatMap(([batch]) => batch.map(event => event.sequence));
+    expect(written).toEqual([0, 1, 2]);
+    expect(log.getStatus().buffered).toBe(0);
+  });
+
+  it('drops the oldest events beyond the buffer limit', async () => {
+    const log = createLog({ addSessionEvents: jest.fn().mockResolvedValue(false) }, { maxBuffered: 2 });
+
+    log.track('s1', QUIZ_STARTED);
+    log.track('s1', QUESTION_SHOWN, { questionId: 'q1', questionNumber: 1 });
+    log.track('s1', ANSWER_SELECTED, { questionId: 'q1', optionIndex: 1 });
+    await log.flush();
+
+    expect(log.buffer.map(event => event.sequence)).toEqual([1, 2]);
+    expect(log.getStatus()).toMatchObject({ buffered: 2, dropped: 1 });
+  });
+
+  it('does not keep retrying when there is no database to write to', async () => {
+    const dataManager = new SupabaseDataManager();
+    expect(dataManager.isConnected).toBe(false);
+    const log = createLog(dataManager);
+
+    log.track('s1', QUIZ_STARTED);
+    expect(await log.flush()).toBe(true);
+    expect(log.getStatus()).toMatchObject({ buffered: 0, dropped: 0 });
+    expect(log.timer).toBeNull();
+  });
+
+  it('stores events in session_events and reads them back in order', async () => {
+    const dataManager = new LocalDataManager({ persistence: memoryPersistence() });
+    const log = createLog(dataManager);
+
+    log.track('s1', QUIZ_STARTED, { catalogVersion: '1.0.0' });
+    log.track('s1', QUESTION_SHOWN, { questionId: 'q1', questionNumber: 1 });
+    log.track('s2', QUIZ_STARTED);
+    expect(await log.flush()).toBe(true);
+
+    const events = await dataManager.getSessionEvents({ sessionId: 's1' });
+    expect(events.map(event => [event.sequence, event.type, event.questionId])).toEqual([
+      [0, 'quiz_started', null],
+      [1, 'question_shown', 'q1']
+    ]);
+    expect(events[0]).toMatchObject({ payload: { catalogVersion: '1.0.0', elapsedMs: 0 }, occurredAt: clock });
+    expect(await dataManager.getSessionEvents({ types: [QUIZ_STARTED] })).toHaveLength(2);
+  });
+});
@@ -1,5 +1,8 @@
 // SimilarityCalculator.js - Advanced similarity calculations (FIXED)
 import { ML_CONFIG } from './MLConfig.js';
+import { createLogger } from './Logger.js';
+
+const logger = createLogger('SimilarityCalculator');
 
 export class SimilarityCalculator {
   constructor() {
@@ -113,7 +116,7 @@ export class SimilarityCalculator {
       diversityFactor = 0.1 // 0-1, higher = more diverse results
     } = options;
 
-    console.log(`🔍 Finding similar profiles: threshold=${threshold}, max=${maxResults}`);
+    logger.debug(`Finding similar profiles: threshold=${threshold}, max=${maxResults}`);
 
     // Calculate similarities
     let similarities = allProfiles.map(profile => ({
@@ -123,7 +126,7 @@ export class SimilarityCalculator {
 
     // Filter by threshold
     similarities = similarities.filter(p => p.similarity >= threshold);
-    console.log(`📊 Found ${similarities.length} profiles above threshold`);
+    logger.debug(`Found ${similarities.length} profiles above threshold`);
 
     // Sort by similarity
     similarities.sort((a, b) => b.similarity - a.similarity);
@@ -149,15 +152,13 @@ export class SimilarityCalculator {
     } = options;
 
     if (debug) {
-      console.log('🔍 Progressive similarity search started');
-      console.log('🎯 Target scores:', targetScores);
-      console.log('📊 Available profiles:', allProfiles.length);
+      logger.debug(`Progressive similarity search among ${allProfiles.length} profiles`, { targetScores });
     }
 
     // Step 1: Determine target user's archetype
     const targetArchetype = this.determineArchetype(targetScores);
     if (debug) {
-      console.log(`🎭 Target archetype: ${targetArchetype.archetype} (${(targetArchetype.confidence * 100).toFixed(0)}% confidence)`);
+      logger.debug(`Target archetype: ${targetArchetype.archetype} (${(targetArchetype.confidence * 100).toFixed(0)}% confidence)`);
     }
 
     // Step 2: Calculate base similarities
@@ -195,7 +196,7 @@ export class SimilarityCalculator {
       found = similarities.filter(p => p.similarity >= threshold);
       if (found.length < minResults) {
         threshold -= 0.1;
-        if (debug) console.log(`📉 Lowering threshold to ${threshold.toFixed(1)}`);
+        if (debug) logger.debug(`Lowering threshold to ${threshold.toFixed(1)}`);
       }
     }
 
@@ -209,8 +210,8 @@ export class SimilarityCalculator {
     const result = found.slice(0, maxResults);
 
     if (debug) {
-      console.log(`✅ Progressive search found ${result.length} profiles`);
-      console.log('🎯 Top matches:', result.slice(0, 3).map(p => ({
+      logger.debug(`Progressive search found ${result.length} profiles`);
+      logger.debug('Top matches', result.slice(0, 3).map(p => ({
         archetype: p.profileArchetype,
         similarity: (p.similarity * 100).toFixed(1) + '%',
         base: (p.baseSimilarity * 100).toFixed(1) + '%',
@@ -379,9 +380,7 @@ export class SimilarityCalculator {
   // Debug similarity calculation
   debugSimilarityCalculation(scores1, scores2) {
     const dimensions = ML_CONFIG.SIMILARITY_DIMENSIONS;
-    console.log('🔍 Debug similarity calculation:');
-    console.log('👤 User 1 scores:', scores1);
-    console.log('👤 User 2 scores:', scores2);
+    const dimensionSimilarities = {};
 
     let totalSimilarity = 0;
     let dimensionCount = 0;
@@ -392,17 +391,19 @@ export class SimilarityCalculator {
       const diff = Math.abs(val1 - val2);
       const dimSimilarity = 1 - (diff / 10);
 
-      console.log(`  ${dim}: ${val1} vs ${val2} = ${dimSimilarity.toFixed(3)} similarity`);
+      dimensionSimilarities[dim] = Number(dimSimilarity.toFixed(3));
 
       totalSimilarity += dimSimilarity;
       dimensionCount++;
     });
 
     const avgSimilarity = totalSimilarity / dimensionCount;
-    console.log(`📊 Average similarity: ${avgSimilarity.toFixed(3)}`);
-
     const weightedSimilarity = this.weightedEuclideanSimilarity(scores1, scores2);
-    console.log(`⚖️ Weighted similarity: ${weightedSimilarity.toFixed(3)}`);
+    logger.debug(`Similarity: average ${avgSimilarity.toFixed(3)}, weighted ${weightedSimilarity.toFixed(3)}`, {
+      scores1,
+      scores2,
+      dimensionSimilarities
+    });
 
     return weightedSimilarity;
   }
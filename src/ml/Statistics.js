@@ -0,0 +1,15 @@
+// Statistics.js - Small summary statistics shared by the analytics modules
+//
+// Both return null for an empty list, so callers can show "no data" rather
+// than a misleading 0.
+
+export function median(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
@@ -0,0 +1,14 @@
+import { mean, median } from './Statistics';
+
+describe('Statistics', () => {
+  it('takes the middle value, or the mean of the two middle ones', () => {
+    expect(median([5, 1, 3])).toBe(3);
+    expect(median([4, 1, 3, 2, null])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+
+  it('averages values and has no mean for an empty list', () => {
+    expect(mean([1, 2, 6])).toBe(3);
+    expect(mean([])).toBeNull();
+  });
+});